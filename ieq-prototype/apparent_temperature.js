@@ -0,0 +1,79 @@
+//
+// apparent_temperature.js - Built-in Feels-Like Temperature Calculator
+// --------------------------------------------------------------------
+// Used by script.js and zone_forecast.js when ta_Feels_Like_Temperature.csv
+// is not available. Implements Steadman's apparent temperature (the version
+// published by the Australian Bureau of Meteorology) with no wind, which
+// suits indoor zones. Humidity comes from the user's setting, or a default.
+//
+
+(function () {
+    'use strict';
+
+    // --- Section: 1. Configuration ---
+
+    const DEFAULT_RELATIVE_HUMIDITY = 50; // % RH, typical for a conditioned office.
+    const RELATIVE_HUMIDITY_STORAGE_KEY = 'relativeHumidity';
+    const LOOKUP_TABLE_RANGE = { min: 0, max: 45, step: 0.5 }; // °C, well beyond the range of the samba sensors.
+
+    // --- Section: 2. Calculation ---
+
+    // Water vapour pressure in hPa for a temperature (°C) and relative humidity (%).
+    function vapourPressure(ambientTemp, relativeHumidity) {
+        return (relativeHumidity / 100) * 6.105 * Math.exp((17.27 * ambientTemp) / (237.7 + ambientTemp));
+    }
+
+    /**
+     * Apparent temperature in °C: AT = Ta + 0.33e − 0.70ws − 4.00.
+     * @param {number} ambientTemp Air temperature in °C.
+     * @param {number} [relativeHumidity] Relative humidity in %, defaults to DEFAULT_RELATIVE_HUMIDITY.
+     * @param {number} [windSpeed=0] Wind speed in m/s (0 indoors).
+     * @returns {number|null} Apparent temperature rounded to two decimals, or null for invalid input.
+     */
+    function calculate(ambientTemp, relativeHumidity = DEFAULT_RELATIVE_HUMIDITY, windSpeed = 0) {
+        const ta = parseFloat(ambientTemp);
+        const rh = parseFloat(relativeHumidity);
+        if (isNaN(ta) || isNaN(rh)) return null;
+
+        const apparentTemp = ta + 0.33 * vapourPressure(ta, clampHumidity(rh)) - 0.70 * windSpeed - 4.00;
+        return parseFloat(apparentTemp.toFixed(2));
+    }
+
+    // Builds a table in the same { ta, feelsLike } shape that processFeelsLikeLookup produces from the CSV.
+    function buildLookupTable(relativeHumidity = DEFAULT_RELATIVE_HUMIDITY, range = LOOKUP_TABLE_RANGE) {
+        const table = [];
+        for (let ta = range.min; ta <= range.max + 1e-9; ta += range.step) {
+            const roundedTa = parseFloat(ta.toFixed(2));
+            table.push({ ta: roundedTa, feelsLike: calculate(roundedTa, relativeHumidity) });
+        }
+        return table;
+    }
+
+    // --- Section: 3. Humidity Setting ---
+
+    function clampHumidity(relativeHumidity) {
+        return Math.min(100, Math.max(0, relativeHumidity));
+    }
+
+    function getStoredRelativeHumidity() {
+        const storedValue = parseFloat(localStorage.getItem(RELATIVE_HUMIDITY_STORAGE_KEY));
+        return isNaN(storedValue) ? DEFAULT_RELATIVE_HUMIDITY : clampHumidity(storedValue);
+    }
+
+    function setStoredRelativeHumidity(relativeHumidity) {
+        const value = parseFloat(relativeHumidity);
+        if (isNaN(value)) {
+            localStorage.removeItem(RELATIVE_HUMIDITY_STORAGE_KEY);
+        } else {
+            localStorage.setItem(RELATIVE_HUMIDITY_STORAGE_KEY, String(clampHumidity(value)));
+        }
+    }
+
+    window.ApparentTemperature = {
+        DEFAULT_RELATIVE_HUMIDITY,
+        calculate,
+        buildLookupTable,
+        getStoredRelativeHumidity,
+        setStoredRelativeHumidity
+    };
+})();
@@ -0,0 +1,164 @@
+//
+// best_time.js - Best Time to Go Finder
+// -------------------------------------
+// Intersects every criterion the user has a preference for, hour by hour,
+// and lists the contiguous blocks of one zone's day when all of them are
+// in range at once, longest first. Each page supplies the zone's readings
+// as 24 hourly values per criterion (script.js from the building hourly
+// data, zone_forecast.js from its chart series), so the lighting periods and
+// the hourly files are treated alike. Each block links to the booking form
+// with its start and end hour, and the booking form checks the slot the user
+// picks hour by hour with checkSlot.
+//
+
+(function () {
+    'use strict';
+
+    // --- Section: 1. Configuration ---
+
+    const BOOKABLE_HOURS = { startHour: 7, endHour: 20 }; // Building opening hours searched for blocks
+    const MAX_BLOCKS_SHOWN = 3;
+    const BOOKING_PAGE = 'booking.html';
+
+    // --- Section: 2. Block Search ---
+
+    function isReading(value) {
+        return typeof value === 'number' && !isNaN(value);
+    }
+
+    function isInRange(value, range) {
+        return isReading(value) && value >= range.min && value <= range.max;
+    }
+
+    function buildBlock(criteria, startHour, endHour) {
+        const averages = {};
+        criteria.forEach(criterion => {
+            const readings = criterion.hourly.slice(startHour, endHour);
+            averages[criterion.key] = readings.reduce((sum, value) => sum + value, 0) / readings.length;
+        });
+        return { startHour, endHour, hours: endHour - startHour, averages };
+    }
+
+    /**
+     * Finds the blocks of hours when every criterion is inside its preferred range.
+     * @param {{key: string, label: string, unit: string, decimals: number, range: ?{min: number, max: number}, hourly: (number|null)[]}[]} criteria
+     *   hourly[hour] is the zone's reading at that clock hour, or null. Criteria without a range are ignored.
+     * @param {object} [options]
+     * @param {number} [options.startHour] First hour searched (defaults to the building opening hours).
+     * @param {number} [options.endHour] Hour the search stops before.
+     * @returns {{blocks: object[], criteria: object[], missing: string[], startHour: number, endHour: number}}
+     *   blocks are { startHour, endHour, hours, averages }, longest first and then earliest. An hour without a reading
+     *   never counts as met. missing names the preferred criteria with no readings at all for the zone (left out of the search).
+     */
+    function findComfortBlocks(criteria, options = {}) {
+        const startHour = options.startHour ?? BOOKABLE_HOURS.startHour;
+        const endHour = options.endHour ?? BOOKABLE_HOURS.endHour;
+        const preferred = criteria.filter(criterion => criterion.range);
+        const usable = preferred.filter(criterion => criterion.hourly.some(isReading));
+        const missing = preferred.filter(criterion => !usable.includes(criterion)).map(criterion => criterion.label);
+        const blocks = [];
+
+        if (usable.length > 0) {
+            let blockStart = null;
+            for (let hour = startHour; hour <= endHour; hour++) {
+                const isMet = hour < endHour && usable.every(criterion => isInRange(criterion.hourly[hour], criterion.range));
+                if (isMet && blockStart === null) blockStart = hour;
+                if (!isMet && blockStart !== null) {
+                    blocks.push(buildBlock(usable, blockStart, hour));
+                    blockStart = null;
+                }
+            }
+            blocks.sort((a, b) => b.hours - a.hours || a.startHour - b.startHour);
+        }
+        return { blocks, criteria: usable, missing, startHour, endHour };
+    }
+
+    /**
+     * Checks a planned slot hour by hour against every preferred criterion.
+     * @param {object[]} criteria As for findComfortBlocks.
+     * @param {number} startHour First clock hour of the slot.
+     * @param {number} endHour Hour the slot ends before (a slot ending at 10:30 passes 11).
+     * @returns {{hours: {hour: number, unmet: string[]}[], unmetHours: number[], criteria: object[], missing: string[]}}
+     *   unmet lists the labels of the criteria out of range (or without a reading) at that hour.
+     */
+    function checkSlot(criteria, startHour, endHour) {
+        const preferred = criteria.filter(criterion => criterion.range);
+        const usable = preferred.filter(criterion => criterion.hourly.some(isReading));
+        const missing = preferred.filter(criterion => !usable.includes(criterion)).map(criterion => criterion.label);
+        const hours = [];
+        for (let hour = startHour; hour < endHour; hour++) {
+            hours.push({ hour, unmet: usable.filter(criterion => !isInRange(criterion.hourly[hour], criterion.range)).map(criterion => criterion.label) });
+        }
+        const unmetHours = hours.filter(entry => entry.unmet.length > 0).map(entry => entry.hour);
+        return { hours, unmetHours, criteria: usable, missing };
+    }
+
+    // --- Section: 3. Formatting and Booking Links ---
+
+    // e.g. "9:00–13:00"
+    function formatBlock(block) {
+        return `${block.startHour}:00–${block.endHour}:00`;
+    }
+
+    // Booking form link for a block; dayOfWeek (0 = Sunday) picks the next such weekday instead of the next free date.
+    function buildBookingUrl(zoneId, block, dayOfWeek = null) {
+        const params = new URLSearchParams({ zone: zoneId, start: block.startHour, end: block.endHour });
+        if (typeof dayOfWeek === 'number') params.set('day', dayOfWeek);
+        return `${BOOKING_PAGE}?${params.toString()}`;
+    }
+
+    /**
+     * Lists the longest blocks with a booking button each, or explains why there are none.
+     * @param {object} result findComfortBlocks() output.
+     * @param {string} zoneId Zone being booked.
+     * @param {?number} [dayOfWeek] Planned weekday, passed on to the booking form.
+     * @returns {string} HTML
+     */
+    function buildBlocksHTML(result, zoneId, dayOfWeek = null) {
+        const searchedHours = `${result.startHour}:00 and ${result.endHour}:00`;
+        const missingNote = result.missing.length > 0
+            ? `<p class="best-time-note"><i class="fas fa-info-circle"></i> Not checked (no readings for this zone): ${result.missing.join(', ')}.</p>`
+            : '';
+
+        if (result.criteria.length === 0) {
+            return `<p class="best-time-empty">Set your preferences in the <a href="quiz-step1.html?start=new">quiz</a> to find the best time to go.</p>${missingNote}`;
+        }
+        const criteriaCount = result.criteria.length;
+        const criteriaText = criteriaCount === 1 ? `your ${result.criteria[0].label.toLowerCase()} preference is`
+            : criteriaCount === 2 ? 'both of your preferences are' : `all ${criteriaCount} of your preferences are`;
+        if (result.blocks.length === 0) {
+            return `<p class="best-time-empty"><i class="fas fa-times-circle"></i> There is no time between ${searchedHours} when ${criteriaText} met at once. Try another zone, or relax the preference that is furthest off.</p>${missingNote}`;
+        }
+
+        const blockItems = result.blocks.slice(0, MAX_BLOCKS_SHOWN).map((block, index) => {
+            const readingsText = result.criteria
+                .map(criterion => `${criterion.label} ${block.averages[criterion.key].toFixed(criterion.decimals)} ${criterion.unit}`)
+                .join(' · ');
+            return `
+                <li class="best-time-block${index === 0 ? ' best-time-block-top' : ''}">
+                    <div class="best-time-block-info">
+                        <strong>${formatBlock(block)}</strong>
+                        <span>${block.hours} hour${block.hours === 1 ? '' : 's'}${index === 0 ? ' · longest' : ''}</span>
+                        <small>${readingsText}</small>
+                    </div>
+                    <a class="best-time-book-btn" href="${buildBookingUrl(zoneId, block, dayOfWeek)}"><i class="fas fa-calendar-plus"></i> Book ${formatBlock(block)}</a>
+                </li>`;
+        }).join('');
+        const moreBlocks = result.blocks.length - MAX_BLOCKS_SHOWN;
+
+        return `
+            <p class="best-time-intro">Times between ${searchedHours} when ${criteriaText} met at once:</p>
+            <ol class="best-time-blocks">${blockItems}</ol>
+            ${moreBlocks > 0 ? `<p class="best-time-note">…and ${moreBlocks} shorter block${moreBlocks === 1 ? '' : 's'}.</p>` : ''}
+            ${missingNote}`;
+    }
+
+    window.BestTimeFinder = {
+        BOOKABLE_HOURS,
+        findComfortBlocks,
+        checkSlot,
+        formatBlock,
+        buildBookingUrl,
+        buildBlocksHTML
+    };
+})();
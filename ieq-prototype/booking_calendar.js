@@ -0,0 +1,188 @@
+//
+// booking_calendar.js - Calendar Files for Bookings
+// -------------------------------------------------
+// Turns bookings from booking_store.js into RFC 5545 iCalendar (.ics) text:
+// one event for "Add to calendar", and every booking a person has either as
+// a one-time export (a snapshot) or as the calendar feed an HTTP booking
+// store serves (booking_store.js), which subscribed calendars re-read.
+// The event UID is fixed per booking and SEQUENCE is the booking's sequence,
+// so opening a newer file for the same booking updates the event already in
+// the calendar instead of adding a second one; a cancelled booking is sent
+// with STATUS:CANCELLED so the calendar removes or strikes it out. Times are
+// written in UTC, so no VTIMEZONE is needed.
+//
+
+(function () {
+    'use strict';
+
+    // --- Section: 1. Configuration ---
+
+    const PRODUCT_ID = '-//Find Your Best Spot//Zone Bookings//EN';
+    const UID_DOMAIN = 'find-your-best-spot';
+    const CALENDAR_NAME = 'Find Your Best Spot bookings';
+    const FEED_REFRESH_INTERVAL = 'PT1H'; // How often subscribed calendars should re-read the feed
+    const EXPORT_FILE_NAME = 'find-your-best-spot-bookings.ics';
+    const MAX_LINE_OCTETS = 75; // RFC 5545 3.1: longer content lines are folded
+    const LINE_BREAK = '\r\n';
+
+    // --- Section: 2. Text Formatting ---
+
+    // Escapes a TEXT value (RFC 5545 3.3.11).
+    function escapeText(value) {
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    // e.g. 20261020T083000Z
+    function formatDateTime(value) {
+        return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    // Splits a content line into 75-octet pieces, continuing each with a space, without breaking a UTF-8 character.
+    function foldLine(line) {
+        const encoder = new TextEncoder();
+        const pieces = [];
+        let current = '';
+        let currentOctets = 0;
+        for (const character of line) {
+            const octets = encoder.encode(character).length;
+            const limit = pieces.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1; // Continuation lines start with a space
+            if (currentOctets + octets > limit) {
+                pieces.push(current);
+                current = '';
+                currentOctets = 0;
+            }
+            current += character;
+            currentOctets += octets;
+        }
+        pieces.push(current);
+        return pieces.join(`${LINE_BREAK} `);
+    }
+
+    // --- Section: 3. Events and Calendars ---
+
+    /**
+     * Builds the VEVENT lines for one booking.
+     * @param {object} booking Stored booking (booking_store.js).
+     * @param {object} [details]
+     * @param {string} [details.location] Where the zone is, e.g. from zoneLocations.
+     * @param {string[]} [details.conditions] Expected conditions during the booking, one per line.
+     * @param {string} [details.url] Link back to the booking.
+     * @param {Date} [now] Time the file is made (DTSTAMP).
+     * @returns {string[]} Unfolded content lines.
+     */
+    function buildBookingEvent(booking, details = {}, now = new Date()) {
+        const isCancelled = booking.status === 'cancelled';
+        const descriptionLines = [
+            `Confirmation number: ${booking.id}`,
+            ...(details.conditions && details.conditions.length > 0 ? ['', 'Expected conditions:', ...details.conditions.map(condition => `- ${condition}`)] : []),
+            ...(details.url ? ['', `Booking: ${details.url}`] : [])
+        ];
+        return [
+            'BEGIN:VEVENT',
+            `UID:${booking.id}@${UID_DOMAIN}`,
+            `SEQUENCE:${booking.sequence || 0}`,
+            `DTSTAMP:${formatDateTime(now)}`,
+            `CREATED:${formatDateTime(booking.createdAt)}`,
+            `LAST-MODIFIED:${formatDateTime(booking.updatedAt)}`,
+            `DTSTART:${formatDateTime(booking.start)}`,
+            `DTEND:${formatDateTime(booking.end)}`,
+            `SUMMARY:${escapeText(`${isCancelled ? 'Cancelled: ' : ''}Zone ${booking.zoneId} booking`)}`,
+            ...(details.location ? [`LOCATION:${escapeText(details.location)}`] : []),
+            `DESCRIPTION:${escapeText(descriptionLines.join('\n'))}`,
+            ...(details.url ? [`URL:${details.url}`] : []),
+            `STATUS:${isCancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+            `TRANSP:${isCancelled ? 'TRANSPARENT' : 'OPAQUE'}`,
+            'END:VEVENT'
+        ];
+    }
+
+    function buildCalendar(eventLines, extraProperties = []) {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${PRODUCT_ID}`,
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            ...extraProperties,
+            ...eventLines,
+            'END:VCALENDAR'
+        ];
+        return lines.map(foldLine).join(LINE_BREAK) + LINE_BREAK;
+    }
+
+    // One booking as a calendar file; a cancelled booking gives its cancellation.
+    function buildBookingCalendar(booking, details = {}, now = new Date()) {
+        return buildCalendar(buildBookingEvent(booking, details, now));
+    }
+
+    // One person's bookings: every active booking, plus cancelled ones that have not ended yet so calendars that already
+    // hold them receive the cancellation.
+    function buildOwnerCalendar(entries, options, extraLines) {
+        const now = options.now || new Date();
+        const eventLines = entries
+            .filter(({ booking }) => booking.status !== 'cancelled' || new Date(booking.end) > now)
+            .flatMap(({ booking, details }) => buildBookingEvent(booking, details, now));
+        const calendarName = options.ownerName ? `${CALENDAR_NAME} (${options.ownerName})` : CALENDAR_NAME;
+        return buildCalendar(eventLines, [
+            `NAME:${escapeText(calendarName)}`,
+            `X-WR-CALNAME:${escapeText(calendarName)}`,
+            ...extraLines
+        ]);
+    }
+
+    /**
+     * One person's bookings as a one-time export. Importing a newer export updates the same events.
+     * @param {{booking: object, details: object}[]} entries
+     * @param {{ownerName?: string, now?: Date}} [options]
+     * @returns {string}
+     */
+    function buildBookingsExport(entries, options = {}) {
+        return buildOwnerCalendar(entries, options, []);
+    }
+
+    /**
+     * One person's bookings as a calendar feed, for a server to serve at GET /bookings.ics (booking_store.js Section 5).
+     * Subscribed calendars re-read it, so changes and cancellations reach them as updates of the same events.
+     * @param {{booking: object, details: object}[]} entries
+     * @param {{ownerName?: string, now?: Date}} [options]
+     * @returns {string}
+     */
+    function buildBookingFeed(entries, options = {}) {
+        return buildOwnerCalendar(entries, options, [
+            `REFRESH-INTERVAL;VALUE=DURATION:${FEED_REFRESH_INTERVAL}`,
+            `X-PUBLISHED-TTL:${FEED_REFRESH_INTERVAL}`
+        ]);
+    }
+
+    // --- Section: 4. Download ---
+
+    function downloadCalendar(fileName, calendarText) {
+        const blob = new Blob([calendarText], { type: 'text/calendar;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    function getBookingFileName(booking) {
+        return `booking-${booking.id}.ics`;
+    }
+
+    window.BookingCalendar = {
+        EXPORT_FILE_NAME,
+        buildBookingEvent,
+        buildBookingCalendar,
+        buildBookingsExport,
+        buildBookingFeed,
+        getBookingFileName,
+        downloadCalendar
+    };
+})();
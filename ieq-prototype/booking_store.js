@@ -0,0 +1,386 @@
+//
+// booking_store.js - Zone Bookings
+// --------------------------------
+// Saves bookings (zone, start, end, owner) and enforces the booking rules:
+// a booking must be for a known zone (setKnownZones), end after it starts
+// and after now, and two active bookings of the same zone may not overlap.
+// Every store has the same Promise-based interface (listBookings, getBooking,
+// findConflicts, createBooking, updateBooking, cancelBooking), so pages do
+// not care where bookings live. getCalendarFeedUrl(ownerId) gives the URL of
+// a person's calendar feed, or null when the store cannot serve one:
+//   - IndexedDB (default): local first, shared by every tab of the browser.
+//   - localStorage: used where IndexedDB is unavailable (e.g. some private windows).
+//   - HTTP: when localStorage "bookingApiUrl" names a server, e.g. a local mock.
+//     The server implements the REST contract in Section 5 and must apply
+//     the rules in Section 2 (validateZoneId, validateBookingTimes and findConflicts).
+// Failed operations reject with an Error whose "code" is 'invalid',
+// 'conflict' (with "conflicts", the clashing bookings), 'not-found' or
+// 'cancelled'.
+//
+
+(function () {
+    'use strict';
+
+    // --- Section: 1. Configuration ---
+
+    const DB_NAME = 'fybs-bookings';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'bookings';
+    const LOCAL_STORAGE_KEY = 'bookings'; // Fallback store: JSON array of bookings
+    const API_URL_STORAGE_KEY = 'bookingApiUrl';
+    const OWNER_ID_STORAGE_KEY = 'bookingOwnerId';
+    const OWNER_NAME_STORAGE_KEY = 'bookingOwnerName';
+    const DEFAULT_OWNER_NAME = 'Guest';
+    const STATUS = { active: 'active', cancelled: 'cancelled' };
+
+    let knownZoneIds = null; // Set by setKnownZones; until then any zone id is accepted
+
+    // --- Section: 2. Booking Rules ---
+    // Purpose: Shared by every store. A booking is { id, zoneId, start, end, ownerId, ownerName, status, sequence,
+    // createdAt, updatedAt }, with ISO 8601 times; sequence goes up on every change so copies elsewhere can tell which is newer.
+
+    function createBookingError(code, message, extra = {}) {
+        const error = new Error(message);
+        error.name = 'BookingError';
+        error.code = code;
+        Object.assign(error, extra);
+        return error;
+    }
+
+    function toDate(value) {
+        const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    // Checks a start/end pair and returns them as Dates; throws an 'invalid' BookingError otherwise.
+    function validateBookingTimes(start, end, now = new Date()) {
+        const startDate = toDate(start);
+        const endDate = toDate(end);
+        if (!startDate || !endDate) throw createBookingError('invalid', 'The booking needs a valid start and end time.');
+        if (endDate <= startDate) throw createBookingError('invalid', 'The booking must end after it starts.');
+        if (endDate <= now) throw createBookingError('invalid', 'That time has already passed.');
+        return { start: startDate, end: endDate };
+    }
+
+    // Active bookings of the zone that overlap [start, end), ignoring the booking being changed.
+    function findConflicts(bookings, zoneId, start, end, ignoreId = null) {
+        const startDate = toDate(start);
+        const endDate = toDate(end);
+        return bookings.filter(booking => booking.status === STATUS.active
+            && String(booking.zoneId) === String(zoneId)
+            && booking.id !== ignoreId
+            && new Date(booking.start) < endDate && startDate < new Date(booking.end));
+    }
+
+    // Checks that a zone id is one of the zones given to setKnownZones and returns it as a string; throws an 'invalid'
+    // BookingError otherwise. The message leaves the id out, since it may be anything typed into a URL.
+    function validateZoneId(zoneId) {
+        const id = zoneId === null || zoneId === undefined ? '' : String(zoneId).trim();
+        if (!id) throw createBookingError('invalid', 'The booking needs a zone.');
+        if (knownZoneIds && !knownZoneIds.has(id)) throw createBookingError('invalid', 'That zone does not exist.');
+        return id;
+    }
+
+    function generateBookingId() {
+        return 'BK' + Math.random().toString(36).substring(2, 11).toUpperCase(); // Same format as the original confirmation numbers
+    }
+
+    // Builds a new booking from { zoneId, start, end, owner }, or throws when it is invalid or taken.
+    function buildNewBooking(existingBookings, input) {
+        const zoneId = validateZoneId(input && input.zoneId);
+        const { start, end } = validateBookingTimes(input.start, input.end);
+        const conflicts = findConflicts(existingBookings, zoneId, start, end);
+        if (conflicts.length > 0) throw createBookingError('conflict', `Zone ${zoneId} is already booked at that time.`, { conflicts });
+
+        const owner = input.owner || getCurrentOwner();
+        const timestamp = new Date().toISOString();
+        let id = generateBookingId();
+        while (existingBookings.some(booking => booking.id === id)) id = generateBookingId();
+        return {
+            id,
+            zoneId,
+            start: start.toISOString(),
+            end: end.toISOString(),
+            ownerId: owner.id,
+            ownerName: owner.name,
+            status: STATUS.active,
+            sequence: 0,
+            createdAt: timestamp,
+            updatedAt: timestamp
+        };
+    }
+
+    // Applies { zoneId, start, end } changes to an active booking, or throws when the result is invalid or taken.
+    function buildUpdatedBooking(existingBookings, id, changes) {
+        const booking = existingBookings.find(candidate => candidate.id === id);
+        if (!booking) throw createBookingError('not-found', `Booking ${id} was not found.`);
+        if (booking.status !== STATUS.active) throw createBookingError('cancelled', `Booking ${id} has been cancelled and can no longer be changed.`);
+
+        const zoneId = changes.zoneId ? validateZoneId(changes.zoneId) : String(booking.zoneId);
+        const { start, end } = validateBookingTimes(changes.start || booking.start, changes.end || booking.end);
+        const conflicts = findConflicts(existingBookings, zoneId, start, end, id);
+        if (conflicts.length > 0) throw createBookingError('conflict', `Zone ${zoneId} is already booked at that time.`, { conflicts });
+        return { ...booking, zoneId, start: start.toISOString(), end: end.toISOString(), sequence: booking.sequence + 1, updatedAt: new Date().toISOString() };
+    }
+
+    function buildCancelledBooking(existingBookings, id) {
+        const booking = existingBookings.find(candidate => candidate.id === id);
+        if (!booking) throw createBookingError('not-found', `Booking ${id} was not found.`);
+        if (booking.status === STATUS.cancelled) throw createBookingError('cancelled', `Booking ${id} is already cancelled.`);
+        return { ...booking, status: STATUS.cancelled, sequence: booking.sequence + 1, updatedAt: new Date().toISOString() };
+    }
+
+    // Filters for listBookings: { zoneId, ownerId, includeCancelled }. Results are ordered by start time.
+    function filterBookings(bookings, query = {}) {
+        return bookings
+            .filter(booking => (query.includeCancelled || booking.status === STATUS.active)
+                && (!query.zoneId || String(booking.zoneId) === String(query.zoneId))
+                && (!query.ownerId || booking.ownerId === query.ownerId))
+            .sort((a, b) => new Date(a.start) - new Date(b.start));
+    }
+
+    // --- Section: 3. Local Storage Adapters ---
+    // Purpose: readAll() lists every booking; readModifyWrite(decide) passes them to decide() and saves the booking it
+    // returns in one step, so a rule check and its write cannot be split by another tab.
+
+    function requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Falls back to the given adapter when the database cannot be opened (e.g. IndexedDB blocked in a private window).
+    function createIndexedDbAdapter(fallbackAdapter = null) {
+        let dbPromise = null;
+        const openDatabase = () => {
+            if (!dbPromise) {
+                const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                    store.createIndex('zoneId', 'zoneId');
+                    store.createIndex('ownerId', 'ownerId');
+                };
+                dbPromise = requestToPromise(request);
+            }
+            return dbPromise;
+        };
+        // Only a failure to open switches stores; errors from the rules or a transaction still reject.
+        const withDatabase = (useDatabase, useFallback) => openDatabase().then(useDatabase, error => {
+            if (!fallbackAdapter) throw error;
+            console.warn('[Bookings] IndexedDB unavailable, using localStorage instead', error);
+            return useFallback(fallbackAdapter);
+        });
+
+        return {
+            readAll() {
+                return withDatabase(
+                    db => requestToPromise(db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).getAll()),
+                    fallback => fallback.readAll());
+            },
+            // The rules run synchronously inside a single readwrite transaction, which IndexedDB serialises across tabs.
+            readModifyWrite(decide) {
+                return withDatabase(db => new Promise((resolve, reject) => {
+                    const transaction = db.transaction(STORE_NAME, 'readwrite');
+                    const store = transaction.objectStore(STORE_NAME);
+                    let savedBooking = null;
+                    let ruleError = null;
+                    store.getAll().onsuccess = (event) => {
+                        try {
+                            savedBooking = decide(event.target.result);
+                            store.put(savedBooking);
+                        } catch (error) {
+                            ruleError = error;
+                            transaction.abort();
+                        }
+                    };
+                    transaction.oncomplete = () => resolve(savedBooking);
+                    transaction.onabort = () => reject(ruleError || transaction.error);
+                }), fallback => fallback.readModifyWrite(decide));
+            }
+        };
+    }
+
+    function createLocalStorageAdapter() {
+        const readBookings = () => {
+            try {
+                const bookings = JSON.parse(localStorage.getItem(LOCAL_STORAGE_KEY) || '[]');
+                return Array.isArray(bookings) ? bookings : [];
+            } catch (e) {
+                console.warn(`[Bookings] Could not parse ${LOCAL_STORAGE_KEY} from localStorage`, e);
+                return [];
+            }
+        };
+        return {
+            readAll() {
+                return Promise.resolve(readBookings());
+            },
+            readModifyWrite(decide) {
+                try {
+                    const bookings = readBookings();
+                    const savedBooking = decide(bookings);
+                    const others = bookings.filter(booking => booking.id !== savedBooking.id);
+                    localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify([...others, savedBooking]));
+                    return Promise.resolve(savedBooking);
+                } catch (error) {
+                    return Promise.reject(error);
+                }
+            }
+        };
+    }
+
+    // --- Section: 4. Local Booking Store ---
+
+    function createLocalBookingStore(adapter) {
+        return {
+            kind: 'local',
+            listBookings(query = {}) {
+                return adapter.readAll().then(bookings => filterBookings(bookings, query));
+            },
+            getBooking(id) {
+                return adapter.readAll().then(bookings => bookings.find(booking => booking.id === id) || null);
+            },
+            findConflicts(zoneId, start, end, ignoreId = null) {
+                return adapter.readAll().then(bookings => findConflicts(bookings, zoneId, start, end, ignoreId));
+            },
+            createBooking(input) {
+                return adapter.readModifyWrite(bookings => buildNewBooking(bookings, input));
+            },
+            updateBooking(id, changes) {
+                return adapter.readModifyWrite(bookings => buildUpdatedBooking(bookings, id, changes));
+            },
+            cancelBooking(id) {
+                return adapter.readModifyWrite(bookings => buildCancelledBooking(bookings, id));
+            },
+            getCalendarFeedUrl() {
+                return null; // Bookings live in this browser, so no calendar app can read them
+            }
+        };
+    }
+
+    // --- Section: 5. HTTP Booking Store ---
+    // Purpose: The same interface over a REST server at baseUrl (JSON in and out):
+    //   GET  /bookings?zoneId=&ownerId=&includeCancelled=true   -> 200 [booking]
+    //   GET  /bookings/:id                                       -> 200 booking | 404
+    //   POST /bookings           { zoneId, start, end, ownerId, ownerName } -> 201 booking
+    //   PATCH /bookings/:id      { zoneId?, start?, end? }      -> 200 booking
+    //   POST /bookings/:id/cancel                                -> 200 booking
+    //   GET  /bookings.ics?ownerId=                              -> 200 text/calendar, the owner's feed as built by
+    //                                                               BookingCalendar.buildBookingFeed (booking_calendar.js)
+    // Errors: 400 (invalid), 404 (not-found), 409 (conflict) or 410 (cancelled), with a body of
+    // { error: message, conflicts?: [booking] }.
+
+    const HTTP_ERROR_CODES = { 400: 'invalid', 404: 'not-found', 409: 'conflict', 410: 'cancelled' };
+
+    function createHttpBookingStore(baseUrl) {
+        const root = baseUrl.replace(/\/+$/, '');
+        const request = (path, options = {}) => fetch(`${root}${path}`, {
+            ...options,
+            headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+            body: options.body ? JSON.stringify(options.body) : undefined
+        }).then(response => response.text().then(text => {
+            const body = text ? JSON.parse(text) : null;
+            if (response.ok) return body;
+            const code = HTTP_ERROR_CODES[response.status];
+            if (!code) throw new Error(`Booking server error (${response.status}).`);
+            throw createBookingError(code, (body && body.error) || `Booking request failed (${response.status}).`, { conflicts: (body && body.conflicts) || [] });
+        }));
+
+        return {
+            kind: 'http',
+            listBookings(query = {}) {
+                const params = new URLSearchParams();
+                if (query.zoneId) params.set('zoneId', query.zoneId);
+                if (query.ownerId) params.set('ownerId', query.ownerId);
+                if (query.includeCancelled) params.set('includeCancelled', 'true');
+                const queryString = params.toString();
+                return request(`/bookings${queryString ? `?${queryString}` : ''}`);
+            },
+            getBooking(id) {
+                return request(`/bookings/${encodeURIComponent(id)}`).catch(error => {
+                    if (error.code === 'not-found') return null;
+                    throw error;
+                });
+            },
+            findConflicts(zoneId, start, end, ignoreId = null) {
+                return this.listBookings({ zoneId }).then(bookings => findConflicts(bookings, zoneId, start, end, ignoreId));
+            },
+            createBooking(input) {
+                return Promise.resolve().then(() => {
+                    const owner = input.owner || getCurrentOwner();
+                    const zoneId = validateZoneId(input.zoneId);
+                    const { start, end } = validateBookingTimes(input.start, input.end); // Fail fast; the server checks again
+                    return request('/bookings', {
+                        method: 'POST',
+                        body: { zoneId, start: start.toISOString(), end: end.toISOString(), ownerId: owner.id, ownerName: owner.name }
+                    });
+                });
+            },
+            updateBooking(id, changes) {
+                return Promise.resolve().then(() => {
+                    const body = {};
+                    if (changes.zoneId) body.zoneId = validateZoneId(changes.zoneId);
+                    if (changes.start) body.start = toDate(changes.start).toISOString();
+                    if (changes.end) body.end = toDate(changes.end).toISOString();
+                    return request(`/bookings/${encodeURIComponent(id)}`, { method: 'PATCH', body });
+                });
+            },
+            cancelBooking(id) {
+                return request(`/bookings/${encodeURIComponent(id)}/cancel`, { method: 'POST' });
+            },
+            getCalendarFeedUrl(ownerId) {
+                return new URL(`${root}/bookings.ics?${new URLSearchParams({ ownerId })}`, window.location.href).href;
+            }
+        };
+    }
+
+    // --- Section: 6. Store Selection and Owner ---
+
+    let activeStore = null;
+
+    // The store every page uses: the HTTP server when one is configured, otherwise IndexedDB, otherwise localStorage.
+    function getStore() {
+        if (activeStore) return activeStore;
+        const apiUrl = localStorage.getItem(API_URL_STORAGE_KEY);
+        if (apiUrl) activeStore = createHttpBookingStore(apiUrl);
+        else if (window.indexedDB) activeStore = createLocalBookingStore(createIndexedDbAdapter(createLocalStorageAdapter()));
+        else activeStore = createLocalBookingStore(createLocalStorageAdapter());
+        return activeStore;
+    }
+
+    // The zones that can be booked (ids as strings); every store refuses a booking for any other zone.
+    function setKnownZones(zoneIds) {
+        knownZoneIds = new Set(Array.from(zoneIds, zoneId => String(zoneId).trim()));
+    }
+
+    // The person booking on this browser: a generated id kept in localStorage, and a display name.
+    function getCurrentOwner() {
+        let id = localStorage.getItem(OWNER_ID_STORAGE_KEY);
+        if (!id) {
+            id = 'user-' + Math.random().toString(36).substring(2, 10);
+            localStorage.setItem(OWNER_ID_STORAGE_KEY, id);
+        }
+        return { id, name: localStorage.getItem(OWNER_NAME_STORAGE_KEY) || DEFAULT_OWNER_NAME };
+    }
+
+    function setOwnerName(name) {
+        const trimmedName = String(name || '').trim();
+        if (trimmedName) localStorage.setItem(OWNER_NAME_STORAGE_KEY, trimmedName);
+        else localStorage.removeItem(OWNER_NAME_STORAGE_KEY);
+    }
+
+    window.BookingStore = {
+        STATUS,
+        getStore,
+        setKnownZones,
+        getCurrentOwner,
+        setOwnerName,
+        validateBookingTimes,
+        validateZoneId,
+        findConflicts,
+        createLocalBookingStore,
+        createIndexedDbAdapter,
+        createLocalStorageAdapter,
+        createHttpBookingStore
+    };
+})();
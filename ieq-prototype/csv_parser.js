@@ -0,0 +1,199 @@
+//
+// csv_parser.js - Shared CSV Parsing Module
+// -----------------------------------------
+// RFC 4180 CSV parser shared by script.js and zone_forecast.js. It handles
+// quoted fields (including embedded delimiters, line breaks and "" escapes),
+// a leading UTF-8 BOM, CRLF/CR line endings, blank lines and comma, semicolon
+// or tab delimiters. Must be loaded before the page scripts that use it.
+//
+
+(function () {
+    'use strict';
+
+    // --- Section: 1. Configuration ---
+    // Purpose: Delimiters tried during detection, in order of preference when counts tie.
+
+    const CANDIDATE_DELIMITERS = [',', ';', '\t'];
+    const HEADER_SEARCH_ROWS = 5; // How many leading rows are searched for a header row by default.
+    const NUMBER_PATTERN = /^[-+]?(\d+(\.\d*)?|\.\d+)([eE][-+]?\d+)?$/;
+
+    // --- Section: 2. Text Normalization ---
+    // Purpose: Removes the BOM and converts every line ending to "\n" before parsing.
+
+    function stripBom(text) {
+        return text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+    }
+
+    function normalizeLineEndings(text) {
+        return text.replace(/\r\n?/g, '\n');
+    }
+
+    // --- Section: 3. Delimiter Detection ---
+    // Purpose: Picks the candidate delimiter that occurs most often (outside quotes) in the first non-blank record.
+
+    function detectDelimiter(text) {
+        const normalized = normalizeLineEndings(stripBom(String(text || '')));
+        const counts = {};
+        CANDIDATE_DELIMITERS.forEach(delimiter => { counts[delimiter] = 0; });
+
+        let inQuotes = false;
+        let sawContent = false;
+        for (let i = 0; i < normalized.length; i++) {
+            const char = normalized[i];
+            if (char === '"') {
+                inQuotes = !inQuotes; // An escaped "" toggles twice, which leaves the state unchanged.
+            } else if (!inQuotes && char === '\n') {
+                if (sawContent) break; // End of the first non-blank record.
+            } else if (!inQuotes && counts[char] !== undefined) {
+                counts[char]++;
+                sawContent = true;
+            } else if (char.trim() !== '') {
+                sawContent = true;
+            }
+        }
+
+        return CANDIDATE_DELIMITERS.reduce((best, delimiter) => (counts[delimiter] > counts[best] ? delimiter : best), CANDIDATE_DELIMITERS[0]);
+    }
+
+    // --- Section: 4. Record Parsing ---
+    // Purpose: RFC 4180 state machine. Returns every record with the 1-based line number it starts on.
+
+    function parseRecords(text, delimiter) {
+        const records = [];
+        const lineNumbers = [];
+        const errors = [];
+
+        let record = [];
+        let field = '';
+        let fieldWasQuoted = false;
+        let inQuotes = false;
+        let line = 1;
+        let recordStartLine = 1;
+
+        const pushField = () => {
+            record.push({ value: field, quoted: fieldWasQuoted });
+            field = '';
+            fieldWasQuoted = false;
+        };
+        const pushRecord = () => {
+            pushField();
+            records.push(record);
+            lineNumbers.push(recordStartLine);
+            record = [];
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"') {
+                    if (text[i + 1] === '"') { // Escaped quote
+                        field += '"';
+                        i++;
+                    } else {
+                        inQuotes = false;
+                    }
+                } else {
+                    if (char === '\n') line++;
+                    field += char;
+                }
+                continue;
+            }
+
+            if (char === '"' && field.trim() === '') {
+                inQuotes = true;
+                fieldWasQuoted = true;
+                field = ''; // Whitespace before an opening quote is not part of the value.
+            } else if (char === delimiter) {
+                pushField();
+            } else if (char === '\n') {
+                pushRecord();
+                line++;
+                recordStartLine = line;
+            } else if (fieldWasQuoted && char.trim() === '') {
+                continue; // Whitespace after a closing quote is not part of the value.
+            } else {
+                field += char; // Includes stray quotes inside unquoted fields, kept as-is.
+            }
+        }
+
+        if (inQuotes) {
+            errors.push({ line: recordStartLine, message: 'Unterminated quoted field.' });
+        }
+        if (field !== '' || fieldWasQuoted || record.length > 0) {
+            pushRecord();
+        }
+
+        return { records, lineNumbers, errors };
+    }
+
+    // --- Section: 5. Value Coercion ---
+    // Purpose: Converts cells to numbers only when the whole cell is numeric (unlike parseFloat, "12abc" is rejected).
+
+    function toNumber(value) {
+        if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+        if (value === null || value === undefined) return null;
+        const trimmed = String(value).trim();
+        if (!NUMBER_PATTERN.test(trimmed)) return null;
+        return Number(trimmed);
+    }
+
+    function coerceValue(value) {
+        const numericValue = toNumber(value);
+        return numericValue === null ? value : numericValue;
+    }
+
+    // --- Section: 6. Public API ---
+    // Purpose: parse() returns a rows table (header rows included) so callers can locate headers themselves.
+
+    /**
+     * Parses CSV text into rows of cells.
+     * @param {string} text Raw CSV text.
+     * @param {object} [options]
+     * @param {string} [options.delimiter] Force a delimiter instead of detecting one.
+     * @param {boolean} [options.trim=true] Trim whitespace around unquoted cells.
+     * @param {boolean} [options.skipEmptyLines=true] Drop records that contain no data at all.
+     * @param {boolean} [options.coerceNumbers=false] Convert numeric cells to numbers.
+     * @returns {{rows: Array<Array<string|number>>, lineNumbers: number[], delimiter: string, errors: Array<{line: number, message: string}>}}
+     */
+    function parse(text, options = {}) {
+        const trim = options.trim !== false;
+        const skipEmptyLines = options.skipEmptyLines !== false;
+        const coerceNumbers = options.coerceNumbers === true;
+
+        const normalized = normalizeLineEndings(stripBom(String(text || '')));
+        const delimiter = options.delimiter || detectDelimiter(normalized);
+        const { records, lineNumbers, errors } = parseRecords(normalized, delimiter);
+
+        const rows = [];
+        const rowLineNumbers = [];
+        records.forEach((record, index) => {
+            const isEmpty = record.every(cell => !cell.quoted && cell.value.trim() === '');
+            if (skipEmptyLines && isEmpty) return;
+
+            rows.push(record.map(cell => {
+                const value = trim && !cell.quoted ? cell.value.trim() : cell.value;
+                return coerceNumbers ? coerceValue(value) : value;
+            }));
+            rowLineNumbers.push(lineNumbers[index]);
+        });
+
+        return { rows, lineNumbers: rowLineNumbers, delimiter, errors };
+    }
+
+    // Returns the index of the first row (within maxRows) whose lower-cased cells satisfy the predicate, or -1.
+    function findHeaderRowIndex(rows, predicate, maxRows = HEADER_SEARCH_ROWS) {
+        for (let i = 0; i < Math.min(rows.length, maxRows); i++) {
+            const cells = rows[i].map(cell => String(cell).trim().toLowerCase());
+            if (predicate(cells)) return i;
+        }
+        return -1;
+    }
+
+    window.CsvParser = {
+        parse,
+        detectDelimiter,
+        toNumber,
+        findHeaderRowIndex
+    };
+})();
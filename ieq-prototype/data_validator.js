@@ -0,0 +1,272 @@
+//
+// data_validator.js - Dataset Schema Validation
+// ---------------------------------------------
+// Describes the expected shape of each samba CSV input and checks a file
+// against it: header, column counts, numeric cells, plausible ranges,
+// duplicate rows, missing zones and gaps. Used by the loading page (to stop
+// on broken files with a precise message) and by the diagnostics page.
+// Depends on csv_parser.js, which must be loaded first.
+//
+
+(function () {
+    'use strict';
+
+    // --- Section: 1. Dataset Schemas ---
+    // Purpose: One entry per dataset. "zone-rows" files have a row per zone; "zone-columns" files have a row per hour.
+
+    const HOURS_OF_DAY = Array.from({ length: 24 }, (_, hour) => String(hour));
+
+    const datasetSchemas = {
+        light: {
+            file: 'samba_lights.csv',
+            label: 'Lighting (zone by time period)',
+            layout: 'zone-rows',
+            keyColumn: 'Zones',
+            valueColumns: ['Early Morning', 'Morning', 'Afternoon', 'Evening', 'Late evening', 'Night'],
+            unit: 'lux',
+            validRange: { min: 0, max: 20000 }
+        },
+        temperature: {
+            file: 'samba_TA.csv',
+            label: 'Temperature (zone by hour)',
+            layout: 'zone-rows',
+            keyColumn: 'Zone',
+            valueColumns: HOURS_OF_DAY,
+            unit: '°C',
+            validRange: { min: 5, max: 40 }
+        },
+        noise: {
+            file: 'samba_noise.csv',
+            label: 'Noise (hour by zone)',
+            layout: 'zone-columns',
+            keyColumn: 'Hour',
+            keyValues: HOURS_OF_DAY,
+            unit: 'dB',
+            validRange: { min: 20, max: 120 }
+        }
+    };
+
+    const MAX_ISSUES_PER_TYPE = 50; // Keeps the report readable when a whole file is broken.
+
+    // Adds a dataset defined elsewhere (e.g. a sensor channel). "optional" datasets may be absent from the server.
+    function registerDatasetSchema(datasetKey, schema) {
+        if (datasetSchemas[datasetKey]) throw new Error(`Dataset '${datasetKey}' is already defined.`);
+        datasetSchemas[datasetKey] = schema;
+    }
+
+    // --- Section: 2. Issue Collection ---
+    // Purpose: Errors make a dataset unusable; warnings are reported but the data can still be scored.
+
+    function createIssueCollector() {
+        const issues = [];
+        const countsByType = {};
+        const countsBySeverity = { error: 0, warning: 0 };
+
+        return {
+            issues,
+            countsBySeverity,
+            add(severity, type, message, location = {}) {
+                countsBySeverity[severity]++;
+                countsByType[type] = (countsByType[type] || 0) + 1;
+                if (countsByType[type] > MAX_ISSUES_PER_TYPE) return; // Still counted in the summary.
+                issues.push({ severity, type, message, line: location.line || null, column: location.column || null });
+            }
+        };
+    }
+
+    // Describes where an issue is, e.g. "samba_noise.csv, line 5, column '27'".
+    function formatIssueLocation(file, issue) {
+        const parts = [file];
+        if (issue.line) parts.push(`line ${issue.line}`);
+        if (issue.column) parts.push(`column '${issue.column}'`);
+        return parts.join(', ');
+    }
+
+    // --- Section: 3. Cell Checks ---
+    // Purpose: Shared by both layouts. Returns the numeric value, or null when the cell is empty or invalid.
+
+    function checkValueCell(schema, collector, rawValue, location) {
+        if (rawValue === undefined || String(rawValue).trim() === '') {
+            collector.add('warning', 'gap', 'Empty reading (gap in the data).', location);
+            return null;
+        }
+
+        const numericValue = CsvParser.toNumber(rawValue);
+        if (numericValue === null) {
+            collector.add('error', 'non-numeric', `'${rawValue}' is not a number.`, location);
+            return null;
+        }
+
+        const { min, max } = schema.validRange;
+        if (numericValue < min || numericValue > max) {
+            collector.add('warning', 'out-of-range', `${numericValue} ${schema.unit} is outside the plausible range ${min}–${max} ${schema.unit}.`, location);
+        }
+        return numericValue;
+    }
+
+    function checkRequiredColumns(collector, headers, requiredColumns, headerLine) {
+        const missingColumns = requiredColumns.filter(column => !headers.includes(column));
+        if (missingColumns.length > 0) {
+            collector.add('error', 'missing-column', `Header is missing ${missingColumns.map(c => `'${c}'`).join(', ')}.`, { line: headerLine });
+        }
+        return missingColumns;
+    }
+
+    // --- Section: 4. Layout Validators ---
+    // Purpose: Walk the parsed rows and record issues. Both return the set of zone ids that have any data.
+
+    function validateZoneRows(schema, collector, rows, lineNumbers) {
+        const headers = rows[0];
+        const zoneIds = new Set();
+
+        if (checkRequiredColumns(collector, headers, [schema.keyColumn], lineNumbers[0]).length > 0) return zoneIds;
+        checkRequiredColumns(collector, headers, schema.valueColumns, lineNumbers[0]);
+
+        const keyIndex = headers.indexOf(schema.keyColumn);
+        const firstSeenOnLine = {};
+
+        for (let i = 1; i < rows.length; i++) {
+            const values = rows[i];
+            const line = lineNumbers[i];
+
+            if (values.length !== headers.length) {
+                collector.add('error', 'column-count', `Expected ${headers.length} columns but found ${values.length}.`, { line });
+                continue;
+            }
+
+            const zoneId = values[keyIndex];
+            if (!zoneId) {
+                collector.add('error', 'missing-key', `Row has no value in '${schema.keyColumn}'.`, { line });
+                continue;
+            }
+            if (firstSeenOnLine[zoneId]) {
+                collector.add('error', 'duplicate', `Zone ${zoneId} is repeated (first seen on line ${firstSeenOnLine[zoneId]}).`, { line });
+                continue;
+            }
+            firstSeenOnLine[zoneId] = line;
+            zoneIds.add(zoneId);
+
+            headers.forEach((column, columnIndex) => {
+                if (columnIndex === keyIndex || !schema.valueColumns.includes(column)) return;
+                checkValueCell(schema, collector, values[columnIndex], { line, column });
+            });
+        }
+        return zoneIds;
+    }
+
+    function validateZoneColumns(schema, collector, rows, lineNumbers) {
+        const keyName = schema.keyColumn.toLowerCase();
+        const headerRowIndex = CsvParser.findHeaderRowIndex(rows, cells => cells.includes(keyName));
+        const zoneIds = new Set();
+
+        if (headerRowIndex === -1) {
+            collector.add('error', 'missing-column', `Header row with a '${schema.keyColumn}' column not found.`, { line: lineNumbers[0] });
+            return zoneIds;
+        }
+
+        const headers = rows[headerRowIndex];
+        const keyIndex = headers.findIndex(h => h.toLowerCase() === keyName);
+        const zoneColumns = headers.map((h, index) => ({ zoneId: h, index })).filter(c => c.index !== keyIndex && c.zoneId !== '');
+
+        const repeatedZones = zoneColumns.filter((c, position) => zoneColumns.findIndex(other => other.zoneId === c.zoneId) !== position);
+        repeatedZones.forEach(c => collector.add('error', 'duplicate', `Zone column ${c.zoneId} is repeated.`, { line: lineNumbers[headerRowIndex], column: c.zoneId }));
+        zoneColumns.forEach(c => zoneIds.add(c.zoneId));
+
+        const firstSeenOnLine = {};
+        for (let i = headerRowIndex + 1; i < rows.length; i++) {
+            const values = rows[i];
+            const line = lineNumbers[i];
+
+            if (values.length !== headers.length) {
+                collector.add('error', 'column-count', `Expected ${headers.length} columns but found ${values.length}.`, { line });
+                continue;
+            }
+
+            const key = values[keyIndex];
+            if (!schema.keyValues.includes(String(CsvParser.toNumber(key)))) {
+                collector.add('error', 'invalid-key', `'${key}' is not a valid ${schema.keyColumn.toLowerCase()} (expected ${schema.keyValues[0]}–${schema.keyValues[schema.keyValues.length - 1]}).`, { line, column: headers[keyIndex] });
+                continue;
+            }
+            const normalizedKey = String(CsvParser.toNumber(key));
+            if (firstSeenOnLine[normalizedKey]) {
+                collector.add('error', 'duplicate', `${schema.keyColumn} ${normalizedKey} is repeated (first seen on line ${firstSeenOnLine[normalizedKey]}).`, { line });
+                continue;
+            }
+            firstSeenOnLine[normalizedKey] = line;
+
+            zoneColumns.forEach(c => checkValueCell(schema, collector, values[c.index], { line, column: c.zoneId }));
+        }
+
+        const missingKeys = schema.keyValues.filter(key => !firstSeenOnLine[key]);
+        if (missingKeys.length > 0) {
+            collector.add('warning', 'gap', `No rows for ${schema.keyColumn.toLowerCase()} ${missingKeys.join(', ')}.`);
+        }
+        return zoneIds;
+    }
+
+    // --- Section: 5. Public API ---
+
+    /**
+     * Validates one dataset's CSV text against its schema.
+     * @param {string} datasetKey 'light', 'temperature', 'noise' or a registered dataset.
+     * @param {string} csvText Raw file contents.
+     * @param {object} [options]
+     * @param {string[]} [options.expectedZones] Zone ids that should appear in every dataset.
+     * @returns {{dataset: string, file: string, label: string, isValid: boolean, issues: object[], summary: object}}
+     */
+    function validateDataset(datasetKey, csvText, options = {}) {
+        const schema = datasetSchemas[datasetKey];
+        if (!schema) throw new Error(`Unknown dataset '${datasetKey}'.`);
+
+        const collector = createIssueCollector();
+        const { rows, lineNumbers, errors } = CsvParser.parse(csvText);
+        errors.forEach(parseError => collector.add('error', 'parse', parseError.message, { line: parseError.line }));
+
+        let zoneIds = new Set();
+        if (rows.length < 2) {
+            collector.add('error', 'empty', 'File has no data rows.');
+        } else {
+            zoneIds = schema.layout === 'zone-rows'
+                ? validateZoneRows(schema, collector, rows, lineNumbers)
+                : validateZoneColumns(schema, collector, rows, lineNumbers);
+        }
+
+        const expectedZones = (options.expectedZones || []).map(String);
+        const missingZones = expectedZones.filter(zoneId => !zoneIds.has(zoneId));
+        const unexpectedZones = expectedZones.length > 0 ? [...zoneIds].filter(zoneId => !expectedZones.includes(zoneId)) : [];
+        if (missingZones.length > 0) collector.add('warning', 'missing-zone', `No data for zone${missingZones.length === 1 ? '' : 's'} ${missingZones.join(', ')}.`);
+        if (unexpectedZones.length > 0) collector.add('warning', 'unknown-zone', `Zone${unexpectedZones.length === 1 ? '' : 's'} ${unexpectedZones.join(', ')} ${unexpectedZones.length === 1 ? 'is' : 'are'} not in the building's zone list.`);
+
+        return {
+            dataset: datasetKey,
+            file: schema.file,
+            label: schema.label,
+            optional: Boolean(schema.optional),
+            isValid: collector.countsBySeverity.error === 0,
+            issues: collector.issues,
+            summary: {
+                rows: Math.max(rows.length - 1, 0),
+                zones: zoneIds.size,
+                errors: collector.countsBySeverity.error,
+                warnings: collector.countsBySeverity.warning,
+                missingZones
+            }
+        };
+    }
+
+    // One-line description of why a dataset was rejected, naming the file and the first offending row.
+    function describeValidationFailure(report) {
+        const firstError = report.issues.find(issue => issue.severity === 'error');
+        if (!firstError) return `${report.file} is valid.`;
+        const moreErrors = report.summary.errors - 1;
+        return `${formatIssueLocation(report.file, firstError)}: ${firstError.message}${moreErrors > 0 ? ` (and ${moreErrors} more error${moreErrors === 1 ? '' : 's'})` : ''}`;
+    }
+
+    window.DataValidator = {
+        datasetSchemas,
+        registerDatasetSchema,
+        validateDataset,
+        describeValidationFailure,
+        formatIssueLocation
+    };
+})();
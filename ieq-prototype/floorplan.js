@@ -0,0 +1,199 @@
+//
+// floorplan.js - Interactive Office Floorplan
+// -------------------------------------------
+// Draws every zone's outline from zone_polygons.json as an SVG layer over the floorplan image. Outlines are in the
+// image's own pixels and the SVG uses the same viewBox, so they stay on the drawing at any rendered size. Each zone
+// shows a tooltip on hover or focus and opens its details page on click or Enter; one zone can be marked as selected.
+// Depends on html_text.js for the default tooltip.
+//
+
+(function () {
+    'use strict';
+
+    // --- Section: 1. Configuration ---
+
+    const DATA_FILE = 'zone_polygons.json';
+    const DETAILS_PAGE = 'zone-details.html';
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const TOOLTIP_FLIP_RATIO = 0.6; // Past this share of the width/height the tooltip opens to the left/above the pointer
+
+    let planPromise = null;
+
+    // --- Section: 2. Loading and Validation ---
+
+    function isValidPoint(point, width, height) {
+        return Array.isArray(point) && point.length === 2
+            && point.every(value => typeof value === 'number' && isFinite(value))
+            && point[0] >= 0 && point[0] <= width && point[1] >= 0 && point[1] <= height;
+    }
+
+    /**
+     * Checks a parsed zone_polygons.json. Outlines that are broken are left out with a warning so the rest still show.
+     * @param {object} data
+     * @returns {{width: number, height: number, zones: {id: string, label: string, points: number[][]}[]}}
+     */
+    function parsePlan(data) {
+        if (!data || !(data.width > 0) || !(data.height > 0) || !Array.isArray(data.zones)) {
+            throw new Error(`${DATA_FILE} needs a positive width and height and a zones list`);
+        }
+        const seenIds = new Set();
+        const zones = data.zones.filter(zone => {
+            const id = zone && zone.id !== undefined ? String(zone.id).trim() : '';
+            const problem = !id ? 'has no id'
+                : seenIds.has(id) ? 'is listed twice'
+                    : !Array.isArray(zone.points) || zone.points.length < 3 ? 'needs at least 3 points'
+                        : !zone.points.every(point => isValidPoint(point, data.width, data.height)) ? 'has a point outside the image' : null;
+            if (problem) {
+                console.warn(`[Floorplan] Zone ${id || '(unnamed)'} ${problem}. It is left off the floorplan.`);
+                return false;
+            }
+            seenIds.add(id);
+            return true;
+        }).map(zone => ({ id: String(zone.id).trim(), label: zone.label || `Zone ${zone.id}`, points: zone.points }));
+        return { width: data.width, height: data.height, zones };
+    }
+
+    // Loads and checks the outlines once per page.
+    function load() {
+        if (!planPromise) {
+            planPromise = fetch(DATA_FILE)
+                .then(r => { if (!r.ok) throw new Error(`${DATA_FILE} not available (${r.status})`); return r.json(); })
+                .then(parsePlan)
+                .catch(error => {
+                    planPromise = null; // Let a later call try again
+                    throw error;
+                });
+        }
+        return planPromise;
+    }
+
+    function getZone(plan, zoneId) {
+        return plan.zones.find(zone => zone.id === String(zoneId).trim()) || null;
+    }
+
+    // Area centroid of a simple polygon (falls back to the vertex average for a degenerate one).
+    function getCentroid(points) {
+        let area = 0;
+        let x = 0;
+        let y = 0;
+        points.forEach(([x0, y0], index) => {
+            const [x1, y1] = points[(index + 1) % points.length];
+            const cross = x0 * y1 - x1 * y0;
+            area += cross;
+            x += (x0 + x1) * cross;
+            y += (y0 + y1) * cross;
+        });
+        if (Math.abs(area) < 1e-9) {
+            return points.reduce((sum, [px, py]) => [sum[0] + px / points.length, sum[1] + py / points.length], [0, 0]);
+        }
+        return [x / (3 * area), y / (3 * area)];
+    }
+
+    function getDetailsUrl(zoneId) {
+        return `${DETAILS_PAGE}?id=${encodeURIComponent(zoneId)}`;
+    }
+
+    // --- Section: 3. Overlay ---
+
+    /**
+     * Adds the zone layer and a tooltip to a positioned container that holds the floorplan image.
+     * @param {HTMLElement} container
+     * @param {object} plan From load().
+     * @param {object} [options]
+     * @param {function(object): string} [options.getTooltipHTML] Tooltip body for a zone, read each time it is shown; it
+     *   must escape the zone's id and label, which come from the data file.
+     * @param {function(object): void} [options.onZoneClick] Replaces the default of opening the zone's details page.
+     * @returns {{svg: SVGSVGElement, highlight: function(string): boolean}}
+     */
+    function createOverlay(container, plan, options = {}) {
+        const getTooltipHTML = options.getTooltipHTML || (zone => `<strong>Zone ${HtmlText.escapeHTML(zone.id)}</strong><br>${HtmlText.escapeHTML(zone.label)}`);
+        const onZoneClick = options.onZoneClick || (zone => { window.location.href = getDetailsUrl(zone.id); });
+
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('class', 'floorplan-overlay');
+        svg.setAttribute('viewBox', `0 0 ${plan.width} ${plan.height}`);
+        svg.setAttribute('preserveAspectRatio', 'none'); // The image keeps its aspect ratio, so the layer matches it exactly
+        svg.setAttribute('role', 'group');
+        svg.setAttribute('aria-label', 'Office zones');
+
+        const tooltip = document.createElement('div');
+        tooltip.className = 'floorplan-tooltip';
+        tooltip.setAttribute('role', 'tooltip');
+        tooltip.hidden = true;
+
+        // x and y are fractions of the container's width and height.
+        function showTooltip(zone, x, y) {
+            tooltip.innerHTML = getTooltipHTML(zone);
+            tooltip.style.left = `${x * 100}%`;
+            tooltip.style.top = `${y * 100}%`;
+            tooltip.classList.toggle('floorplan-tooltip-left', x > TOOLTIP_FLIP_RATIO);
+            tooltip.classList.toggle('floorplan-tooltip-above', y > TOOLTIP_FLIP_RATIO);
+            tooltip.hidden = false;
+        }
+
+        function hideTooltip() {
+            tooltip.hidden = true;
+        }
+
+        const shapes = new Map();
+        plan.zones.forEach(zone => {
+            const shape = document.createElementNS(SVG_NS, 'polygon');
+            shape.setAttribute('points', zone.points.map(point => point.join(',')).join(' '));
+            shape.setAttribute('class', 'floorplan-zone');
+            shape.setAttribute('data-zone-id', zone.id);
+            shape.setAttribute('tabindex', '0');
+            shape.setAttribute('role', 'link');
+            shape.setAttribute('aria-label', `Zone ${zone.id}, ${zone.label}. Open details`);
+
+            shape.addEventListener('mousemove', event => {
+                const rect = container.getBoundingClientRect();
+                if (rect.width === 0 || rect.height === 0) return;
+                showTooltip(zone, (event.clientX - rect.left) / rect.width, (event.clientY - rect.top) / rect.height);
+            });
+            shape.addEventListener('mouseleave', hideTooltip);
+            shape.addEventListener('focus', () => {
+                const [x, y] = getCentroid(zone.points);
+                showTooltip(zone, x / plan.width, y / plan.height);
+            });
+            shape.addEventListener('blur', hideTooltip);
+            shape.addEventListener('click', () => onZoneClick(zone));
+            shape.addEventListener('keydown', event => {
+                if (event.key !== 'Enter' && event.key !== ' ') return;
+                event.preventDefault();
+                onZoneClick(zone);
+            });
+
+            shapes.set(zone.id, shape);
+            svg.appendChild(shape);
+        });
+
+        container.appendChild(svg);
+        container.appendChild(tooltip);
+
+        // Marks one zone as selected and moves it to the top so its whole outline shows; false when it has no outline.
+        function highlight(zoneId) {
+            shapes.forEach(shape => {
+                shape.classList.remove('floorplan-zone-selected');
+                shape.removeAttribute('aria-current');
+            });
+            const shape = zoneId === null || zoneId === undefined ? null : shapes.get(String(zoneId).trim());
+            if (!shape) return false;
+            shape.classList.add('floorplan-zone-selected');
+            shape.setAttribute('aria-current', 'location');
+            svg.appendChild(shape);
+            return true;
+        }
+
+        return { svg, highlight };
+    }
+
+    window.Floorplan = {
+        DATA_FILE,
+        load,
+        parsePlan,
+        getZone,
+        getCentroid,
+        getDetailsUrl,
+        createOverlay
+    };
+})();
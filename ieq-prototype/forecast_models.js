@@ -0,0 +1,278 @@
+//
+// forecast_models.js - Statistical Forecasting for Hourly Sensor Series
+// ---------------------------------------------------------------------
+// Fits seasonal naive (daily, and weekly once there are two weeks of
+// history), simple exponential smoothing and additive Holt-Winters (daily
+// seasonality) models to an hourly series from the
+// multi-day readings (sensor_history.js), picks the model with the lowest
+// backtest error on the last day, and projects the next 24–72 hours with
+// 80% and 95% prediction intervals. Also turns an expected reading and its
+// spread into the chance of landing in a range, for the forecast page's
+// probability-style insights. Used by zone_forecast.js.
+//
+
+(function () {
+    'use strict';
+
+    // --- Section: 1. Configuration ---
+
+    const SEASON_LENGTH = 24; // Hours in one daily cycle
+    const WEEK_LENGTH = 7 * SEASON_LENGTH; // Weekly cycle, e.g. busy Mondays and quiet Fridays
+    const BACKTEST_HOURS = 24; // Held-out tail used to score each model
+    const MIN_HISTORY_HOURS = 3 * SEASON_LENGTH; // Two seasons to fit Holt-Winters, plus the backtest day
+    const HORIZON_LIMITS = { min: 24, max: 72, default: 72 };
+    const INTERVAL_Z_SCORES = { 80: 1.2816, 95: 1.96 };
+    const MIN_SPREAD_POINTS = 6; // Second differences needed before a single profile's spread is estimated
+
+    // Smoothing parameters tried when fitting; the combination with the lowest one-step squared error wins.
+    const SES_ALPHAS = [0.1, 0.2, 0.3, 0.5, 0.7, 0.9];
+    const HOLT_WINTERS_GRID = { alpha: [0.1, 0.3, 0.5, 0.8], beta: [0, 0.02, 0.1], gamma: [0.05, 0.2, 0.5] };
+
+    const modelLabels = {
+        'seasonal-naive': 'Seasonal naive',
+        'seasonal-naive-weekly': 'Seasonal naive (weekly)',
+        ses: 'Simple exponential smoothing',
+        'holt-winters': 'Holt-Winters'
+    };
+
+    // --- Section: 2. Series Preparation ---
+
+    // Replaces gaps with the same hour a day earlier, or the nearest earlier/later reading, so the models see a full series.
+    function fillGaps(values, seasonLength = SEASON_LENGTH) {
+        const filled = values.map(value => (value === null || value === undefined || isNaN(value) ? null : value));
+        for (let i = 0; i < filled.length; i++) {
+            if (filled[i] !== null) continue;
+            if (i >= seasonLength && filled[i - seasonLength] !== null) filled[i] = filled[i - seasonLength];
+            else if (i > 0 && filled[i - 1] !== null) filled[i] = filled[i - 1];
+        }
+        const firstValue = filled.find(value => value !== null);
+        return firstValue === undefined ? [] : filled.map(value => (value === null ? firstValue : value)); // Leading gaps
+    }
+
+    function standardDeviation(residuals) {
+        if (residuals.length < 2) return 0;
+        const mean = residuals.reduce((sum, value) => sum + value, 0) / residuals.length;
+        return Math.sqrt(residuals.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (residuals.length - 1));
+    }
+
+    // --- Section: 3. Models ---
+    // Purpose: Each fit returns one-step residuals, a point forecast and the forecast standard error per step ahead.
+
+    function fitSeasonalNaive(values, seasonLength) {
+        const residuals = [];
+        for (let t = seasonLength; t < values.length; t++) residuals.push(values[t] - values[t - seasonLength]);
+        const sigma = standardDeviation(residuals);
+        const lastSeason = values.slice(-seasonLength);
+        return {
+            model: 'seasonal-naive',
+            residuals,
+            forecast: horizon => Array.from({ length: horizon }, (_, h) => lastSeason[h % seasonLength]),
+            standardError: step => sigma * Math.sqrt(Math.floor((step - 1) / seasonLength) + 1)
+        };
+    }
+
+    function runSes(values, alpha) {
+        let level = values[0];
+        const residuals = [];
+        for (let t = 1; t < values.length; t++) {
+            residuals.push(values[t] - level);
+            level = alpha * values[t] + (1 - alpha) * level;
+        }
+        return { level, residuals };
+    }
+
+    function fitSes(values) {
+        const best = SES_ALPHAS
+            .map(alpha => ({ alpha, ...runSes(values, alpha) }))
+            .reduce((a, b) => (sumOfSquares(b.residuals) < sumOfSquares(a.residuals) ? b : a));
+        const sigma = standardDeviation(best.residuals);
+        return {
+            model: 'ses',
+            parameters: { alpha: best.alpha },
+            residuals: best.residuals,
+            forecast: horizon => Array(horizon).fill(best.level),
+            standardError: step => sigma * Math.sqrt(1 + (step - 1) * best.alpha ** 2)
+        };
+    }
+
+    // Additive Holt-Winters, initialised from the first two seasons.
+    function runHoltWinters(values, seasonLength, alpha, beta, gamma) {
+        const firstMean = values.slice(0, seasonLength).reduce((sum, v) => sum + v, 0) / seasonLength;
+        const secondMean = values.slice(seasonLength, 2 * seasonLength).reduce((sum, v) => sum + v, 0) / seasonLength;
+        let level = firstMean;
+        let trend = (secondMean - firstMean) / seasonLength;
+        const seasonals = values.slice(0, seasonLength).map(value => value - firstMean);
+        const residuals = [];
+
+        for (let t = seasonLength; t < values.length; t++) {
+            const seasonal = seasonals[t - seasonLength];
+            residuals.push(values[t] - (level + trend + seasonal));
+            const previousLevel = level;
+            level = alpha * (values[t] - seasonal) + (1 - alpha) * (level + trend);
+            trend = beta * (level - previousLevel) + (1 - beta) * trend;
+            seasonals.push(gamma * (values[t] - level) + (1 - gamma) * seasonal);
+        }
+        return { level, trend, seasonals, residuals };
+    }
+
+    function fitHoltWinters(values, seasonLength) {
+        let best = null;
+        HOLT_WINTERS_GRID.alpha.forEach(alpha => HOLT_WINTERS_GRID.beta.forEach(beta => HOLT_WINTERS_GRID.gamma.forEach(gamma => {
+            const run = runHoltWinters(values, seasonLength, alpha, beta, gamma);
+            const error = sumOfSquares(run.residuals);
+            if (!best || error < best.error) best = { alpha, beta, gamma, error, ...run };
+        })));
+        const sigma = standardDeviation(best.residuals);
+        const n = values.length;
+        return {
+            model: 'holt-winters',
+            parameters: { alpha: best.alpha, beta: best.beta, gamma: best.gamma },
+            residuals: best.residuals,
+            forecast: horizon => Array.from({ length: horizon }, (_, h) =>
+                best.level + (h + 1) * best.trend + best.seasonals[n - seasonLength + (h % seasonLength)]),
+            // Variance of an h-step additive Holt-Winters forecast (Hyndman et al., 2008, class 1 models).
+            standardError: step => {
+                let variance = 1;
+                for (let j = 1; j < step; j++) {
+                    const weight = best.alpha * (1 + j * best.beta) + (j % seasonLength === 0 ? best.gamma : 0);
+                    variance += weight ** 2;
+                }
+                return sigma * Math.sqrt(variance);
+            }
+        };
+    }
+
+    function sumOfSquares(residuals) {
+        return residuals.reduce((sum, value) => sum + value * value, 0);
+    }
+
+    const modelFitters = {
+        'seasonal-naive': fitSeasonalNaive,
+        'seasonal-naive-weekly': values => ({ ...fitSeasonalNaive(values, WEEK_LENGTH), model: 'seasonal-naive-weekly' }),
+        ses: fitSes,
+        'holt-winters': fitHoltWinters
+    };
+
+    // The weekly model needs a full week before the backtest day.
+    function getCandidateModels(trainingLength) {
+        return Object.keys(modelFitters).filter(model => model !== 'seasonal-naive-weekly' || trainingLength >= WEEK_LENGTH);
+    }
+
+    // --- Section: 4. Backtesting ---
+
+    // Mean absolute error and mean absolute percentage error; actual readings that were gaps (or zero, for MAPE) are skipped.
+    function measureAccuracy(actualValues, predictedValues) {
+        const pairs = actualValues
+            .map((actual, index) => ({ actual, predicted: predictedValues[index] }))
+            .filter(pair => pair.actual !== null && pair.actual !== undefined && !isNaN(pair.actual));
+        if (pairs.length === 0) return { mae: null, mape: null };
+        const mae = pairs.reduce((sum, pair) => sum + Math.abs(pair.actual - pair.predicted), 0) / pairs.length;
+        const nonZeroPairs = pairs.filter(pair => pair.actual !== 0);
+        const mape = nonZeroPairs.length > 0
+            ? (nonZeroPairs.reduce((sum, pair) => sum + Math.abs((pair.actual - pair.predicted) / pair.actual), 0) / nonZeroPairs.length) * 100
+            : null;
+        return { mae, mape };
+    }
+
+    // --- Section: 5. Probabilities ---
+    // Purpose: Treat a reading as normally distributed around its expected value with the given spread (standard deviation).
+
+    // Standard normal CDF, via the Abramowitz and Stegun 7.1.26 approximation of erf (error below 1.5e-7).
+    function normalCdf(z) {
+        const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+        const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-(z * z) / 2);
+        return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+    }
+
+    // Chance that a reading falls within range.min–range.max.
+    function probabilityInRange(expectedValue, spread, range) {
+        if (!(spread > 0)) return expectedValue >= range.min && expectedValue <= range.max ? 1 : 0;
+        return normalCdf((range.max - expectedValue) / spread) - normalCdf((range.min - expectedValue) / spread);
+    }
+
+    // Spread of a single daily profile, from second differences: they cancel steady rises and falls through the day,
+    // and for independent noise y[t] - (y[t-1] + y[t+1]) / 2 has variance 1.5σ². Null with too few readings to tell.
+    function estimateProfileSpread(values) {
+        const residuals = [];
+        for (let t = 1; t < values.length - 1; t++) {
+            const neighbourhood = [values[t - 1], values[t], values[t + 1]];
+            if (neighbourhood.some(value => value === null || value === undefined || isNaN(value))) continue;
+            residuals.push(values[t] - (values[t - 1] + values[t + 1]) / 2);
+        }
+        if (residuals.length < MIN_SPREAD_POINTS) return null;
+        return Math.sqrt(sumOfSquares(residuals) / residuals.length / 1.5);
+    }
+
+    // --- Section: 6. Public API ---
+
+    function clampHorizon(hours) {
+        const value = parseInt(hours, 10);
+        if (isNaN(value)) return HORIZON_LIMITS.default;
+        return Math.min(HORIZON_LIMITS.max, Math.max(HORIZON_LIMITS.min, value));
+    }
+
+    /**
+     * Backtests every model on the last day, then forecasts with the most accurate one.
+     * @param {(number|null)[]} values Hourly readings, oldest first; null marks a gap.
+     * @param {object} [options]
+     * @param {number} [options.horizon=72] Hours to project (clamped to 24–72).
+     * @param {number} [options.seasonLength=24]
+     * @returns {object|null} { model, modelLabel, parameters, mean, standardErrors, intervals: {80: {lower, upper}, 95: {...}},
+     *   backtest: {hours, mae, mape}, comparison: [{ model, modelLabel, mae, mape }], historyHours },
+     *   or null with less than MIN_HISTORY_HOURS of history.
+     */
+    function forecast(values, options = {}) {
+        const seasonLength = options.seasonLength || SEASON_LENGTH;
+        const horizon = clampHorizon(options.horizon);
+        const readingCount = values.filter(value => value !== null && value !== undefined && !isNaN(value)).length;
+        if (values.length < MIN_HISTORY_HOURS || readingCount < MIN_HISTORY_HOURS / 2) return null;
+
+        const filledValues = fillGaps(values, seasonLength);
+        const trainingValues = filledValues.slice(0, -BACKTEST_HOURS);
+        const heldOutValues = values.slice(-BACKTEST_HOURS); // Scored against real readings only, not filled gaps
+
+        const comparison = getCandidateModels(trainingValues.length).map(model => {
+            const predictions = modelFitters[model](trainingValues, seasonLength).forecast(BACKTEST_HOURS);
+            return { model, modelLabel: modelLabels[model], ...measureAccuracy(heldOutValues, predictions) };
+        }).sort((a, b) => (a.mae ?? Infinity) - (b.mae ?? Infinity));
+
+        const chosen = comparison[0];
+        const fitted = modelFitters[chosen.model](filledValues, seasonLength);
+        const mean = fitted.forecast(horizon);
+        const standardErrors = mean.map((_, index) => fitted.standardError(index + 1));
+        const intervals = {};
+        Object.entries(INTERVAL_Z_SCORES).forEach(([level, z]) => {
+            const margins = standardErrors.map(standardError => z * standardError);
+            intervals[level] = {
+                lower: mean.map((value, index) => value - margins[index]),
+                upper: mean.map((value, index) => value + margins[index])
+            };
+        });
+
+        return {
+            model: chosen.model,
+            modelLabel: chosen.modelLabel,
+            parameters: fitted.parameters || {},
+            mean,
+            standardErrors,
+            intervals,
+            backtest: { hours: BACKTEST_HOURS, mae: chosen.mae, mape: chosen.mape },
+            comparison,
+            historyHours: values.length
+        };
+    }
+
+    window.ForecastModels = {
+        SEASON_LENGTH,
+        MIN_HISTORY_HOURS,
+        HORIZON_LIMITS,
+        modelLabels,
+        fillGaps,
+        measureAccuracy,
+        clampHorizon,
+        forecast,
+        normalCdf,
+        probabilityInRange,
+        estimateProfileSpread
+    };
+})();
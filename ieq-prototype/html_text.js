@@ -0,0 +1,23 @@
+//
+// html_text.js - Safe Text in Markup
+// ----------------------------------
+// One escaping helper shared by script.js, zone_forecast.js and floorplan.js,
+// for text they build into innerHTML: zone ids and labels from the data files,
+// URL parameters, names people type and messages from a server. Must be
+// loaded before the page scripts that use it.
+//
+
+(function () {
+    'use strict';
+
+    const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+    // Escapes text for HTML markup or a quoted attribute value.
+    function escapeHTML(value) {
+        return String(value).replace(/[&<>"']/g, character => HTML_ENTITIES[character]);
+    }
+
+    window.HtmlText = {
+        escapeHTML
+    };
+})();
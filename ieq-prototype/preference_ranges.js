@@ -0,0 +1,35 @@
+//
+// preference_ranges.js - Preference Ranges
+// ----------------------------------------
+// Turns a stored quiz answer into the { min, ideal, max } range zones are
+// scored against: a named bucket from the thresholds, or the custom slider
+// range. Shared by script.js and zone_forecast.js so both pages accept and
+// reject the same custom ranges. Must be loaded before those scripts.
+//
+
+(function () {
+    'use strict';
+
+    // The quiz answer stored when someone sets their own range with the sliders.
+    const CUSTOM_PREFERENCE_VALUE = 'custom';
+
+    // Checks that a custom range is usable: numbers with min <= ideal <= max.
+    function isValidCustomRange(range) {
+        return Boolean(range)
+            && ['min', 'ideal', 'max'].every(field => typeof range[field] === 'number' && !isNaN(range[field]))
+            && range.min <= range.ideal && range.ideal <= range.max;
+    }
+
+    // Resolves a preference value to its { min, ideal, max } range: a named bucket, or the custom slider range.
+    function resolvePreferenceRange(thresholdMap, preferenceValue, customRange) {
+        if (!preferenceValue) return null;
+        if (preferenceValue === CUSTOM_PREFERENCE_VALUE) return isValidCustomRange(customRange) ? customRange : null;
+        return thresholdMap[preferenceValue] || null;
+    }
+
+    window.PreferenceRanges = {
+        CUSTOM_PREFERENCE_VALUE,
+        isValidCustomRange,
+        resolvePreferenceRange
+    };
+})();
@@ -58,6 +58,10 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Section: Global Utility Functions
     // Purpose: Provides globally accessible helper functions for navigation and actions.
+    // Escapes text for HTML markup or a quoted attribute value (html_text.js). Use it for anything typed by a user or read
+    // from a URL or file.
+    const escapeHTML = HtmlText.escapeHTML;
+
     function goBack() {
         window.history.back();
     }
@@ -71,14 +75,14 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     function bookSpace() {
-        // Retrieves current zone ID and redirects to the booking confirmation page.
+        // Retrieves current zone ID and redirects to the booking form, where the date and time are chosen.
         const currentZoneId = new URLSearchParams(window.location.search).get('id');
         if (!currentZoneId) {
             // AI: This alert is a basic error handling. Consider replacing with a custom modal.
             alert('Zone ID not found. Please try again.');
             return;
         }
-        window.location.href = `booking-confirmation.html?zone=${encodeURIComponent(currentZoneId)}`;
+        window.location.href = `booking.html?zone=${encodeURIComponent(currentZoneId)}`;
     }
 
     // Assign utility functions to the window object to make them globally accessible (e.g., for inline HTML event handlers).
@@ -119,20 +123,202 @@ document.addEventListener('DOMContentLoaded', () => {
         'slightly-cool': { text: 'Slightly Cool (<23°C)', icon: 'fas fa-temperature-low' },
         'Not specified': { text: 'Not specified', icon: 'fas fa-question-circle' }
     };
-    const timePeriodConfig = { // Configuration for weighting time periods in averages.
-        'Afternoon': { officeHoursContribution: 0.4 },
-        'Early Morning': { officeHoursContribution: 0.1 },
-        'Evening': { officeHoursContribution: 0.1 },
-        'Morning': { officeHoursContribution: 0.4 },
-        'Night': { officeHoursContribution: 0 },
-        'Late evening': { officeHoursContribution: 0 }
+    // Advanced quiz mode: the preference value "custom" means the user set their own min/ideal/max with sliders.
+    const { CUSTOM_PREFERENCE_VALUE, isValidCustomRange, resolvePreferenceRange } = PreferenceRanges; // preference_ranges.js
+    const customRangeKeys = { // localStorage keys holding each custom range as JSON { min, ideal, max }
+        lightingPreference: 'lightingCustomRange',
+        spaceUsagePreference: 'spaceUsageCustomRange',
+        temperaturePreference: 'temperatureCustomRange'
+    };
+    const customRangeSliderConfig = { // Slider bounds per quiz step; the default range is a common office choice: balanced light, focus-work noise, stable temperature.
+        lightingPreference: { unit: 'lux', sliderMin: 0, sliderMax: 3000, step: 10, defaultRange: lightingThresholds.balanced },
+        spaceUsagePreference: { unit: 'dB', sliderMin: 20, sliderMax: 80, step: 0.5, defaultRange: noiseWorkTypeThresholds['focus-work'] },
+        temperaturePreference: { unit: '°C', sliderMin: 16, sliderMax: 32, step: 0.1, defaultRange: temperatureThresholds['stable-comfortable'] }
     };
+    const timePeriodConfig = { // Configuration for weighting time periods in averages, and the clock hours each period covers [startHour, endHour).
+        'Afternoon': { officeHoursContribution: 0.4, startHour: 12, endHour: 17 },
+        'Early Morning': { officeHoursContribution: 0.1, startHour: 5, endHour: 8 },
+        'Evening': { officeHoursContribution: 0.1, startHour: 17, endHour: 20 },
+        'Morning': { officeHoursContribution: 0.4, startHour: 8, endHour: 12 },
+        'Night': { officeHoursContribution: 0, startHour: 23, endHour: 5 }, // Wraps past midnight
+        'Late evening': { officeHoursContribution: 0, startHour: 20, endHour: 23 }
+    };
+    const DEFAULT_TIME_WINDOW = { startHour: 8, endHour: 18 }; // Planned sitting window used when the quiz did not ask for one.
     const noisePreferenceDescriptors = { // Descriptions for noise preferences.
         'focus-work': { label: "Focus Work / Noise Sensitive", description: "Suits tasks requiring deep concentration, minimal distractions, and sustained attention.", acceptableRangeText: "Below 40-45 dB", examples: "Writing, coding, data analysis" },
         'relaxed-productivity': { label: "Relaxed Productivity", description: "Good for less demanding tasks where some background noise is tolerable.", acceptableRangeText: "40 - 50 dB", examples: "Checking emails, working on spreadsheets" },
         'collaborative-work': { label: "Collaborative Work", description: "Designed for activities involving communication, discussion, and interaction.", acceptableRangeText: "45 - 55 dB", examples: "Meetings, brainstorming sessions" },
         'break-relaxation': { label: "Break / Relaxation", description: "Suitable for areas where employees take breaks, have lunch, or socialize.", acceptableRangeText: "Varies (typically <48dB for quiet breaks)", examples: "Lunch breaks, casual conversations, socialising" }
     };
+    const preferenceWeightOptions = { // Importance levels a user can attach to each quiz criterion.
+        '1': { label: 'Nice to have' },
+        '2': { label: 'Important' },
+        '3': { label: 'Essential' }
+    };
+    const DEFAULT_PREFERENCE_WEIGHT = 2; // Used when no importance is chosen, so every criterion counts equally.
+    const preferenceWeightKeys = { // localStorage keys holding the importance weight for each quiz preference.
+        lightingPreference: 'lightingWeight',
+        spaceUsagePreference: 'spaceUsageWeight',
+        temperaturePreference: 'temperatureWeight'
+    };
+
+    // Additional sensor channels (sensor_channels.js) plug into the same display, weight and custom range tables,
+    // keyed by their own preference key (e.g., "co2Preference"). The scorer and pages loop over them.
+    const sensorChannels = SensorChannels.list();
+    sensorChannels.forEach(channel => {
+        Object.assign(preferenceDisplayMap, channel.descriptors);
+        preferenceWeightKeys[channel.preferenceKey] = channel.weightKey;
+        customRangeKeys[channel.preferenceKey] = channel.customRangeKey;
+        customRangeSliderConfig[channel.preferenceKey] = {
+            unit: channel.unit, sliderMin: channel.slider.min, sliderMax: channel.slider.max, step: channel.slider.step,
+            defaultRange: Object.values(channel.thresholds)[0]
+        };
+        // Channel files are validated like the core datasets on the pages that load data_validator.js.
+        if (window.DataValidator && !DataValidator.datasetSchemas[channel.key]) {
+            DataValidator.registerDatasetSchema(channel.key, SensorChannels.toDatasetSchema(channel));
+        }
+    });
+
+    // Reads the stored preference of every channel that has one ({ co2: 'co2-fresh', ... }).
+    function getStoredChannelPreferences() {
+        const preferences = {};
+        sensorChannels.forEach(channel => {
+            const storedValue = localStorage.getItem(channel.preferenceKey);
+            if (storedValue) preferences[channel.key] = storedValue;
+        });
+        return preferences;
+    }
+
+    // Reads the stored importance weights, falling back to the default for any criterion not yet rated.
+    function getStoredPreferenceWeights() {
+        const readWeight = (storageKey) => {
+            const storedValue = localStorage.getItem(storageKey);
+            return preferenceWeightOptions[storedValue] ? parseFloat(storedValue) : DEFAULT_PREFERENCE_WEIGHT;
+        };
+        const weights = {
+            light: readWeight(preferenceWeightKeys.lightingPreference),
+            noise: readWeight(preferenceWeightKeys.spaceUsagePreference),
+            temp: readWeight(preferenceWeightKeys.temperaturePreference)
+        };
+        sensorChannels.forEach(channel => { weights[channel.key] = readWeight(channel.weightKey); });
+        return weights;
+    }
+
+    // Reads the planned sitting window saved by the quiz. Hours are whole clock hours, end exclusive (9 to 13 covers 9:00-13:00).
+    // dayOfWeek (0 = Sunday) is the planned weekday, or null for a typical day.
+    function getStoredTimeWindow() {
+        const startHour = parseInt(localStorage.getItem('plannedStartHour'), 10);
+        const endHour = parseInt(localStorage.getItem('plannedEndHour'), 10);
+        const dayOfWeek = SensorHistory.getStoredDay();
+        if (isNaN(startHour) || isNaN(endHour) || startHour < 0 || endHour > 24 || endHour <= startHour) {
+            return { ...DEFAULT_TIME_WINDOW, dayOfWeek };
+        }
+        return { startHour, endHour, dayOfWeek };
+    }
+
+    // Formats a planned time window for display (e.g., "9:00-13:00", or "Monday 9:00-13:00" when a day was picked).
+    function formatTimeWindow(timeWindow) {
+        const hours = `${timeWindow.startHour}:00-${timeWindow.endHour}:00`;
+        return typeof timeWindow.dayOfWeek === 'number' ? `${SensorHistory.DAY_NAMES[timeWindow.dayOfWeek]} ${hours}` : hours;
+    }
+
+    // Provides the display label for an importance weight (e.g., 3 -> "Essential").
+    function getWeightLabel(weight) {
+        const option = preferenceWeightOptions[String(weight)] || preferenceWeightOptions[String(DEFAULT_PREFERENCE_WEIGHT)];
+        return option.label;
+    }
+
+    // Reads the custom slider range saved for a quiz step, or null if there is none.
+    function getStoredCustomRange(preferenceType) {
+        try {
+            const range = JSON.parse(localStorage.getItem(customRangeKeys[preferenceType]) || 'null');
+            return isValidCustomRange(range) ? range : null;
+        } catch (e) {
+            console.warn(`Could not parse ${customRangeKeys[preferenceType]} from localStorage`, e);
+            return null;
+        }
+    }
+
+    function getStoredCustomRanges() {
+        const ranges = {
+            light: getStoredCustomRange('lightingPreference'),
+            noise: getStoredCustomRange('spaceUsagePreference'),
+            temp: getStoredCustomRange('temperaturePreference')
+        };
+        sensorChannels.forEach(channel => { ranges[channel.key] = getStoredCustomRange(channel.preferenceKey); });
+        return ranges;
+    }
+
+    // Provides display text and icon for a preference, including custom ranges (e.g., "Custom (200-400 lux, ideal 300)").
+    function getPreferenceDisplay(preferenceType, preferenceValue, customRange = getStoredCustomRange(preferenceType)) {
+        if (preferenceValue === CUSTOM_PREFERENCE_VALUE) {
+            const unit = customRangeSliderConfig[preferenceType] ? customRangeSliderConfig[preferenceType].unit : '';
+            const text = isValidCustomRange(customRange)
+                ? `Custom (${customRange.min}-${customRange.max} ${unit}, ideal ${customRange.ideal})`
+                : 'Custom range (not set)';
+            return { text: text, icon: 'fas fa-sliders-h' };
+        }
+        return preferenceDisplayMap[preferenceValue] || preferenceDisplayMap['Not specified'];
+    }
+
+    // Group mode: several people take the quiz in one session and zones are ranked for the whole group.
+    const groupObjectiveOptions = {
+        'least-unhappy': { label: 'Least-unhappy member', description: 'Ranks zones by the comfort of the member who is worst off.' },
+        'average': { label: 'Average comfort', description: 'Ranks zones by the mean comfort across all members.' }
+    };
+    const DEFAULT_GROUP_OBJECTIVE = 'least-unhappy';
+
+    function isGroupMode() {
+        return localStorage.getItem('groupMode') === 'true';
+    }
+
+    // Reads the saved group member profiles ({ name, lightingPreference, spaceUsagePreference, temperaturePreference, channelPreferences, weights }).
+    function getGroupProfiles() {
+        try {
+            const profiles = JSON.parse(localStorage.getItem('groupProfiles') || '[]');
+            return Array.isArray(profiles) ? profiles : [];
+        } catch (e) {
+            console.warn("Could not parse groupProfiles from localStorage", e);
+            return [];
+        }
+    }
+
+    function getStoredGroupObjective() {
+        const storedObjective = localStorage.getItem('groupObjective');
+        return groupObjectiveOptions[storedObjective] ? storedObjective : DEFAULT_GROUP_OBJECTIVE;
+    }
+
+    // Saves the current quiz answers as a group member profile, replacing an earlier profile with the same name.
+    function saveCurrentAnswersAsGroupProfile() {
+        const profiles = getGroupProfiles();
+        const name = (localStorage.getItem('groupMemberName') || '').trim() || `Member ${profiles.length + 1}`;
+        const profile = {
+            name: name,
+            lightingPreference: localStorage.getItem('lightingPreference'),
+            spaceUsagePreference: localStorage.getItem('spaceUsagePreference'),
+            temperaturePreference: localStorage.getItem('temperaturePreference'),
+            channelPreferences: getStoredChannelPreferences(),
+            weights: getStoredPreferenceWeights(),
+            customRanges: getStoredCustomRanges()
+        };
+        const existingIndex = profiles.findIndex(p => p.name === name);
+        if (existingIndex >= 0) profiles[existingIndex] = profile;
+        else profiles.push(profile);
+        localStorage.setItem('groupProfiles', JSON.stringify(profiles));
+        debugDataFlow('saveCurrentAnswersAsGroupProfile', 'save-profile', profile);
+        return profiles;
+    }
+
+    // Clears one person's quiz answers so the next group member starts from a blank quiz. The planned time is shared.
+    function clearCurrentQuizAnswers() {
+        localStorage.removeItem('lightingPreference');
+        localStorage.removeItem('spaceUsagePreference');
+        localStorage.removeItem('temperaturePreference');
+        sensorChannels.forEach(channel => localStorage.removeItem(channel.preferenceKey));
+        localStorage.removeItem('groupMemberName');
+        Object.values(preferenceWeightKeys).forEach(weightKey => localStorage.removeItem(weightKey));
+        Object.values(customRangeKeys).forEach(rangeKey => localStorage.removeItem(rangeKey));
+    }
 
     // =============================================================================
 // ZONE RECOMMENDATION ALGORITHM 
@@ -145,36 +331,77 @@ document.addEventListener('DOMContentLoaded', () => {
     const MAX_SCORE_PER_CRITERION = 100; // Maximum score a zone can get for a single matching criterion.
     const PENALTY_NO_DATA_IF_PREFERRED = -200; // Penalty applied if a preferred criterion has no data.
     const PENALTY_OUT_OF_RANGE_FACTOR = 5; // Factor to calculate penalty for values outside preferred range.
+    const IDEAL_PROXIMITY_EDGE_SCORE = 60; // Proximity model: score at the edge of the preferred range (the ideal itself scores 100).
+
+    // Scoring models for a single criterion. "flat" gives full marks anywhere in range; "proximity" rewards closeness to the ideal.
+    const scoringModelOptions = {
+        'flat': { label: 'Flat (in range = full marks)', shortLabel: 'flat' },
+        'proximity': { label: 'Closeness to ideal', shortLabel: 'closeness-to-ideal' }
+    };
+    const DEFAULT_SCORING_MODEL = 'flat';
+
+    // Stability penalty: zones whose readings swing across the planned window lose points even when their average looks right.
+    const stabilityPenaltyConfig = {
+        enabled: true,
+        stdDevFactor: { // Points per unit of standard deviation (lux, dB, °C, PMV, then each channel's own unit)
+            light: 0.05, noise: 2, temp: 10, pmv: 30,
+            ...Object.fromEntries(sensorChannels.map(channel => [channel.key, channel.stdDevFactor]))
+        },
+        hourOutOfRangePenalty: 2, // Points per hour of the window spent outside the preferred range
+        maxPenalty: 40, // Cap per criterion
+        preferenceMultipliers: { 'stable-comfortable': 2 }, // Preferences where steadiness matters most
+        levels: [ // Card indicator, chosen by the largest per-criterion standard-deviation penalty (before the multiplier)
+            { maxPenalty: 5, level: 'stable', label: 'Very stable' },
+            { maxPenalty: 15, level: 'moderate', label: 'Some variation' },
+            { maxPenalty: Infinity, level: 'variable', label: 'Variable' }
+        ]
+    };
 
-    const UNIFORM_HIGHLIGHT_COORDS = { top: '42%', left: '62%', width: '38%', height: '50%' };
-
-    const zoneCoordinates = { // Coordinates for highlighting zones on a floor plan (Needed AI Assistance for alignment purposes).
-        // All original zone coordinates will be overridden by UNIFORM_HIGHLIGHT_COORDS
-        "8": UNIFORM_HIGHLIGHT_COORDS,
-        "26": UNIFORM_HIGHLIGHT_COORDS,
-        "27": UNIFORM_HIGHLIGHT_COORDS,
-        "30": UNIFORM_HIGHLIGHT_COORDS,
-        "31": UNIFORM_HIGHLIGHT_COORDS,
-        "46": UNIFORM_HIGHLIGHT_COORDS,
-        "47": UNIFORM_HIGHLIGHT_COORDS,
-        "48": UNIFORM_HIGHLIGHT_COORDS,
-        "49": UNIFORM_HIGHLIGHT_COORDS,
-        "50": UNIFORM_HIGHLIGHT_COORDS,
-        "51": UNIFORM_HIGHLIGHT_COORDS,
-        "52": UNIFORM_HIGHLIGHT_COORDS,
-        "243": UNIFORM_HIGHLIGHT_COORDS,
-        "244": UNIFORM_HIGHLIGHT_COORDS,
-        "402": UNIFORM_HIGHLIGHT_COORDS,
-        "403": UNIFORM_HIGHLIGHT_COORDS,
-        "430": UNIFORM_HIGHLIGHT_COORDS,
-        "431": UNIFORM_HIGHLIGHT_COORDS,
+    // The penalty can be switched off from the results page to compare rankings.
+    function isStabilityPenaltyEnabled() {
+        return localStorage.getItem('stabilityPenalty') !== 'off' && stabilityPenaltyConfig.enabled;
+    }
 
-        // 8,26,27,30,31,46,47,48,49,50,51,52,243,244,402,403,430,431
+    function getStoredScoringModel() {
+        const storedModel = localStorage.getItem('scoringModel');
+        return scoringModelOptions[storedModel] ? storedModel : DEFAULT_SCORING_MODEL;
+    }
+
+    // Temperature can be scored on the raw °C band or on predicted thermal comfort (PMV/PPD, thermal_comfort.js).
+    const temperatureModelOptions = {
+        'band': { label: 'Air temperature (°C range)', shortLabel: '°C range' },
+        'pmv': { label: 'Thermal comfort (PMV)', shortLabel: 'PMV' }
+    };
+    const DEFAULT_TEMPERATURE_MODEL = 'band';
+    const clothingOptions = { // Clothing insulation in clo (ISO 7730 / ISO 9920 typical ensembles)
+        'light': { label: 'Light summer clothes', clo: 0.5 },
+        'typical': { label: 'Typical office wear', clo: 0.7 },
+        'warm': { label: 'Jacket or winter layers', clo: 1.0 }
+    };
+    const activityOptions = { // Metabolic rate in met
+        'seated-relaxed': { label: 'Seated, relaxed (reading, calls)', met: 1.0 },
+        'seated-work': { label: 'Seated office work', met: 1.2 },
+        'standing': { label: 'Standing or moving around', met: 1.6 }
     };
+    const DEFAULT_CLOTHING = 'typical';
+    const DEFAULT_ACTIVITY = 'seated-work';
+    const PMV_PENALTY_PER_UNIT = 100; // PMV model: points lost per PMV unit outside ±0.5 (the °C factor is far too small for PMV).
+
+    function getStoredThermalComfortSettings() {
+        const storedModel = localStorage.getItem('temperatureModel');
+        const storedClothing = localStorage.getItem('clothingLevel');
+        const storedActivity = localStorage.getItem('activityLevel');
+        const clothing = clothingOptions[storedClothing] ? storedClothing : DEFAULT_CLOTHING;
+        const activity = activityOptions[storedActivity] ? storedActivity : DEFAULT_ACTIVITY;
+        return {
+            model: temperatureModelOptions[storedModel] ? storedModel : DEFAULT_TEMPERATURE_MODEL,
+            clothing: clothing,
+            activity: activity,
+            clo: clothingOptions[clothing].clo,
+            met: activityOptions[activity].met
+        };
+    }
 
-    //  used as a fallback if a zoneId is not in zoneCoordinates at all.
-    const FIXED_HIGHLIGHT_COORDS = { bottom: '1%', left: '70%', width: '70%', height: '38%' };
-    
     //  text position - positioned in top-right corner
     const UNIVERSAL_TEXT_POSITION = {
     top: '2%',
@@ -224,17 +451,17 @@ document.addEventListener('DOMContentLoaded', () => {
     // Purpose: Handles parsing and transformation of CSV data for lighting, noise, and temperature.
 
     // AI: Used for CSV Error in Samba Lights Data Processing (and Noise)
-    // This function is a generic CSV parser used by specific data processors like processLightData.
+    // This function turns a zone-by-period CSV into time series; tokenizing is done by the shared CsvParser (csv_parser.js).
     // Why is the AI used here: Errors during its execution, or in how it's called, could lead to CSV processing issues.
     function processDataWithDescriptiveTimes(csvString, zoneColumnNameUnused, dataType) {
         try {
-            const lines = csvString.trim().split(/\r\n|\n/);
-            if (lines.length < 2) {
+            const { rows, lineNumbers } = CsvParser.parse(csvString);
+            if (rows.length < 2) {
                 console.warn(`[processDataWithDescriptiveTimes] Not enough data in CSV for ${dataType}`);
                 return [];
             }
 
-            const headers = lines[0].split(',').map(h => h.trim());
+            const headers = rows[0];
             const zoneIdCsvColumnName = 'Zones'; // Standardized zone column name.
             const zoneColumnIndex = headers.indexOf(zoneIdCsvColumnName);
 
@@ -246,16 +473,16 @@ document.addEventListener('DOMContentLoaded', () => {
             const timeColumns = headers.filter((h, index) => index !== zoneColumnIndex && h.trim() !== "");
             const processedData = [];
 
-            for (let i = 1; i < lines.length; i++) {
-                const values = lines[i].split(',').map(v => v.trim());
+            for (let i = 1; i < rows.length; i++) {
+                const values = rows[i];
                 if (values.length !== headers.length) {
-                    console.warn(`[processDataWithDescriptiveTimes - ${dataType}] Row ${i + 1} has mismatched column count. Skipping.`);
+                    console.warn(`[processDataWithDescriptiveTimes - ${dataType}] Line ${lineNumbers[i]} has mismatched column count. Skipping.`);
                     continue;
                 }
 
                 const zoneName = values[zoneColumnIndex];
                 if (!zoneName) {
-                    console.warn(`[processDataWithDescriptiveTimes - ${dataType}] Row ${i + 1} has no zone name. Skipping.`);
+                    console.warn(`[processDataWithDescriptiveTimes - ${dataType}] Line ${lineNumbers[i]} has no zone name. Skipping.`);
                     continue;
                 }
 
@@ -267,10 +494,9 @@ document.addEventListener('DOMContentLoaded', () => {
                     const actualIndex = headers.indexOf(timeColumn);
                     if (actualIndex === -1) return; // Should not happen if timeColumns is derived from headers
 
-                    const rawValue = values[actualIndex];
-                    const numericValue = parseFloat(rawValue);
+                    const numericValue = CsvParser.toNumber(values[actualIndex]);
 
-                    if (rawValue !== undefined && rawValue.trim() !== "" && !isNaN(numericValue)) {
+                    if (numericValue !== null) {
                         timeSeries[timeColumn] = numericValue;
                         const config = timePeriodConfig[timeColumn];
                         if (config && config.officeHoursContribution > 0) {
@@ -310,13 +536,13 @@ document.addEventListener('DOMContentLoaded', () => {
     function processZoneRowHourlyData(csvString, targetZoneId, dataType) {
         if (!csvString) return [];
         try {
-            const lines = csvString.trim().split(/\r\n|\n/);
-            if (lines.length < 2) {
+            const { rows, lineNumbers } = CsvParser.parse(csvString);
+            if (rows.length < 2) {
                 console.warn(`${dataType} CSV (Zone Row Hourly): Not enough data lines.`);
                 return [];
             }
 
-            const headers = lines[0].split(',').map(h => h.trim());
+            const headers = rows[0];
             
             const hourHeaders = headers.slice(1);
 
@@ -327,16 +553,16 @@ document.addEventListener('DOMContentLoaded', () => {
 
             const allProcessedData = [];
 
-            for (let i = 1; i < lines.length; i++) {
-                const currentRowValues = lines[i].split(',').map(v => v.trim());
+            for (let i = 1; i < rows.length; i++) {
+                const currentRowValues = rows[i];
                 if (currentRowValues.length !== headers.length) {
-                     console.warn(`${dataType} CSV (Zone Row Hourly): Row ${i+1} has mismatched column count. Skipping.`);
+                     console.warn(`${dataType} CSV (Zone Row Hourly): Line ${lineNumbers[i]} has mismatched column count. Skipping.`);
                      continue;
                 }
 
                 const currentZoneId = currentRowValues[0];
                 if (!currentZoneId) {
-                    console.warn(`${dataType} CSV (Zone Row Hourly): Row ${i+1} has no zone name. Skipping.`);
+                    console.warn(`${dataType} CSV (Zone Row Hourly): Line ${lineNumbers[i]} has no zone name. Skipping.`);
                     continue;
                 }
 
@@ -354,17 +580,12 @@ document.addEventListener('DOMContentLoaded', () => {
                     const hour = parseInt(hourStr); // Assuming hourStr is like "0", "1", ..., "23"
                     if (isNaN(hour) || hour < 0 || hour > 23) return; // Skip invalid hour columns
 
-                    const valStr = dataValues[index];
-                    if (valStr !== undefined) {
-                        const numericValue = parseFloat(valStr);
-                        if (valStr.trim() !== "" && !isNaN(numericValue)) {
-                            timeSeries[hourStr] = numericValue;
-                            if (hour >= 8 && hour <= 18) { // Define office hours (e.g., 8 AM to 6 PM)
-                                officeHoursSum += numericValue;
-                                officeHoursCount++;
-                            }
-                        } else {
-                            timeSeries[hourStr] = null;
+                    const numericValue = CsvParser.toNumber(dataValues[index]);
+                    if (numericValue !== null) {
+                        timeSeries[hourStr] = numericValue;
+                        if (hour >= 8 && hour <= 18) { // Define office hours (e.g., 8 AM to 6 PM)
+                            officeHoursSum += numericValue;
+                            officeHoursCount++;
                         }
                     } else {
                         timeSeries[hourStr] = null;
@@ -372,7 +593,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 });
 
                 const average = officeHoursCount > 0 ? parseFloat((officeHoursSum / officeHoursCount).toFixed(1)) : 'N/A';
-                const result = { Zones: currentZoneId, timeSeries: timeSeries };
+                const result = { Zones: currentZoneId, timeSeries: timeSeries, average: average };
 
                 if (dataType === 'Temperature') result.averageTemp = average;
                 
@@ -398,29 +619,21 @@ document.addEventListener('DOMContentLoaded', () => {
     function processZoneColumnHourlyData(csvString, dataType) {
         if (!csvString) return [];
         try {
-            const lines = csvString.trim().split(/\r\n|\n/);
-            let headerRowIndex = -1;
-            let headers;
-
-            // Find the header row (robustly checking first few lines)
-            for (let i = 0; i < Math.min(lines.length, 5); i++) {
-                headers = lines[i].split(',').map(h => h.trim());
-                if (headers.map(h => h.toLowerCase()).includes('hour') && headers.length > 1) {
-                    headerRowIndex = i;
-                    break;
-                }
-            }
+            const { rows, lineNumbers } = CsvParser.parse(csvString);
+
+            // Find the header row (robustly checking first few rows)
+            const headerRowIndex = CsvParser.findHeaderRowIndex(rows, cells => cells.includes('hour') && cells.length > 1);
 
             if (headerRowIndex === -1) {
                 console.warn(`${dataType} CSV (Zone Column Hourly): Header row containing 'hour' not found.`);
                 return [];
             }
-            if (lines.length < headerRowIndex + 2) { // Need at least one data row
+            if (rows.length < headerRowIndex + 2) { // Need at least one data row
                 console.warn(`${dataType} CSV (Zone Column Hourly): Not enough data rows after header.`);
                 return [];
             }
 
-            headers = lines[headerRowIndex].split(',').map(h => h.trim());
+            const headers = rows[headerRowIndex];
             const hourColumnIndex = headers.findIndex(h => h.toLowerCase() === 'hour');
 
             if (hourColumnIndex === -1) {
@@ -439,17 +652,17 @@ document.addEventListener('DOMContentLoaded', () => {
                 allZoneData[zoneName] = { timeSeries: {}, officeHoursSum: 0, officeHoursCount: 0 };
             });
 
-            for (let i = headerRowIndex + 1; i < lines.length; i++) {
-                const values = lines[i].split(',').map(v => v.trim());
+            for (let i = headerRowIndex + 1; i < rows.length; i++) {
+                const values = rows[i];
                 if (values.length !== headers.length) {
-                    console.warn(`${dataType} CSV (Zone Column Hourly): Row ${i+1} has mismatched column count. Skipping.`);
+                    console.warn(`${dataType} CSV (Zone Column Hourly): Line ${lineNumbers[i]} has mismatched column count. Skipping.`);
                     continue;
                 }
 
                 const hourStr = values[hourColumnIndex];
-                const hour = parseInt(hourStr);
-                if (isNaN(hour) || hour < 0 || hour > 23) {
-                    console.warn(`${dataType} CSV (Zone Column Hourly): Invalid hour '${hourStr}' in row ${i+1}. Skipping.`);
+                const hour = CsvParser.toNumber(hourStr);
+                if (hour === null || !Number.isInteger(hour) || hour < 0 || hour > 23) {
+                    console.warn(`${dataType} CSV (Zone Column Hourly): Invalid hour '${hourStr}' on line ${lineNumbers[i]}. Skipping.`);
                     continue;
                 }
 
@@ -460,17 +673,12 @@ document.addEventListener('DOMContentLoaded', () => {
                     // This check should ideally not be needed if zoneColumns is derived correctly
                     if (zoneIndexInHeader === -1) return;
 
-                    const valStr = values[zoneIndexInHeader];
-                    if (valStr !== undefined) {
-                        const numericValue = parseFloat(valStr);
-                        if (valStr.trim() !== "" && !isNaN(numericValue)) {
-                            allZoneData[zoneName].timeSeries[String(hour)] = numericValue;
-                            if (isOfficeHour) {
-                                allZoneData[zoneName].officeHoursSum += numericValue;
-                                allZoneData[zoneName].officeHoursCount++;
-                            }
-                        } else {
-                            allZoneData[zoneName].timeSeries[String(hour)] = null;
+                    const numericValue = CsvParser.toNumber(values[zoneIndexInHeader]);
+                    if (numericValue !== null) {
+                        allZoneData[zoneName].timeSeries[String(hour)] = numericValue;
+                        if (isOfficeHour) {
+                            allZoneData[zoneName].officeHoursSum += numericValue;
+                            allZoneData[zoneName].officeHoursCount++;
                         }
                     } else {
                         allZoneData[zoneName].timeSeries[String(hour)] = null;
@@ -481,8 +689,8 @@ document.addEventListener('DOMContentLoaded', () => {
             const processedList = [];
             Object.keys(allZoneData).forEach(zoneName => {
                 const data = allZoneData[zoneName];
-                const result = { Zones: zoneName, timeSeries: data.timeSeries };
                 const average = data.officeHoursCount > 0 ? parseFloat((data.officeHoursSum / data.officeHoursCount).toFixed(1)) : 'N/A';
+                const result = { Zones: zoneName, timeSeries: data.timeSeries, average: average };
 
                 if (dataType === 'Noise') result.averageDb = average;
                 if (dataType === 'Temperature' && !result.averageTemp) result.averageTemp = average; // averageTemp might be set by other processors
@@ -498,29 +706,44 @@ document.addEventListener('DOMContentLoaded', () => {
     const processTemperatureData = (csvString) => processZoneRowHourlyData(csvString, null, 'Temperature');
     const processNoiseData = (csvString) => processZoneColumnHourlyData(csvString, 'Noise');
 
+    // Processes a sensor channel's CSV with the processor for its layout; readings end up in timeSeries and "average".
+    function processChannelData(channel, csvString) {
+        return channel.layout === 'zone-columns'
+            ? processZoneColumnHourlyData(csvString, channel.label)
+            : processZoneRowHourlyData(csvString, null, channel.label);
+    }
+
+    // Checks a dataset against its schema (data_validator.js) before processing, so a broken file stops loading
+    // with the exact file and line instead of being scored with missing values. Warnings are only logged.
+    function validateDatasetCsv(datasetKey, csvString) {
+        const report = DataValidator.validateDataset(datasetKey, csvString, { expectedZones: Object.keys(zoneLocations) });
+        report.issues
+            .filter(issue => issue.severity === 'warning')
+            .forEach(issue => console.warn(`[Data Validation] ${DataValidator.formatIssueLocation(report.file, issue)}: ${issue.message}`));
+        if (!report.isValid) {
+            throw new Error(DataValidator.describeValidationFailure(report));
+        }
+        return report;
+    }
+
     // Processes a CSV to create a lookup table for "feels like" temperature.
     function processFeelsLikeLookup(csvString) {
-        const rows = csvString.trim().split(/\r\n|\n/);
+        const { rows } = CsvParser.parse(csvString);
         const data = [];
         if (rows.length <= 1) {
             console.warn("FeelsLike CSV: Not enough data.");
             return data;
         }
 
-        let headerRowIndex = -1; // Find header row more robustly
-        for (let i = 0; i < Math.min(rows.length, 5); i++) {
-            if (rows[i].toLowerCase().includes('ta') && rows[i].toLowerCase().includes('feels like')) {
-                headerRowIndex = i;
-                break;
-            }
-        }
+        // Find header row more robustly
+        const headerRowIndex = CsvParser.findHeaderRowIndex(rows, cells => cells.includes('ta') && cells.some(cell => cell.includes('feels like')));
 
         if (headerRowIndex === -1) {
             console.error("FeelsLike CSV: Required header columns ('ta', 'Feels Like...') not found.");
             return data;
         }
 
-        const headers = rows[headerRowIndex].split(',').map(header => header.trim().toLowerCase());
+        const headers = rows[headerRowIndex].map(header => header.toLowerCase());
         const taIndex = headers.indexOf('ta'); // Ambient temperature column
         const feelsLikeIndex = headers.findIndex(h => h.includes('feels like')); // "Feels like" column
 
@@ -530,12 +753,12 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         for (let i = headerRowIndex + 1; i < rows.length; i++) {
-            const values = rows[i].split(',').map(value => value.trim());
+            const values = rows[i];
             if (values.length < Math.max(taIndex, feelsLikeIndex) + 1) continue; // Ensure row has enough columns
 
-            const ta = parseFloat(values[taIndex]);
-            const feelsLike = parseFloat(values[feelsLikeIndex]);
-            if (!isNaN(ta) && !isNaN(feelsLike)) {
+            const ta = CsvParser.toNumber(values[taIndex]);
+            const feelsLike = CsvParser.toNumber(values[feelsLikeIndex]);
+            if (ta !== null && feelsLike !== null) {
                 data.push({ ta: ta, feelsLike: feelsLike });
             }
         }
@@ -543,17 +766,35 @@ document.addEventListener('DOMContentLoaded', () => {
         return data;
     }
 
-    // Looks up the "feels like" temperature based on ambient temperature from pre-processed data.
+    // Fallback when ta_Feels_Like_Temperature.csv is missing: a table from the built-in apparent-temperature
+    // calculator (apparent_temperature.js) at the user's indoor humidity, in the same shape as processFeelsLikeLookup.
+    function buildComputedFeelsLikeLookup() {
+        return ApparentTemperature.buildLookupTable(ApparentTemperature.getStoredRelativeHumidity());
+    }
+
+    // Looks up the "feels like" temperature based on ambient temperature from pre-processed data (sorted by ta).
+    // Interpolates linearly between the two surrounding rows; outside the table, the nearest row's offset is kept.
     function getFeelsLikeTemperature(ambientTemp, feelsLikeLookupData) {
         if (!feelsLikeLookupData || feelsLikeLookupData.length === 0 || isNaN(parseFloat(ambientTemp)) || ambientTemp === 'N/A') {
             return 'N/A';
         }
         const numAmbientTemp = parseFloat(ambientTemp);
-        // Find the closest ambient temperature in the lookup table
-        let closest = feelsLikeLookupData.reduce((prev, curr) =>
-            (Math.abs(curr.ta - numAmbientTemp) < Math.abs(prev.ta - numAmbientTemp) ? curr : prev)
-        );
-         return parseFloat(closest.feelsLike.toFixed(2));
+        const first = feelsLikeLookupData[0];
+        const last = feelsLikeLookupData[feelsLikeLookupData.length - 1];
+
+        let feelsLike;
+        if (numAmbientTemp <= first.ta) {
+            feelsLike = numAmbientTemp + (first.feelsLike - first.ta);
+        } else if (numAmbientTemp >= last.ta) {
+            feelsLike = numAmbientTemp + (last.feelsLike - last.ta);
+        } else {
+            const upperIndex = feelsLikeLookupData.findIndex(row => row.ta >= numAmbientTemp);
+            const lower = feelsLikeLookupData[upperIndex - 1];
+            const upper = feelsLikeLookupData[upperIndex];
+            const fraction = (numAmbientTemp - lower.ta) / (upper.ta - lower.ta);
+            feelsLike = lower.feelsLike + fraction * (upper.feelsLike - lower.feelsLike);
+        }
+        return parseFloat(feelsLike.toFixed(2));
     }
 
     // Provides a textual description for a given lux value.
@@ -584,8 +825,94 @@ document.addEventListener('DOMContentLoaded', () => {
         return "Warm";
     }
 
+    // Counts how many hours of a planned time window fall inside a descriptive period (e.g., "Morning").
+    function getPeriodOverlapHours(periodConfig, timeWindow) {
+        if (!periodConfig || typeof periodConfig.startHour !== 'number' || typeof periodConfig.endHour !== 'number') return 0;
+        let overlapHours = 0;
+        for (let hour = timeWindow.startHour; hour < timeWindow.endHour; hour++) {
+            const wrapsMidnight = periodConfig.startHour > periodConfig.endHour;
+            const inPeriod = wrapsMidnight
+                ? (hour >= periodConfig.startHour || hour < periodConfig.endHour)
+                : (hour >= periodConfig.startHour && hour < periodConfig.endHour);
+            if (inPeriod) overlapHours++;
+        }
+        return overlapHours;
+    }
+
+    // Averages descriptive-period readings (lighting) over a planned time window, weighting each period by its overlap in hours.
+    function getPeriodWindowAverage(timeSeries, timeWindow) {
+        if (!timeSeries) return 'N/A';
+        let weightedSum = 0;
+        let totalHours = 0;
+        Object.keys(timeSeries).forEach(periodName => {
+            const value = timeSeries[periodName];
+            const overlapHours = getPeriodOverlapHours(timePeriodConfig[periodName], timeWindow);
+            if (overlapHours > 0 && typeof value === 'number' && !isNaN(value)) {
+                weightedSum += value * overlapHours;
+                totalHours += overlapHours;
+            }
+        });
+        return totalHours > 0 ? Math.round(weightedSum / totalHours) : 'N/A';
+    }
+
+    // Averages hourly readings (noise, temperature) over a planned time window.
+    function getHourlyWindowAverage(timeSeries, timeWindow) {
+        if (!timeSeries) return 'N/A';
+        let sum = 0;
+        let count = 0;
+        for (let hour = timeWindow.startHour; hour < timeWindow.endHour; hour++) {
+            const value = timeSeries[String(hour)];
+            if (typeof value === 'number' && !isNaN(value)) {
+                sum += value;
+                count++;
+            }
+        }
+        return count > 0 ? parseFloat((sum / count).toFixed(1)) : 'N/A';
+    }
+
+    // Summarises how much readings vary: standard deviation, max swing and hours outside [minPref, maxPref].
+    // Each sample is { value, hours } so descriptive periods can count for the hours they cover.
+    function summarizeVariability(samples, minPref, maxPref) {
+        if (samples.length < 2) return null;
+        const totalHours = samples.reduce((sum, sample) => sum + sample.hours, 0);
+        const mean = samples.reduce((sum, sample) => sum + sample.value * sample.hours, 0) / totalHours;
+        const variance = samples.reduce((sum, sample) => sum + sample.hours * Math.pow(sample.value - mean, 2), 0) / totalHours;
+        const values = samples.map(sample => sample.value);
+        const hasRange = typeof minPref === 'number' && typeof maxPref === 'number';
+        return {
+            stdDev: parseFloat(Math.sqrt(variance).toFixed(2)),
+            maxSwing: parseFloat((Math.max(...values) - Math.min(...values)).toFixed(2)),
+            hoursOutOfRange: hasRange ? samples.filter(sample => sample.value < minPref || sample.value > maxPref).reduce((sum, sample) => sum + sample.hours, 0) : 0,
+            hoursConsidered: totalHours
+        };
+    }
+
+    // Variability of hourly readings (noise, temperature) over a planned time window.
+    function getHourlyVariability(timeSeries, timeWindow, minPref, maxPref) {
+        if (!timeSeries) return null;
+        const samples = [];
+        for (let hour = timeWindow.startHour; hour < timeWindow.endHour; hour++) {
+            const value = timeSeries[String(hour)];
+            if (typeof value === 'number' && !isNaN(value)) samples.push({ value: value, hours: 1 });
+        }
+        return summarizeVariability(samples, minPref, maxPref);
+    }
+
+    // Variability of descriptive-period readings (lighting) over a planned time window, each period counting for its overlap in hours.
+    function getPeriodVariability(timeSeries, timeWindow, minPref, maxPref) {
+        if (!timeSeries) return null;
+        const samples = [];
+        Object.keys(timeSeries).forEach(periodName => {
+            const value = timeSeries[periodName];
+            const overlapHours = getPeriodOverlapHours(timePeriodConfig[periodName], timeWindow);
+            if (overlapHours > 0 && typeof value === 'number' && !isNaN(value)) samples.push({ value: value, hours: overlapHours });
+        });
+        return summarizeVariability(samples, minPref, maxPref);
+    }
+
     // Predicts how consistently a zone meets lighting preferences based on descriptive time periods (Morning, Afternoon etc.).
-    function predictIdealDuration(timeSeries, minPref, maxPref, currentRelevantTimeConfig) {
+    // With a planned time window, only the periods overlapping that window are considered; otherwise the office-hours periods are.
+    function predictIdealDuration(timeSeries, minPref, maxPref, currentRelevantTimeConfig, timeWindow = null) {
         if (!timeSeries || Object.keys(timeSeries).length === 0) return "N/A (No time series data for duration)";
 
         let suitablePeriods = 0;
@@ -597,7 +924,8 @@ document.addEventListener('DOMContentLoaded', () => {
             Object.keys(timeSeries).forEach(periodName => {
                 const value = timeSeries[periodName];
                 const config = currentRelevantTimeConfig[periodName];
-                if (config && config.officeHoursContribution > 0 && typeof value === 'number' && !isNaN(value)) {
+                const isRelevantPeriod = timeWindow ? getPeriodOverlapHours(config, timeWindow) > 0 : (config && config.officeHoursContribution > 0);
+                if (isRelevantPeriod && typeof value === 'number' && !isNaN(value)) {
                     totalConsideredPeriods++;
                     if (value >= minPref && value <= maxPref) {
                         suitablePeriods++;
@@ -609,27 +937,28 @@ document.addEventListener('DOMContentLoaded', () => {
             return "N/A (Time series format not directly compatible for this duration prediction type)";
         }
 
+        const periodsLabel = timeWindow ? `periods between ${formatTimeWindow(timeWindow)}` : "main periods";
 
-        if (totalConsideredPeriods === 0 && Object.keys(timeSeries).length > 0) return "Data available, but not for primary work hours for duration check";
+        if (totalConsideredPeriods === 0 && Object.keys(timeSeries).length > 0) return timeWindow ? `Data available, but not for ${formatTimeWindow(timeWindow)}` : "Data available, but not for primary work hours for duration check";
         if (totalConsideredPeriods === 0) return "N/A (No relevant time series data for duration)";
 
         const percentage = totalConsideredPeriods > 0 ? (suitablePeriods / totalConsideredPeriods) * 100 : 0;
 
-        if (percentage === 100) return "Consistently throughout main periods";
-        if (percentage >= 75) return "Most of the main periods";
-        if (percentage >= 50) return "About half of the main periods";
-        if (percentage > 0) return "Some of the main periods";
-        return "Infrequently during main periods";
+        if (percentage === 100) return `Consistently throughout the ${periodsLabel}`;
+        if (percentage >= 75) return `Most of the ${periodsLabel}`;
+        if (percentage >= 50) return `About half of the ${periodsLabel}`;
+        if (percentage > 0) return `Some of the ${periodsLabel}`;
+        return `Infrequently during the ${periodsLabel}`;
     }
 
-    // Predicts how consistently a zone meets preferences based on hourly data.
-    function predictHourlyDuration(timeSeries, minPref, maxPref, startHour = 8, endHour = 18, intervalHours = 1) {
+    // Predicts how consistently a zone meets preferences based on hourly data, for the hours in [startHour, endHour).
+    function predictHourlyDuration(timeSeries, minPref, maxPref, startHour = DEFAULT_TIME_WINDOW.startHour, endHour = DEFAULT_TIME_WINDOW.endHour, intervalHours = 1) {
         if (!timeSeries || Object.keys(timeSeries).length === 0) return "N/A (No time series data for hourly duration)";
 
         let suitableHours = 0;
         let consideredHours = 0;
 
-        for (let hour = startHour; hour <= endHour; hour += intervalHours) {
+        for (let hour = startHour; hour < endHour; hour += intervalHours) {
             const hourKey = String(hour); // Ensure hourKey is a string to match timeSeries keys
             consideredHours++;
             if (timeSeries.hasOwnProperty(hourKey) && timeSeries[hourKey] !== null && typeof timeSeries[hourKey] === 'number' && !isNaN(timeSeries[hourKey])) {
@@ -648,23 +977,37 @@ document.addEventListener('DOMContentLoaded', () => {
 
 
     // This is where the magic happens - calculates scores for ALL zones
-    function calculateFinalRecommendations(lightingPref, spaceUsagePref, temperaturePref, allProcessedData, allThresholds, feelsLikeLookupData) {
+    // options.weights: importance weight per criterion ({ light, noise, temp }); missing entries use DEFAULT_PREFERENCE_WEIGHT.
+    // options.timeWindow: planned { startHour, endHour }; when given, zones are scored on that window instead of whole-day averages.
+    // options.scoringModel: 'flat' or 'proximity' (see scoringModelOptions); defaults to DEFAULT_SCORING_MODEL.
+    // options.stability: overrides for stabilityPenaltyConfig (e.g., { enabled: false }).
+    // options.channelPreferences: preference per sensor channel ({ co2: 'co2-fresh' }); readings come from allProcessedData.channels
+    // and thresholds from allThresholds[channel key]. Channels without data for any zone are left out of the ranking.
+    function calculateFinalRecommendations(lightingPref, spaceUsagePref, temperaturePref, allProcessedData, allThresholds, feelsLikeLookupData, options = {}) {
         // =============================================================================
 // STEP 2: INDIVIDUAL CRITERION SCORING FUNCTION
 // This calculates how well a zone matches ONE specific preference (light, noise, or temp)
 // =============================================================================
 
-        function calculateCriterionScore(actualValue, idealValueUnused, minPref, maxPref, isDataAvailable) {
+        function calculateCriterionScore(actualValue, idealValue, minPref, maxPref, isDataAvailable, penaltyFactor = PENALTY_OUT_OF_RANGE_FACTOR) {
             if (!isDataAvailable || actualValue === 'N/A' || actualValue === undefined || actualValue === null || isNaN(parseFloat(actualValue))) {
                 return PENALTY_NO_DATA_IF_PREFERRED; // Penalize if data is missing for a selected preference.
             }
             const numericActualValue = parseFloat(actualValue);
+            // Flat model: full marks anywhere in range. Proximity model: full marks at the ideal, falling to the edge score at the range limits.
+            const inRangeScoreAtEdge = scoringModel === 'proximity' ? IDEAL_PROXIMITY_EDGE_SCORE : MAX_SCORE_PER_CRITERION;
             if (numericActualValue >= minPref && numericActualValue <= maxPref) {
-                return MAX_SCORE_PER_CRITERION; // Max score if within preferred range.
+                if (scoringModel !== 'proximity') return MAX_SCORE_PER_CRITERION; // Max score if within preferred range.
+                const ideal = Math.min(Math.max(parseFloat(idealValue), minPref), maxPref);
+                if (isNaN(ideal)) return MAX_SCORE_PER_CRITERION;
+                const halfWidth = numericActualValue < ideal ? ideal - minPref : maxPref - ideal; // Distance from ideal to the edge on this side
+                const relativeDistance = halfWidth > 0 ? Math.abs(numericActualValue - ideal) / halfWidth : 0;
+                // Quadratic curve: small deviations near the ideal cost little, deviations near the edge cost more.
+                return parseFloat((MAX_SCORE_PER_CRITERION - (MAX_SCORE_PER_CRITERION - inRangeScoreAtEdge) * relativeDistance * relativeDistance).toFixed(1));
             }
             // Calculate penalty based on deviation from preferred range.
             let diff = numericActualValue < minPref ? minPref - numericActualValue : numericActualValue - maxPref;
-            return Math.max(0, MAX_SCORE_PER_CRITERION - (diff * PENALTY_OUT_OF_RANGE_FACTOR));
+            return Math.max(0, parseFloat((inRangeScoreAtEdge - (diff * penaltyFactor)).toFixed(1)));
         }
 
         // =============================================================================
@@ -673,8 +1016,9 @@ document.addEventListener('DOMContentLoaded', () => {
 // =============================================================================
 
 
-        function normalizeComfortScore(originalScore, criteriaMetCount, numSelectedPrefs) {
-            if (numSelectedPrefs === 0) { // Handle cases with no preferences selected
+        // Criteria are weighted by importance, so "met" and "possible" are measured in weight units rather than counts.
+        function normalizeComfortScore(originalScore, metWeight, totalWeight) {
+            if (totalWeight === 0) { // Handle cases with no preferences selected
                 if (originalScore === -Infinity || originalScore < PENALTY_NO_DATA_IF_PREFERRED * 1.5) return 0; // Very low or penalized score
                 if (originalScore > 250) return 1.0; // Arbitrary scaling for no-preference scores
                 if (originalScore > 150) return 0.8;
@@ -683,15 +1027,15 @@ document.addEventListener('DOMContentLoaded', () => {
                 return 0.2;
             }
 
-            const maxPossibleScore = numSelectedPrefs * MAX_SCORE_PER_CRITERION;
-            const minPossiblePenalizedScore = numSelectedPrefs * PENALTY_NO_DATA_IF_PREFERRED;
+            const maxPossibleScore = totalWeight * MAX_SCORE_PER_CRITERION;
+            const minPossiblePenalizedScore = totalWeight * PENALTY_NO_DATA_IF_PREFERRED;
 
             if (originalScore === -Infinity) return 0; // No data for any preference
-            if (criteriaMetCount === numSelectedPrefs && numSelectedPrefs > 0) return 1.0; // All preferences met
+            if (metWeight === totalWeight) return 1.0; // All preferences met
 
-            // If some criteria are met, provide a baseline score plus a bonus for met criteria.
-            if (criteriaMetCount > 0) {
-                return 0.5 + (criteriaMetCount / numSelectedPrefs) * 0.5;
+            // If some criteria are met, provide a baseline score plus a bonus proportional to the weight of the met criteria.
+            if (metWeight > 0) {
+                return 0.5 + (metWeight / totalWeight) * 0.5;
             }
 
             // Normalize score if no criteria fully met but some data exists.
@@ -702,6 +1046,104 @@ document.addEventListener('DOMContentLoaded', () => {
             return normalized * 0.4; // Scale down if no criteria are perfectly met
         }
 
+        // Mirrors normalizeComfortScore, describing which rule produced the normalized score (for the "Why this zone?" panel).
+        // In the proximity model metWeight is the closeness credit of the met criteria, so it may be fractional.
+        function explainComfortScore(originalScore, metWeight, totalWeight) {
+            const normalized = normalizeComfortScore(originalScore, metWeight, totalWeight);
+            const asPoints = (value) => Math.round(value * 100);
+            if (totalWeight === 0) {
+                return { method: 'no-preferences', text: `No preferences selected, so every zone gets a general rating of ${asPoints(normalized)}/100.` };
+            }
+            if (originalScore === -Infinity) {
+                return { method: 'no-data', text: 'No data was available for any of your preferences, so the score is 0/100.' };
+            }
+            if (metWeight === totalWeight) {
+                return { method: 'all-met', text: 'Every preference is within its preferred range and steady, so the zone scores the full 100/100.' };
+            }
+            if (metWeight > 0) {
+                const metPoints = parseFloat(metWeight.toFixed(2));
+                const creditText = scoringModel === 'proximity'
+                    ? `Preferences met earn ${metPoints} of ${totalWeight} weight points, scaled by how close each is to its ideal${stabilityConfig.enabled ? ' and how stable it is' : ''}.`
+                    : (stabilityConfig.enabled
+                        ? `Preferences met earn ${metPoints} of ${totalWeight} weight points after stability penalties.`
+                        : `Preferences met carry ${metPoints} of ${totalWeight} weight points.`);
+                return {
+                    method: 'partial',
+                    text: `${creditText} Zones that meet at least one preference start at 50 and earn the rest in proportion: 50 + 50 × ${metPoints}/${totalWeight} = ${asPoints(normalized)}/100.`
+                };
+            }
+            const best = totalWeight * MAX_SCORE_PER_CRITERION;
+            const worst = totalWeight * PENALTY_NO_DATA_IF_PREFERRED;
+            return {
+                method: 'none-met',
+                text: `No preference is fully met, so the weighted total (${Math.round(originalScore)}) is placed between the worst (${worst}) and best (${best}) possible totals and capped at 40: ${asPoints(normalized)}/100.`
+            };
+        }
+
+        // Records how a single criterion's score was reached (value, preferred range, deviation, penalty and weight).
+        function buildCriterionBreakdown(actualValue, range, score, weight, isDataAvailable, stabilityPenalty = 0) {
+            const hasValue = Boolean(isDataAvailable) && typeof actualValue === 'number' && !isNaN(actualValue);
+            let deviation = null; // null means no data, 0 means inside the preferred range
+            if (hasValue) {
+                if (actualValue < range.min) deviation = parseFloat((range.min - actualValue).toFixed(2));
+                else if (actualValue > range.max) deviation = parseFloat((actualValue - range.max).toFixed(2));
+                else deviation = 0;
+            }
+            return {
+                value: hasValue ? actualValue : 'N/A',
+                min: range.min,
+                ideal: range.ideal,
+                max: range.max,
+                deviation: deviation,
+                stabilityPenalty: hasValue ? stabilityPenalty : 0, // Included in penalty
+                penalty: parseFloat((MAX_SCORE_PER_CRITERION - score).toFixed(1)),
+                score: score,
+                weight: weight,
+                weightedScore: score * weight
+            };
+        }
+
+        const scoringModel = scoringModelOptions[options.scoringModel] ? options.scoringModel : DEFAULT_SCORING_MODEL;
+        const stabilityConfig = { ...stabilityPenaltyConfig, ...(options.stability || {}) };
+
+        // Points to deduct for a criterion's variability, before and after the preference multiplier.
+        function calculateStabilityPenalty(variability, criterionKey, preferenceValue) {
+            if (!variability) return { spread: 0, base: 0, applied: 0 };
+            const spread = variability.stdDev * (stabilityConfig.stdDevFactor[criterionKey] || 0);
+            const base = Math.min(stabilityConfig.maxPenalty, spread + variability.hoursOutOfRange * stabilityConfig.hourOutOfRangePenalty);
+            const multiplier = stabilityConfig.preferenceMultipliers[preferenceValue] || 1;
+            const applied = stabilityConfig.enabled ? Math.min(stabilityConfig.maxPenalty, base * multiplier) : 0;
+            return { spread: parseFloat(spread.toFixed(1)), base: parseFloat(base.toFixed(1)), applied: parseFloat(applied.toFixed(1)) };
+        }
+        const weights = {
+            light: DEFAULT_PREFERENCE_WEIGHT,
+            noise: DEFAULT_PREFERENCE_WEIGHT,
+            temp: DEFAULT_PREFERENCE_WEIGHT,
+            ...Object.fromEntries(sensorChannels.map(channel => [channel.key, DEFAULT_PREFERENCE_WEIGHT])),
+            ...(options.weights || {})
+        };
+        const timeWindow = options.timeWindow || null;
+
+        // Thermal comfort (PMV/PPD) is computed for every zone when settings are given; it only drives the
+        // temperature score when the PMV model is selected. Humidity and air speed use defaults (no sensors yet).
+        const thermalComfort = options.thermalComfort || null;
+        const usePmvScoring = Boolean(thermalComfort && thermalComfort.model === 'pmv');
+        const pmvTargetRange = { min: -ThermalComfort.COMFORT_PMV_LIMIT, ideal: 0, max: ThermalComfort.COMFORT_PMV_LIMIT };
+        const evaluateThermalComfort = (airTemp) => ThermalComfort.evaluate({
+            airTemp: airTemp,
+            relativeHumidity: thermalComfort.relativeHumidity,
+            metabolicRate: thermalComfort.met,
+            clothing: thermalComfort.clo
+        });
+        const toPmvTimeSeries = (tempTimeSeries) => {
+            const pmvSeries = {};
+            Object.entries(tempTimeSeries || {}).forEach(([hour, temp]) => {
+                const comfort = typeof temp === 'number' ? evaluateThermalComfort(temp) : null;
+                pmvSeries[hour] = comfort ? comfort.pmv : null;
+            });
+            return pmvSeries;
+        };
+
         const lightDataFull = allProcessedData.light;
         const noiseDataFull = allProcessedData.noise;
         const temperatureDataFull = allProcessedData.temperature;
@@ -713,27 +1155,34 @@ document.addEventListener('DOMContentLoaded', () => {
         const temperatureMap = temperatureDataFull ? new Map(temperatureDataFull.map(item => [item.Zones, item])) : new Map();
 
         // Determine target ranges based on user preferences.
-        const targetLightRange = lightingPref ? allThresholds.lighting[lightingPref] : null;
-        const targetNoiseRange = spaceUsagePref ? allThresholds.noise[spaceUsagePref] : null;
-        const targetTemperatureRange = temperaturePref ? allThresholds.temperature[temperaturePref] : null;
+        const customRanges = options.customRanges || {}; // Slider ranges used when a preference is "custom"
+        const targetLightRange = resolvePreferenceRange(allThresholds.lighting, lightingPref, customRanges.light);
+        const targetNoiseRange = resolvePreferenceRange(allThresholds.noise, spaceUsagePref, customRanges.noise);
+        const targetTemperatureRange = resolvePreferenceRange(allThresholds.temperature, temperaturePref, customRanges.temp);
+
+        // Sensor channel criteria: only channels with a preference and readings for at least one zone.
+        const channelPreferences = options.channelPreferences || {};
+        const channelDataFull = allProcessedData.channels || {};
+        const channelMaps = Object.fromEntries(sensorChannels.map(channel => [channel.key, new Map((channelDataFull[channel.key] || []).map(item => [item.Zones, item]))]));
+        const channelCriteria = sensorChannels
+            .map(channel => ({
+                channel: channel,
+                preference: channelPreferences[channel.key],
+                range: resolvePreferenceRange(allThresholds[channel.key] || channel.thresholds, channelPreferences[channel.key], customRanges[channel.key]),
+                dataMap: channelMaps[channel.key]
+            }))
+            .filter(criterion => criterion.range && criterion.dataMap.size > 0);
 
         // Get a unique list of all zone names from available data.
         const allZoneNames = [...new Set([
             ...(lightDataFull || []).map(d => d.Zones),
             ...(noiseDataFull || []).map(d => d.Zones),
-            ...(temperatureDataFull || []).map(d => d.Zones)
+            ...(temperatureDataFull || []).map(d => d.Zones),
+            ...sensorChannels.flatMap(channel => [...channelMaps[channel.key].keys()])
         ])].filter(Boolean); // Filter out any null/empty zone names
 
-        // Handle case where no environmental data is available for any zone.
+        // No environmental data for any zone: return an empty list so the results page can say so.
         if (allZoneNames.length === 0) {
-            for (let i = 0; i < 3; i++) { // Create placeholder "No Data" spots.
-                scoredSpots.push({
-                    zoneId: `Zone ${i + 1} (No Data)`,
-                    light: 'N/A', noise: 'N/A', temperature: 'N/A', feelsLikeTemp: 'N/A',
-                    originalComfortScore: -Infinity, comfortScore: 0, criteriaMetCount: 0,
-                    zoneImage: 'Images/default-room.jpg', durationText: {}, scores: {}, metCriteria: {}, rank: "Info Unavailable"
-                });
-            }
             return scoredSpots;
         }
 
@@ -746,9 +1195,23 @@ document.addEventListener('DOMContentLoaded', () => {
             let criteriaMetCount = 0;
             const durationText = {};
             const metCriteria = {};
+            const criteriaBreakdown = {};
+            const variability = {};
+            const stabilityPenalties = {};
+            const variabilityWindow = timeWindow || DEFAULT_TIME_WINDOW;
             let zoneImage = 'Images/default-room.jpg'; // Default image
 
-            const currentAverageLux = zoneLightFull?.averageLux;
+            // Values for the planned time window, or the whole-day averages if no window was given.
+            const currentAverageLux = timeWindow ? getPeriodWindowAverage(zoneLightFull?.timeSeries, timeWindow) : zoneLightFull?.averageLux;
+            const currentAverageDb = timeWindow ? getHourlyWindowAverage(zoneNoiseFull?.timeSeries, timeWindow) : zoneNoiseFull?.averageDb;
+            const currentAverageTemp = timeWindow ? getHourlyWindowAverage(zoneTempFull?.timeSeries, timeWindow) : zoneTempFull?.averageTemp;
+            const currentChannelValues = {}; // Every channel with data, scored or not, so cards can show it
+            sensorChannels.forEach(channel => {
+                const zoneChannelFull = channelMaps[channel.key].get(zoneName);
+                if (!zoneChannelFull) return;
+                currentChannelValues[channel.key] = (timeWindow ? getHourlyWindowAverage(zoneChannelFull.timeSeries, timeWindow) : zoneChannelFull.average) ?? 'N/A';
+            });
+
             if (typeof currentAverageLux === 'number' && !isNaN(currentAverageLux)) {
                 // Select zone image based on average lux.
                 if (currentAverageLux >= (lightingThresholds['sunny-natural']?.min || 1001)) zoneImage = 'Images/sunny-office-space.jpg';
@@ -759,97 +1222,253 @@ document.addEventListener('DOMContentLoaded', () => {
 
             // Score lighting preference.
             if (targetLightRange) {
-                const avgLuxVal = zoneLightFull?.averageLux;
+                const avgLuxVal = currentAverageLux;
                 const isLightDataAvailable = zoneLightFull && typeof avgLuxVal === 'number' && !isNaN(avgLuxVal);
                 lightScore = calculateCriterionScore(avgLuxVal, targetLightRange.ideal, targetLightRange.min, targetLightRange.max, isLightDataAvailable);
+                variability.light = getPeriodVariability(zoneLightFull?.timeSeries, variabilityWindow, targetLightRange.min, targetLightRange.max);
+                stabilityPenalties.light = calculateStabilityPenalty(variability.light, 'light', lightingPref);
+                const lightScoreBeforeStability = lightScore;
+                if (isLightDataAvailable) lightScore = Math.max(0, lightScore - stabilityPenalties.light.applied);
                 metCriteria.light = isLightDataAvailable && avgLuxVal >= targetLightRange.min && avgLuxVal <= targetLightRange.max;
                 if (metCriteria.light) criteriaMetCount++;
-                durationText.light = predictIdealDuration(zoneLightFull?.timeSeries, targetLightRange.min, targetLightRange.max, timePeriodConfig);
+                criteriaBreakdown.light = buildCriterionBreakdown(avgLuxVal, targetLightRange, lightScore, weights.light, isLightDataAvailable, parseFloat((lightScoreBeforeStability - lightScore).toFixed(1)));
+                durationText.light = predictIdealDuration(zoneLightFull?.timeSeries, targetLightRange.min, targetLightRange.max, timePeriodConfig, timeWindow);
             }
 
             // Score noise preference.
             if (targetNoiseRange) {
-                const avgDbVal = zoneNoiseFull?.averageDb;
+                const avgDbVal = currentAverageDb;
                 const isNoiseDataAvailable = zoneNoiseFull && typeof avgDbVal === 'number' && !isNaN(avgDbVal);
                 noiseScore = calculateCriterionScore(avgDbVal, targetNoiseRange.ideal, targetNoiseRange.min, targetNoiseRange.max, isNoiseDataAvailable);
+                variability.noise = getHourlyVariability(zoneNoiseFull?.timeSeries, variabilityWindow, targetNoiseRange.min, targetNoiseRange.max);
+                stabilityPenalties.noise = calculateStabilityPenalty(variability.noise, 'noise', spaceUsagePref);
+                const noiseScoreBeforeStability = noiseScore;
+                if (isNoiseDataAvailable) noiseScore = Math.max(0, noiseScore - stabilityPenalties.noise.applied);
                 metCriteria.noise = isNoiseDataAvailable && avgDbVal >= targetNoiseRange.min && avgDbVal <= targetNoiseRange.max;
                 if (metCriteria.noise) criteriaMetCount++;
-                durationText.noise = predictHourlyDuration(zoneNoiseFull?.timeSeries, targetNoiseRange.min, targetNoiseRange.max);
+                criteriaBreakdown.noise = buildCriterionBreakdown(avgDbVal, targetNoiseRange, noiseScore, weights.noise, isNoiseDataAvailable, parseFloat((noiseScoreBeforeStability - noiseScore).toFixed(1)));
+                durationText.noise = timeWindow
+                    ? predictHourlyDuration(zoneNoiseFull?.timeSeries, targetNoiseRange.min, targetNoiseRange.max, timeWindow.startHour, timeWindow.endHour)
+                    : predictHourlyDuration(zoneNoiseFull?.timeSeries, targetNoiseRange.min, targetNoiseRange.max);
             }
 
-            const currentAverageTemp = zoneTempFull?.averageTemp;
-            // Score temperature preference.
+            const hasAverageTemp = typeof currentAverageTemp === 'number' && !isNaN(currentAverageTemp);
+            const zoneThermalComfort = thermalComfort && hasAverageTemp ? evaluateThermalComfort(currentAverageTemp) : null;
+
+            // Score temperature preference (on PMV closeness to neutral when the thermal comfort model is selected).
             if (targetTemperatureRange) {
-                const isTempDataAvailable = zoneTempFull && typeof currentAverageTemp === 'number' && !isNaN(currentAverageTemp);
-                tempScore = calculateCriterionScore(currentAverageTemp, targetTemperatureRange.ideal, targetTemperatureRange.min, targetTemperatureRange.max, isTempDataAvailable);
-                metCriteria.temp = isTempDataAvailable && currentAverageTemp >= targetTemperatureRange.min && currentAverageTemp <= targetTemperatureRange.max;
+                const tempRange = usePmvScoring ? pmvTargetRange : targetTemperatureRange;
+                const tempValue = usePmvScoring ? zoneThermalComfort?.pmv : currentAverageTemp;
+                const tempTimeSeries = usePmvScoring ? toPmvTimeSeries(zoneTempFull?.timeSeries) : zoneTempFull?.timeSeries;
+                const isTempDataAvailable = zoneTempFull && typeof tempValue === 'number' && !isNaN(tempValue);
+                tempScore = calculateCriterionScore(tempValue, tempRange.ideal, tempRange.min, tempRange.max, isTempDataAvailable, usePmvScoring ? PMV_PENALTY_PER_UNIT : PENALTY_OUT_OF_RANGE_FACTOR);
+                variability.temp = getHourlyVariability(tempTimeSeries, variabilityWindow, tempRange.min, tempRange.max);
+                stabilityPenalties.temp = calculateStabilityPenalty(variability.temp, usePmvScoring ? 'pmv' : 'temp', temperaturePref);
+                const tempScoreBeforeStability = tempScore;
+                if (isTempDataAvailable) tempScore = Math.max(0, tempScore - stabilityPenalties.temp.applied);
+                metCriteria.temp = isTempDataAvailable && tempValue >= tempRange.min && tempValue <= tempRange.max;
                 if (metCriteria.temp) criteriaMetCount++;
-                durationText.temp = predictHourlyDuration(zoneTempFull?.timeSeries, targetTemperatureRange.min, targetTemperatureRange.max);
+                criteriaBreakdown.temp = buildCriterionBreakdown(tempValue, tempRange, tempScore, weights.temp, isTempDataAvailable, parseFloat((tempScoreBeforeStability - tempScore).toFixed(1)));
+                if (usePmvScoring) Object.assign(criteriaBreakdown.temp, { metric: 'pmv', penaltyFactor: PMV_PENALTY_PER_UNIT });
+                durationText.temp = timeWindow
+                    ? predictHourlyDuration(tempTimeSeries, tempRange.min, tempRange.max, timeWindow.startHour, timeWindow.endHour)
+                    : predictHourlyDuration(tempTimeSeries, tempRange.min, tempRange.max);
             }
 
+            // Score each sensor channel preference the same way as noise (hourly readings).
+            const channelScores = {};
+            channelCriteria.forEach(({ channel, preference, range, dataMap }) => {
+                const key = channel.key;
+                const zoneChannelFull = dataMap.get(zoneName);
+                const channelValue = currentChannelValues[key];
+                const isChannelDataAvailable = zoneChannelFull && typeof channelValue === 'number' && !isNaN(channelValue);
+                channelScores[key] = calculateCriterionScore(channelValue, range.ideal, range.min, range.max, isChannelDataAvailable, channel.penaltyFactor);
+                variability[key] = getHourlyVariability(zoneChannelFull?.timeSeries, variabilityWindow, range.min, range.max);
+                stabilityPenalties[key] = calculateStabilityPenalty(variability[key], key, preference);
+                const channelScoreBeforeStability = channelScores[key];
+                if (isChannelDataAvailable) channelScores[key] = Math.max(0, channelScores[key] - stabilityPenalties[key].applied);
+                metCriteria[key] = isChannelDataAvailable && channelValue >= range.min && channelValue <= range.max;
+                if (metCriteria[key]) criteriaMetCount++;
+                criteriaBreakdown[key] = buildCriterionBreakdown(channelValue, range, channelScores[key], weights[key], isChannelDataAvailable, parseFloat((channelScoreBeforeStability - channelScores[key]).toFixed(1)));
+                criteriaBreakdown[key].penaltyFactor = channel.penaltyFactor;
+                durationText[key] = timeWindow
+                    ? predictHourlyDuration(zoneChannelFull?.timeSeries, range.min, range.max, timeWindow.startHour, timeWindow.endHour)
+                    : predictHourlyDuration(zoneChannelFull?.timeSeries, range.min, range.max);
+            });
+
+            // Each criterion contributes its score multiplied by the importance weight the user gave it.
+            const scoresByKey = { light: lightScore, noise: noiseScore, temp: tempScore, ...channelScores };
             let originalTotalScore = 0;
-            let numSelectedPreferences = 0;
-            if (targetLightRange) { originalTotalScore += lightScore; numSelectedPreferences++; }
-            if (targetNoiseRange) { originalTotalScore += noiseScore; numSelectedPreferences++; }
-            if (targetTemperatureRange) { originalTotalScore += tempScore; numSelectedPreferences++; }
+            let totalWeight = 0;
+            let metWeight = 0;
+            if (targetLightRange) { originalTotalScore += lightScore * weights.light; totalWeight += weights.light; if (metCriteria.light) metWeight += weights.light; }
+            if (targetNoiseRange) { originalTotalScore += noiseScore * weights.noise; totalWeight += weights.noise; if (metCriteria.noise) metWeight += weights.noise; }
+            if (targetTemperatureRange) { originalTotalScore += tempScore * weights.temp; totalWeight += weights.temp; if (metCriteria.temp) metWeight += weights.temp; }
+            channelCriteria.forEach(({ channel }) => {
+                const key = channel.key;
+                originalTotalScore += channelScores[key] * weights[key]; totalWeight += weights[key]; if (metCriteria[key]) metWeight += weights[key];
+            });
+            // Credit for met criteria: each met weight scaled by its score, so closeness to the ideal (proximity model)
+            // and stability penalties count. With the flat model and no penalty this equals metWeight.
+            const metCredit = Object.keys(metCriteria)
+                .filter(key => metCriteria[key])
+                .reduce((sum, key) => sum + weights[key] * scoresByKey[key] / MAX_SCORE_PER_CRITERION, 0);
+
+            // Zones without a single usable reading for the selected preferences are left out of the ranking.
+            const hasAnyData = totalWeight > 0
+                ? Object.values(criteriaBreakdown).some(item => item.value !== 'N/A')
+                : [currentAverageLux, currentAverageDb, currentAverageTemp, ...Object.values(currentChannelValues)].some(value => typeof value === 'number' && !isNaN(value));
+            if (!hasAnyData) return;
+
+            // Card indicator: the criterion with the most spread decides. Hours out of range and the preference multiplier
+            // are left out, so a zone that is steadily too bright still reads as stable.
+            const spreadPenalties = Object.values(stabilityPenalties).map(penalty => penalty.spread);
+            const stabilityLevel = spreadPenalties.length > 0
+                ? stabilityConfig.levels.find(level => Math.max(...spreadPenalties) <= level.maxPenalty)
+                : null;
 
             scoredSpots.push({
                 zoneId: zoneName,
-                light: zoneLightFull?.averageLux ?? 'N/A',
-                noise: zoneNoiseFull?.averageDb ?? 'N/A',
+                light: currentAverageLux ?? 'N/A',
+                noise: currentAverageDb ?? 'N/A',
                 temperature: currentAverageTemp ?? 'N/A',
+                channels: currentChannelValues,
                 feelsLikeTemp: getFeelsLikeTemperature(currentAverageTemp, feelsLikeLookupData),
+                thermalComfort: zoneThermalComfort ? {
+                    pmv: zoneThermalComfort.pmv,
+                    ppd: zoneThermalComfort.ppd,
+                    sensation: ThermalComfort.describePMV(zoneThermalComfort.pmv),
+                    clothing: thermalComfort.clothing,
+                    clo: thermalComfort.clo,
+                    activity: thermalComfort.activity,
+                    met: thermalComfort.met,
+                    relativeHumidity: thermalComfort.relativeHumidity
+                } : null,
+                temperatureModel: usePmvScoring ? 'pmv' : DEFAULT_TEMPERATURE_MODEL,
                 originalComfortScore: originalTotalScore,
-                comfortScore: normalizeComfortScore(originalTotalScore, criteriaMetCount, numSelectedPreferences),
+                comfortScore: normalizeComfortScore(originalTotalScore, metCredit, totalWeight),
                 criteriaMetCount: criteriaMetCount,
+                metWeightShare: totalWeight > 0 ? metCredit / totalWeight : 0,
+                scoringModel: scoringModel,
+                variability: variability,
+                stability: stabilityLevel ? {
+                    level: stabilityLevel.level,
+                    label: stabilityLevel.label,
+                    penaltyApplied: stabilityConfig.enabled,
+                    penalties: stabilityPenalties
+                } : null,
                 zoneImage: zoneImage,
                 durationText: durationText,
-                scores: { light: lightScore, noise: noiseScore, temp: tempScore },
+                scores: scoresByKey,
+                weights: { light: weights.light, noise: weights.noise, temp: weights.temp, ...Object.fromEntries(channelCriteria.map(({ channel }) => [channel.key, weights[channel.key]])) },
+                timeWindow: timeWindow,
                 metCriteria: metCriteria,
-                targetRangesFromScript: {light: targetLightRange, noise: targetNoiseRange, temp: targetTemperatureRange} // For debugging/details
+                scoreBreakdown: {
+                    criteria: criteriaBreakdown,
+                    totalScore: originalTotalScore,
+                    metWeight: metWeight,
+                    metCredit: metCredit,
+                    totalWeight: totalWeight,
+                    scoringModel: scoringModel,
+                    normalization: explainComfortScore(originalTotalScore, metCredit, totalWeight)
+                },
+                targetRangesFromScript: {light: targetLightRange, noise: targetNoiseRange, temp: targetTemperatureRange, ...Object.fromEntries(channelCriteria.map(({ channel, range }) => [channel.key, range]))} // For debugging/details
             });
         });
 
-        // Sort spots by comfort score (descending), then by criteria met (descending).
+        // Sort spots by comfort score (descending), then by weighted share of criteria met, then by criteria met (descending).
         scoredSpots.sort((a, b) => {
             if (b.comfortScore !== a.comfortScore) return b.comfortScore - a.comfortScore;
+            if (b.metWeightShare !== a.metWeightShare) return b.metWeightShare - a.metWeightShare;
             return b.criteriaMetCount - a.criteriaMetCount;
         });
 
-        let finalTopSpots = scoredSpots.slice(0, 3); // Take top 3 recommendations.
+        // Assign ranks to every scored zone; the results page decides how many to show.
+        assignRecommendationRanks(scoredSpots);
+        return scoredSpots;
+    }
 
-        // Assign ranks to the top spots.
-        finalTopSpots.forEach((spot, index) => {
-            if (spot.zoneId && !spot.zoneId.includes("(No Data)") && !spot.zoneId.includes("(Unavailable)") && !spot.zoneId.includes("(Fallback)")) {
-                if (index === 0) spot.rank = "Best Match";
-                else if (index === 1) spot.rank = "2nd Choice";
-                else if (index === 2) spot.rank = "3rd Choice";
-            } else {
-                spot.rank = "Info Unavailable";
-            }
+    // Labels an already sorted list of recommendations with its rank.
+    function assignRecommendationRanks(sortedSpots) {
+        sortedSpots.forEach((spot, index) => {
+            spot.rankPosition = index + 1;
+            if (index === 0) spot.rank = "Best Match";
+            else if (index === 1) spot.rank = "2nd Choice";
+            else if (index === 2) spot.rank = "3rd Choice";
+            else spot.rank = `#${index + 1}`;
         });
+        return sortedSpots;
+    }
 
-        // Ensure there are always 3 spots, adding placeholders if fewer real recommendations exist.
-        while (finalTopSpots.length < 3 && finalTopSpots.length < allZoneNames.length) {
-            finalTopSpots.push({
-                zoneId: `Zone ${finalTopSpots.length + 1} (Fallback)`,
-                light: 'N/A', noise: 'N/A', temperature: 'N/A', feelsLikeTemp: 'N/A',
-                originalComfortScore: -Infinity, comfortScore: 0, criteriaMetCount: 0,
-                zoneImage: 'Images/default-room.jpg', scores: {}, metCriteria: {}, durationText: {}, rank: "Info Unavailable"
+    // Scores every zone for each group member, then combines the member scores using the group objective.
+    function calculateGroupRecommendations(profiles, allProcessedData, allThresholds, feelsLikeLookupData, options = {}) {
+        const memberRecsByZone = new Map();
+        profiles.forEach((profile, memberIndex) => {
+            const memberRecs = calculateFinalRecommendations(
+                profile.lightingPreference, profile.spaceUsagePreference, profile.temperaturePreference,
+                allProcessedData, allThresholds, feelsLikeLookupData,
+                { ...options, weights: profile.weights, customRanges: profile.customRanges, channelPreferences: profile.channelPreferences }
+            );
+            memberRecs.forEach(rec => {
+                if (!memberRecsByZone.has(rec.zoneId)) memberRecsByZone.set(rec.zoneId, new Array(profiles.length).fill(null));
+                memberRecsByZone.get(rec.zoneId)[memberIndex] = rec;
             });
-        }
-        // Final fallback if no zones had any data at all.
-        if (allZoneNames.length === 0 && finalTopSpots.length === 0) {
-             for(let i=0; i<3; i++) {
-                finalTopSpots.push({
-                    zoneId: `Zone ${i+1} (Unavailable)`,
-                    light: 'N/A', noise: 'N/A', temperature: 'N/A', feelsLikeTemp: 'N/A',
-                    originalComfortScore: -Infinity, comfortScore: 0, criteriaMetCount:0,
-                    zoneImage: 'Images/default-room.jpg', durationText: {}, scores: {}, metCriteria: {}, rank: "Info Unavailable"
-                });
-            }
-        }
-        return finalTopSpots;
+        });
+
+        const groupSpots = [];
+        memberRecsByZone.forEach((memberRecs, zoneId) => {
+            const zoneRec = memberRecs.find(Boolean); // Measured values are the same for every member
+            // A member with no usable data for this zone counts as fully unhappy with it.
+            const memberResults = profiles.map((profile, memberIndex) => {
+                const rec = memberRecs[memberIndex];
+                return {
+                    name: profile.name,
+                    comfortScore: rec ? rec.comfortScore : 0,
+                    criteriaMetCount: rec ? rec.criteriaMetCount : 0,
+                    metCriteria: rec ? rec.metCriteria : {},
+                    preferences: { light: profile.lightingPreference, noise: profile.spaceUsagePreference, temp: profile.temperaturePreference, ...(profile.channelPreferences || {}) }
+                };
+            });
+            const memberScores = memberResults.map(member => member.comfortScore);
+
+            groupSpots.push({
+                zoneId: zoneId,
+                light: zoneRec.light,
+                noise: zoneRec.noise,
+                temperature: zoneRec.temperature,
+                channels: zoneRec.channels,
+                feelsLikeTemp: zoneRec.feelsLikeTemp,
+                thermalComfort: zoneRec.thermalComfort,
+                zoneImage: zoneRec.zoneImage,
+                timeWindow: zoneRec.timeWindow,
+                criteriaMetCount: memberResults.reduce((sum, member) => sum + member.criteriaMetCount, 0),
+                metCriteria: {},
+                isGroupRecommendation: true,
+                memberResults: memberResults,
+                groupScores: {
+                    'least-unhappy': Math.min(...memberScores),
+                    'average': memberScores.reduce((sum, score) => sum + score, 0) / memberScores.length
+                }
+            });
+        });
+
+        return rankGroupRecommendations(groupSpots, options.groupObjective || DEFAULT_GROUP_OBJECTIVE);
+    }
+
+    // Orders group recommendations by the selected objective, using the other objective to break ties.
+    function rankGroupRecommendations(groupSpots, objective) {
+        const selectedObjective = groupObjectiveOptions[objective] ? objective : DEFAULT_GROUP_OBJECTIVE;
+        const tieBreakObjective = selectedObjective === 'average' ? 'least-unhappy' : 'average';
+        groupSpots.forEach(spot => {
+            spot.groupObjective = selectedObjective;
+            spot.comfortScore = spot.groupScores[selectedObjective];
+        });
+        groupSpots.sort((a, b) => {
+            if (b.comfortScore !== a.comfortScore) return b.comfortScore - a.comfortScore;
+            if (b.groupScores[tieBreakObjective] !== a.groupScores[tieBreakObjective]) return b.groupScores[tieBreakObjective] - a.groupScores[tieBreakObjective];
+            return b.criteriaMetCount - a.criteriaMetCount;
+        });
+        return assignRecommendationRanks(groupSpots);
     }
 
     // Section: Quiz Page Interactions
@@ -934,8 +1553,9 @@ document.addEventListener('DOMContentLoaded', () => {
                 }
                 let targetUrl = nextPageUrl;
                 // Special case: if it's the last preference step, go to loading page first.
-                if (preferenceType === 'temperaturePreference' && nextPageUrl === 'results.html') {
+                if (nextPageUrl === 'results.html') {
                     targetUrl = 'loading.html';
+                    if (isGroupMode()) saveCurrentAnswersAsGroupProfile(); // Last member's answers join the group
                 }
                 console.log('[setupQuizInteractions] Navigating to:', targetUrl);
                 window.location.href = targetUrl;
@@ -948,9 +1568,295 @@ document.addEventListener('DOMContentLoaded', () => {
         updateNextButtonState(); // Initial state update for the "Next" button.
     }
 
+    // Section: Quiz Importance Selector
+    // Purpose: Lets the user rate how much each quiz criterion matters. The weight is saved next to the preference itself.
+    function setupImportanceSelector(quizContainerEl, preferenceType) {
+        const weightKey = preferenceWeightKeys[preferenceType];
+        if (!quizContainerEl || !weightKey) return;
+
+        const weightRadios = quizContainerEl.querySelectorAll(`input[type="radio"][name="${weightKey}"]`);
+        if (weightRadios.length === 0) {
+            console.warn(`[setupImportanceSelector] No importance options found for name="${weightKey}". Default weight will be used.`);
+            return;
+        }
+
+        // Pre-select the stored weight, or the default so the user sees what will be applied.
+        const storedWeight = localStorage.getItem(weightKey);
+        const selectedWeight = preferenceWeightOptions[storedWeight] ? storedWeight : String(DEFAULT_PREFERENCE_WEIGHT);
+        weightRadios.forEach(radio => {
+            radio.checked = radio.value === selectedWeight;
+            radio.addEventListener('change', () => {
+                if (radio.checked) {
+                    localStorage.setItem(weightKey, radio.value);
+                    debugDataFlow('setupImportanceSelector', 'save-weight', { type: weightKey, value: radio.value });
+                }
+            });
+        });
+    }
+
+    // Section: Quiz Custom Range Sliders
+    // Purpose: Advanced mode. Lets the user set their own min, ideal and max with sliders instead of picking a bucket.
+    function setupCustomRangeSliders(quizContainerEl, preferenceType) {
+        const slidersEl = quizContainerEl ? quizContainerEl.querySelector('.custom-range-sliders') : null;
+        const config = customRangeSliderConfig[preferenceType];
+        if (!slidersEl || !config) return;
+
+        const fields = [{ key: 'min', label: 'Min' }, { key: 'ideal', label: 'Ideal' }, { key: 'max', label: 'Max' }];
+        const startRange = getStoredCustomRange(preferenceType) || config.defaultRange;
+        const decimals = (String(config.step).split('.')[1] || '').length;
+        const clampToSlider = (value) => Math.min(Math.max(value, config.sliderMin), config.sliderMax);
+
+        slidersEl.innerHTML = fields.map(field => `
+            <label class="custom-range-field">
+                <span class="custom-range-label">${field.label}</span>
+                <input type="range" data-range-field="${field.key}" min="${config.sliderMin}" max="${config.sliderMax}" step="${config.step}" value="${clampToSlider(startRange[field.key])}">
+                <output data-range-output="${field.key}"></output>
+            </label>`).join('');
+
+        // Keeps min <= ideal <= max by pushing the other handles along with the one that moved, then saves the range.
+        function saveRange(changedField) {
+            const values = {};
+            fields.forEach(field => { values[field.key] = parseFloat(slidersEl.querySelector(`[data-range-field="${field.key}"]`).value); });
+            if (changedField === 'min') {
+                values.ideal = Math.max(values.ideal, values.min);
+                values.max = Math.max(values.max, values.ideal);
+            } else if (changedField === 'max') {
+                values.ideal = Math.min(values.ideal, values.max);
+                values.min = Math.min(values.min, values.ideal);
+            } else {
+                values.min = Math.min(values.min, values.ideal);
+                values.max = Math.max(values.max, values.ideal);
+            }
+            fields.forEach(field => {
+                values[field.key] = parseFloat(values[field.key].toFixed(decimals));
+                slidersEl.querySelector(`[data-range-field="${field.key}"]`).value = values[field.key];
+                slidersEl.querySelector(`[data-range-output="${field.key}"]`).textContent = `${values[field.key]} ${config.unit}`;
+            });
+            localStorage.setItem(customRangeKeys[preferenceType], JSON.stringify(values));
+            debugDataFlow('setupCustomRangeSliders', 'save-custom-range', { type: preferenceType, range: values });
+        }
+
+        slidersEl.querySelectorAll('input[type="range"]').forEach(slider => {
+            slider.addEventListener('input', () => saveRange(slider.dataset.rangeField));
+        });
+        saveRange(null); // Persist the initial range so choosing "custom" without touching a slider still has one.
+    }
+
+    // Section: Quiz Time Window Selector
+    // Purpose: Asks when the user plans to sit, so zones are scored on that part of the day only.
+    function setupTimeWindowSelector(quizContainerEl) {
+        const startSelect = quizContainerEl ? quizContainerEl.querySelector('#plannedStartHour') : null;
+        const endSelect = quizContainerEl ? quizContainerEl.querySelector('#plannedEndHour') : null;
+        const daySelect = quizContainerEl ? quizContainerEl.querySelector('#plannedDay') : null;
+        if (!startSelect || !endSelect) return; // Only the step that asks for a time window has these controls
+
+        // Picking a weekday uses that day's profile from the multi-day readings file, when the building provides one.
+        if (daySelect) {
+            daySelect.add(new Option('Any day', ''));
+            SensorHistory.WEEK_ORDER.forEach(day => daySelect.add(new Option(SensorHistory.DAY_NAMES[day], String(day))));
+            const storedDay = SensorHistory.getStoredDay();
+            daySelect.value = storedDay === null ? '' : String(storedDay);
+            daySelect.addEventListener('change', () => {
+                SensorHistory.setStoredDay(daySelect.value);
+                debugDataFlow('setupTimeWindowSelector', 'save-planned-day', { dayOfWeek: SensorHistory.getStoredDay() });
+            });
+        }
+
+        const toLabel = (hour) => `${hour % 12 || 12}:00 ${hour < 12 || hour === 24 ? 'AM' : 'PM'}`;
+        for (let hour = 0; hour < 24; hour++) startSelect.add(new Option(toLabel(hour), String(hour)));
+        for (let hour = 1; hour <= 24; hour++) endSelect.add(new Option(toLabel(hour), String(hour)));
+
+        const storedWindow = getStoredTimeWindow();
+        startSelect.value = String(storedWindow.startHour);
+        endSelect.value = String(storedWindow.endHour);
+
+        // Keeps the window valid (end after start) by moving the other end, then saves both hours.
+        function saveWindow(changedSelect) {
+            let startHour = parseInt(startSelect.value, 10);
+            let endHour = parseInt(endSelect.value, 10);
+            if (endHour <= startHour) {
+                if (changedSelect === startSelect) endHour = startHour + 1;
+                else startHour = endHour - 1;
+                startSelect.value = String(startHour);
+                endSelect.value = String(endHour);
+            }
+            localStorage.setItem('plannedStartHour', String(startHour));
+            localStorage.setItem('plannedEndHour', String(endHour));
+            debugDataFlow('setupTimeWindowSelector', 'save-time-window', { startHour, endHour });
+        }
+
+        startSelect.addEventListener('change', () => saveWindow(startSelect));
+        endSelect.addEventListener('change', () => saveWindow(endSelect));
+        saveWindow(null); // Persist the initial (possibly default) window so later pages agree with what was shown.
+    }
+
+    // Section: Quiz Thermal Comfort Options
+    // Purpose: Optional PMV/PPD inputs (clothing and activity) on the temperature step.
+    function setupThermalComfortOptions(quizContainerEl) {
+        const modelToggle = quizContainerEl ? quizContainerEl.querySelector('#thermalComfortModel') : null;
+        const clothingSelect = quizContainerEl ? quizContainerEl.querySelector('#clothingLevel') : null;
+        const activitySelect = quizContainerEl ? quizContainerEl.querySelector('#activityLevel') : null;
+        if (!modelToggle || !clothingSelect || !activitySelect) return; // Only the temperature step has these controls
+
+        Object.entries(clothingOptions).forEach(([value, option]) => clothingSelect.add(new Option(`${option.label} (${option.clo} clo)`, value)));
+        Object.entries(activityOptions).forEach(([value, option]) => activitySelect.add(new Option(`${option.label} (${option.met} met)`, value)));
+
+        const storedSettings = getStoredThermalComfortSettings();
+        modelToggle.checked = storedSettings.model === 'pmv';
+        clothingSelect.value = storedSettings.clothing;
+        activitySelect.value = storedSettings.activity;
+        const optionsPanel = modelToggle.closest('details');
+        if (optionsPanel && modelToggle.checked) optionsPanel.open = true;
+
+        function saveSettings() {
+            localStorage.setItem('temperatureModel', modelToggle.checked ? 'pmv' : DEFAULT_TEMPERATURE_MODEL);
+            localStorage.setItem('clothingLevel', clothingSelect.value);
+            localStorage.setItem('activityLevel', activitySelect.value);
+            debugDataFlow('setupThermalComfortOptions', 'save-thermal-comfort', getStoredThermalComfortSettings());
+        }
+
+        [modelToggle, clothingSelect, activitySelect].forEach(control => control.addEventListener('change', saveSettings));
+    }
+
+    // Section: Quiz Sensor Channel Steps
+    // Purpose: Builds a quiz step for a sensor channel (quiz-channel.html?channel=co2) from its definition in sensor_channels.js.
+
+    const SKIPPED_QUIZ_CHANNELS_KEY = 'skippedQuizChannels'; // JSON list of channel keys whose step was left out of the quiz
+
+    // Quiz pages in order; the channels asked (by default all of SensorChannels' QUIZ_CHANNELS) follow the temperature step.
+    function getQuizStepPages(quizChannels = SensorChannels.getQuizChannels()) {
+        const channelPages = quizChannels.map(channel => `quiz-channel.html?channel=${encodeURIComponent(channel.key)}`);
+        return ['quiz-step1.html', 'quiz-step2.html', 'quiz-step3.html', ...channelPages];
+    }
+
+    // Checks each quiz channel's data file. An answer for a channel without readings would be left out of the ranking,
+    // so its step is skipped and any earlier answer cleared. Resolves to the channels that are asked.
+    function loadAvailableQuizChannels() {
+        return Promise.all(SensorChannels.getQuizChannels().map(channel => fetch(channel.file)
+            .then(r => (r.ok ? r.text() : ''))
+            .catch(() => '')
+            .then(csv => ({ channel, isAvailable: csv.trim() !== '' }))))
+            .then(results => {
+                const skippedChannels = results.filter(result => !result.isAvailable).map(result => result.channel);
+                skippedChannels.forEach(channel => {
+                    console.warn(`[Quiz Page] ${channel.file} is not available. The ${channel.label} step is skipped.`);
+                    [channel.preferenceKey, channel.weightKey, channel.customRangeKey].forEach(key => localStorage.removeItem(key));
+                });
+                localStorage.setItem(SKIPPED_QUIZ_CHANNELS_KEY, JSON.stringify(skippedChannels.map(channel => channel.key)));
+                return results.filter(result => result.isAvailable).map(result => result.channel);
+            });
+    }
+
+    // Channels whose quiz step was skipped for missing data, for the results page.
+    function getSkippedQuizChannels() {
+        try {
+            const keys = JSON.parse(localStorage.getItem(SKIPPED_QUIZ_CHANNELS_KEY) || '[]');
+            return Array.isArray(keys) ? keys.map(key => SensorChannels.get(key)).filter(Boolean) : [];
+        } catch (e) {
+            console.warn(`Could not parse ${SKIPPED_QUIZ_CHANNELS_KEY} from localStorage`, e);
+            return [];
+        }
+    }
+
+    function renderChannelQuizStep(quizContainerEl, channel) {
+        document.title = `${channel.label} Preference - Find Your Best Spot`;
+        quizContainerEl.querySelector('h2.quiz-question').textContent = channel.quiz.question;
+
+        const optionsEl = quizContainerEl.querySelector('.quiz-options');
+        optionsEl.innerHTML = channel.quiz.options.map(value => `
+                <div class="radio-option">
+                    <input type="radio" id="${value}" name="${channel.preferenceKey}" value="${value}">
+                    <label for="${value}">
+                        <i class="${channel.descriptors[value].icon} option-icon"></i>
+                        <span class="option-text">${(channel.quiz.optionText && channel.quiz.optionText[value]) || channel.descriptors[value].text}</span>
+                    </label>
+                </div>`).join('') + `
+                <div class="radio-option custom-range-option">
+                    <input type="radio" id="${channel.key}-custom" name="${channel.preferenceKey}" value="${CUSTOM_PREFERENCE_VALUE}">
+                    <label for="${channel.key}-custom">
+                        <i class="fas fa-sliders-h option-icon"></i>
+                        <span class="option-text">Advanced: set my own ${channel.unit} range</span>
+                    </label>
+                    <div class="custom-range-sliders"></div>
+                </div>`;
+
+        const importanceEl = quizContainerEl.querySelector('.importance-selector');
+        if (importanceEl) {
+            importanceEl.querySelector('.importance-question').textContent = channel.quiz.importanceQuestion;
+            importanceEl.querySelector('.importance-options').innerHTML = Object.entries(preferenceWeightOptions).map(([value, option]) => `
+                    <input type="radio" id="${channel.key}-weight-${value}" name="${channel.weightKey}" value="${value}">
+                    <label for="${channel.key}-weight-${value}">${option.label}</label>`).join('');
+        }
+    }
+
+    // Section: Quiz Group Mode
+    // Purpose: In group mode, shows who is answering, asks for their name and lets the group add more members.
+    function setupGroupMemberBanner(quizContainerEl, currentStep, isLastStep, preferenceType) {
+        if (!quizContainerEl || !isGroupMode()) return;
+
+        const profiles = getGroupProfiles();
+        const memberName = localStorage.getItem('groupMemberName') || `Member ${profiles.length + 1}`;
+        const banner = document.createElement('div');
+        banner.className = 'group-member-banner';
+        banner.innerHTML = `
+            <p><i class="fas fa-users"></i> Group session · answering as <strong class="group-member-current">${escapeHTML(memberName)}</strong></p>
+            ${profiles.length > 0 ? `<p class="group-member-saved">Already saved: ${profiles.map(p => escapeHTML(p.name)).join(', ')}</p>` : ''}`;
+
+        // The first step asks for the member's name.
+        if (currentStep === 1) {
+            const nameLabel = document.createElement('label');
+            nameLabel.className = 'group-member-name';
+            nameLabel.innerHTML = `Your name <input type="text" id="groupMemberName" maxlength="40" placeholder="Member ${profiles.length + 1}">`;
+            const nameInput = nameLabel.querySelector('input');
+            nameInput.value = localStorage.getItem('groupMemberName') || '';
+            nameInput.addEventListener('input', () => {
+                const trimmedName = nameInput.value.trim();
+                if (trimmedName) localStorage.setItem('groupMemberName', trimmedName);
+                else localStorage.removeItem('groupMemberName');
+                banner.querySelector('.group-member-current').textContent = trimmedName || `Member ${profiles.length + 1}`;
+            });
+            banner.appendChild(nameLabel);
+        }
+
+        const progressIndicator = quizContainerEl.querySelector('.progress-indicator');
+        quizContainerEl.insertBefore(banner, progressIndicator ? progressIndicator.nextSibling : quizContainerEl.firstChild);
+
+        // The last step lets the group save this member and start the quiz for the next one.
+        const navigation = quizContainerEl.querySelector('.quiz-navigation');
+        if (isLastStep && navigation) {
+            const addMemberBtn = document.createElement('button');
+            addMemberBtn.type = 'button';
+            addMemberBtn.className = 'add-member-btn';
+            addMemberBtn.innerHTML = '<i class="fas fa-user-plus"></i> Save & Add Another Member';
+            addMemberBtn.addEventListener('click', () => {
+                if (!localStorage.getItem(preferenceType)) {
+                    alert('Please answer this question before adding another member.'); // AI: Consider custom modal
+                    return;
+                }
+                saveCurrentAnswersAsGroupProfile();
+                clearCurrentQuizAnswers();
+                window.location.href = 'quiz-step1.html';
+            });
+            navigation.insertBefore(addMemberBtn, navigation.firstChild);
+        }
+    }
+
     // Section: Progress Indicator
     // Purpose: Updates the visual progress indicator for multi-step processes (e.g., quiz).
-    function updateProgressIndicator(currentStep) {
+    // The markup's steps are matched to the flow: missing sensor channel steps are appended, and steps the flow skips are removed.
+    function updateProgressIndicator(currentStep, totalSteps = 0) {
+        const indicator = document.querySelector('.progress-indicator');
+        for (let stepNumber = indicator ? indicator.querySelectorAll('.step').length + 1 : totalSteps + 1; stepNumber <= totalSteps; stepNumber++) {
+            indicator.insertAdjacentHTML('beforeend', `<div class="step-line"></div><div class="step">${stepNumber}</div>`);
+        }
+        if (indicator && totalSteps > 0) {
+            [...indicator.querySelectorAll('.step')].slice(totalSteps).forEach(step => {
+                const line = step.previousElementSibling;
+                if (line && line.classList.contains('step-line')) line.remove();
+                step.remove();
+            });
+        }
+
         const steps = document.querySelectorAll('.progress-indicator .step');
         steps.forEach((step, index) => {
             const stepNumber = index + 1;
@@ -1207,10 +2113,14 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         let preferenceTypeForPage = '';
+        // Sensor channel steps are built from the channel definition named in the URL.
+        const quizChannel = quizContainer.hasAttribute('data-channel-quiz') ? SensorChannels.get(urlParams.get('channel')) : null;
+        if (quizChannel && quizChannel.quiz) renderChannelQuizStep(quizContainer, quizChannel);
         const questionText = h2Element.textContent.toLowerCase().trim();
 
-        // Determine preference type based on the question text.
-        if (questionText.includes('lighting')) preferenceTypeForPage = 'lightingPreference';
+        // Determine preference type based on the channel, or the question text.
+        if (quizChannel && quizChannel.quiz) preferenceTypeForPage = quizChannel.preferenceKey;
+        else if (questionText.includes('lighting')) preferenceTypeForPage = 'lightingPreference';
         else if (questionText.includes('space for')) preferenceTypeForPage = 'spaceUsagePreference';
         else if (questionText.includes('temperature preference')) preferenceTypeForPage = 'temperaturePreference';
         else {
@@ -1225,69 +2135,111 @@ document.addEventListener('DOMContentLoaded', () => {
             localStorage.removeItem('lightingPreference');
             localStorage.removeItem('spaceUsagePreference');
             localStorage.removeItem('temperaturePreference');
+            sensorChannels.forEach(channel => localStorage.removeItem(channel.preferenceKey));
+            Object.values(preferenceWeightKeys).forEach(weightKey => localStorage.removeItem(weightKey));
+            Object.values(customRangeKeys).forEach(rangeKey => localStorage.removeItem(rangeKey));
+            localStorage.removeItem('plannedStartHour');
+            localStorage.removeItem('plannedEndHour');
+            SensorHistory.setStoredDay(null);
             localStorage.removeItem('lightProcessedData');
             localStorage.removeItem('noiseProcessedData');
             localStorage.removeItem('temperatureProcessedData');
+            sensorChannels.forEach(channel => localStorage.removeItem(channel.processedDataKey));
             localStorage.removeItem('finalRecommendations');
+            localStorage.removeItem('groupMemberName');
+            localStorage.removeItem('groupProfiles');
+            // "?mode=group" starts a group session; any other new quiz is a single-person one.
+            if (urlParams.get('mode') === 'group') localStorage.setItem('groupMode', 'true');
+            else localStorage.removeItem('groupMode');
         }
 
-        // Update progress indicator based on the current step.
-        let currentStep = 0;
-        if (preferenceTypeForPage === 'lightingPreference') currentStep = 1;
-        else if (preferenceTypeForPage === 'spaceUsagePreference') currentStep = 2;
-        else if (preferenceTypeForPage === 'temperaturePreference') currentStep = 3;
-        if (currentStep > 0) updateProgressIndicator(currentStep);
-
-        if (preferenceTypeForPage) {
-            let csvFile = null, localProcessDataFn = null, nextPage = '';
-            // Configure CSV file, processing function, and next page URL based on preference type.
-            if (preferenceTypeForPage === 'lightingPreference') {
-                // AI: CSV Error in Samba Lights Data Processing - This is where samba_lights.csv is specified.
-                csvFile = 'samba_lights.csv';
-                localProcessDataFn = processLightData;
-                nextPage = 'quiz-step2.html';
-            } else if (preferenceTypeForPage === 'spaceUsagePreference') {
-                csvFile = 'samba_noise.csv';
-                localProcessDataFn = processNoiseData;
-                nextPage = 'quiz-step3.html';
-            } else if (preferenceTypeForPage === 'temperaturePreference') {
-                csvFile = 'samba_TA.csv';
-                localProcessDataFn = processTemperatureData;
-                nextPage = 'results.html'; // This will be changed to loading.html by setupQuizInteractions
-            }
-            console.log('[Quiz Page Logic] Next page URL determined:', nextPage);
-
-            // Fetch and process CSV data if not already in localStorage.
-            // Note: This fetches data on each quiz step page load. Consider optimizing if data is large/static.
-            if (csvFile && localProcessDataFn) {
-                fetch(csvFile)
-                    .then(response => {
-                        if (!response.ok) throw new Error(`File ${csvFile} not found (${response.status})`);
-                        return response.text();
-                    })
-                    .then(csvString => {
-                        if (csvString.trim() === "") throw new Error(`${csvFile} is empty.`);
-                        const processedData = localProcessDataFn(csvString);
-                        const storageKey = preferenceTypeForPage.replace('Preference', 'ProcessedData');
-                        localStorage.setItem(storageKey, JSON.stringify(processedData || []));
-                        // AI: Debugging a Broken "Next" Button - setupQuizInteractions is called here.
-                        setupQuizInteractions(quizOptionsContainer, nextButton, preferenceTypeForPage, nextPage);
-                    })
-                    .catch(error => {
-                        // AI: CSV Error in Samba Lights Data Processing (and other CSVs) - Error handling for fetch/process.
-                        console.error(`[Quiz Page] CSV Error for ${preferenceTypeForPage} (${csvFile}): ${error.message}.`);
-                        // Still setup interactions, but data might be missing, affecting recommendations.
-                        // AI: Debugging a Broken "Next" Button - setupQuizInteractions is called even on error.
-                        setupQuizInteractions(quizOptionsContainer, nextButton, preferenceTypeForPage, nextPage);
-                    });
-            } else {
-                // AI: Debugging a Broken "Next" Button - setupQuizInteractions is called if no CSV processing needed.
-                setupQuizInteractions(quizOptionsContainer, nextButton, preferenceTypeForPage, nextPage);
+        // Channel steps whose data file is missing are left out, so the progress, button label and next page wait for that check.
+        loadAvailableQuizChannels().then(availableQuizChannels => {
+            // Update progress indicator based on the current step.
+            const quizStepPages = getQuizStepPages(availableQuizChannels);
+            let currentStep = 0;
+            if (preferenceTypeForPage === 'lightingPreference') currentStep = 1;
+            else if (preferenceTypeForPage === 'spaceUsagePreference') currentStep = 2;
+            else if (preferenceTypeForPage === 'temperaturePreference') currentStep = 3;
+            else if (quizChannel && preferenceTypeForPage) {
+                if (SensorChannels.getQuizChannels().includes(quizChannel) && !availableQuizChannels.includes(quizChannel)) {
+                    window.location.replace(quizStepPages[quizStepPages.length - 1]); // Skipped step: finish from the last step asked
+                    return;
+                }
+                const channelStepIndex = availableQuizChannels.indexOf(quizChannel);
+                currentStep = channelStepIndex >= 0 ? 4 + channelStepIndex : quizStepPages.length + 1; // A channel outside the flow is an extra last step
             }
-        } else if (nextButton) { // If preferenceTypeForPage couldn't be determined
-            nextButton.disabled = true;
-            nextButton.classList.remove('next-btn-active');
-        }
+            const totalSteps = Math.max(quizStepPages.length, currentStep);
+            const isLastQuizStep = currentStep === totalSteps;
+            if (currentStep > 0) {
+                updateProgressIndicator(currentStep, totalSteps);
+                // The last step's button starts the search, whichever page that is.
+                nextButton.innerHTML = isLastQuizStep ? 'Find My Best Spot Now! <i class="fas fa-arrow-right"></i>' : 'Next <i class="fas fa-arrow-right"></i>';
+            }
+            const backLink = document.querySelector('header .back-btn');
+            if (quizChannel && backLink && currentStep > 1) backLink.href = quizStepPages[currentStep - 2] || 'quiz-step3.html';
+            setupImportanceSelector(quizContainer, preferenceTypeForPage);
+            setupCustomRangeSliders(quizContainer, preferenceTypeForPage);
+            setupTimeWindowSelector(quizContainer);
+            setupThermalComfortOptions(quizContainer);
+            setupGroupMemberBanner(quizContainer, currentStep, isLastQuizStep, preferenceTypeForPage);
+
+            if (preferenceTypeForPage) {
+                let csvFile = null, localProcessDataFn = null, nextPage = '';
+                // Configure CSV file, processing function, and next page URL based on preference type.
+                if (preferenceTypeForPage === 'lightingPreference') {
+                    // AI: CSV Error in Samba Lights Data Processing - This is where samba_lights.csv is specified.
+                    csvFile = 'samba_lights.csv';
+                    localProcessDataFn = processLightData;
+                    nextPage = 'quiz-step2.html';
+                } else if (preferenceTypeForPage === 'spaceUsagePreference') {
+                    csvFile = 'samba_noise.csv';
+                    localProcessDataFn = processNoiseData;
+                    nextPage = 'quiz-step3.html';
+                } else if (preferenceTypeForPage === 'temperaturePreference') {
+                    csvFile = 'samba_TA.csv';
+                    localProcessDataFn = processTemperatureData;
+                    nextPage = quizStepPages[currentStep] || 'results.html'; // results.html is changed to loading.html by setupQuizInteractions
+                } else if (quizChannel) {
+                    csvFile = quizChannel.file;
+                    localProcessDataFn = (csvString) => processChannelData(quizChannel, csvString);
+                    nextPage = quizStepPages[currentStep] || 'results.html';
+                }
+                console.log('[Quiz Page Logic] Next page URL determined:', nextPage);
+
+                // Fetch and process CSV data if not already in localStorage.
+                // Note: This fetches data on each quiz step page load. Consider optimizing if data is large/static.
+                if (csvFile && localProcessDataFn) {
+                    fetch(csvFile)
+                        .then(response => {
+                            if (!response.ok) throw new Error(`File ${csvFile} not found (${response.status})`);
+                            return response.text();
+                        })
+                        .then(csvString => {
+                            if (csvString.trim() === "") throw new Error(`${csvFile} is empty.`);
+                            const processedData = localProcessDataFn(csvString);
+                            const storageKey = preferenceTypeForPage.replace('Preference', 'ProcessedData');
+                            localStorage.setItem(storageKey, JSON.stringify(processedData || []));
+                            // AI: Debugging a Broken "Next" Button - setupQuizInteractions is called here.
+                            setupQuizInteractions(quizOptionsContainer, nextButton, preferenceTypeForPage, nextPage);
+                        })
+                        .catch(error => {
+                            // AI: CSV Error in Samba Lights Data Processing (and other CSVs) - Error handling for fetch/process.
+                            // Channel files are optional, so a missing one is only a warning.
+                            (quizChannel ? console.warn : console.error)(`[Quiz Page] CSV Error for ${preferenceTypeForPage} (${csvFile}): ${error.message}.`);
+                            // Still setup interactions, but data might be missing, affecting recommendations.
+                            // AI: Debugging a Broken "Next" Button - setupQuizInteractions is called even on error.
+                            setupQuizInteractions(quizOptionsContainer, nextButton, preferenceTypeForPage, nextPage);
+                        });
+                } else {
+                    // AI: Debugging a Broken "Next" Button - setupQuizInteractions is called if no CSV processing needed.
+                    setupQuizInteractions(quizOptionsContainer, nextButton, preferenceTypeForPage, nextPage);
+                }
+            } else if (nextButton) { // If preferenceTypeForPage couldn't be determined
+                nextButton.disabled = true;
+                nextButton.classList.remove('next-btn-active');
+            }
+        });
     }
 
 
@@ -1311,6 +2263,22 @@ document.addEventListener('DOMContentLoaded', () => {
         const lightingPref = localStorage.getItem('lightingPreference');
         const spaceUsagePref = localStorage.getItem('spaceUsagePreference');
         const temperaturePref = localStorage.getItem('temperaturePreference');
+        const channelPreferences = getStoredChannelPreferences();
+        const preferenceWeights = getStoredPreferenceWeights();
+        const customRanges = getStoredCustomRanges();
+        const plannedTimeWindow = getStoredTimeWindow();
+        const scoringModel = getStoredScoringModel();
+        const stabilityOptions = { enabled: isStabilityPenaltyEnabled() };
+        const thermalComfortSettings = { ...getStoredThermalComfortSettings(), relativeHumidity: ApparentTemperature.getStoredRelativeHumidity() };
+        const groupProfiles = isGroupMode() ? getGroupProfiles() : [];
+        const isGroupSession = groupProfiles.length > 0;
+        // In a group session a dataset is needed as soon as any member cares about it.
+        const needsLightData = Boolean(lightingPref) || groupProfiles.some(p => p.lightingPreference);
+        const needsNoiseData = Boolean(spaceUsagePref) || groupProfiles.some(p => p.spaceUsagePreference);
+        const needsTemperatureData = Boolean(temperaturePref) || groupProfiles.some(p => p.temperaturePreference);
+        const neededChannelKeys = sensorChannels
+            .filter(channel => channelPreferences[channel.key] || groupProfiles.some(p => p.channelPreferences && p.channelPreferences[channel.key]))
+            .map(channel => channel.key);
 
         const dataPromises = [];
         let lightProcessedData = JSON.parse(localStorage.getItem('lightProcessedData') || '[]');
@@ -1318,12 +2286,13 @@ document.addEventListener('DOMContentLoaded', () => {
         let temperatureProcessedData = JSON.parse(localStorage.getItem('temperatureProcessedData') || '[]');
 
         // Fetch light data if preference selected and not already processed.
-        if (lightProcessedData.length === 0 && lightingPref) {
+        if (lightProcessedData.length === 0 && needsLightData) {
             // AI: CSV Error in Samba Lights Data Processing - Fetching samba_lights.csv on loading page.
             dataPromises.push(
                 fetch('samba_lights.csv')
                     .then(r => { if (!r.ok) throw new Error(`CSV Error (samba_lights.csv): ${r.status}`); return r.text(); })
                     .then(csv => {
+                        validateDatasetCsv('light', csv);
                         lightProcessedData = processLightData(csv);
                         localStorage.setItem('lightProcessedData', JSON.stringify(lightProcessedData));
                         return lightProcessedData;
@@ -1334,11 +2303,12 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         // Fetch noise data if preference selected and not already processed.
-        if (noiseProcessedData.length === 0 && spaceUsagePref) {
+        if (noiseProcessedData.length === 0 && needsNoiseData) {
             dataPromises.push(
                 fetch('samba_noise.csv')
                     .then(r => { if (!r.ok) throw new Error(`CSV Error (samba_noise.csv): ${r.status}`); return r.text(); })
                     .then(csv => {
+                        validateDatasetCsv('noise', csv);
                         noiseProcessedData = processNoiseData(csv);
                         localStorage.setItem('noiseProcessedData', JSON.stringify(noiseProcessedData));
                         return noiseProcessedData;
@@ -1348,16 +2318,81 @@ document.addEventListener('DOMContentLoaded', () => {
             dataPromises.push(Promise.resolve(noiseProcessedData));
         }
 
-        // Fetch "feels like" temperature lookup data and then temperature data if needed.
+        // Sensor channel files are optional. Every channel with a file is loaded so its readings show on the cards;
+        // a missing file leaves that channel out, and a broken one only stops loading when someone ranks by it.
+        const channelProcessedData = {};
+        dataPromises.push(Promise.all(sensorChannels.map(channel => {
+            const cachedData = JSON.parse(localStorage.getItem(channel.processedDataKey) || '[]');
+            if (cachedData.length > 0) {
+                channelProcessedData[channel.key] = cachedData;
+                return Promise.resolve(cachedData);
+            }
+            return fetch(channel.file)
+                .then(r => { if (!r.ok) throw new Error(`${channel.file} not available (${r.status})`); return r.text(); })
+                .catch(error => {
+                    console.warn(`[Sensor Channels] ${error.message}. ${channel.label} readings will not be used.`);
+                    return '';
+                })
+                .then(csv => {
+                    if (csv.trim() === '') return [];
+                    try {
+                        validateDatasetCsv(channel.key, csv);
+                    } catch (error) {
+                        if (neededChannelKeys.includes(channel.key)) throw error;
+                        console.warn(`[Sensor Channels] ${error.message} ${channel.label} readings will not be used.`);
+                        return [];
+                    }
+                    const processedData = processChannelData(channel, csv);
+                    localStorage.setItem(channel.processedDataKey, JSON.stringify(processedData));
+                    return processedData;
+                })
+                .then(processedData => {
+                    channelProcessedData[channel.key] = processedData;
+                    return processedData;
+                });
+        })));
+
+        // With a planned weekday, that day's profile from the multi-day readings file (when there is one) replaces
+        // the typical-day data below. The file is optional, and rows it cannot read are skipped with a warning.
+        let sensorHistory = null;
+        if (plannedTimeWindow.dayOfWeek !== null) {
+            dataPromises.push(
+                fetch(SensorHistory.READINGS_FILE)
+                    .then(r => { if (!r.ok) throw new Error(`${SensorHistory.READINGS_FILE} not available (${r.status})`); return r.text(); })
+                    .then(readingsCsv => {
+                        const history = SensorHistory.parse(readingsCsv);
+                        if (history.errorCount > 0) {
+                            const firstError = history.errors[0];
+                            console.warn(`[Sensor History] Skipped ${history.errorCount} unreadable row(s) in ${SensorHistory.READINGS_FILE}, first on line ${firstError.line}: ${firstError.message}`);
+                        }
+                        sensorHistory = history.readingCount > 0 ? history : null;
+                        return null;
+                    })
+                    .catch(error => {
+                        console.warn(`[Sensor History] ${error.message}. Using the typical-day data for every day.`);
+                        return null;
+                    })
+            );
+        }
+
+        // Fetch "feels like" temperature lookup data (computed locally when the CSV is missing) and then temperature data if needed.
         dataPromises.push(
             fetch('ta_Feels_Like_Temperature.csv')
                 .then(r => { if (!r.ok) throw new Error(`CSV Error (ta_Feels_Like_Temperature.csv): ${r.status}`); return r.text(); })
-                .then(fLCsv => {
-                    const fLLookup = processFeelsLikeLookup(fLCsv);
-                    if (temperatureProcessedData.length === 0 && temperaturePref) {
+                .then(fLCsv => processFeelsLikeLookup(fLCsv))
+                .catch(error => {
+                    console.warn(`${error.message}. Using the built-in apparent-temperature calculator instead.`);
+                    return [];
+                })
+                .then(fLCsvLookup => {
+                    const isComputedLookup = fLCsvLookup.length === 0;
+                    const fLLookup = isComputedLookup ? buildComputedFeelsLikeLookup() : fLCsvLookup;
+                    localStorage.setItem('feelsLikeSource', isComputedLookup ? 'computed' : 'table');
+                    if (temperatureProcessedData.length === 0 && needsTemperatureData) {
                         return fetch('samba_TA.csv')
                             .then(r => { if (!r.ok) throw new Error(`CSV Error (samba_TA.csv): ${r.status}`); return r.text(); })
                             .then(tmpCsv => {
+                                validateDatasetCsv('temperature', tmpCsv);
                                 temperatureProcessedData = processTemperatureData(tmpCsv);
                                 localStorage.setItem('temperatureProcessedData', JSON.stringify(temperatureProcessedData));
                                 return { fLLookup, tmpPData: temperatureProcessedData };
@@ -1383,34 +2418,110 @@ document.addEventListener('DOMContentLoaded', () => {
                      fLLookup = []; // Ensure fLLookup is an empty array if not found
                 }
 
+                // Swap in the planned weekday's profile for every dataset that has readings on that day.
+                const dayProfileLabels = [];
+                if (sensorHistory) {
+                    const dayOfWeek = plannedTimeWindow.dayOfWeek;
+                    const toDayData = (metric, processFn) => {
+                        const dayCsv = SensorHistory.toDayCsv(sensorHistory, metric, dayOfWeek);
+                        const dayData = dayCsv ? processFn(dayCsv) : [];
+                        return dayData.length > 0 ? dayData : null;
+                    };
+                    const dayLight = toDayData('light', processLightData);
+                    const dayNoise = toDayData('noise', processNoiseData);
+                    const dayTemperature = toDayData('temperature', processTemperatureData);
+                    if (dayLight) { lightProcessedData = dayLight; dayProfileLabels.push('light'); }
+                    if (dayNoise) { noiseProcessedData = dayNoise; dayProfileLabels.push('noise'); }
+                    if (dayTemperature) { temperatureProcessedData = dayTemperature; dayProfileLabels.push('temperature'); }
+                    sensorChannels.forEach(channel => {
+                        const dayChannel = toDayData(channel.key, csv => processChannelData(channel, csv));
+                        if (dayChannel) { channelProcessedData[channel.key] = dayChannel; dayProfileLabels.push(channel.label); }
+                    });
+                    debugDataFlow('loading-page', 'day-profiles', { dayOfWeek, datasets: dayProfileLabels });
+                }
+                const plannedTimeHTML = `<li><i class="fas fa-clock preference-icon"></i> <span class="preference-label">Planned time:</span> <span class="preference-value">${formatTimeWindow(plannedTimeWindow)}</span>${
+                    plannedTimeWindow.dayOfWeek === null ? ''
+                        : dayProfileLabels.length > 0 ? ` <small>(${SensorHistory.DAY_NAMES[plannedTimeWindow.dayOfWeek]} profile for ${dayProfileLabels.join(', ')})</small>`
+                        : ' <small>(no day-by-day readings yet, using a typical day)</small>'
+                }</li>`;
+
 
                 // Display selected preferences summary.
                 const preferencesDisplayElement = document.querySelector('.preferences-summary');
                 if (preferencesDisplayElement) {
-                    const getD = (v) => preferenceDisplayMap[v] || preferenceDisplayMap['Not specified'];
+                    const getD = (v, preferenceType = null, customRange) => getPreferenceDisplay(preferenceType, v, customRange);
                     let prefsHTML = `<p><strong>Your Preferences:</strong></p><ul>`;
-                    if (lightingPref) prefsHTML += `<li><i class="${getD(lightingPref).icon} preference-icon"></i> <span class="preference-label">Lighting:</span> <span class="preference-value">${getD(lightingPref).text}</span></li>`;
-                    if (spaceUsagePref) prefsHTML += `<li><i class="${getD(spaceUsagePref).icon} preference-icon"></i> <span class="preference-label">Space Usage:</span> <span class="preference-value">${getD(spaceUsagePref).text}</span></li>`;
-                    if (temperaturePref) prefsHTML += `<li><i class="${getD(temperaturePref).icon} preference-icon"></i> <span class="preference-label">Temperature:</span> <span class="preference-value">${getD(temperaturePref).text}</span></li>`;
+                    const getW = (w) => `<span class="preference-weight">${getWeightLabel(w)}</span>`;
+                    const lightD = getD(lightingPref, 'lightingPreference', customRanges.light);
+                    const noiseD = getD(spaceUsagePref, 'spaceUsagePreference', customRanges.noise);
+                    const tempD = getD(temperaturePref, 'temperaturePreference', customRanges.temp);
+                    if (lightingPref) prefsHTML += `<li><i class="${lightD.icon} preference-icon"></i> <span class="preference-label">Lighting:</span> <span class="preference-value">${lightD.text}</span>${getW(preferenceWeights.light)}</li>`;
+                    if (spaceUsagePref) prefsHTML += `<li><i class="${noiseD.icon} preference-icon"></i> <span class="preference-label">Space Usage:</span> <span class="preference-value">${noiseD.text}</span>${getW(preferenceWeights.noise)}</li>`;
+                    if (temperaturePref) prefsHTML += `<li><i class="${tempD.icon} preference-icon"></i> <span class="preference-label">Temperature:</span> <span class="preference-value">${tempD.text}</span>${getW(preferenceWeights.temp)}</li>`;
+                    if (temperaturePref && thermalComfortSettings.model === 'pmv') prefsHTML += `<li><i class="fas fa-user preference-icon"></i> <span class="preference-label">Thermal comfort:</span> <span class="preference-value">PMV for ${clothingOptions[thermalComfortSettings.clothing].label.toLowerCase()}, ${activityOptions[thermalComfortSettings.activity].label.toLowerCase()}</span></li>`;
+                    sensorChannels.filter(channel => channelPreferences[channel.key]).forEach(channel => {
+                        const channelD = getD(channelPreferences[channel.key], channel.preferenceKey, customRanges[channel.key]);
+                        const noDataNote = (channelProcessedData[channel.key] || []).length === 0 ? ' <small>(no sensor data yet, not used in ranking)</small>' : '';
+                        prefsHTML += `<li><i class="${channelD.icon} preference-icon"></i> <span class="preference-label">${channel.label}:</span> <span class="preference-value">${channelD.text}</span>${getW(preferenceWeights[channel.key])}${noDataNote}</li>`;
+                    });
+                    prefsHTML += plannedTimeHTML;
                     prefsHTML += `</ul>`;
-                    if (!lightingPref && !spaceUsagePref && !temperaturePref) {
+                    if (!lightingPref && !spaceUsagePref && !temperaturePref && Object.keys(channelPreferences).length === 0) {
                         prefsHTML = `<p><strong>No specific preferences selected.</strong></p><p>We'll show general recommendations.</p>`;
                     }
+                    if (isGroupSession) {
+                        prefsHTML = `<p><strong>Your Group (${groupProfiles.length} ${groupProfiles.length === 1 ? 'member' : 'members'}):</strong></p><ul>`;
+                        groupProfiles.forEach(profile => {
+                            const memberRanges = profile.customRanges || {};
+                            const memberPrefs = [
+                                profile.lightingPreference && getD(profile.lightingPreference, 'lightingPreference', memberRanges.light).text,
+                                profile.spaceUsagePreference && getD(profile.spaceUsagePreference, 'spaceUsagePreference', memberRanges.noise).text,
+                                profile.temperaturePreference && getD(profile.temperaturePreference, 'temperaturePreference', memberRanges.temp).text,
+                                ...Object.entries(profile.channelPreferences || {}).map(([key, value]) => getD(value, `${key}Preference`, memberRanges[key]).text)
+                            ].filter(Boolean);
+                            prefsHTML += `<li><i class="fas fa-user preference-icon"></i> <span class="preference-label">${escapeHTML(profile.name)}:</span> <span class="preference-value">${memberPrefs.join(' · ') || 'No specific preferences'}</span></li>`;
+                        });
+                        prefsHTML += `<li><i class="fas fa-users preference-icon"></i> <span class="preference-label">Ranked by:</span> <span class="preference-value">${groupObjectiveOptions[getStoredGroupObjective()].label}</span></li>`;
+                        prefsHTML += `${plannedTimeHTML}</ul>`;
+                    }
                     preferencesDisplayElement.innerHTML = prefsHTML;
                 }
 
                 const hasAnyZoneData = lightProcessedData.length > 0 || noiseProcessedData.length > 0 || temperatureProcessedData.length > 0;
-                if (!hasAnyZoneData && (lightingPref || spaceUsagePref || temperaturePref)) {
+                if (!hasAnyZoneData && (needsLightData || needsNoiseData || needsTemperatureData)) {
                     throw new Error("Environmental data for zones could not be loaded, but preferences were selected. Please check CSV files.");
                 }
 
-                // Code for Calculating final recommendations.
-                const finalRecommendations = calculateFinalRecommendations(
-                    lightingPref, spaceUsagePref, temperaturePref,
-                    { light: lightProcessedData, noise: noiseProcessedData, temperature: temperatureProcessedData },
-                    { lighting: lightingThresholds, noise: noiseWorkTypeThresholds, temperature: temperatureThresholds },
-                    fLLookup
-                );
+                // Code for Calculating final recommendations (for one person, or combined for a group).
+                const processedDataForScoring = { light: lightProcessedData, noise: noiseProcessedData, temperature: temperatureProcessedData, channels: channelProcessedData };
+                const thresholdsForScoring = {
+                    lighting: lightingThresholds, noise: noiseWorkTypeThresholds, temperature: temperatureThresholds,
+                    ...Object.fromEntries(sensorChannels.map(channel => [channel.key, channel.thresholds]))
+                };
+                const finalRecommendations = isGroupSession
+                    ? calculateGroupRecommendations(
+                        groupProfiles, processedDataForScoring, thresholdsForScoring, fLLookup,
+                        { timeWindow: plannedTimeWindow, groupObjective: getStoredGroupObjective(), scoringModel: scoringModel, stability: stabilityOptions, thermalComfort: thermalComfortSettings }
+                    )
+                    : calculateFinalRecommendations(
+                        lightingPref, spaceUsagePref, temperaturePref,
+                        processedDataForScoring, thresholdsForScoring, fLLookup,
+                        { weights: preferenceWeights, timeWindow: plannedTimeWindow, customRanges: customRanges, scoringModel: scoringModel, stability: stabilityOptions, thermalComfort: thermalComfortSettings, channelPreferences: channelPreferences }
+                    );
+
+                // Rank the same data with the other scoring model so the results page can show how the two compare.
+                if (!isGroupSession) {
+                    const comparisonModel = scoringModel === 'proximity' ? 'flat' : 'proximity';
+                    const comparisonRecommendations = calculateFinalRecommendations(
+                        lightingPref, spaceUsagePref, temperaturePref,
+                        processedDataForScoring, thresholdsForScoring, fLLookup,
+                        { weights: preferenceWeights, timeWindow: plannedTimeWindow, customRanges: customRanges, scoringModel: comparisonModel, stability: stabilityOptions, thermalComfort: thermalComfortSettings, channelPreferences: channelPreferences }
+                    );
+                    finalRecommendations.forEach(rec => {
+                        const comparisonRec = comparisonRecommendations.find(other => other.zoneId === rec.zoneId);
+                        if (comparisonRec) rec.modelComparison = { scoringModel: comparisonModel, rankPosition: comparisonRec.rankPosition, comfortScore: comparisonRec.comfortScore };
+                    });
+                }
                 localStorage.setItem('finalRecommendations', JSON.stringify(finalRecommendations));
 
                 // Navigate to results page after minimum loading time.
@@ -1422,9 +2533,9 @@ document.addEventListener('DOMContentLoaded', () => {
             .catch(error => {
                 // AI: Troubleshooting Application Loading Page Errors - This is the main error handler for the loading page.
                 console.error("Loading Page Error:", error.message, error.stack);
-                const errorDisplayArea = document.getElementById('loading-error-message') || loadingStatusElement; // Fallback to loadingStatusElement
+                const errorDisplayArea = document.getElementById('loading-error-message') || document.getElementById('loading-error') || loadingStatusElement; // Fallback to loadingStatusElement
                 if (errorDisplayArea) {
-                     errorDisplayArea.innerHTML = `<i class="fas fa-exclamation-triangle"></i> Error: ${error.message}. Please try <a href="index.html?start=new" style="color: inherit; text-decoration: underline;">restarting the quiz</a>.`;
+                     errorDisplayArea.innerHTML = `<i class="fas fa-exclamation-triangle"></i> Error: ${escapeHTML(error.message.replace(/\.$/, ''))}. Please try <a href="index.html?start=new" style="color: inherit; text-decoration: underline;">restarting the quiz</a> or check the <a href="diagnostics.html" style="color: inherit; text-decoration: underline;">data diagnostics</a>.`;
                     errorDisplayArea.style.color = 'red';
                     errorDisplayArea.style.textAlign = 'center';
                     errorDisplayArea.style.display = 'block';
@@ -1438,6 +2549,77 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
 
+    // Section: Score Breakdown Panel
+    // Purpose: Builds the expandable "Why this zone?" panel shared by the results and zone details pages.
+    const breakdownCriteriaConfig = [
+        { key: 'light', label: 'Light', unit: 'lux', icon: 'fas fa-lightbulb', decimals: 0 },
+        { key: 'noise', label: 'Noise', unit: 'dB', icon: 'fas fa-volume-up', decimals: 1 },
+        { key: 'temp', label: 'Temperature', unit: '°C', icon: 'fas fa-thermometer-half', decimals: 1 },
+        ...sensorChannels.map(channel => ({ key: channel.key, label: channel.label, unit: channel.unit, icon: channel.icon, decimals: channel.decimals }))
+    ];
+    const breakdownMetricOverrides = { // Criteria scored on a derived metric instead of the raw reading
+        pmv: { label: 'Thermal comfort (PMV)', unit: '', decimals: 2 }
+    };
+
+    function buildScoreBreakdownHTML(rec) {
+        const breakdown = rec && rec.scoreBreakdown;
+        if (!breakdown || !breakdown.criteria) return '';
+
+        const rows = breakdownCriteriaConfig
+            .filter(baseConfig => breakdown.criteria[baseConfig.key])
+            .map(baseConfig => {
+                const item = breakdown.criteria[baseConfig.key];
+                const config = { ...baseConfig, ...(breakdownMetricOverrides[item.metric] || {}) };
+                const penaltyFactor = item.penaltyFactor || PENALTY_OUT_OF_RANGE_FACTOR;
+                const formatValue = (value) => `${parseFloat(value).toFixed(config.decimals)} ${config.unit}`.trim();
+                const valueText = item.value === 'N/A' ? 'No data' : formatValue(item.value);
+                let deviationText;
+                if (item.deviation === null) deviationText = '—';
+                else if (item.deviation === 0) deviationText = '<span class="breakdown-in-range">In range</span>';
+                else deviationText = `${item.value < item.min ? 'Below' : 'Above'} by ${formatValue(item.deviation)}`;
+
+                const isProximity = breakdown.scoringModel === 'proximity';
+                let penaltyText;
+                if (item.deviation === null) penaltyText = `−${item.penalty} (no data)`;
+                else if (item.penalty === 0) penaltyText = '0';
+                else if (item.deviation === 0 && item.stabilityPenalty > 0 && item.penalty === item.stabilityPenalty) penaltyText = `−${item.penalty} <small>(variability)</small>`;
+                else if (item.deviation === 0) penaltyText = `−${item.penalty} <small>(${formatValue(Math.abs(item.value - item.ideal))} from ideal ${formatValue(item.ideal)})</small>`;
+                else if (isProximity) penaltyText = `−${item.penalty} <small>(${MAX_SCORE_PER_CRITERION - IDEAL_PROXIMITY_EDGE_SCORE} at range edge + ${item.deviation} × ${penaltyFactor}${item.score === 0 ? ', capped' : ''})</small>`;
+                else penaltyText = `−${item.penalty} <small>(${item.deviation} × ${penaltyFactor}${item.score === 0 ? ', capped' : ''})</small>`;
+
+                if (item.stabilityPenalty > 0 && item.penalty !== item.stabilityPenalty && item.deviation !== null) {
+                    penaltyText += ` <small>incl. −${item.stabilityPenalty} variability</small>`;
+                }
+
+                return `
+                    <tr>
+                        <td><i class="${config.icon}"></i> ${config.label}</td>
+                        <td>${valueText}</td>
+                        <td>${formatValue(item.min)} – ${formatValue(item.max)}</td>
+                        <td>${deviationText}</td>
+                        <td>${penaltyText}</td>
+                        <td>${parseFloat(item.score.toFixed(1))} × ${item.weight} = ${Math.round(item.weightedScore)}</td>
+                    </tr>`;
+            }).join('');
+
+        if (!rows) return '';
+
+        return `
+            <details class="score-breakdown">
+                <summary><i class="fas fa-question-circle"></i> Why this zone?</summary>
+                <div class="score-breakdown-body">
+                    <table class="score-breakdown-table">
+                        <thead>
+                            <tr><th>Criterion</th><th>Value</th><th>Preferred</th><th>Outside by</th><th>Penalty</th><th>Score × weight</th></tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                    <p class="score-breakdown-total">Weighted total: <strong>${Math.round(breakdown.totalScore)}</strong> of ${breakdown.totalWeight * MAX_SCORE_PER_CRITERION} possible${breakdown.scoringModel ? ` (${scoringModelOptions[breakdown.scoringModel].shortLabel} scoring)` : ''}.</p>
+                    <p class="score-breakdown-normalization">${breakdown.normalization ? breakdown.normalization.text : ''}</p>
+                </div>
+            </details>`;
+    }
+
     // Section: Results Page Logic
     // Purpose: Displays the calculated recommendations and user preferences on the results page.
     // AI: Debugging JavaScript Code: Results Page Issue
@@ -1445,8 +2627,9 @@ document.addEventListener('DOMContentLoaded', () => {
     // AI Helped needed as empty or malformed recommendation data, or issues in `displayRecommendations` can lead to a broken results page.
     if (document.getElementById('recommendations-container')) {
         // Helper to get display text for a preference.
-        function getPreferenceDisplayText(preferenceTypeUnused, preferenceValue) {
+        function getPreferenceDisplayText(preferenceType, preferenceValue, customRange) {
             if (!preferenceValue) return "Not Selected";
+            if (preferenceValue === CUSTOM_PREFERENCE_VALUE) return getPreferenceDisplay(preferenceType, preferenceValue, customRange).text;
             const mapping = preferenceDisplayMap[preferenceValue];
             return mapping ? mapping.text : preferenceValue;
         }
@@ -1457,13 +2640,162 @@ document.addEventListener('DOMContentLoaded', () => {
         const temperaturePrefValueFromLS = localStorage.getItem('temperaturePreference');
 
         const selectedLightingEl = document.getElementById('selected-lighting');
-        if (selectedLightingEl) selectedLightingEl.textContent = getPreferenceDisplayText('lighting', lightingPrefValueFromLS);
+        if (selectedLightingEl) selectedLightingEl.textContent = getPreferenceDisplayText('lightingPreference', lightingPrefValueFromLS, getStoredCustomRange('lightingPreference'));
         const selectedNoiseEl = document.getElementById('selected-noise');
-        if (selectedNoiseEl) selectedNoiseEl.textContent = getPreferenceDisplayText('noise', noisePrefValueFromLS);
+        if (selectedNoiseEl) selectedNoiseEl.textContent = getPreferenceDisplayText('spaceUsagePreference', noisePrefValueFromLS, getStoredCustomRange('spaceUsagePreference'));
         const selectedTempEl = document.getElementById('selected-temperature');
-        if (selectedTempEl) selectedTempEl.textContent = getPreferenceDisplayText('temperature', temperaturePrefValueFromLS);
+        if (selectedTempEl) selectedTempEl.textContent = getPreferenceDisplayText('temperaturePreference', temperaturePrefValueFromLS, getStoredCustomRange('temperaturePreference'));
+
+        const selectedTimeWindowEl = document.getElementById('selected-time-window');
+        if (selectedTimeWindowEl) selectedTimeWindowEl.textContent = formatTimeWindow(getStoredTimeWindow());
+
+        // Sensor channel preferences get their own item, placed before the planned time.
+        const storedChannelPreferences = getStoredChannelPreferences();
+        const plannedTimeItem = selectedTimeWindowEl ? selectedTimeWindowEl.closest('.preference-item') : null;
+        if (plannedTimeItem) {
+            sensorChannels.filter(channel => storedChannelPreferences[channel.key]).forEach(channel => {
+                const channelItem = document.createElement('div');
+                channelItem.className = 'preference-item';
+                channelItem.innerHTML = `
+                    <div class="preference-icon"><i class="${channel.icon}"></i></div>
+                    <div class="preference-detail">
+                        <h4>${channel.label} Preference</h4>
+                        <p>${getPreferenceDisplayText(channel.preferenceKey, storedChannelPreferences[channel.key], getStoredCustomRange(channel.preferenceKey))}</p>
+                        <span class="preference-weight">Importance: ${getWeightLabel(getStoredPreferenceWeights()[channel.key])}</span>
+                    </div>`;
+                plannedTimeItem.parentNode.insertBefore(channelItem, plannedTimeItem);
+            });
+            // Channel steps the quiz skipped because their data file was missing.
+            getSkippedQuizChannels().forEach(channel => {
+                const skippedItem = document.createElement('div');
+                skippedItem.className = 'preference-item preference-item-skipped';
+                skippedItem.innerHTML = `
+                    <div class="preference-icon"><i class="${channel.icon}"></i></div>
+                    <div class="preference-detail">
+                        <h4>${channel.label} Preference</h4>
+                        <p>Not asked</p>
+                        <span class="preference-weight">No ${channel.label} readings are available yet, so ${channel.label} is not part of the ranking.</span>
+                    </div>`;
+                plannedTimeItem.parentNode.insertBefore(skippedItem, plannedTimeItem);
+            });
+        }
 
-        // Generates HTML for star rating based on normalized comfort score.
+        // Display the importance given to each selected preference.
+        const storedWeights = getStoredPreferenceWeights();
+        [
+            { id: 'selected-lighting-weight', pref: lightingPrefValueFromLS, weight: storedWeights.light },
+            { id: 'selected-noise-weight', pref: noisePrefValueFromLS, weight: storedWeights.noise },
+            { id: 'selected-temperature-weight', pref: temperaturePrefValueFromLS, weight: storedWeights.temp }
+        ].forEach(item => {
+            const weightEl = document.getElementById(item.id);
+            if (weightEl) weightEl.textContent = item.pref ? `Importance: ${getWeightLabel(item.weight)}` : '';
+        });
+
+        // In a group session, replace the single-person preference grid with the member list and objective selector.
+        const groupResultsPanel = document.getElementById('group-results-panel');
+        const isGroupResults = isGroupMode() && getGroupProfiles().length > 0;
+        if (groupResultsPanel && isGroupResults) {
+            const groupProfilesForResults = getGroupProfiles();
+            const preferencesGrid = document.querySelector('.results-page-preferences .preferences-grid');
+            if (preferencesGrid) preferencesGrid.style.display = 'none';
+            const preferencesTitle = document.querySelector('.results-page-preferences .preferences-title');
+            if (preferencesTitle) preferencesTitle.textContent = "Your Group's Preferences";
+
+            const membersList = document.getElementById('group-members-summary');
+            if (membersList) {
+                membersList.innerHTML = groupProfilesForResults.map(profile => {
+                    const memberRanges = profile.customRanges || {};
+                    const memberPrefs = [
+                        profile.lightingPreference && getPreferenceDisplayText('lightingPreference', profile.lightingPreference, memberRanges.light),
+                        profile.spaceUsagePreference && getPreferenceDisplayText('spaceUsagePreference', profile.spaceUsagePreference, memberRanges.noise),
+                        profile.temperaturePreference && getPreferenceDisplayText('temperaturePreference', profile.temperaturePreference, memberRanges.temp),
+                        ...Object.entries(profile.channelPreferences || {}).map(([key, value]) => getPreferenceDisplayText(`${key}Preference`, value, memberRanges[key]))
+                    ].filter(Boolean);
+                    return `<li><i class="fas fa-user"></i> <strong>${escapeHTML(profile.name)}</strong>: ${memberPrefs.join(' · ') || 'No specific preferences'}</li>`;
+                }).join('') + `<li><i class="fas fa-clock"></i> <strong>Planned time</strong>: ${formatTimeWindow(getStoredTimeWindow())}</li>`;
+            }
+            const objectiveSelect = document.getElementById('group-objective');
+            if (objectiveSelect) {
+                Object.entries(groupObjectiveOptions).forEach(([value, option]) => objectiveSelect.add(new Option(option.label, value)));
+                objectiveSelect.value = getStoredGroupObjective();
+            }
+            const objectiveDescription = document.getElementById('group-objective-description');
+            if (objectiveDescription) objectiveDescription.textContent = groupObjectiveOptions[getStoredGroupObjective()].description;
+            groupResultsPanel.style.display = 'block';
+        }
+
+        // Shows how each group member's preferences are met in a zone.
+        function buildGroupMembersHTML(rec) {
+            if (!rec.isGroupRecommendation || !Array.isArray(rec.memberResults)) return '';
+            const criterionCell = (member, key) => {
+                if (!member.preferences[key]) return '<td class="member-criterion">—</td>';
+                return member.metCriteria[key]
+                    ? '<td class="member-criterion met" title="Preference met"><i class="fas fa-check"></i></td>'
+                    : '<td class="member-criterion not-met" title="Preference not met"><i class="fas fa-times"></i></td>';
+            };
+            const memberChannels = sensorChannels.filter(channel => rec.memberResults.some(member => member.preferences[channel.key]));
+            const rows = rec.memberResults.map(member => `
+                <tr>
+                    <td>${escapeHTML(member.name)}</td>
+                    ${criterionCell(member, 'light')}${criterionCell(member, 'noise')}${criterionCell(member, 'temp')}${memberChannels.map(channel => criterionCell(member, channel.key)).join('')}
+                    <td>${Math.round(member.comfortScore * 100)}/100</td>
+                </tr>`).join('');
+            const objective = groupObjectiveOptions[rec.groupObjective] || groupObjectiveOptions[DEFAULT_GROUP_OBJECTIVE];
+            return `
+                <div class="group-members-fit">
+                    <div class="group-members-fit-title">Group fit · ${objective.label}: ${Math.round(rec.comfortScore * 100)}/100</div>
+                    <table>
+                        <thead><tr><th>Member</th><th title="Light"><i class="fas fa-lightbulb"></i></th><th title="Noise"><i class="fas fa-volume-up"></i></th><th title="Temperature"><i class="fas fa-thermometer-half"></i></th>${memberChannels.map(channel => `<th title="${channel.label}"><i class="${channel.icon}"></i></th>`).join('')}<th>Comfort</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>`;
+        }
+
+        // Stability badge for a card, with the variability figures behind it in the tooltip.
+        function buildStabilityIndicatorHTML(rec) {
+            if (!rec.stability) return '';
+            const icons = { stable: 'fas fa-check-circle', moderate: 'fas fa-adjust', variable: 'fas fa-wave-square' };
+            const units = { light: 'lux', noise: 'dB', temp: '°C', ...Object.fromEntries(sensorChannels.map(channel => [channel.key, channel.unit])) };
+            const names = { light: 'Light', noise: 'Noise', temp: 'Temp', ...Object.fromEntries(sensorChannels.map(channel => [channel.key, channel.label])) };
+            const details = Object.entries(rec.variability || {})
+                .filter(([, stats]) => stats)
+                .map(([key, stats]) => `${names[key]}: ±${stats.stdDev} ${units[key]}, swing ${stats.maxSwing} ${units[key]}, ${stats.hoursOutOfRange} of ${stats.hoursConsidered} h out of range`)
+                .join('\n');
+            const penaltyNote = rec.stability.penaltyApplied ? '' : ' (not used in ranking)';
+            return `<div class="stability-indicator stability-${rec.stability.level}" title="${details}"><i class="${icons[rec.stability.level] || icons.moderate}"></i> Stability: ${rec.stability.label}${penaltyNote}</div>`;
+        }
+
+        // Summarises the weights that were applied to a recommendation (e.g., "Noise ×3 · Light ×1").
+        function getWeightSummaryText(rec) {
+            if (!rec.weights || !rec.targetRangesFromScript) return '';
+            const parts = [];
+            if (rec.targetRangesFromScript.light) parts.push({ name: 'Light', weight: rec.weights.light });
+            if (rec.targetRangesFromScript.noise) parts.push({ name: 'Noise', weight: rec.weights.noise });
+            if (rec.targetRangesFromScript.temp) parts.push({ name: 'Temp', weight: rec.weights.temp });
+            sensorChannels.forEach(channel => {
+                if (rec.targetRangesFromScript[channel.key]) parts.push({ name: channel.label, weight: rec.weights[channel.key] });
+            });
+            if (parts.length === 0) return '';
+            parts.sort((a, b) => b.weight - a.weight);
+            return `Weighted by your priorities: ${parts.map(p => `${p.name} ×${p.weight}`).join(' · ')}`;
+        }
+
+        // One info item per sensor channel that has a reading for the zone.
+        function buildChannelInfoItemsHTML(rec) {
+            return sensorChannels
+                .filter(channel => rec.channels && typeof rec.channels[channel.key] === 'number')
+                .map(channel => `
+                                <div class="info-item">
+                                    <div class="info-icon"><i class="${channel.icon}"></i></div>
+                                    <div class="info-label">${channel.label}:</div>
+                                    <div class="info-value">
+                                        <span class="primary-value">${SensorChannels.describeValue(channel.key, rec.channels[channel.key])}</span>
+                                        <span class="secondary-value">${SensorChannels.formatValue(channel.key, rec.channels[channel.key])}</span>
+                                    </div>
+                                </div>`).join('');
+        }
+
+        // Generates HTML for star rating based on normalized comfort score (already weighted by the user's priorities).
         function generateStarRating(normalizedComfortScore) {
             let starsHtml = '';
             let displayStars = 0;
@@ -1495,6 +2827,23 @@ document.addEventListener('DOMContentLoaded', () => {
             return 'Images/default-room.jpg'; // Alternate image
         }
 
+        // Top-N and paging settings for the results list.
+        const RESULTS_TOP_N_OPTIONS = [3, 5, 10];
+        const DEFAULT_RESULTS_TOP_N = 3;
+        const RESULTS_PAGE_SIZE = 6;
+        // Zones ticked for the forecast page's comparison view (zone_forecast.html?ids=...).
+        const MIN_COMPARE_ZONES = 2;
+        const MAX_COMPARE_ZONES = 4;
+        const resultsState = {
+            viewMode: localStorage.getItem('resultsViewMode') === 'all' ? 'all' : 'top',
+            topN: RESULTS_TOP_N_OPTIONS.includes(parseInt(localStorage.getItem('resultsTopN'), 10)) ? parseInt(localStorage.getItem('resultsTopN'), 10) : DEFAULT_RESULTS_TOP_N,
+            page: 1,
+            compareZoneIds: []
+        };
+        // The "Find Alternatives" button links to results.html#alternatives, which should show every zone.
+        if (window.location.hash === '#alternatives') resultsState.viewMode = 'all';
+        let floorplanOverlay = null; // Zone outlines (floorplan.js), made on the first render that has a floorplan
+
         // Displays an error message in the recommendations container.
         function showError(message) {
             const container = document.getElementById('recommendations-container');
@@ -1513,30 +2862,139 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         };
 
+        // Renders the "Top picks / All zones" toggle, the top-N selector and the data coverage note.
+        function renderResultsControls(totalZones) {
+            const controls = document.getElementById('results-controls');
+            if (!controls) return;
+            controls.style.display = totalZones > 0 ? '' : 'none';
+
+            const topNSelect = document.getElementById('results-top-n');
+            if (topNSelect && topNSelect.options.length === 0) {
+                RESULTS_TOP_N_OPTIONS.forEach(n => topNSelect.add(new Option(`Top ${n}`, n)));
+            }
+            if (topNSelect) {
+                topNSelect.value = resultsState.topN;
+                topNSelect.disabled = resultsState.viewMode === 'all';
+            }
+            controls.querySelectorAll('[data-view-mode]').forEach(btn => {
+                const isActive = btn.dataset.viewMode === resultsState.viewMode;
+                btn.classList.toggle('active', isActive);
+                btn.setAttribute('aria-pressed', isActive);
+            });
+
+            const scoringModelSelect = document.getElementById('results-scoring-model');
+            if (scoringModelSelect && scoringModelSelect.options.length === 0) {
+                Object.entries(scoringModelOptions).forEach(([value, option]) => scoringModelSelect.add(new Option(option.label, value)));
+                scoringModelSelect.value = getStoredScoringModel();
+            }
+
+            const temperatureModelSelect = document.getElementById('results-temperature-model');
+            if (temperatureModelSelect && temperatureModelSelect.options.length === 0) {
+                Object.entries(temperatureModelOptions).forEach(([value, option]) => temperatureModelSelect.add(new Option(option.label, value)));
+                temperatureModelSelect.value = getStoredThermalComfortSettings().model;
+            }
+
+            const stabilityToggle = document.getElementById('results-stability-penalty');
+            if (stabilityToggle) stabilityToggle.checked = isStabilityPenaltyEnabled();
+
+            // Humidity only matters when feels-like temperatures come from the built-in calculator.
+            const humidityLabel = document.getElementById('results-humidity-label');
+            const humidityInput = document.getElementById('results-humidity');
+            if (humidityLabel && humidityInput) {
+                humidityLabel.style.display = localStorage.getItem('feelsLikeSource') === 'computed' ? '' : 'none';
+                if (document.activeElement !== humidityInput) humidityInput.value = ApparentTemperature.getStoredRelativeHumidity();
+            }
+
+            const coverageNote = document.getElementById('results-coverage-note');
+            if (coverageNote) {
+                if (resultsState.viewMode === 'top' && totalZones < resultsState.topN) {
+                    coverageNote.innerHTML = `<i class="fas fa-info-circle"></i> Only ${totalZones} ${totalZones === 1 ? 'zone has' : 'zones have'} data for your preferences, so fewer than ${resultsState.topN} picks are shown.`;
+                    coverageNote.style.display = 'block';
+                } else {
+                    coverageNote.style.display = 'none';
+                }
+            }
+        }
+
+        // Renders page links for the "All zones" view.
+        function renderResultsPagination(totalZones) {
+            const pagination = document.getElementById('results-pagination');
+            if (!pagination) return;
+            const pageCount = Math.ceil(totalZones / RESULTS_PAGE_SIZE);
+            if (resultsState.viewMode !== 'all' || pageCount <= 1) {
+                pagination.innerHTML = '';
+                pagination.style.display = 'none';
+                return;
+            }
+            const firstShown = (resultsState.page - 1) * RESULTS_PAGE_SIZE + 1;
+            const lastShown = Math.min(resultsState.page * RESULTS_PAGE_SIZE, totalZones);
+            let pagesHTML = '';
+            for (let page = 1; page <= pageCount; page++) {
+                pagesHTML += `<button type="button" class="page-btn ${page === resultsState.page ? 'active' : ''}" data-page="${page}">${page}</button>`;
+            }
+            pagination.innerHTML = `
+                <button type="button" class="page-btn" data-page="${resultsState.page - 1}" ${resultsState.page === 1 ? 'disabled' : ''} aria-label="Previous page"><i class="fas fa-chevron-left"></i></button>
+                ${pagesHTML}
+                <button type="button" class="page-btn" data-page="${resultsState.page + 1}" ${resultsState.page === pageCount ? 'disabled' : ''} aria-label="Next page"><i class="fas fa-chevron-right"></i></button>
+                <span class="pagination-summary">Zones ${firstShown}–${lastShown} of ${totalZones}</span>`;
+            pagination.style.display = 'flex';
+        }
+
+        // Shows the zones ticked for comparison with a link to compare them, and stops a fifth zone being ticked.
+        function renderCompareBar() {
+            const compareBar = document.getElementById('results-compare-bar');
+            const selectedZoneIds = resultsState.compareZoneIds;
+            document.querySelectorAll('[data-compare-zone]').forEach(checkbox => {
+                checkbox.checked = selectedZoneIds.includes(checkbox.dataset.compareZone);
+                checkbox.disabled = !checkbox.checked && selectedZoneIds.length >= MAX_COMPARE_ZONES;
+            });
+            if (!compareBar) return;
+            if (selectedZoneIds.length === 0) {
+                compareBar.style.display = 'none';
+                return;
+            }
+            const zoneList = `Zone${selectedZoneIds.length === 1 ? '' : 's'} ${selectedZoneIds.join(', ')}`;
+            const missingCount = MIN_COMPARE_ZONES - selectedZoneIds.length;
+            compareBar.innerHTML = `
+                <span class="compare-bar-summary"><i class="fas fa-columns"></i> ${zoneList} selected${missingCount > 0 ? ` · tick ${missingCount} more to compare` : ''}</span>
+                ${missingCount > 0 ? '' : `<a href="zone_forecast.html?ids=${selectedZoneIds.map(encodeURIComponent).join(',')}" class="cta-link primary-cta">Compare forecasts</a>`}
+                <button type="button" class="page-btn" data-compare-clear>Clear</button>`;
+            compareBar.style.display = 'flex';
+        }
+
+        // Returns the slice of ranked zones for the current view mode and page.
+        function getVisibleRecommendations(recommendations) {
+            if (resultsState.viewMode === 'all') {
+                const pageCount = Math.max(1, Math.ceil(recommendations.length / RESULTS_PAGE_SIZE));
+                resultsState.page = Math.min(Math.max(1, resultsState.page), pageCount);
+                const start = (resultsState.page - 1) * RESULTS_PAGE_SIZE;
+                return recommendations.slice(start, start + RESULTS_PAGE_SIZE);
+            }
+            return recommendations.slice(0, resultsState.topN);
+        }
+
         // Displays the recommendations in card format.
         function displayRecommendations(recommendations) {
             const container = document.getElementById('recommendations-container');
             if (!container) return;
             container.innerHTML = ''; 
 
-            if (!recommendations || recommendations.length === 0 || recommendations.every(rec => rec.zoneId.includes("(No Data)") || rec.zoneId.includes("(Unavailable)") || rec.zoneId.includes("(Fallback)"))) {
-                // AI: Debugging JavaScript Code: Results Page Issue - Handles cases with no valid recommendations.
-                showError('No suitable recommendations found. This could be due to no zones matching your criteria or missing environmental data. Please try adjusting your quiz answers or check if environmental data files (CSVs) are correctly loaded and formatted.');
-                return;
-            }
-
-            const validRecommendations = recommendations.filter(rec => rec.zoneId && !rec.zoneId.includes("(No Data)") && !rec.zoneId.includes("(Unavailable)") && !rec.zoneId.includes("(Fallback)"));
+            const validRecommendations = (recommendations || []).filter(rec => rec && rec.zoneId);
+            renderResultsControls(validRecommendations.length);
+            renderResultsPagination(validRecommendations.length);
             if (validRecommendations.length === 0) {
-                // AI: Debugging JavaScript Code: Results Page Issue - Another check for valid recommendations.
-                showError('No valid recommendations could be processed. Please try the quiz again.');
+                // AI: Debugging JavaScript Code: Results Page Issue - Handles cases with no valid recommendations.
+                showError('No zones have environmental data for your preferences, so there is nothing to rank yet. Please check that the environmental data files (CSVs) are correctly loaded and formatted, or try adjusting your quiz answers.');
                 return;
             }
 
             const bestRecommendation = validRecommendations[0]; // Assuming sorted by calculateFinalRecommendations
 
-            validRecommendations.forEach((rec, index) => {
+            getVisibleRecommendations(validRecommendations).forEach(rec => {
+                const index = validRecommendations.indexOf(rec);
                 const isBestChoice = bestRecommendation && (rec.zoneId === bestRecommendation.zoneId) && bestRecommendation.comfortScore > 0.1 && bestRecommendation.criteriaMetCount > 0;
                 const zoneImage = getZoneImage(rec.zoneId, rec.light); 
+                const weightSummary = getWeightSummaryText(rec);
                 let rankBadge = '';
                 if (isBestChoice) {
                     rankBadge = '<div class="best-choice-badge"><i class="fas fa-star"></i> Best Match</div>';
@@ -1544,6 +3002,8 @@ document.addEventListener('DOMContentLoaded', () => {
                     rankBadge = '<div class="best-choice-badge" style="background-color: #5293c2;">2nd Choice</div>';
                 } else if (index === 2 && validRecommendations.length > 2 && validRecommendations[2].comfortScore > 0.1) {
                     rankBadge = '<div class="best-choice-badge" style="background-color: #7aa05b;">3rd Choice</div>';
+                } else if (index > 2) {
+                    rankBadge = `<div class="best-choice-badge rank-badge">#${index + 1}</div>`;
                 }
 
                 container.innerHTML += `
@@ -1581,14 +3041,20 @@ document.addEventListener('DOMContentLoaded', () => {
                                             ${(rec.feelsLikeTemp !== 'N/A' && rec.feelsLikeTemp !== null && !isNaN(parseFloat(rec.feelsLikeTemp)) && Math.abs(parseFloat(rec.temperature) - parseFloat(rec.feelsLikeTemp)) > 0.5) ? ` (Feels ${parseFloat(rec.feelsLikeTemp).toFixed(1)}°C)` : ''}
                                         </span>
                                     </div>
-                                </div>
+                                </div>${buildChannelInfoItemsHTML(rec)}
                             </div>
                             <div class="rating-section">
                                 <div class="rating-label">Comfort Rating</div>
-                                <div class="star-rating">
+                                <div class="star-rating" title="${weightSummary}">
                                     ${generateStarRating(rec.comfortScore)}
                                 </div>
+                                ${weightSummary ? `<div class="weight-summary">${weightSummary}</div>` : ''}
+                                ${rec.modelComparison ? `<div class="model-comparison">With ${scoringModelOptions[rec.modelComparison.scoringModel].shortLabel} scoring: #${rec.modelComparison.rankPosition} · ${Math.round(rec.modelComparison.comfortScore * 100)}/100</div>` : ''}
                             </div>
+                            ${buildStabilityIndicatorHTML(rec)}
+                            ${buildGroupMembersHTML(rec)}
+                            ${buildScoreBreakdownHTML(rec)}
+                            <label class="compare-toggle"><input type="checkbox" data-compare-zone="${rec.zoneId}"> Compare</label>
                             <button class="view-btn" onclick="viewZoneDetails('${rec.zoneId}')">View Details</button>
                         </div>
                     </div>
@@ -1596,37 +3062,31 @@ document.addEventListener('DOMContentLoaded', () => {
             });
 
             // AI: Add highlight and text overlay (Results Page)
-            // This section handles highlighting the best recommendation on the floorplan.
+            // This section outlines the best recommendation on the floorplan (floorplan.js), when the page has one.
             const floorplanContainer = document.getElementById('floorplanContainer');
-            const zoneHighlightOverlay = document.getElementById('zoneHighlightOverlay');
             const highlightMessage = document.getElementById('highlightMessage');
             const zoneLocation = document.getElementById('zoneLocation');
 
-            if (floorplanContainer && zoneHighlightOverlay && highlightMessage && zoneLocation && bestRecommendation && bestRecommendation.zoneId) {
+            if (floorplanContainer && highlightMessage && zoneLocation && window.Floorplan && bestRecommendation && bestRecommendation.zoneId) {
                 const bestZoneId = bestRecommendation.zoneId;
-                const coords = zoneCoordinates[bestZoneId]; // Get coordinates from shared config
                 const locationText = zoneLocations[bestZoneId]; // To Get location text
-
-                if (coords) {
-                    zoneHighlightOverlay.style.top = coords.top;
-                    zoneHighlightOverlay.style.left = coords.left;
-                    zoneHighlightOverlay.style.width = coords.width;
-                    zoneHighlightOverlay.style.height = coords.height;
-                    zoneHighlightOverlay.style.display = 'block';
-                    highlightMessage.textContent = "This highlighted zone is your best recommendation!";
-                    zoneLocation.textContent = locationText || `Zone ${bestZoneId}`; 
-                    floorplanContainer.classList.add('highlight-active');
-                    debugDataFlow('ResultsPage', 'FloorplanHighlight', { zoneId: bestZoneId, coords: coords, location: locationText });
-                } else {
-                    console.warn(`[Results Page] No coordinates found for best match zone: ${bestZoneId}. Cannot highlight.`);
+                zoneLocation.textContent = locationText || `Zone ${bestZoneId}`;
+                Floorplan.load().then(plan => {
+                    const overlay = floorplanOverlay || (floorplanOverlay = Floorplan.createOverlay(floorplanContainer, plan));
+                    const isOnPlan = overlay.highlight(bestZoneId);
+                    highlightMessage.textContent = isOnPlan ? "This highlighted zone is your best recommendation!" : "Your best recommendation is not on this floorplan.";
+                    floorplanContainer.classList.toggle('highlight-active', isOnPlan);
+                    debugDataFlow('ResultsPage', 'FloorplanHighlight', { zoneId: bestZoneId, isOnPlan, location: locationText });
+                }).catch(error => {
+                    console.warn(`[Results Page] ${error.message}. Highlight will not be shown.`);
                     floorplanContainer.classList.remove('highlight-active');
-                    if (zoneHighlightOverlay) zoneHighlightOverlay.style.display = 'none';
-                }
-            } else {
+                });
+            } else if (floorplanContainer) {
                 console.warn('[Results Page] Missing elements for floorplan highlight or no best recommendation found. Highlight will not be shown.');
-                if (floorplanContainer) floorplanContainer.classList.remove('highlight-active');
-                if (zoneHighlightOverlay) zoneHighlightOverlay.style.display = 'none';
+                floorplanContainer.classList.remove('highlight-active');
             }
+
+            renderCompareBar();
         }
 
         // Load recommendations from localStorage and display them.
@@ -1635,10 +3095,105 @@ document.addEventListener('DOMContentLoaded', () => {
             try {
                 const finalRecs = JSON.parse(finalRecommendationsStr);
                 // AI SUGGESTED: Debugging JavaScript Code: Results Page Issue - Check if parsed recommendations are valid.
-                if (finalRecs && finalRecs.length > 0) {
+                if (Array.isArray(finalRecs)) {
                     const loadingMsgEl = document.getElementById('loading-recommendations-message');
                     if (loadingMsgEl) loadingMsgEl.style.display = 'none'; 
                     displayRecommendations(finalRecs);
+
+                    // Top-N, view mode and paging controls re-render the list in place.
+                    const topNSelect = document.getElementById('results-top-n');
+                    if (topNSelect) {
+                        topNSelect.addEventListener('change', () => {
+                            resultsState.topN = parseInt(topNSelect.value, 10) || DEFAULT_RESULTS_TOP_N;
+                            localStorage.setItem('resultsTopN', resultsState.topN);
+                            displayRecommendations(finalRecs);
+                        });
+                    }
+                    document.querySelectorAll('#results-controls [data-view-mode]').forEach(btn => {
+                        btn.addEventListener('click', () => {
+                            resultsState.viewMode = btn.dataset.viewMode;
+                            resultsState.page = 1;
+                            localStorage.setItem('resultsViewMode', resultsState.viewMode);
+                            displayRecommendations(finalRecs);
+                        });
+                    });
+                    // Switching the scoring model re-runs the scorer on the loading page with the same cached data.
+                    const scoringModelSelect = document.getElementById('results-scoring-model');
+                    if (scoringModelSelect) {
+                        scoringModelSelect.addEventListener('change', () => {
+                            localStorage.setItem('scoringModel', scoringModelSelect.value);
+                            window.location.href = 'loading.html';
+                        });
+                    }
+
+                    const temperatureModelSelect = document.getElementById('results-temperature-model');
+                    if (temperatureModelSelect) {
+                        temperatureModelSelect.addEventListener('change', () => {
+                            localStorage.setItem('temperatureModel', temperatureModelSelect.value);
+                            window.location.href = 'loading.html';
+                        });
+                    }
+
+                    const stabilityToggle = document.getElementById('results-stability-penalty');
+                    if (stabilityToggle) {
+                        stabilityToggle.addEventListener('change', () => {
+                            localStorage.setItem('stabilityPenalty', stabilityToggle.checked ? 'on' : 'off');
+                            window.location.href = 'loading.html';
+                        });
+                    }
+
+                    const humidityInput = document.getElementById('results-humidity');
+                    if (humidityInput) {
+                        humidityInput.addEventListener('change', () => {
+                            ApparentTemperature.setStoredRelativeHumidity(humidityInput.value);
+                            window.location.href = 'loading.html';
+                        });
+                    }
+
+                    // Switching the group objective re-ranks the stored group recommendations.
+                    const objectiveSelect = document.getElementById('group-objective');
+                    if (objectiveSelect && isGroupResults) {
+                        objectiveSelect.addEventListener('change', () => {
+                            localStorage.setItem('groupObjective', objectiveSelect.value);
+                            rankGroupRecommendations(finalRecs, objectiveSelect.value);
+                            localStorage.setItem('finalRecommendations', JSON.stringify(finalRecs));
+                            const objectiveDescription = document.getElementById('group-objective-description');
+                            if (objectiveDescription) objectiveDescription.textContent = groupObjectiveOptions[getStoredGroupObjective()].description;
+                            resultsState.page = 1;
+                            displayRecommendations(finalRecs);
+                        });
+                    }
+                    // Compare checkboxes on the cards (re-rendered with the list) and the compare bar's Clear button.
+                    const recommendationsContainer = document.getElementById('recommendations-container');
+                    if (recommendationsContainer) {
+                        recommendationsContainer.addEventListener('change', (event) => {
+                            const checkbox = event.target.closest('[data-compare-zone]');
+                            if (!checkbox) return;
+                            const zoneId = checkbox.dataset.compareZone;
+                            resultsState.compareZoneIds = resultsState.compareZoneIds.filter(id => id !== zoneId);
+                            if (checkbox.checked && resultsState.compareZoneIds.length < MAX_COMPARE_ZONES) resultsState.compareZoneIds.push(zoneId);
+                            renderCompareBar();
+                        });
+                    }
+                    const compareBar = document.getElementById('results-compare-bar');
+                    if (compareBar) {
+                        compareBar.addEventListener('click', (event) => {
+                            if (!event.target.closest('[data-compare-clear]')) return;
+                            resultsState.compareZoneIds = [];
+                            renderCompareBar();
+                        });
+                    }
+                    const pagination = document.getElementById('results-pagination');
+                    if (pagination) {
+                        pagination.addEventListener('click', (event) => {
+                            const pageBtn = event.target.closest('.page-btn');
+                            if (!pageBtn || pageBtn.disabled) return;
+                            resultsState.page = parseInt(pageBtn.dataset.page, 10) || 1;
+                            displayRecommendations(finalRecs);
+                            const container = document.getElementById('recommendations-container');
+                            if (container) container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                        });
+                    }
                 } else {
                     showError('No recommendations were generated. Please try the quiz again.');
                 }
@@ -1654,6 +3209,159 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
 
+    // Section: Building Hourly Data
+    // Purpose: Every zone's reading for each hour of the day, per metric. Used by the heatmap page and the zone details hour panel.
+    const hourlyMetrics = [
+        { key: 'temperature', label: 'Temperature', unit: '°C', decimals: 1, icon: 'fas fa-thermometer-half', file: 'samba_TA.csv', processedDataKey: 'temperatureProcessedData', preferenceType: 'temperaturePreference', thresholds: temperatureThresholds, process: processTemperatureData, above: 'warmer', below: 'cooler' },
+        { key: 'noise', label: 'Noise', unit: 'dB', decimals: 1, icon: 'fas fa-volume-up', file: 'samba_noise.csv', processedDataKey: 'noiseProcessedData', preferenceType: 'spaceUsagePreference', thresholds: noiseWorkTypeThresholds, process: processNoiseData, above: 'noisier', below: 'quieter' },
+        { key: 'light', label: 'Light', unit: 'lux', decimals: 0, icon: 'fas fa-lightbulb', file: 'samba_lights.csv', processedDataKey: 'lightProcessedData', preferenceType: 'lightingPreference', thresholds: lightingThresholds, process: processLightData, above: 'brighter', below: 'dimmer', isPeriodData: true },
+        ...sensorChannels.map(channel => ({
+            key: channel.key, label: channel.label, unit: channel.unit, decimals: channel.decimals, icon: channel.icon, file: channel.file,
+            processedDataKey: channel.processedDataKey, preferenceType: channel.preferenceKey, thresholds: channel.thresholds,
+            process: csv => processChannelData(channel, csv), above: channel.comparisons.above, below: channel.comparisons.below, optional: true
+        }))
+    ];
+
+    // Loads one metric's processed data: the copy cached by the loading page, otherwise its CSV (validated first when
+    // data_validator.js is on the page). Resolves to [] for a missing or broken file so the other metrics still show.
+    function loadHourlyMetricData(metric) {
+        const cachedData = JSON.parse(localStorage.getItem(metric.processedDataKey) || '[]');
+        if (cachedData.length > 0) return Promise.resolve(cachedData);
+        return fetch(metric.file)
+            .then(r => { if (!r.ok) throw new Error(`${metric.file} not available (${r.status})`); return r.text(); })
+            .then(csv => {
+                if (window.DataValidator) validateDatasetCsv(metric.key, csv);
+                return metric.process(csv);
+            })
+            .catch(error => {
+                if (metric.optional) console.warn(`[Hourly Data] ${error.message}. ${metric.label} is left out.`);
+                else console.error(`[Hourly Data] ${error.message}`);
+                return [];
+            });
+    }
+
+    // Loads every metric. With a planned weekday, that day's profile from the multi-day readings file replaces the
+    // typical-day data for each metric that has readings on it (the same swap the loading page makes).
+    function loadBuildingHourlyData(dayOfWeek = null) {
+        const historyPromise = dayOfWeek === null ? Promise.resolve(null) : fetch(SensorHistory.READINGS_FILE)
+            .then(r => { if (!r.ok) throw new Error(`${SensorHistory.READINGS_FILE} not available (${r.status})`); return r.text(); })
+            .then(readingsCsv => {
+                const history = SensorHistory.parse(readingsCsv);
+                return history.readingCount > 0 ? history : null;
+            })
+            .catch(error => {
+                console.warn(`[Sensor History] ${error.message}. Using the typical-day data for every day.`);
+                return null;
+            });
+
+        return Promise.all([historyPromise, ...hourlyMetrics.map(loadHourlyMetricData)]).then(([history, ...datasets]) => {
+            const dataByMetric = {};
+            const dayProfileMetrics = [];
+            hourlyMetrics.forEach((metric, index) => {
+                const dayCsv = history ? SensorHistory.toDayCsv(history, metric.key, dayOfWeek) : null;
+                const dayData = dayCsv ? metric.process(dayCsv) : [];
+                if (dayData.length > 0) dayProfileMetrics.push(metric.key);
+                dataByMetric[metric.key] = dayData.length > 0 ? dayData : datasets[index];
+            });
+            debugDataFlow('hourly-data', 'loaded', { dayOfWeek, dayProfileMetrics });
+            return { dataByMetric, dayProfileMetrics };
+        });
+    }
+
+    // Reading for one clock hour, or null. Lighting is recorded per descriptive period, so the period covering the hour is used.
+    function getReadingAtHour(metric, timeSeries, hour) {
+        if (!timeSeries) return null;
+        const seriesKey = metric.isPeriodData
+            ? Object.keys(timePeriodConfig).find(periodName => getPeriodOverlapHours(timePeriodConfig[periodName], { startHour: hour, endHour: hour + 1 }) > 0)
+            : String(hour);
+        const value = seriesKey === undefined ? null : timeSeries[seriesKey];
+        return typeof value === 'number' && !isNaN(value) ? value : null;
+    }
+
+    // The user's preferred { min, ideal, max } for a metric, or null when the quiz step was skipped.
+    function getMetricPreferenceRange(metric) {
+        return resolvePreferenceRange(metric.thresholds, localStorage.getItem(metric.preferenceType), getStoredCustomRange(metric.preferenceType));
+    }
+
+    // Places a reading against a preferred range: 'in-range', 'below', 'above', 'no-data' or 'no-preference'.
+    function classifyReading(value, range) {
+        if (value === null) return 'no-data';
+        if (!range) return 'no-preference';
+        if (value < range.min) return 'below';
+        if (value > range.max) return 'above';
+        return 'in-range';
+    }
+
+    function formatMetricValue(metric, value) {
+        return value === null ? 'N/A' : `${value.toFixed(metric.decimals)} ${metric.unit}`;
+    }
+
+    function formatMetricRange(metric, range) {
+        return `${range.min}–${range.max} ${metric.unit}`;
+    }
+
+    // Short status for a classified reading, e.g. "Warmer than your range".
+    function describeReadingStatus(metric, status) {
+        const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+        return {
+            'in-range': 'Within your range',
+            below: `${capitalize(metric.below)} than your range`,
+            above: `${capitalize(metric.above)} than your range`,
+            'no-data': 'No reading',
+            'no-preference': 'No preference set'
+        }[status];
+    }
+
+    function formatClockHour(hour) {
+        return `${String(hour).padStart(2, '0')}:00`;
+    }
+
+    // Finds a zone's entry in one metric's processed data.
+    function findZoneEntry(dataset, zoneId) {
+        return (dataset || []).find(entry => String(entry.Zones).trim() === String(zoneId).trim()) || null;
+    }
+
+    // One BestTimeFinder (best_time.js) criterion per metric, with the zone's reading at each of the 24 hours.
+    function buildZoneComfortCriteria(dataByMetric, zoneId) {
+        return hourlyMetrics.map(metric => {
+            const zoneEntry = findZoneEntry(dataByMetric[metric.key], zoneId);
+            return {
+                key: metric.key,
+                label: metric.label,
+                unit: metric.unit,
+                decimals: metric.decimals,
+                range: getMetricPreferenceRange(metric),
+                hourly: Array.from({ length: 24 }, (_, hour) => (zoneEntry ? getReadingAtHour(metric, zoneEntry.timeSeries, hour) : null))
+            };
+        });
+    }
+
+    // Title of a floorplan tooltip. Ids and labels come from zone_polygons.json, so they are escaped like any other file text.
+    function buildFloorplanTooltipTitleHTML(zone) {
+        return `<div class="floorplan-tooltip-title">Zone ${escapeHTML(zone.id)} · ${escapeHTML(zone.label)}</div>`;
+    }
+
+    // Floorplan tooltip for a zone (floorplan.js): each metric's reading at one hour, against the user's ranges.
+    function buildFloorplanTooltipHTML(zone, dataByMetric, hour) {
+        const readingsHTML = hourlyMetrics.map(metric => {
+            const zoneEntry = findZoneEntry(dataByMetric[metric.key], zone.id);
+            if (!zoneEntry) return '';
+            const value = getReadingAtHour(metric, zoneEntry.timeSeries, hour);
+            const status = classifyReading(value, getMetricPreferenceRange(metric));
+            return `
+                <li class="floorplan-tooltip-reading heatmap-${status}">
+                    <i class="${metric.icon}"></i> ${metric.label}: <strong>${formatMetricValue(metric, value)}</strong>
+                    <span class="floorplan-tooltip-status">${describeReadingStatus(metric, status)}</span>
+                </li>`;
+        }).join('');
+        return `
+            ${buildFloorplanTooltipTitleHTML(zone)}
+            <div class="floorplan-tooltip-time">Now (${formatClockHour(hour)})</div>
+            ${readingsHTML ? `<ul class="floorplan-tooltip-readings">${readingsHTML}</ul>` : '<p class="floorplan-tooltip-empty">No readings for this zone.</p>'}
+            <div class="floorplan-tooltip-hint">Click to open details</div>`;
+    }
+
+
     // Section: Zone Details Page Logic
     // Purpose: Manages the display of detailed information for a specific zone.
     if (document.body.classList.contains('zone-details-page-layout')) {
@@ -1671,15 +3379,32 @@ document.addEventListener('DOMContentLoaded', () => {
                                          </div>`;
         }
 
+        // Makes one characteristic card open its chart on the forecast page (chartType is the forecast page's hash).
+        function makeCharacteristicCardInteractive(cardElement, chartType, displayName) {
+            cardElement.addEventListener('click', function(e) {
+                e.preventDefault();
+                console.log(`Navigating to ${displayName} forecast chart`);
+                window.location.href = `zone_forecast.html?id=${encodeURIComponent(zoneIdParam)}#${chartType}`;
+            });
+            cardElement.style.cursor = 'pointer';
+            cardElement.setAttribute('title', `Click to view detailed ${displayName} forecast`);
+
+            // Added the hover effects for better UX
+            cardElement.addEventListener('mouseenter', function() {
+                this.style.transform = 'translateY(-2px)';
+                this.style.boxShadow = '0 4px 12px rgba(0, 0, 0, 0.15)';
+                this.style.transition = 'all 0.2s ease';
+            });
+            cardElement.addEventListener('mouseleave', function() {
+                this.style.transform = 'translateY(0)';
+                this.style.boxShadow = ''; 
+            });
+        }
+
         // This Makes characteristic cards clickable to navigate to forecast charts. (Used AI to help me understand how to navigate to the exact IEQ chart)
         function setupInteractiveCharacteristics() {
             if (!zoneIdParam) return;
 
-            function navigateToForecastChart(chartType) {
-                const forecastUrl = `zone_forecast.html?id=${encodeURIComponent(zoneIdParam)}#${chartType}`;
-                window.location.href = forecastUrl;
-            }
-
             const characteristicCards = [
                 { id: 'charCardLight', type: 'light', name: 'Light' },
                 { id: 'charCardTemp', type: 'temperature', name: 'Temperature' },
@@ -1689,24 +3414,7 @@ document.addEventListener('DOMContentLoaded', () => {
             characteristicCards.forEach(cardInfo => {
                 const cardElement = document.getElementById(cardInfo.id);
                 if (cardElement) {
-                    cardElement.addEventListener('click', function(e) {
-                        e.preventDefault();
-                        console.log(`Navigating to ${cardInfo.name} forecast chart`);
-                        navigateToForecastChart(cardInfo.type);
-                    });
-                    cardElement.style.cursor = 'pointer';
-                    cardElement.setAttribute('title', `Click to view detailed ${cardInfo.name.toLowerCase()} forecast`);
-
-                    // Added the hover effects for better UX
-                    cardElement.addEventListener('mouseenter', function() {
-                        this.style.transform = 'translateY(-2px)';
-                        this.style.boxShadow = '0 4px 12px rgba(0, 0, 0, 0.15)';
-                        this.style.transition = 'all 0.2s ease';
-                    });
-                    cardElement.addEventListener('mouseleave', function() {
-                        this.style.transform = 'translateY(0)';
-                        this.style.boxShadow = ''; 
-                    });
+                    makeCharacteristicCardInteractive(cardElement, cardInfo.type, cardInfo.name.toLowerCase());
                 } else {
                     console.warn(`[ZoneDetailsPage] Characteristic card with ID '${cardInfo.id}' not found.`);
                 }
@@ -1714,61 +3422,79 @@ document.addEventListener('DOMContentLoaded', () => {
             console.log('Zone details interactive navigation initialized for zone:', zoneIdParam);
         }
 
+        // Adds a characteristic card for each sensor channel with a reading for the zone, before the "Best For" card.
+        function renderChannelCharacteristicCards(zoneData, channelPreferences) {
+            const characteristicsGrid = document.querySelector('.zd-characteristics-grid');
+            if (!characteristicsGrid || !zoneData.channels) return;
+            const workTypeCard = document.getElementById('charCardWorkType');
+
+            sensorChannels.forEach(channel => {
+                const value = zoneData.channels[channel.key];
+                if (typeof value !== 'number' || isNaN(value)) return;
+
+                let valueText = SensorChannels.formatValue(channel.key, value);
+                const prefRange = resolvePreferenceRange(channel.thresholds, channelPreferences[channel.key], getStoredCustomRange(channel.preferenceKey));
+                if (prefRange) {
+                    const comparison = value > prefRange.max ? channel.comparisons.above : channel.comparisons.below;
+                    if (value >= prefRange.min && value <= prefRange.max) valueText += ' • Matches preference';
+                    else valueText += ` • ${comparison.charAt(0).toUpperCase()}${comparison.slice(1)} than preferred`;
+                }
+
+                const cardElement = document.createElement('div');
+                cardElement.id = `charCard-${channel.key}`;
+                cardElement.className = 'zd-char-card interactive';
+                cardElement.innerHTML = `
+                    <div class="zd-char-icon-wrapper"><i class="${channel.icon}"></i></div>
+                    <div class="zd-char-label">${channel.label}: ${SensorChannels.describeValue(channel.key, value)}</div>
+                    <div class="zd-char-value">${valueText}</div>`;
+                characteristicsGrid.insertBefore(cardElement, workTypeCard && workTypeCard.parentNode === characteristicsGrid ? workTypeCard : null);
+                makeCharacteristicCardInteractive(cardElement, channel.key, channel.label);
+            });
+        }
+
         // AI: Add highlight and text overlay (Zone Details Page)
-        // Sets up the highlight and text overlay on the floorplan image.
-        function setupFloorplanHighlight() {
+        // Draws every zone's outline on the floorplan (floorplan.js) and marks this one. Hovering a zone shows its readings
+        // for the current hour of today; clicking it opens its details.
+        function setupFloorplan(hourlyDataPromise) {
             if (!zoneIdParam) return; // Don't attempt if no zone ID
 
-            const highlightElement = document.getElementById('zoneDetailHighlight');
+            const floorplanContainer = document.querySelector('.zd-floorplan-container');
             const textOverlayElement = document.getElementById('zoneDetailTextOverlay');
-            const floorplanImageElement = document.getElementById('zoneDetailFloorplanImage');
-
-            if (highlightElement && textOverlayElement && floorplanImageElement) {
-                function applyHighlightAndText() {
-                    
-                    if (!floorplanImageElement.complete || floorplanImageElement.naturalWidth === 0) {
-                        
-                        console.warn("[ZoneDetailsPage] Floorplan image not fully loaded for highlight. Retrying or waiting for onload.");
-                        setTimeout(applyHighlightAndText, 100); 
-                        return;
-                    }
-
-                    const coords = zoneCoordinates[zoneIdParam] || FIXED_HIGHLIGHT_COORDS; 
-                    highlightElement.style.top = coords.top;
-                    highlightElement.style.left = coords.left;
-                    highlightElement.style.width = coords.width;
-                    highlightElement.style.height = coords.height;
-                    highlightElement.style.display = 'block';
-
-                    //  Position text overlay relative to the highlight or image (Using AI to help me understand and get how it is done)
-                    const textTopOffset = 10; 
-                    const textLeftOffsetPercent = 5;
-
-                    textOverlayElement.style.top = `calc(${coords.top} + ${textTopOffset}px)`;
-                    textOverlayElement.style.left = `calc(${coords.left} + ${textLeftOffsetPercent}%)`;
-                    textOverlayElement.textContent = zoneLocations[zoneIdParam] || `Location for Zone ${zoneIdParam}`;
-                    textOverlayElement.style.display = 'block';
+            const captionElement = document.getElementById('zoneDetailFloorplanCaption');
+            if (!floorplanContainer || !textOverlayElement || !window.Floorplan) {
+                console.warn("[ZoneDetailsPage] Floorplan container, text overlay or floorplan.js not found. Cannot display zone outlines.");
+                if (textOverlayElement) textOverlayElement.style.display = 'none';
+                return;
+            }
 
-                    debugDataFlow('ZoneDetailsPage', 'FloorplanHighlightAndText', { zoneId: zoneIdParam, appliedCoords: coords, textTop: textOverlayElement.style.top, textLeft: textOverlayElement.style.left });
-                }
+            Object.assign(textOverlayElement.style, UNIVERSAL_TEXT_POSITION);
+            textOverlayElement.textContent = zoneLocations[zoneIdParam] || `Location for Zone ${zoneIdParam}`;
+            textOverlayElement.style.display = 'block';
 
-                if (floorplanImageElement.complete && floorplanImageElement.naturalWidth > 0) {
-                    applyHighlightAndText();
-                } else {
-                    floorplanImageElement.onload = applyHighlightAndText;
-                    floorplanImageElement.onerror = () => {
-                        console.error("[ZoneDetailsPage] Floorplan image failed to load. Cannot apply highlight.");
-                         if (highlightElement) highlightElement.style.display = 'none';
-                         if (textOverlayElement) textOverlayElement.style.display = 'none';
-                    };
+            // Live readings: today's weekday profile, reusing the page's data when the planned day is today.
+            const now = new Date();
+            const plannedDay = getStoredTimeWindow().dayOfWeek;
+            const liveDataPromise = plannedDay === now.getDay() ? hourlyDataPromise : loadBuildingHourlyData(now.getDay());
+            let liveDataByMetric = null;
+            liveDataPromise.then(({ dataByMetric }) => { liveDataByMetric = dataByMetric; });
+
+            Floorplan.load().then(plan => {
+                const overlay = Floorplan.createOverlay(floorplanContainer, plan, {
+                    getTooltipHTML: zone => (liveDataByMetric
+                        ? buildFloorplanTooltipHTML(zone, liveDataByMetric, new Date().getHours())
+                        : `${buildFloorplanTooltipTitleHTML(zone)}<p class="floorplan-tooltip-empty"><i class="fas fa-spinner fa-spin"></i> Loading live readings...</p>`)
+                });
+                const isOnPlan = overlay.highlight(zoneIdParam);
+                if (captionElement) {
+                    captionElement.textContent = isOnPlan
+                        ? 'The outlined area is this zone. Hover over any zone for its current readings, or click it to open its details.'
+                        : 'This zone is not on the office floorplan. Hover over any zone for its current readings, or click it to open its details.';
                 }
-                // Re-apply on resize if layout is fluid
-                window.addEventListener('resize', applyHighlightAndText);
-            } else {
-                console.warn("[ZoneDetailsPage] Highlight, TextOverlay, or FloorplanImage element not found. Cannot display highlight.");
-                if (highlightElement) highlightElement.style.display = 'none';
-                if (textOverlayElement) textOverlayElement.style.display = 'none';
-            }
+                debugDataFlow('ZoneDetailsPage', 'FloorplanOverlay', { zoneId: zoneIdParam, isOnPlan, zoneCount: plan.zones.length });
+            }).catch(error => {
+                console.error(`[ZoneDetailsPage] ${error.message}. Cannot display zone outlines.`);
+                if (captionElement) captionElement.textContent = 'The zone outlines could not be loaded.';
+            });
         }
 
         // Populates the zone details page with data for the specified zone.
@@ -1801,10 +3527,12 @@ document.addEventListener('DOMContentLoaded', () => {
 
             
             // user preferences for contextual information.
+            const channelPreferences = getStoredChannelPreferences();
             const userPreferences = {
                 light: localStorage.getItem('lightingPreference'),
                 temp: localStorage.getItem('temperaturePreference'),
-                noise: localStorage.getItem('spaceUsagePreference')
+                noise: localStorage.getItem('spaceUsagePreference'),
+                ...channelPreferences
             };
 
         
@@ -1820,6 +3548,9 @@ document.addEventListener('DOMContentLoaded', () => {
                 charLightValue: document.getElementById('charLightValue'),
                 charTempLabel: document.getElementById('charTempLabel'),
                 charTempValue: document.getElementById('charTempValue'),
+                thermalComfortCard: document.getElementById('charCardThermalComfort'),
+                thermalComfortLabel: document.getElementById('charThermalComfortLabel'),
+                thermalComfortValue: document.getElementById('charThermalComfortValue'),
                 charNoiseLabel: document.getElementById('charNoiseLabel'),
                 charNoiseValue: document.getElementById('charNoiseValue'),
                 workTypeLabel: document.getElementById('charWorkTypeLabel'),
@@ -1827,7 +3558,9 @@ document.addEventListener('DOMContentLoaded', () => {
                 availabilityText: document.getElementById('availabilityText'),
                 availabilitySubtext: document.getElementById('availabilitySubtext'),
                 availabilityIcon: document.getElementById('availabilityIcon'),
-                crowdLevelText: document.getElementById('crowdLevelText')
+                crowdLevelText: document.getElementById('crowdLevelText'),
+                weightSummary: document.getElementById('zoneDetailWeightSummary'),
+                scoreBreakdown: document.getElementById('zoneDetailScoreBreakdown')
             };
 
             if (zoneData) {
@@ -1855,6 +3588,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
                 // Add the match information (for zone summary on Zone-details page).
                 let matchReasoning = "";
+                const windowTextForDetails = zoneData.timeWindow ? ` during your planned time (${formatTimeWindow(zoneData.timeWindow)})` : '';
                 const locationTextForDetails = zoneLocations[zoneIdParam] || `Zone ${zoneIdParam}`;
                 if (elements.matchTitle) {
                     if (zoneData.rank && zoneData.rank !== "Info Unavailable") {
@@ -1871,17 +3605,22 @@ document.addEventListener('DOMContentLoaded', () => {
 
                 if (zoneData.metCriteria) {
                     if (zoneData.metCriteria.light && userPreferences.light) {
-                        matchReasoning += `Its ${getLightDescription(zoneData.light).toLowerCase()} lighting (${zoneData.light} lux) aligns with your preference. `;
+                        matchReasoning += `Its ${getLightDescription(zoneData.light).toLowerCase()} lighting (${zoneData.light} lux) aligns with your preference${windowTextForDetails}. `;
                         preferenceMatchCount++;
                     }
                     if (zoneData.metCriteria.noise && userPreferences.noise) {
-                        matchReasoning += `The noise level (${zoneData.noise} dB) is well-suited for your chosen activity. `;
+                        matchReasoning += `The noise level (${zoneData.noise} dB) is well-suited for your chosen activity${windowTextForDetails}. `;
                         preferenceMatchCount++;
                     }
                     if (zoneData.metCriteria.temp && userPreferences.temp) {
-                        matchReasoning += `The temperature of ${zoneData.temperature}°C (feels like ${parseFloat(zoneData.feelsLikeTemp).toFixed(2)}°C) meets your comfort needs. `;
+                        matchReasoning += `The temperature of ${zoneData.temperature}°C (feels like ${parseFloat(zoneData.feelsLikeTemp).toFixed(2)}°C) meets your comfort needs${windowTextForDetails}. `;
                         preferenceMatchCount++;
                     }
+                    sensorChannels.forEach(channel => {
+                        if (!zoneData.metCriteria[channel.key] || !channelPreferences[channel.key]) return;
+                        matchReasoning += `${channel.label} (${SensorChannels.formatValue(channel.key, zoneData.channels[channel.key])}) is within your preferred range${windowTextForDetails}. `;
+                        preferenceMatchCount++;
+                    });
                 }
 
                 if (preferenceMatchCount === 0 && totalUserPrefsSelected > 0) {
@@ -1893,11 +3632,37 @@ document.addEventListener('DOMContentLoaded', () => {
                 }
                 if (elements.matchDescription) elements.matchDescription.textContent = matchReasoning.trim() || "Details about this zone's suitability based on your preferences.";
 
+                if (elements.scoreBreakdown) elements.scoreBreakdown.innerHTML = buildScoreBreakdownHTML(zoneData);
+
+                // Show the importance weights that were used to rank this zone.
+                if (elements.weightSummary && zoneData.isGroupRecommendation) {
+                    const objective = groupObjectiveOptions[zoneData.groupObjective] || groupObjectiveOptions[DEFAULT_GROUP_OBJECTIVE];
+                    const memberCount = (zoneData.memberResults || []).length;
+                    elements.weightSummary.innerHTML = `<i class="fas fa-users"></i> Ranked for your group of ${memberCount} by <strong>${objective.label}</strong>.`;
+                    elements.weightSummary.style.display = 'block';
+                } else if (elements.weightSummary) {
+                    const weightsUsed = zoneData.weights || getStoredPreferenceWeights();
+                    const weightParts = [];
+                    if (userPreferences.light) weightParts.push({ name: 'Lighting', weight: weightsUsed.light });
+                    if (userPreferences.noise) weightParts.push({ name: 'Noise', weight: weightsUsed.noise });
+                    if (userPreferences.temp) weightParts.push({ name: 'Temperature', weight: weightsUsed.temp });
+                    sensorChannels.forEach(channel => {
+                        if (channelPreferences[channel.key]) weightParts.push({ name: channel.label, weight: weightsUsed[channel.key] ?? DEFAULT_PREFERENCE_WEIGHT });
+                    });
+                    weightParts.sort((a, b) => b.weight - a.weight);
+                    if (weightParts.length > 0) {
+                        elements.weightSummary.innerHTML = `<i class="fas fa-sliders-h"></i> Ranked using your priorities: ${weightParts.map(p => `<strong>${p.name}</strong> (${getWeightLabel(p.weight)})`).join(', ')}`;
+                        elements.weightSummary.style.display = 'block';
+                    } else {
+                        elements.weightSummary.style.display = 'none';
+                    }
+                }
+
                 // Add characteristics (Light, Temp, Noise).
                 if (elements.charLightLabel) elements.charLightLabel.textContent = getLightDescription(zoneData.light);
                 let lightValueText = `${(zoneData.light !== 'N/A' && !isNaN(parseFloat(zoneData.light))) ? parseFloat(zoneData.light).toFixed(1) + ' lux' : 'Data unavailable'}`;
-                if (userPreferences.light && lightingThresholds[userPreferences.light] && typeof zoneData.light === 'number' && !isNaN(zoneData.light)) {
-                    const prefLight = lightingThresholds[userPreferences.light];
+                const prefLight = resolvePreferenceRange(lightingThresholds, userPreferences.light, getStoredCustomRange('lightingPreference'));
+                if (prefLight && typeof zoneData.light === 'number' && !isNaN(zoneData.light)) {
                     if (zoneData.light >= prefLight.min && zoneData.light <= prefLight.max) lightValueText += ` • Matches preference`;
                     else if (zoneData.light < prefLight.min) lightValueText += ` • Dimmer than preferred`;
                     else lightValueText += ` • Brighter than preferred`;
@@ -1907,17 +3672,30 @@ document.addEventListener('DOMContentLoaded', () => {
                 if (elements.charTempLabel) elements.charTempLabel.textContent = `${(zoneData.temperature !== 'N/A' && !isNaN(parseFloat(zoneData.temperature))) ? parseFloat(zoneData.temperature).toFixed(1) + '°C' : 'N/A'}`;
                 if (elements.charTempValue) elements.charTempValue.textContent = `Feels like: ${(zoneData.feelsLikeTemp !== 'N/A' && !isNaN(parseFloat(zoneData.feelsLikeTemp))) ? parseFloat(zoneData.feelsLikeTemp).toFixed(2) + '°C' : 'N/A'} • ${getTemperatureDescription(zoneData.temperature)}`;
 
+                // PMV/PPD for the clothing and activity the user chose (defaults otherwise).
+                if (elements.thermalComfortCard && zoneData.thermalComfort) {
+                    const comfort = zoneData.thermalComfort;
+                    const pmvText = `${comfort.pmv > 0 ? '+' : ''}${comfort.pmv.toFixed(2)}`;
+                    if (elements.thermalComfortLabel) elements.thermalComfortLabel.textContent = `PMV ${pmvText} · ${comfort.sensation}`;
+                    if (elements.thermalComfortValue) elements.thermalComfortValue.textContent = `${comfort.ppd}% predicted dissatisfied • ${comfort.clo} clo, ${comfort.met} met, ${comfort.relativeHumidity}% RH`;
+                    elements.thermalComfortCard.style.display = '';
+                }
+
                 if (elements.charNoiseLabel) elements.charNoiseLabel.textContent = getNoiseDescription(zoneData.noise);
                 let noiseSubText = `${(zoneData.noise !== 'N/A' && !isNaN(parseFloat(zoneData.noise))) ? parseFloat(zoneData.noise).toFixed(1) + ' dB' : 'Data unavailable'}`;
-                 if (userPreferences.noise && noiseWorkTypeThresholds[userPreferences.noise] && typeof zoneData.noise === 'number' && !isNaN(zoneData.noise)) {
-                    const prefRange = noiseWorkTypeThresholds[userPreferences.noise];
-                    const userPrefText = (preferenceDisplayMap[userPreferences.noise]?.text || userPreferences.noise).split('(')[0].trim();
+                const prefRange = resolvePreferenceRange(noiseWorkTypeThresholds, userPreferences.noise, getStoredCustomRange('spaceUsagePreference'));
+                 if (prefRange && typeof zoneData.noise === 'number' && !isNaN(zoneData.noise)) {
+                    const userPrefText = userPreferences.noise === CUSTOM_PREFERENCE_VALUE
+                        ? 'your custom range'
+                        : (preferenceDisplayMap[userPreferences.noise]?.text || userPreferences.noise).split('(')[0].trim();
                     if (zoneData.noise >= prefRange.min && zoneData.noise <= prefRange.max) noiseSubText += ` • Ideal for ${userPrefText}`;
                     else if (zoneData.noise < prefRange.min) noiseSubText += ` • Quieter than typical for ${userPrefText}`;
                     else noiseSubText += ` • Noisier than typical for ${userPrefText}`;
                 }
                 if (elements.charNoiseValue) elements.charNoiseValue.textContent = noiseSubText;
 
+                renderChannelCharacteristicCards(zoneData, channelPreferences);
+
 
                 // work type information based on noise preference.
                 if (userPreferences.noise && noisePreferenceDescriptors[userPreferences.noise]) {
@@ -1928,6 +3706,13 @@ document.addEventListener('DOMContentLoaded', () => {
                     } else {
                         if (elements.workTypeValue) elements.workTypeValue.textContent = "Details based on your noise preference.";
                     }
+                } else if (userPreferences.noise === CUSTOM_PREFERENCE_VALUE && prefRange) {
+                    if (elements.workTypeLabel) elements.workTypeLabel.textContent = "Your Custom Noise Range";
+                    if (elements.workTypeValue) {
+                        elements.workTypeValue.textContent = (typeof zoneData.noise === 'number' && zoneData.noise >= prefRange.min && zoneData.noise <= prefRange.max)
+                            ? `Noise level is within ${prefRange.min}-${prefRange.max} dB.`
+                            : `Current noise (${zoneData.noise} dB) is outside ${prefRange.min}-${prefRange.max} dB.`;
+                    }
                 } else {
                     if (elements.workTypeLabel) elements.workTypeLabel.textContent = "General Use";
                     if (elements.workTypeValue) elements.workTypeValue.textContent = "Suitable for various activities.";
@@ -1961,6 +3746,63 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         }
 
+        // Shows every metric's reading for this zone at one hour. The hour comes from "?hour=" (the heatmap links here
+        // with the clicked hour) or defaults to the start of the planned window; the select changes it in place.
+        function setupHourPanel(hourlyDataPromise) {
+            const hourSection = document.getElementById('zoneDetailHourSection');
+            const hourSelect = document.getElementById('zoneDetailHourSelect');
+            const readingsContainer = document.getElementById('zoneDetailHourReadings');
+            if (!zoneIdParam || !hourSection || !hourSelect || !readingsContainer) return;
+
+            const hourParam = parseInt(urlParams.get('hour'), 10);
+            const hasHourParam = !isNaN(hourParam) && hourParam >= 0 && hourParam <= 23;
+            const timeWindow = getStoredTimeWindow();
+            hourSelect.innerHTML = Array.from({ length: 24 }, (_, hour) => `<option value="${hour}">${formatClockHour(hour)}</option>`).join('');
+            hourSelect.value = String(hasHourParam ? hourParam : timeWindow.startHour);
+            readingsContainer.innerHTML = `<p><i class="fas fa-spinner fa-spin"></i> Loading hourly readings...</p>`;
+            hourSection.style.display = '';
+
+            hourlyDataPromise.then(({ dataByMetric }) => {
+                const renderReadings = () => {
+                    const hour = parseInt(hourSelect.value, 10);
+                    const readingsHTML = hourlyMetrics.map(metric => {
+                        const zoneEntry = findZoneEntry(dataByMetric[metric.key], zoneIdParam);
+                        if (!zoneEntry) return '';
+                        const value = getReadingAtHour(metric, zoneEntry.timeSeries, hour);
+                        const range = getMetricPreferenceRange(metric);
+                        const status = classifyReading(value, range);
+                        return `
+                            <div class="zd-hour-reading heatmap-${status}">
+                                <i class="${metric.icon}"></i>
+                                <span class="zd-hour-reading-label">${metric.label}</span>
+                                <span class="zd-hour-reading-value">${formatMetricValue(metric, value)}</span>
+                                <span class="zd-hour-reading-status">${describeReadingStatus(metric, status)}${range && value !== null ? ` (${formatMetricRange(metric, range)})` : ''}</span>
+                            </div>`;
+                    }).join('');
+                    readingsContainer.innerHTML = readingsHTML || `<p>No hourly readings are available for this zone.</p>`;
+                };
+                hourSelect.addEventListener('change', renderReadings);
+                renderReadings();
+                if (hasHourParam) hourSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            });
+        }
+
+        // Lists the blocks of the day when every preference is met at once in this zone, each with a booking link.
+        function setupBestTimeFinder(hourlyDataPromise) {
+            const bestTimeSection = document.getElementById('zoneDetailBestTimeSection');
+            const bestTimeContent = document.getElementById('zoneDetailBestTime');
+            if (!zoneIdParam || !bestTimeSection || !bestTimeContent || !window.BestTimeFinder) return;
+
+            bestTimeContent.innerHTML = `<p><i class="fas fa-spinner fa-spin"></i> Looking for the best time...</p>`;
+            bestTimeSection.style.display = '';
+            hourlyDataPromise.then(({ dataByMetric }) => {
+                const dayOfWeek = getStoredTimeWindow().dayOfWeek;
+                const result = BestTimeFinder.findComfortBlocks(buildZoneComfortCriteria(dataByMetric, zoneIdParam));
+                bestTimeContent.innerHTML = BestTimeFinder.buildBlocksHTML(result, zoneIdParam, dayOfWeek);
+                debugDataFlow('ZoneDetailsPage', 'BestTimeBlocks', result);
+            });
+        }
+
         // Sets up event listeners for action buttons on the zone details page.
         function setupActionButtons() {
             if (!zoneIdParam) return; 
@@ -1993,8 +3835,11 @@ document.addEventListener('DOMContentLoaded', () => {
             if (!zoneIdParam) return; // Do not proceed if no zone ID
             console.log('[ZoneDetailsPage] Initializing zone details page for Zone ID:', zoneIdParam);
             setupInteractiveCharacteristics();
-            setupFloorplanHighlight();
             populateZoneDetails();
+            const hourlyDataPromise = loadBuildingHourlyData(getStoredTimeWindow().dayOfWeek);
+            setupFloorplan(hourlyDataPromise);
+            setupBestTimeFinder(hourlyDataPromise);
+            setupHourPanel(hourlyDataPromise);
             setupActionButtons();
             console.log('[ZoneDetailsPage] Zone details page initialization complete');
         }
@@ -2002,32 +3847,574 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
 
+    // Section: Booking Slots
+    // Purpose: Booked times shared by the booking form and the confirmation page. A slot is { start, end } (Dates); the form
+    // passes it on as "?zone=&date=YYYY-MM-DD&start=HH:MM&end=HH:MM".
+    const BOOKING_SLOT_STEP_MINUTES = 30; // Start times and durations go in half hours
+    const MIN_BOOKING_MINUTES = 30;
+    const hourlyDataByDay = new Map(); // Building hourly data per weekday, loaded once per page
+
+    // The booking store for the booking pages. Only the zones in zoneLocations can be booked, so an id typed into
+    // "?zone=" is refused rather than stored.
+    function getBookingStore() {
+        BookingStore.setKnownZones(Object.keys(zoneLocations));
+        return BookingStore.getStore();
+    }
+
+    // Parses "9", "09:30" or "13:00" into minutes after midnight, or null.
+    function parseClockTime(value) {
+        const match = /^(\d{1,2})(?::(\d{2}))?$/.exec(String(value || '').trim());
+        if (!match) return null;
+        const minutes = parseInt(match[1], 10) * 60 + (match[2] ? parseInt(match[2], 10) : 0);
+        return (match[2] && parseInt(match[2], 10) > 59) || minutes > 24 * 60 ? null : minutes;
+    }
+
+    function formatClockMinutes(totalMinutes) {
+        return `${String(Math.floor(totalMinutes / 60)).padStart(2, '0')}:${String(totalMinutes % 60).padStart(2, '0')}`;
+    }
+
+    // The rules for a booked slot, wherever it is chosen (booking form or Modify): it starts and ends on a half hour,
+    // lasts at least MIN_BOOKING_MINUTES, has not already started more than a step ago, and lies within one day's
+    // bookable hours (BestTimeFinder.BOOKABLE_HOURS). Returns the problem to show, or null.
+    function validateBookingSlot(slot, now = Date.now()) {
+        if (!slot) return 'Choose a date for your booking.';
+        const openingMinutes = BestTimeFinder.BOOKABLE_HOURS.startHour * 60;
+        const closingMinutes = BestTimeFinder.BOOKABLE_HOURS.endHour * 60;
+        const startMinutes = slot.start.getHours() * 60 + slot.start.getMinutes();
+        const durationMinutes = (slot.end - slot.start) / (60 * 1000);
+        if (slot.start.getTime() + BOOKING_SLOT_STEP_MINUTES * 60 * 1000 <= now) {
+            return 'That start time has already passed. Choose a later time or another day.';
+        }
+        if (startMinutes % BOOKING_SLOT_STEP_MINUTES !== 0 || durationMinutes % BOOKING_SLOT_STEP_MINUTES !== 0) {
+            return 'Bookings start and end on the hour or half hour.';
+        }
+        if (durationMinutes <= 0) return 'The booking must end after it starts.';
+        if (durationMinutes < MIN_BOOKING_MINUTES) return `Bookings must last at least ${MIN_BOOKING_MINUTES} minutes.`;
+        if (startMinutes < openingMinutes) return `Bookings can start from ${formatClockMinutes(openingMinutes)}. Choose a later start.`;
+        if (startMinutes + durationMinutes > closingMinutes) {
+            return `Bookings must end by ${formatClockMinutes(closingMinutes)}. Choose an earlier start or a shorter duration.`;
+        }
+        return null;
+    }
+
+    // Works out the requested slot from "?start=&end=" (clock times such as "9" or "09:30"), or null when there is none.
+    // "&date=YYYY-MM-DD" books that date. Otherwise the slot is the next one that has not yet ended, on the weekday given
+    // by "&day=" (0 = Sunday) if any, e.g. a block from the best-time finder.
+    function getBookedSlot(urlParams) {
+        const startMinutes = parseClockTime(urlParams.get('start'));
+        const endMinutes = parseClockTime(urlParams.get('end'));
+        if (startMinutes === null || endMinutes === null || endMinutes <= startMinutes) return null;
+
+        const now = new Date();
+        const dateMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(urlParams.get('date') || '');
+        const start = dateMatch ? new Date(+dateMatch[1], +dateMatch[2] - 1, +dateMatch[3]) : new Date(now);
+        start.setHours(0, startMinutes, 0, 0);
+        const durationMs = (endMinutes - startMinutes) * 60 * 1000;
+        if (!dateMatch) {
+            const dayParam = parseInt(urlParams.get('day'), 10);
+            const dayOfWeek = dayParam >= 0 && dayParam <= 6 ? dayParam : null;
+            if (dayOfWeek !== null) start.setDate(start.getDate() + (dayOfWeek - now.getDay() + 7) % 7);
+            if (start.getTime() + durationMs <= now.getTime()) {
+                start.setDate(start.getDate() + (dayOfWeek !== null ? 7 : 1)); // Today's block is over
+            }
+        }
+        return { start, end: new Date(start.getTime() + durationMs) };
+    }
+
+    function buildBookingSlotQuery(zoneId, slot) {
+        const endMinutes = Math.round((slot.end - new Date(slot.start.getFullYear(), slot.start.getMonth(), slot.start.getDate())) / (60 * 1000));
+        return new URLSearchParams({
+            zone: zoneId,
+            date: toDateInputValue(slot.start),
+            start: toTimeInputValue(slot.start),
+            end: formatClockMinutes(endMinutes)
+        }).toString();
+    }
+
+    function toBookingSlot(booking) {
+        return { start: new Date(booking.start), end: new Date(booking.end) };
+    }
+
+    // Values for <input type="date"> and <input type="time"> in local time.
+    function toDateInputValue(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    function toTimeInputValue(date) {
+        return formatClockMinutes(date.getHours() * 60 + date.getMinutes());
+    }
+
+    // e.g. "2 Hours", "1 Hour 30 Minutes"
+    function formatBookingDuration(slot) {
+        const totalMinutes = Math.round((slot.end - slot.start) / (60 * 1000));
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        const parts = [];
+        if (hours > 0) parts.push(`${hours} Hour${hours === 1 ? '' : 's'}`);
+        if (minutes > 0) parts.push(`${minutes} Minute${minutes === 1 ? '' : 's'}`);
+        return parts.join(' ') || '0 Minutes';
+    }
+
+    // e.g. "Tue 20 Oct, 08:00 am - 02:00 pm"; takes a slot or a stored booking.
+    function formatBookingRange(booking) {
+        const start = new Date(booking.start);
+        const end = new Date(booking.end);
+        const timeOptions = { hour: '2-digit', minute: '2-digit', hour12: true };
+        return `${start.toLocaleDateString('en-AU', { weekday: 'short', day: 'numeric', month: 'short' })}, ${start.toLocaleTimeString('en-AU', timeOptions)} - ${end.toLocaleTimeString('en-AU', timeOptions)}`;
+    }
+
+    function describeBookingError(error) {
+        if (error.code === 'conflict') {
+            const takenTimes = error.conflicts.map(conflict => formatBookingRange(conflict)).join('; ');
+            return `${error.message}${takenTimes ? ` Already booked: ${takenTimes}.` : ''} Choose another time or zone.`;
+        }
+        return error.code ? error.message : `The booking could not be saved (${error.message}).`;
+    }
+
+    // Countdown for a slot: to its start when booked ahead, then the time remaining. color is '' until the last
+    // 30 minutes (amber), then red for the last 10 minutes and once it is over.
+    function getSlotCountdown(slot, now = Date.now()) {
+        const formatDuration = (milliseconds) => {
+            const days = Math.floor(milliseconds / (1000 * 60 * 60 * 24));
+            const hours = Math.floor((milliseconds % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
+            const minutes = Math.floor((milliseconds % (1000 * 60 * 60)) / (1000 * 60));
+            const seconds = Math.floor((milliseconds % (1000 * 60)) / 1000);
+            return `${days > 0 ? `${days}d ` : ''}${hours}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+        };
+        const startTime = slot.start.getTime();
+        const timeLeft = slot.end.getTime() - now;
+        if (now < startTime) return { text: `Starts in ${formatDuration(startTime - now)}`, color: '', isOver: false };
+        if (timeLeft <= 0) return { text: 'Booking Expired', color: '#dc2626', isOver: true }; // Red
+        const color = timeLeft < 10 * 60 * 1000 ? '#dc2626' : timeLeft < 30 * 60 * 1000 ? '#f59e0b' : ''; // Red for last 10 mins, amber for last 30
+        return { text: `${formatDuration(timeLeft)} remaining`, color, isOver: false };
+    }
+
+    // 'active', 'expired' (ended without being cancelled) or 'cancelled'.
+    function getBookingDisplayStatus(booking, now = Date.now()) {
+        if (booking.status === BookingStore.STATUS.cancelled) return 'cancelled';
+        return new Date(booking.end).getTime() <= now ? 'expired' : 'active';
+    }
+
+    function loadHourlyDataForDay(dayOfWeek) {
+        if (!hourlyDataByDay.has(dayOfWeek)) hourlyDataByDay.set(dayOfWeek, loadBuildingHourlyData(dayOfWeek));
+        return hourlyDataByDay.get(dayOfWeek);
+    }
+
+    // The zone's expected conditions during a slot, from that weekday's hourly data: each metric's average over the clock
+    // hours the slot touches (null without readings), the criteria, and the hour-by-hour BestTimeFinder.checkSlot result.
+    function loadSlotConditions(zoneId, slot) {
+        const startHour = slot.start.getHours();
+        const endsNextDay = slot.end.getDate() !== slot.start.getDate() && slot.end - slot.start > 0;
+        const endHour = endsNextDay ? 24 : Math.ceil(slot.end.getHours() + slot.end.getMinutes() / 60);
+        return loadHourlyDataForDay(slot.start.getDay()).then(({ dataByMetric }) => {
+            const criteria = buildZoneComfortCriteria(dataByMetric, zoneId);
+            const averages = {};
+            criteria.forEach(criterion => {
+                const readings = criterion.hourly.slice(startHour, endHour).filter(value => value !== null);
+                averages[criterion.key] = readings.length > 0 ? readings.reduce((sum, value) => sum + value, 0) / readings.length : null;
+            });
+            return { criteria, averages, startHour, endHour, check: BestTimeFinder.checkSlot(criteria, startHour, endHour) };
+        });
+    }
+
+    // Location, expected conditions and a link back for a booking's calendar event (BookingCalendar in booking_calendar.js).
+    // The conditions are left out when the hourly data cannot be loaded.
+    function loadBookingCalendarDetails(booking) {
+        const details = {
+            location: zoneLocations[booking.zoneId] || `Zone ${booking.zoneId}`,
+            url: new URL(`booking-confirmation.html?booking=${encodeURIComponent(booking.id)}`, window.location.href).href,
+            conditions: []
+        };
+        return loadSlotConditions(booking.zoneId, toBookingSlot(booking))
+            .then(({ criteria, averages, check }) => {
+                details.conditions = criteria
+                    .filter(criterion => averages[criterion.key] !== null)
+                    .map(criterion => `${criterion.label}: approx. ${averages[criterion.key].toFixed(criterion.decimals)} ${criterion.unit}`);
+                if (check.criteria.length > 0) {
+                    details.conditions.push(`Your preferences met for ${check.hours.length - check.unmetHours.length} of ${check.hours.length} hour${check.hours.length === 1 ? '' : 's'}`);
+                }
+                return details;
+            })
+            .catch(error => {
+                console.warn('[Calendar] Expected conditions unavailable:', error);
+                return details;
+            });
+    }
+
+    function downloadBookingCalendar(booking) {
+        return loadBookingCalendarDetails(booking).then(details => {
+            BookingCalendar.downloadCalendar(BookingCalendar.getBookingFileName(booking), BookingCalendar.buildBookingCalendar(booking, details));
+        });
+    }
+
+    // Shows the subscribe link when the booking store serves a calendar feed for this person (the HTTP store). Calendars
+    // re-read the feed, so later changes and cancellations reach them; with a local store only the one-time export is offered.
+    function showCalendarFeedLink(bookingStore, linkElement) {
+        const feedUrl = linkElement ? bookingStore.getCalendarFeedUrl(BookingStore.getCurrentOwner().id) : null;
+        if (!feedUrl) return;
+        linkElement.href = feedUrl.replace(/^https?:/, 'webcal:'); // Opens the calendar app's subscribe dialog
+        linkElement.style.display = '';
+    }
+
+    // Downloads every booking made on this browser as one calendar file to import; resolves to the number of bookings in it.
+    function downloadBookingsExport(bookingStore) {
+        const owner = BookingStore.getCurrentOwner();
+        return bookingStore.listBookings({ ownerId: owner.id, includeCancelled: true })
+            .then(bookings => Promise.all(bookings.map(booking => loadBookingCalendarDetails(booking).then(details => ({ booking, details })))))
+            .then(entries => {
+                BookingCalendar.downloadCalendar(BookingCalendar.EXPORT_FILE_NAME, BookingCalendar.buildBookingsExport(entries, { ownerName: owner.name }));
+                return entries.length;
+            });
+    }
+
+    // Section: Booking Form Page Logic
+    // Purpose: The step before confirmation. The user picks a date, start time and duration for "?zone=" (pre-filled from
+    // "&start=&end=&day=" or the planned time window), and each choice is checked against the zone's other bookings (a
+    // clash blocks it) and the hours the zone meets their preferences (a warning, with better blocks that day).
+    // Continuing opens the confirmation page, which makes the booking.
+    if (document.body.classList.contains('booking-form-page')) {
+        const bookingStore = getBookingStore();
+        const urlParams = new URLSearchParams(window.location.search);
+        const zoneIdParam = urlParams.get('zone');
+        const openingMinutes = BestTimeFinder.BOOKABLE_HOURS.startHour * 60;
+        const closingMinutes = BestTimeFinder.BOOKABLE_HOURS.endHour * 60;
+        const fullDayMinutes = closingMinutes - openingMinutes;
+        const zoneElement = document.getElementById('bookingFormZone');
+        const slotForm = document.getElementById('bookingSlotForm');
+        const dateInput = document.getElementById('bookingSlotDate');
+        const startSelect = document.getElementById('bookingSlotStart');
+        const durationSelect = document.getElementById('bookingSlotDuration');
+        const submitButton = document.getElementById('bookingSlotSubmit');
+        const summaryElement = document.getElementById('bookingSlotSummary');
+        const availabilityElement = document.getElementById('bookingSlotAvailability');
+        const comfortElement = document.getElementById('bookingSlotComfort');
+        let latestCheckId = 0;
+
+        const roundToStep = (minutes) => Math.round(minutes / BOOKING_SLOT_STEP_MINUTES) * BOOKING_SLOT_STEP_MINUTES;
+        const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+        function populateSlotOptions() {
+            for (let minutes = openingMinutes; minutes + MIN_BOOKING_MINUTES <= closingMinutes; minutes += BOOKING_SLOT_STEP_MINUTES) {
+                startSelect.add(new Option(formatClockMinutes(minutes), minutes));
+            }
+            for (let minutes = MIN_BOOKING_MINUTES; minutes <= fullDayMinutes; minutes += BOOKING_SLOT_STEP_MINUTES) {
+                const label = minutes === fullDayMinutes
+                    ? `Full day (${formatClockMinutes(openingMinutes)}–${formatClockMinutes(closingMinutes)})`
+                    : formatBookingDuration({ start: new Date(0), end: new Date(minutes * 60 * 1000) });
+                durationSelect.add(new Option(label, minutes));
+            }
+            dateInput.min = toDateInputValue(new Date());
+        }
+
+        // Fills the form from the link's slot, else the planned time window, snapped to the bookable half hours.
+        // A start that has already passed today moves to the next half hour.
+        function fillForm(slot) {
+            const now = new Date();
+            let startMinutes = roundToStep(slot.start.getHours() * 60 + slot.start.getMinutes());
+            const durationMinutes = roundToStep((slot.end - slot.start) / (60 * 1000));
+            if (toDateInputValue(slot.start) === toDateInputValue(now)) {
+                const nextStep = Math.ceil((now.getHours() * 60 + now.getMinutes()) / BOOKING_SLOT_STEP_MINUTES) * BOOKING_SLOT_STEP_MINUTES;
+                if (startMinutes < nextStep && nextStep + MIN_BOOKING_MINUTES <= closingMinutes) startMinutes = nextStep;
+            }
+            startMinutes = clamp(startMinutes, openingMinutes, closingMinutes - MIN_BOOKING_MINUTES);
+            dateInput.value = toDateInputValue(slot.start);
+            startSelect.value = String(startMinutes);
+            durationSelect.value = String(clamp(durationMinutes, MIN_BOOKING_MINUTES, closingMinutes - startMinutes));
+        }
+
+        function getInitialSlot() {
+            const linkedSlot = getBookedSlot(urlParams);
+            if (linkedSlot) return linkedSlot;
+            const plannedWindow = getStoredTimeWindow();
+            return getBookedSlot(new URLSearchParams({ start: plannedWindow.startHour, end: plannedWindow.endHour, day: plannedWindow.dayOfWeek ?? '' }));
+        }
+
+        // The slot chosen in the form, or null without a valid date.
+        function readSlot() {
+            const dateMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateInput.value);
+            if (!dateMatch) return null;
+            const start = new Date(+dateMatch[1], +dateMatch[2] - 1, +dateMatch[3]);
+            start.setHours(0, parseInt(startSelect.value, 10), 0, 0);
+            return { start, end: new Date(start.getTime() + parseInt(durationSelect.value, 10) * 60 * 1000) };
+        }
+
+        function setSubmitState(state) {
+            submitButton.disabled = state === 'blocked' || state === 'checking';
+            submitButton.textContent = { ok: 'Continue to Confirmation', warning: 'Book Anyway', blocked: 'Continue to Confirmation', checking: 'Checking...' }[state];
+        }
+
+        const formatTimeRange = (booking) => `${toTimeInputValue(new Date(booking.start))}–${toTimeInputValue(new Date(booking.end))}`;
+
+        function renderAvailability(slot, zoneBookings, conflicts) {
+            if (conflicts.length > 0) {
+                availabilityElement.innerHTML = `<p class="booking-slot-error"><i class="fas fa-times-circle"></i> Zone ${escapeHTML(zoneIdParam)} is already booked at that time (${conflicts.map(formatTimeRange).join(', ')}). Choose another time, or <a href="results.html">another zone</a>.</p>`;
+                return;
+            }
+            const slotDate = toDateInputValue(slot.start);
+            const sameDayBookings = zoneBookings.filter(booking => toDateInputValue(new Date(booking.start)) === slotDate);
+            availabilityElement.innerHTML = `<p class="booking-slot-ok"><i class="fas fa-check-circle"></i> Zone ${escapeHTML(zoneIdParam)} is free at that time.</p>`
+                + (sameDayBookings.length > 0 ? `<p class="booking-slot-note">Already booked that day: ${sameDayBookings.map(formatTimeRange).join(', ')}.</p>` : '');
+        }
+
+        // Hour-by-hour preference check, with the day's best blocks as one-click alternatives when some hours fall short.
+        function renderComfort(conditions, slot) {
+            if (!conditions) {
+                comfortElement.innerHTML = `<p class="booking-slot-note"><i class="fas fa-info-circle"></i> Sensor data could not be loaded, so this time was not checked against your preferences.</p>`;
+                return;
+            }
+            const { check } = conditions;
+            const missingNote = check.missing.length > 0
+                ? `<p class="booking-slot-note">Not checked (no readings for this zone): ${check.missing.join(', ')}.</p>`
+                : '';
+            if (check.criteria.length === 0) {
+                comfortElement.innerHTML = `<p class="booking-slot-note"><i class="fas fa-info-circle"></i> Set your preferences in the <a href="quiz-step1.html?start=new">quiz</a> to check this time against them.</p>${missingNote}`;
+                return;
+            }
+            if (check.unmetHours.length === 0) {
+                comfortElement.innerHTML = `<p class="booking-slot-ok"><i class="fas fa-check-circle"></i> Your preferences are expected to be met for the whole booking.</p>${missingNote}`;
+                return;
+            }
+
+            const dayName = SensorHistory.DAY_NAMES[slot.start.getDay()];
+            const hourItems = check.hours.filter(entry => entry.unmet.length > 0)
+                .map(entry => `<li><strong>${formatClockHour(entry.hour)}</strong> ${entry.unmet.join(', ')}</li>`).join('');
+            const isToday = toDateInputValue(slot.start) === toDateInputValue(new Date());
+            const nowMinutes = new Date().getHours() * 60 + new Date().getMinutes();
+            const suggestedBlocks = BestTimeFinder.findComfortBlocks(conditions.criteria).blocks
+                .filter(block => !isToday || block.startHour * 60 + BOOKING_SLOT_STEP_MINUTES > nowMinutes)
+                .slice(0, 3);
+            const suggestions = suggestedBlocks.length > 0
+                ? `<p class="booking-slot-note">Times on ${dayName} when all of them are met:</p>
+                   <div class="booking-slot-suggestions">${suggestedBlocks.map(block => `<button type="button" class="booking-slot-suggestion" data-start="${block.startHour * 60}" data-duration="${block.hours * 60}"><i class="fas fa-clock"></i> Use ${BestTimeFinder.formatBlock(block)}</button>`).join('')}</div>`
+                : `<p class="booking-slot-note">There is no time on ${dayName} when all of your preferences are met at once.</p>`;
+            comfortElement.innerHTML = `
+                <p class="booking-slot-warning"><i class="fas fa-exclamation-triangle"></i> Your preferences are not expected to be met for ${check.unmetHours.length} of the ${check.hours.length} hour${check.hours.length === 1 ? '' : 's'} this booking covers:</p>
+                <ul class="booking-slot-hours">${hourItems}</ul>
+                ${suggestions}
+                ${missingNote}`;
+        }
+
+        // Checks the current choice; resolves true when it can be booked. Only the latest check updates the page.
+        function checkSelectedSlot() {
+            const checkId = ++latestCheckId;
+            const slot = readSlot();
+            const timeProblem = validateBookingSlot(slot);
+            summaryElement.innerHTML = slot ? `<i class="fas fa-calendar-alt"></i> ${formatBookingRange(slot)} · ${formatBookingDuration(slot)}` : '';
+            if (timeProblem) {
+                availabilityElement.innerHTML = `<p class="booking-slot-error"><i class="fas fa-times-circle"></i> ${timeProblem}</p>`;
+                comfortElement.innerHTML = '';
+                setSubmitState('blocked');
+                return Promise.resolve(false);
+            }
+
+            setSubmitState('checking');
+            const conditionsPromise = loadSlotConditions(zoneIdParam, slot).catch(error => {
+                console.error('[Booking Form] Could not load the hourly data:', error);
+                return null;
+            });
+            return Promise.all([bookingStore.listBookings({ zoneId: zoneIdParam }), conditionsPromise])
+                .then(([zoneBookings, conditions]) => {
+                    if (checkId !== latestCheckId) return false; // A newer choice is being checked
+                    const conflicts = BookingStore.findConflicts(zoneBookings, zoneIdParam, slot.start, slot.end);
+                    renderAvailability(slot, zoneBookings, conflicts);
+                    renderComfort(conditions, slot);
+                    const hasUnmetHours = Boolean(conditions) && conditions.check.unmetHours.length > 0;
+                    setSubmitState(conflicts.length > 0 ? 'blocked' : hasUnmetHours ? 'warning' : 'ok');
+                    debugDataFlow('booking-form', 'slot check', { slot, conflicts, check: conditions && conditions.check });
+                    return conflicts.length === 0;
+                })
+                .catch(error => {
+                    if (checkId !== latestCheckId) return false;
+                    // The confirmation page still refuses a clash, so an unreachable store does not block the form.
+                    console.error('[Booking Form] Could not check availability:', error);
+                    availabilityElement.innerHTML = `<p class="booking-slot-note"><i class="fas fa-info-circle"></i> Availability could not be checked (${escapeHTML(error.message)}). It will be checked again when you confirm.</p>`;
+                    setSubmitState('ok');
+                    return true;
+                });
+        }
+
+        function initializeBookingForm() {
+            if (!zoneIdParam || !zoneLocations[zoneIdParam]) { // Only zones in zoneLocations can be booked
+                if (zoneIdParam) console.warn(`[Booking Form] Zone "${zoneIdParam}" is not a known zone.`);
+                const reason = zoneIdParam ? 'That zone does not exist.' : 'No zone was chosen.';
+                zoneElement.innerHTML = `<p class="booking-slot-error"><i class="fas fa-times-circle"></i> ${reason} Pick a zone from your <a href="results.html">recommendations</a> to book it.</p>`;
+                slotForm.style.display = 'none';
+                return;
+            }
+            zoneElement.innerHTML = `
+                <h2><i class="fas fa-map-marker-alt"></i> Zone ${escapeHTML(zoneIdParam)}</h2>
+                <p>${escapeHTML(zoneLocations[zoneIdParam])}</p>
+                <a href="zone-details.html?id=${encodeURIComponent(zoneIdParam)}">View zone details</a>`;
+            populateSlotOptions();
+            fillForm(getInitialSlot());
+
+            [dateInput, startSelect].forEach(input => input.addEventListener('change', checkSelectedSlot));
+            durationSelect.addEventListener('change', () => {
+                if (parseInt(durationSelect.value, 10) === fullDayMinutes) startSelect.value = String(openingMinutes);
+                checkSelectedSlot();
+            });
+            comfortElement.addEventListener('click', (event) => {
+                const suggestion = event.target.closest('.booking-slot-suggestion');
+                if (!suggestion) return;
+                startSelect.value = suggestion.dataset.start;
+                durationSelect.value = suggestion.dataset.duration;
+                checkSelectedSlot();
+            });
+            slotForm.addEventListener('submit', (event) => {
+                event.preventDefault();
+                checkSelectedSlot().then(canBook => {
+                    if (canBook) window.location.href = `booking-confirmation.html?${buildBookingSlotQuery(zoneIdParam, readSlot())}`;
+                });
+            });
+            checkSelectedSlot();
+        }
+        initializeBookingForm();
+    }
+
     // Section: Booking Confirmation Page Logic
-    // Purpose: Manages the display of booking confirmation details.
+    // Purpose: Creates the booking in the booking store (booking_store.js) and shows it; modify and cancel change the stored booking.
+    // "?zone=&date=&start=&end=" from the booking form makes a new booking, then the URL becomes "?booking=<id>" so reloading
+    // shows the same booking instead of booking again. A zone without a slot goes to the booking form first.
     if (document.body.classList.contains('booking-confirmation-page')) {
         console.log("Booking confirmation page detected. Initializing...");
+        const bookingStore = getBookingStore();
+        const urlParams = new URLSearchParams(window.location.search);
+        let currentBooking = null;
+        let countdownInterval = null;
+        let characteristicsUpdateId = 0;
 
         function initializeBookingConfirmation() {
             console.log("Initializing booking confirmation page content...");
-            const urlParams = new URLSearchParams(window.location.search);
-            const bookedZoneId = urlParams.get('zone') || 'Unknown'; // Default to 'Unknown' if not provided
+            setupButtonListeners();
+
+            const bookingId = urlParams.get('booking');
+            if (bookingId) {
+                bookingStore.getBooking(bookingId)
+                    .then(booking => {
+                        if (booking) renderBooking(booking);
+                        else renderBookingFailure(null, `Booking ${bookingId} was not found. It may have been made on another browser.`);
+                    })
+                    .catch(error => renderBookingFailure(null, `Your booking could not be loaded (${error.message}).`));
+                return;
+            }
+
+            const bookedZoneId = urlParams.get('zone');
             console.log("Booked Zone ID from URL:", bookedZoneId);
+            if (!bookedZoneId) {
+                renderBookingFailure(null, 'No zone was chosen. Pick a zone from your recommendations to book it.');
+                return;
+            }
+            const bookedSlot = getBookedSlot(urlParams);
+            if (!bookedSlot) {
+                window.location.replace(`booking.html?zone=${encodeURIComponent(bookedZoneId)}`);
+                return;
+            }
+            bookingStore.createBooking({ zoneId: bookedZoneId, start: bookedSlot.start, end: bookedSlot.end })
+                .then(booking => {
+                    history.replaceState(null, '', `booking-confirmation.html?booking=${encodeURIComponent(booking.id)}`);
+                    renderBooking(booking);
+                })
+                .catch(error => {
+                    if (!zoneLocations[bookedZoneId]) { // An unknown zone is refused; show it like a missing one
+                        renderBookingFailure(null, describeBookingError(error));
+                        return;
+                    }
+                    updateZoneInfo(bookedZoneId);
+                    updateBookingTimes(bookedSlot);
+                    updateZoneCharacteristics(bookedZoneId, bookedSlot);
+                    renderBookingFailure(bookedZoneId, describeBookingError(error));
+                });
+        }
 
-            updateZoneInfo(bookedZoneId);
-            updateBookingTimes();
-            updateZoneCharacteristics(bookedZoneId); 
-            generateConfirmationNumber();
-            setupButtonListeners(bookedZoneId);
-            startCountdownTimer();
+        // Shows a message above the booking details; type is 'success', 'error' or 'info'. The message is plain text (it can
+        // hold a URL parameter or a server's error), and actionButton is an optional element placed after it.
+        function showBookingNotice(message, type = 'info', actionButton = null) {
+            const noticeElement = document.getElementById('bookingNotice');
+            if (!noticeElement) return;
+            const iconElement = document.createElement('i');
+            iconElement.className = { success: 'fas fa-check-circle', error: 'fas fa-exclamation-triangle', info: 'fas fa-info-circle' }[type];
+            noticeElement.className = `booking-notice booking-notice-${type}`;
+            noticeElement.replaceChildren(iconElement, ` ${message}`);
+            if (actionButton) noticeElement.append(' ', actionButton);
+            noticeElement.style.display = '';
+        }
+
+        function hideBookingNotice() {
+            const noticeElement = document.getElementById('bookingNotice');
+            if (noticeElement) noticeElement.style.display = 'none';
+        }
+
+        // Header and buttons for the booking's state: 'active', 'cancelled' or 'failed' (nothing was booked).
+        function updateBookingState(state, zoneId) {
+            const headerElement = document.querySelector('.booking-header');
+            const iconElement = document.querySelector('.booking-success-icon');
+            const titleElement = document.getElementById('bookingTitle');
+            const subtitleElement = document.querySelector('.booking-subtitle');
+            const zoneText = zoneId ? `Zone ${zoneId}` : 'Booking';
+            const states = {
+                active: { icon: 'fas fa-check-circle', title: `${zoneText} Successfully Booked!`, subtitle: 'Your workspace is ready and waiting for you' },
+                cancelled: { icon: 'fas fa-ban', title: `${zoneText} Booking Cancelled`, subtitle: 'This booking has been cancelled and the zone is free again' },
+                failed: { icon: 'fas fa-exclamation-circle', title: zoneId ? `${zoneText} Could Not Be Booked` : 'Booking Not Available', subtitle: 'Nothing has been booked' }
+            };
+            const view = states[state];
+            if (headerElement) headerElement.classList.toggle('booking-header-inactive', state !== 'active');
+            if (iconElement) iconElement.className = `${view.icon} booking-success-icon`;
+            if (titleElement) titleElement.textContent = view.title;
+            if (subtitleElement) subtitleElement.textContent = view.subtitle;
+
+            ['modifyBookingBtn', 'cancelBookingBtn'].forEach(buttonId => {
+                const button = document.getElementById(buttonId);
+                if (button) button.style.display = state === 'active' ? '' : 'none';
+            });
+            const viewDetailsBtn = document.getElementById('viewZoneDetailsBtn');
+            if (viewDetailsBtn) viewDetailsBtn.style.display = zoneId ? '' : 'none';
+        }
+
+        function renderBooking(booking) {
+            currentBooking = booking;
+            const slot = toBookingSlot(booking);
+            const isActive = booking.status === BookingStore.STATUS.active;
+            updateBookingState(isActive ? 'active' : 'cancelled', booking.zoneId);
+            updateZoneInfo(booking.zoneId);
+            updateBookingTimes(slot);
+            updateZoneCharacteristics(booking.zoneId, slot);
+            const confirmationElement = document.getElementById('confirmationNumber');
+            if (confirmationElement) confirmationElement.textContent = booking.id;
+            const addToCalendarBtn = document.getElementById('addToCalendarBtn');
+            if (addToCalendarBtn) {
+                addToCalendarBtn.style.display = '';
+                addToCalendarBtn.innerHTML = isActive
+                    ? '<i class="fas fa-calendar-plus"></i> Add to Calendar'
+                    : '<i class="fas fa-calendar-times"></i> Remove from Calendar';
+            }
+            if (isActive) startCountdownTimer(slot);
+            else stopCountdownTimer('Cancelled');
+            debugDataFlow('booking-confirmation', 'booking', booking);
+        }
+
+        function renderBookingFailure(zoneId, message) {
+            currentBooking = null;
+            updateBookingState('failed', zoneId);
+            if (!zoneId) { // Nothing to show in the zone and time cards
+                const bookedZoneElement = document.getElementById('bookedZone');
+                if (bookedZoneElement) bookedZoneElement.textContent = 'No zone booked';
+                ['zoneLocation', 'bookingLightInfo', 'bookingNoiseInfo', 'bookingTempInfo', 'bookingComfortScore', 'bookingDate', 'bookingTime', 'bookingDuration'].forEach(elementId => {
+                    const element = document.getElementById(elementId);
+                    if (element) element.textContent = '–';
+                });
+            }
+            const confirmationElement = document.getElementById('confirmationNumber');
+            if (confirmationElement) confirmationElement.textContent = '–';
+            const addToCalendarBtn = document.getElementById('addToCalendarBtn');
+            if (addToCalendarBtn) addToCalendarBtn.style.display = 'none';
+            stopCountdownTimer('Not booked');
+            showBookingNotice(message, 'error');
         }
 
         function updateZoneInfo(zoneId) {
             const bookedZoneElement = document.getElementById('bookedZone');
             if (bookedZoneElement) bookedZoneElement.textContent = `Zone ${zoneId}`;
 
-            const bookingTitleElement = document.getElementById('bookingTitle');
-            if (bookingTitleElement) bookingTitleElement.textContent = `Zone ${zoneId} Successfully Booked!`;
-
             const zoneLocationElement = document.getElementById('zoneLocation');
             if (zoneLocationElement) {
                 // Attempt to get location from the global zoneLocations map
@@ -2035,26 +4422,25 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         }
 
-        function updateBookingTimes() {
-            const now = new Date();
-            const endTime = new Date(now.getTime() + 2 * 60 * 60 * 1000); // Booking for 2 hours
-
+        function updateBookingTimes(slot) {
             const bookingDateElement = document.getElementById('bookingDate');
             if (bookingDateElement) {
-                bookingDateElement.textContent = now.toLocaleDateString('en-AU', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+                bookingDateElement.textContent = slot.start.toLocaleDateString('en-AU', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
             }
             const bookingTimeElement = document.getElementById('bookingTime');
             if (bookingTimeElement) {
-                const startTimeString = now.toLocaleTimeString('en-AU', { hour: '2-digit', minute: '2-digit', hour12: true });
-                const endTimeString = endTime.toLocaleTimeString('en-AU', { hour: '2-digit', minute: '2-digit', hour12: true });
+                const startTimeString = slot.start.toLocaleTimeString('en-AU', { hour: '2-digit', minute: '2-digit', hour12: true });
+                const endTimeString = slot.end.toLocaleTimeString('en-AU', { hour: '2-digit', minute: '2-digit', hour12: true });
                 bookingTimeElement.textContent = `${startTimeString} - ${endTimeString}`;
             }
             const bookingDurationElement = document.getElementById('bookingDuration');
-            if (bookingDurationElement) bookingDurationElement.textContent = '2 Hours';
+            if (bookingDurationElement) bookingDurationElement.textContent = formatBookingDuration(slot);
         }
 
-        function updateZoneCharacteristics(zoneId) {
-            
+        // Shows the zone's recommendation figures straight away, then replaces lighting, noise and temperature with the
+        // averages expected during the booked slot and adds how many of its hours meet the user's preferences.
+        function updateZoneCharacteristics(zoneId, slot) {
+            const updateId = ++characteristicsUpdateId;
             let lightInfo = "Well-lit (approx. 450 lux)";
             let noiseInfo = "Quiet (approx. 42 dB)";
             let tempInfo = "Comfortable (approx. 24°C)";
@@ -2080,63 +4466,199 @@ document.addEventListener('DOMContentLoaded', () => {
                 bookingTemp: document.getElementById('bookingTempInfo'),
                 bookingComfort: document.getElementById('bookingComfortScore')
             };
-            if (elements.bookingLight) elements.bookingLight.innerHTML = `<i class="fas fa-lightbulb"></i> <strong>Lighting:</strong> ${lightInfo}`;
-            if (elements.bookingNoise) elements.bookingNoise.innerHTML = `<i class="fas fa-volume-up"></i> <strong>Noise Level:</strong> ${noiseInfo}`;
-            if (elements.bookingTemp) elements.bookingTemp.innerHTML = `<i class="fas fa-thermometer-half"></i> <strong>Temperature:</strong> ${tempInfo}`;
-            if (elements.bookingComfort) elements.bookingComfort.innerHTML = `<i class="fas fa-star"></i> <strong>Comfort Rating:</strong> ${comfortScoreInfo}`;
+            const render = () => {
+                if (elements.bookingLight) elements.bookingLight.innerHTML = `<i class="fas fa-lightbulb"></i> <strong>Lighting:</strong> ${lightInfo}`;
+                if (elements.bookingNoise) elements.bookingNoise.innerHTML = `<i class="fas fa-volume-up"></i> <strong>Noise Level:</strong> ${noiseInfo}`;
+                if (elements.bookingTemp) elements.bookingTemp.innerHTML = `<i class="fas fa-thermometer-half"></i> <strong>Temperature:</strong> ${tempInfo}`;
+                if (elements.bookingComfort) elements.bookingComfort.innerHTML = `<i class="fas fa-star"></i> <strong>Comfort Rating:</strong> ${comfortScoreInfo}`;
+            };
+            render();
             console.log("Updated zone characteristics for booking confirmation.");
+
+            loadSlotConditions(zoneId, slot).then(({ averages, check }) => {
+                if (updateId !== characteristicsUpdateId) return; // The booking has changed since
+                const duringSlot = (value, unit, decimals) => `approx. ${value.toFixed(decimals)} ${unit} during your booking`;
+                if (averages.light !== null) lightInfo = `${getLightDescription(averages.light)} (${duringSlot(averages.light, 'lux', 0)})`;
+                if (averages.noise !== null) noiseInfo = `${getNoiseDescription(averages.noise)} (${duringSlot(averages.noise, 'dB', 0)})`;
+                if (averages.temperature !== null) tempInfo = `${getTemperatureDescription(averages.temperature)} (${duringSlot(averages.temperature, '°C', 1)})`;
+                if (check.criteria.length > 0) {
+                    const metHours = check.hours.length - check.unmetHours.length;
+                    comfortScoreInfo += ` · your preferences met for ${metHours} of ${check.hours.length} hour${check.hours.length === 1 ? '' : 's'}`;
+                }
+                render();
+                debugDataFlow('booking-confirmation', 'slot conditions', { averages, check });
+            }).catch(error => console.error("Could not load the hourly data for the booked slot:", error));
         }
 
-        function generateConfirmationNumber() {
-            const confirmationElement = document.getElementById('confirmationNumber');
-            if (confirmationElement) {
-                confirmationElement.textContent = 'BK' + Math.random().toString(36).substring(2, 11).toUpperCase();
+        function startCountdownTimer(slot) {
+            const countdownElement = document.getElementById('bookingCountdown');
+            if (!countdownElement) return;
+            clearInterval(countdownInterval); // The booking may have been modified
+            countdownElement.style.color = '';
+
+            function updateCountdown() {
+                const countdown = getSlotCountdown(slot);
+                countdownElement.textContent = countdown.text;
+                countdownElement.style.color = countdown.color;
+                if (countdown.isOver) clearInterval(countdownInterval); // Stop the interval
             }
+            updateCountdown(); // Initial call
+            countdownInterval = setInterval(updateCountdown, 1000);
+            console.log("Countdown timer started.");
         }
 
-        function startCountdownTimer() {
+        function stopCountdownTimer(message) {
+            clearInterval(countdownInterval);
             const countdownElement = document.getElementById('bookingCountdown');
-            if (!countdownElement) return;
+            if (countdownElement) {
+                countdownElement.textContent = message;
+                countdownElement.style.color = '#6b7280'; // Grey
+            }
+        }
 
-            const bookingEndTime = new Date().getTime() + (2 * 60 * 60 * 1000); // 2 hours from now
+        function openModifyForm() {
+            const modifyForm = document.getElementById('modifyBookingForm');
+            if (!modifyForm || !currentBooking) return;
+            const slot = toBookingSlot(currentBooking);
+            const openingMinutes = BestTimeFinder.BOOKABLE_HOURS.startHour * 60;
+            const closingMinutes = BestTimeFinder.BOOKABLE_HOURS.endHour * 60;
+            const startInput = document.getElementById('modifyBookingStart');
+            const endInput = document.getElementById('modifyBookingEnd');
+            document.getElementById('modifyBookingDate').min = toDateInputValue(new Date());
+            startInput.min = formatClockMinutes(openingMinutes);
+            startInput.max = formatClockMinutes(closingMinutes - MIN_BOOKING_MINUTES);
+            endInput.min = formatClockMinutes(openingMinutes + MIN_BOOKING_MINUTES);
+            endInput.max = formatClockMinutes(closingMinutes);
+            document.getElementById('modifyBookingDate').value = toDateInputValue(slot.start);
+            startInput.value = toTimeInputValue(slot.start);
+            endInput.value = toTimeInputValue(slot.end);
+            document.getElementById('modifyBookingError').textContent = '';
+            resetModifyWarning();
+            modifyForm.style.display = '';
+            modifyForm.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
 
-            function updateCountdown() {
-                const now = new Date().getTime();
-                const timeLeft = bookingEndTime - now;
+        function closeModifyForm() {
+            const modifyForm = document.getElementById('modifyBookingForm');
+            if (modifyForm) modifyForm.style.display = 'none';
+        }
 
-                if (timeLeft <= 0) {
-                    countdownElement.textContent = 'Booking Expired';
-                    countdownElement.style.color = '#dc2626'; // Red
-                    clearInterval(countdownInterval); // Stop the interval
-                    return;
-                }
-                const hours = Math.floor(timeLeft / (1000 * 60 * 60));
-                const minutes = Math.floor((timeLeft % (1000 * 60 * 60)) / (1000 * 60));
-                const seconds = Math.floor((timeLeft % (1000 * 60)) / 1000);
-                countdownElement.textContent = `${hours}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')} remaining`;
+        // The Modify form's save button, and the slot its preference warning was shown for: saving that slot again
+        // changes the booking anyway, as "Book Anyway" does on the booking form.
+        let modifyWarningSlotKey = null;
+
+        function resetModifyWarning() {
+            modifyWarningSlotKey = null;
+            const saveButton = document.querySelector('#modifyBookingForm button[type="submit"]');
+            if (saveButton) saveButton.innerHTML = '<i class="fas fa-save"></i> Save Changes';
+        }
+
+        // Resolves to the preference check when some hours of the slot fall short, else null (also when the data is missing).
+        function findUnmetModifyHours(slot) {
+            return loadSlotConditions(currentBooking.zoneId, slot)
+                .then(({ check }) => (check.unmetHours.length > 0 ? check : null))
+                .catch(error => {
+                    console.error('[Booking Confirmation] Could not load the hourly data:', error);
+                    return null;
+                });
+        }
 
-                if (timeLeft < 10 * 60 * 1000) countdownElement.style.color = '#dc2626'; // Red for last 10 mins
-                else if (timeLeft < 30 * 60 * 1000) countdownElement.style.color = '#f59e0b'; // Amber for last 30 mins
+        // Saves the new date and times after the same checks as the booking form: the slot rules (validateBookingSlot),
+        // then a warning when the user's preferences are not expected to be met. A conflict or invalid time is shown in
+        // the form and the booking is left as it was.
+        function submitModifyForm(event) {
+            event.preventDefault();
+            const errorElement = document.getElementById('modifyBookingError');
+            const dateValue = document.getElementById('modifyBookingDate').value;
+            const start = new Date(`${dateValue}T${document.getElementById('modifyBookingStart').value}`);
+            const end = new Date(`${dateValue}T${document.getElementById('modifyBookingEnd').value}`);
+            if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+                errorElement.textContent = 'Please choose a date, a start time and an end time.';
+                return;
             }
-            updateCountdown(); // Initial call
-            const countdownInterval = setInterval(updateCountdown, 1000);
-            console.log("Countdown timer started.");
+            const slot = { start, end };
+            const keepsStart = start.getTime() === new Date(currentBooking.start).getTime(); // A booking under way can still change its end
+            const timeProblem = validateBookingSlot(slot, keepsStart ? start.getTime() : Date.now());
+            if (timeProblem) {
+                errorElement.textContent = timeProblem;
+                resetModifyWarning();
+                return;
+            }
+            const slotKey = `${start.toISOString()}|${end.toISOString()}`;
+            const saveButton = event.target.querySelector('button[type="submit"]');
+            if (saveButton) saveButton.disabled = true;
+            (slotKey === modifyWarningSlotKey ? Promise.resolve(null) : findUnmetModifyHours(slot))
+                .then(unmetCheck => {
+                    if (unmetCheck) {
+                        modifyWarningSlotKey = slotKey;
+                        const unmetHours = unmetCheck.hours.filter(entry => entry.unmet.length > 0).map(entry => formatClockHour(entry.hour));
+                        errorElement.textContent = `Your preferences are not expected to be met for ${unmetCheck.unmetHours.length} of the ${unmetCheck.hours.length} hour${unmetCheck.hours.length === 1 ? '' : 's'} at that time (${unmetHours.join(', ')}). Save again to change the booking anyway.`;
+                        if (saveButton) saveButton.innerHTML = '<i class="fas fa-save"></i> Save Anyway';
+                        return;
+                    }
+                    return bookingStore.updateBooking(currentBooking.id, { start, end }).then(booking => {
+                        closeModifyForm();
+                        renderBooking(booking);
+                        showBookingNotice(`Booking updated to ${formatBookingRange(booking)}.`, 'success', calendarNoticeAction('Update your calendar'));
+                    });
+                })
+                .catch(error => { errorElement.textContent = describeBookingError(error); })
+                .finally(() => { if (saveButton) saveButton.disabled = false; });
+        }
+
+        // A button inside a notice that downloads the booking's calendar event again, so a calendar holding the
+        // earlier version takes the change (same UID, higher SEQUENCE).
+        function calendarNoticeAction(label) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'booking-notice-action';
+            button.dataset.action = 'calendar';
+            button.innerHTML = '<i class="fas fa-calendar-alt"></i> ';
+            button.append(label);
+            return button;
+        }
+
+        function addCurrentBookingToCalendar() {
+            if (!currentBooking) return;
+            downloadBookingCalendar(currentBooking)
+                .catch(error => showBookingNotice(`The calendar file could not be made (${error.message}).`, 'error'));
         }
 
-        function setupButtonListeners(zoneId) {
+        function cancelCurrentBooking() {
+            if (!currentBooking) return;
+            // AI: Using confirm(). custom modal for better UX.
+            if (!confirm(`Are you sure you want to cancel your booking of Zone ${currentBooking.zoneId}?`)) return;
+            bookingStore.cancelBooking(currentBooking.id)
+                .then(booking => {
+                    closeModifyForm();
+                    renderBooking(booking);
+                    showBookingNotice(`Booking ${booking.id} has been cancelled.`, 'info', calendarNoticeAction('Remove it from your calendar'));
+                })
+                .catch(error => showBookingNotice(describeBookingError(error), 'error'));
+        }
+
+        function setupButtonListeners() {
             const viewDetailsBtn = document.getElementById('viewZoneDetailsBtn');
             if (viewDetailsBtn) {
-                viewDetailsBtn.addEventListener('click', () => window.location.href = `zone-details.html?id=${encodeURIComponent(zoneId)}`);
+                viewDetailsBtn.addEventListener('click', () => {
+                    const zoneId = currentBooking ? currentBooking.zoneId : urlParams.get('zone');
+                    if (zoneId) window.location.href = `zone-details.html?id=${encodeURIComponent(zoneId)}`;
+                });
             }
             const modifyBookingBtn = document.getElementById('modifyBookingBtn');
             if (modifyBookingBtn) {
                 modifyBookingBtn.addEventListener('click', () => {
-                    // AI: Using confirm(). custom modal for better UX.
-                    if (confirm('Do you want to modify your booking? This will take you back to the results page to choose another spot.')) {
-                        window.location.href = 'results.html';
-                    }
+                    hideBookingNotice();
+                    openModifyForm();
                 });
             }
+            const modifyForm = document.getElementById('modifyBookingForm');
+            if (modifyForm) {
+                modifyForm.addEventListener('submit', submitModifyForm);
+                modifyForm.addEventListener('change', resetModifyWarning); // A new time needs its own check
+                const modifyCancelBtn = document.getElementById('modifyBookingCancelBtn');
+                if (modifyCancelBtn) modifyCancelBtn.addEventListener('click', closeModifyForm);
+            }
             const findAlternativesBtn = document.getElementById('findAlternativesFromBookingBtn');
             if (findAlternativesBtn) {
                  
@@ -2144,19 +4666,447 @@ document.addEventListener('DOMContentLoaded', () => {
             }
             const cancelBookingBtn = document.getElementById('cancelBookingBtn');
             if (cancelBookingBtn) {
-                cancelBookingBtn.addEventListener('click', () => {
-                    // AI: Using confirm() and alert(). custom modals.
-                    if (confirm('Are you sure you want to cancel this booking?')) {
-                        alert('Booking cancelled successfully.');
-                        window.location.href = 'index.html';
-                    }
-                });
+                cancelBookingBtn.addEventListener('click', cancelCurrentBooking);
             }
             const doneBtn = document.getElementById('bookingDoneBtn');
             if (doneBtn) {
                 doneBtn.addEventListener('click', () => window.location.href = 'index.html');
             }
+            const addToCalendarBtn = document.getElementById('addToCalendarBtn');
+            if (addToCalendarBtn) {
+                addToCalendarBtn.addEventListener('click', addCurrentBookingToCalendar);
+            }
+            const calendarExportBtn = document.getElementById('downloadCalendarExportBtn');
+            if (calendarExportBtn) {
+                calendarExportBtn.addEventListener('click', () => {
+                    downloadBookingsExport(bookingStore)
+                        .then(count => { if (count === 0) showBookingNotice('You have no bookings to export to a calendar yet.', 'info'); })
+                        .catch(error => showBookingNotice(`Your bookings could not be loaded (${error.message}).`, 'error'));
+                });
+            }
+            showCalendarFeedLink(bookingStore, document.getElementById('calendarFeedLink'));
+            const noticeElement = document.getElementById('bookingNotice');
+            if (noticeElement) {
+                noticeElement.addEventListener('click', (event) => {
+                    if (event.target.closest('[data-action="calendar"]')) addCurrentBookingToCalendar();
+                });
+            }
         }
         initializeBookingConfirmation(); 
     }
+
+    // Section: My Bookings Page Logic
+    // Purpose: Lists the bookings made on this browser (booking_store.js keeps them across reloads): upcoming ones with
+    // a live countdown, and past ones (expired or cancelled). Entries can be viewed, extended, cancelled or booked again,
+    // and the whole history exported as CSV.
+    if (document.body.classList.contains('my-bookings-page')) {
+        const bookingStore = getBookingStore();
+        const owner = BookingStore.getCurrentOwner();
+        const EXTEND_MINUTES = BOOKING_SLOT_STEP_MINUTES;
+        const closingMinutes = BestTimeFinder.BOOKABLE_HOURS.endHour * 60;
+        const summaryElement = document.getElementById('myBookingsSummary');
+        const noticeElement = document.getElementById('myBookingsNotice');
+        const upcomingList = document.getElementById('upcomingBookingsList');
+        const pastList = document.getElementById('pastBookingsList');
+        const statusLabels = { active: 'Active', expired: 'Expired', cancelled: 'Cancelled' };
+        let ownerBookings = [];
+        let countdownInterval = null;
+
+        function showNotice(message, type = 'info') { // message is plain text
+            noticeElement.className = `my-bookings-notice my-bookings-notice-${type}`;
+            noticeElement.textContent = message;
+            noticeElement.style.display = '';
+        }
+
+        // Link to the booking form with the same zone, time of day and duration (the next such slot that has not ended).
+        function buildRebookUrl(booking) {
+            const slot = toBookingSlot(booking);
+            const endMinutes = slot.start.getHours() * 60 + slot.start.getMinutes() + Math.round((slot.end - slot.start) / (60 * 1000));
+            const params = new URLSearchParams({ zone: booking.zoneId, start: toTimeInputValue(slot.start), end: formatClockMinutes(Math.min(endMinutes, 24 * 60)) });
+            return `booking.html?${params.toString()}`;
+        }
+
+        function buildBookingEntryHTML(booking, displayStatus) {
+            const slot = toBookingSlot(booking);
+            const isActive = displayStatus === 'active';
+            const actions = [
+                `<a href="booking-confirmation.html?booking=${encodeURIComponent(booking.id)}" class="my-booking-action"><i class="fas fa-info-circle"></i> View Details</a>`,
+                isActive ? `<button type="button" class="my-booking-action" data-action="extend"><i class="fas fa-plus-circle"></i> Extend ${EXTEND_MINUTES} min</button>` : '',
+                isActive ? `<button type="button" class="my-booking-action my-booking-action-danger" data-action="cancel"><i class="fas fa-times"></i> Cancel</button>` : '',
+                `<a href="${buildRebookUrl(booking)}" class="my-booking-action"><i class="fas fa-redo"></i> Book This Again</a>`
+            ].join('');
+            const countdownText = displayStatus === 'cancelled' ? 'Cancelled' : getSlotCountdown(slot).text;
+            return `
+                <li class="my-booking my-booking-${displayStatus}" data-booking-id="${escapeHTML(booking.id)}">
+                    <div class="my-booking-header">
+                        <h3>Zone ${escapeHTML(booking.zoneId)}</h3>
+                        <span class="my-booking-status my-booking-status-${displayStatus}">${statusLabels[displayStatus]}</span>
+                    </div>
+                    <p class="my-booking-location">${escapeHTML(zoneLocations[booking.zoneId] || `Location details for Zone ${booking.zoneId} unavailable.`)}</p>
+                    <p class="my-booking-time"><i class="fas fa-calendar-alt"></i> ${formatBookingRange(booking)} · ${formatBookingDuration(slot)}</p>
+                    <p class="my-booking-countdown"${isActive ? ' data-countdown' : ''}>${countdownText}</p>
+                    <p class="my-booking-id">Confirmation number: <strong>${escapeHTML(booking.id)}</strong></p>
+                    <div class="my-booking-actions">${actions}</div>
+                    <p class="my-booking-message" role="alert"></p>
+                </li>`;
+        }
+
+        function renderBookings() {
+            const now = Date.now();
+            const entries = ownerBookings.map(booking => ({ booking, displayStatus: getBookingDisplayStatus(booking, now) }));
+            const upcoming = entries.filter(entry => entry.displayStatus === 'active'); // Already ordered by start time
+            const past = entries.filter(entry => entry.displayStatus !== 'active').reverse(); // Most recent first
+
+            summaryElement.innerHTML = ownerBookings.length === 0
+                ? `<p>You have no bookings yet. <a href="results.html">Pick a zone from your recommendations</a> to book one.</p>`
+                : `<p><i class="fas fa-calendar-check"></i> ${upcoming.length} upcoming · ${past.length} past booking${past.length === 1 ? '' : 's'}</p>`;
+            upcomingList.innerHTML = upcoming.map(entry => buildBookingEntryHTML(entry.booking, entry.displayStatus)).join('')
+                || '<li class="my-bookings-empty">No upcoming bookings.</li>';
+            pastList.innerHTML = past.map(entry => buildBookingEntryHTML(entry.booking, entry.displayStatus)).join('')
+                || '<li class="my-bookings-empty">No past bookings.</li>';
+            startCountdowns();
+        }
+
+        // One timer for every upcoming entry; a booking that ends moves to the past list.
+        function startCountdowns() {
+            clearInterval(countdownInterval);
+            if (!upcomingList.querySelector('[data-countdown]')) return;
+            countdownInterval = setInterval(() => {
+                let hasEnded = false;
+                upcomingList.querySelectorAll('.my-booking').forEach(entryElement => {
+                    const booking = ownerBookings.find(candidate => candidate.id === entryElement.dataset.bookingId);
+                    const countdownElement = entryElement.querySelector('[data-countdown]');
+                    if (!booking || !countdownElement) return;
+                    const countdown = getSlotCountdown(toBookingSlot(booking));
+                    countdownElement.textContent = countdown.text;
+                    countdownElement.style.color = countdown.color;
+                    if (countdown.isOver) hasEnded = true;
+                });
+                if (hasEnded) renderBookings();
+            }, 1000);
+        }
+
+        function loadBookings() {
+            return bookingStore.listBookings({ ownerId: owner.id, includeCancelled: true })
+                .then(bookings => {
+                    ownerBookings = bookings;
+                    renderBookings();
+                    debugDataFlow('my-bookings', 'bookings', bookings);
+                })
+                .catch(error => {
+                    console.error('[My Bookings] Could not load bookings:', error);
+                    summaryElement.innerHTML = `<p class="my-bookings-error"><i class="fas fa-exclamation-triangle"></i> Your bookings could not be loaded (${escapeHTML(error.message)}).</p>`;
+                });
+        }
+
+        // Adds EXTEND_MINUTES to the end, within the building's opening hours; a clash with someone else's booking is shown on the entry.
+        function extendBooking(booking, messageElement) {
+            const end = new Date(booking.end);
+            const newEnd = new Date(end.getTime() + EXTEND_MINUTES * 60 * 1000);
+            const newEndMinutes = newEnd.getDate() !== end.getDate() ? 24 * 60 : newEnd.getHours() * 60 + newEnd.getMinutes();
+            if (newEndMinutes > closingMinutes) {
+                messageElement.textContent = `Bookings must end by ${formatClockMinutes(closingMinutes)}, so this one cannot be extended.`;
+                return;
+            }
+            bookingStore.updateBooking(booking.id, { end: newEnd })
+                .then(updatedBooking => loadBookings().then(() => showNotice(`Zone ${updatedBooking.zoneId} is now booked until ${toTimeInputValue(newEnd)}.`, 'success')))
+                .catch(error => { messageElement.textContent = describeBookingError(error); });
+        }
+
+        function cancelBooking(booking, messageElement) {
+            // AI: Using confirm(). custom modal for better UX.
+            if (!confirm(`Are you sure you want to cancel your booking of Zone ${booking.zoneId} (${formatBookingRange(booking)})?`)) return;
+            bookingStore.cancelBooking(booking.id)
+                .then(() => loadBookings().then(() => showNotice(`Booking ${booking.id} has been cancelled.`, 'info')))
+                .catch(error => { messageElement.textContent = describeBookingError(error); });
+        }
+
+        // Whole history, oldest first, in local time. Text that a spreadsheet would run as a formula (starting with =, +,
+        // - or @, e.g. an owner name) gets a leading apostrophe so it opens as plain text.
+        function buildBookingsCsv(bookings) {
+            const escapeCell = value => {
+                const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+                return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            };
+            const now = Date.now();
+            const header = ['Confirmation Number', 'Zone', 'Location', 'Date', 'Start', 'End', 'Duration (minutes)', 'Status', 'Booked By', 'Created', 'Last Updated'];
+            const rows = bookings.map(booking => {
+                const slot = toBookingSlot(booking);
+                return [
+                    booking.id,
+                    booking.zoneId,
+                    zoneLocations[booking.zoneId] || '',
+                    toDateInputValue(slot.start),
+                    toTimeInputValue(slot.start),
+                    toTimeInputValue(slot.end),
+                    Math.round((slot.end - slot.start) / (60 * 1000)),
+                    statusLabels[getBookingDisplayStatus(booking, now)],
+                    booking.ownerName || '',
+                    new Date(booking.createdAt).toLocaleString('en-AU'),
+                    new Date(booking.updatedAt).toLocaleString('en-AU')
+                ];
+            });
+            return [header, ...rows].map(row => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+        }
+
+        function exportBookingsCsv() {
+            if (ownerBookings.length === 0) {
+                showNotice('There are no bookings to export yet.', 'info');
+                return;
+            }
+            const blob = new Blob([buildBookingsCsv(ownerBookings)], { type: 'text/csv;charset=utf-8' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `my-bookings-${toDateInputValue(new Date())}.csv`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 0);
+        }
+
+        function setupMyBookingsListeners() {
+            [upcomingList, pastList].forEach(listElement => {
+                listElement.addEventListener('click', (event) => {
+                    const actionButton = event.target.closest('button[data-action]');
+                    if (!actionButton) return;
+                    const entryElement = actionButton.closest('.my-booking');
+                    const booking = ownerBookings.find(candidate => candidate.id === entryElement.dataset.bookingId);
+                    const messageElement = entryElement.querySelector('.my-booking-message');
+                    if (!booking) return;
+                    messageElement.textContent = '';
+                    if (actionButton.dataset.action === 'extend') extendBooking(booking, messageElement);
+                    if (actionButton.dataset.action === 'cancel') cancelBooking(booking, messageElement);
+                });
+            });
+            const exportButton = document.getElementById('exportBookingsCsvBtn');
+            if (exportButton) exportButton.addEventListener('click', exportBookingsCsv);
+            const calendarExportButton = document.getElementById('myBookingsCalendarExportBtn');
+            if (calendarExportButton) {
+                calendarExportButton.addEventListener('click', () => {
+                    downloadBookingsExport(bookingStore)
+                        .then(count => { if (count === 0) showNotice('You have no bookings to export to a calendar yet.', 'info'); })
+                        .catch(error => showNotice(`Your bookings could not be loaded (${error.message}).`, 'error'));
+                });
+            }
+            showCalendarFeedLink(bookingStore, document.getElementById('myBookingsCalendarFeedLink'));
+        }
+
+        setupMyBookingsListeners();
+        loadBookings();
+    }
+
+    // Section: Data Diagnostics Page Logic
+    // Purpose: Fetches each sensor CSV, validates it against its schema and lists every issue by file, line and column.
+    if (document.body.classList.contains('diagnostics-page')) {
+        const summaryElement = document.getElementById('diagnostics-summary');
+        const reportsContainer = document.getElementById('diagnostics-reports');
+        const rerunButton = document.getElementById('diagnostics-rerun-btn');
+        const expectedZones = Object.keys(zoneLocations);
+
+        const fetchDatasetReport = (datasetKey) => {
+            const schema = DataValidator.datasetSchemas[datasetKey];
+            return fetch(schema.file)
+                .then(r => { if (!r.ok) throw new Error(`HTTP ${r.status}`); return r.text(); })
+                .then(csv => DataValidator.validateDataset(datasetKey, csv, { expectedZones }))
+                .catch(error => ({
+                    dataset: datasetKey,
+                    file: schema.file,
+                    label: schema.label,
+                    optional: Boolean(schema.optional),
+                    isMissing: Boolean(schema.optional), // An optional file that is absent is not an error
+                    isValid: Boolean(schema.optional),
+                    issues: schema.optional ? [] : [{ severity: 'error', type: 'fetch', message: `File could not be loaded (${error.message}).`, line: null, column: null }],
+                    summary: { rows: 0, zones: 0, errors: schema.optional ? 0 : 1, warnings: 0, missingZones: [] }
+                }));
+        };
+
+        const buildReportHTML = (report) => {
+            const status = report.isMissing ? 'missing' : (!report.isValid ? 'error' : (report.summary.warnings > 0 ? 'warning' : 'ok'));
+            const statusLabel = { missing: 'Not provided', error: 'Errors found', warning: 'Usable with warnings', ok: 'All checks passed' }[status];
+            const statusIcon = { missing: 'fas fa-minus-circle', error: 'fas fa-times-circle', warning: 'fas fa-exclamation-triangle', ok: 'fas fa-check-circle' }[status];
+            const hiddenIssues = report.summary.errors + report.summary.warnings - report.issues.length;
+
+            const issueRows = report.issues.map(issue => `
+                <tr class="diagnostics-issue-${issue.severity}">
+                    <td>${issue.severity === 'error' ? 'Error' : 'Warning'}</td>
+                    <td>${issue.line || '–'}</td>
+                    <td>${issue.column ? escapeHTML(issue.column) : '–'}</td>
+                    <td>${escapeHTML(issue.message)}</td>
+                </tr>`).join('');
+
+            return `
+                <section class="diagnostics-report diagnostics-status-${status}">
+                    <div class="diagnostics-report-header">
+                        <div>
+                            <h3>${report.label}</h3>
+                            <p class="diagnostics-file-name">${report.file}</p>
+                        </div>
+                        <span class="diagnostics-status-badge"><i class="${statusIcon}"></i> ${statusLabel}</span>
+                    </div>
+                    <p class="diagnostics-counts">${report.isMissing
+                        ? 'Optional sensor channel. It is left out of the ranking until this file is added.'
+                        : `${report.summary.rows} data rows · ${report.summary.zones} zones · ${report.summary.errors} errors · ${report.summary.warnings} warnings`}</p>
+                    ${report.issues.length > 0 ? `
+                    <table class="diagnostics-issues-table">
+                        <thead><tr><th>Severity</th><th>Line</th><th>Column</th><th>Issue</th></tr></thead>
+                        <tbody>${issueRows}</tbody>
+                    </table>` : ''}
+                    ${hiddenIssues > 0 ? `<p class="diagnostics-more-issues">…and ${hiddenIssues} more issues of the same kinds.</p>` : ''}
+                </section>`;
+        };
+
+        const runDiagnostics = () => {
+            if (summaryElement) summaryElement.innerHTML = `<p><i class="fas fa-spinner fa-spin"></i> Checking data files...</p>`;
+            if (reportsContainer) reportsContainer.innerHTML = '';
+
+            Promise.all(Object.keys(DataValidator.datasetSchemas).map(fetchDatasetReport)).then(reports => {
+                const invalidFiles = reports.filter(report => !report.isValid).map(report => report.file);
+                const providedCount = reports.filter(report => !report.isMissing).length;
+                const missingOptionalCount = reports.length - providedCount;
+                const warningCount = reports.reduce((sum, report) => sum + report.summary.warnings, 0);
+                const missingOptionalText = missingOptionalCount > 0 ? ` ${missingOptionalCount} optional sensor channel file${missingOptionalCount === 1 ? ' is' : 's are'} not provided.` : '';
+                if (summaryElement) {
+                    summaryElement.innerHTML = invalidFiles.length > 0
+                        ? `<p class="diagnostics-summary-error"><i class="fas fa-times-circle"></i> ${invalidFiles.join(', ')} ${invalidFiles.length === 1 ? 'has' : 'have'} errors. Recommendations that need ${invalidFiles.length === 1 ? 'this file' : 'these files'} will not load until ${invalidFiles.length === 1 ? 'it is' : 'they are'} fixed.${missingOptionalText}</p>`
+                        : `<p class="diagnostics-summary-ok"><i class="fas fa-check-circle"></i> All ${providedCount} data files can be used${warningCount > 0 ? ` (${warningCount} warnings to review)` : ''}.${missingOptionalText}</p>`;
+                }
+                if (reportsContainer) reportsContainer.innerHTML = reports.map(buildReportHTML).join('');
+                debugDataFlow('diagnostics-page', 'reports', reports);
+            });
+        };
+
+        if (rerunButton) rerunButton.addEventListener('click', runDiagnostics);
+        runDiagnostics();
+    }
+
+
+    // Section: Building Heatmap Page Logic
+    // Purpose: A zone × hour grid per metric, each cell coloured by whether the reading is inside the user's preferred range.
+    // Clicking a cell opens that zone's details with the hour preselected. The metric shown is kept in the URL hash.
+    if (document.body.classList.contains('heatmap-page')) {
+        const summaryElement = document.getElementById('heatmap-summary');
+        const tabsContainer = document.getElementById('heatmap-metric-tabs');
+        const legendElement = document.getElementById('heatmap-legend');
+        const gridContainer = document.getElementById('heatmap-grid');
+        const afternoonElement = document.getElementById('heatmap-afternoon');
+        const timeWindow = getStoredTimeWindow();
+        const afternoonHours = { startHour: timePeriodConfig.Afternoon.startHour, endHour: timePeriodConfig.Afternoon.endHour };
+        const CONSISTENT_SHARE = 0.75; // A zone is flagged when at least this share of its afternoon hours are outside the range
+        const HOURS_OF_DAY = Array.from({ length: 24 }, (_, hour) => hour);
+
+        const getZoneIds = (dataset) => dataset
+            .map(entry => String(entry.Zones).trim())
+            .sort((a, b) => (parseFloat(a) - parseFloat(b)) || a.localeCompare(b));
+
+        const buildTabsHTML = (availableMetrics, activeKey) => availableMetrics.map(metric => `
+            <button type="button" class="heatmap-tab${metric.key === activeKey ? ' active' : ''}" data-metric="${metric.key}" aria-pressed="${metric.key === activeKey}">
+                <i class="${metric.icon}"></i> ${metric.label}
+            </button>`).join('');
+
+        const buildLegendHTML = (metric, range) => range
+            ? `${range.min > 0 ? `<span class="heatmap-legend-item heatmap-below">${metric.below.charAt(0).toUpperCase()}${metric.below.slice(1)} than ${range.min} ${metric.unit}</span>` : ''}
+               <span class="heatmap-legend-item heatmap-in-range">Within your range (${formatMetricRange(metric, range)})</span>
+               <span class="heatmap-legend-item heatmap-above">${metric.above.charAt(0).toUpperCase()}${metric.above.slice(1)} than ${range.max} ${metric.unit}</span>
+               <span class="heatmap-legend-item heatmap-no-data">No reading</span>`
+            : `<span class="heatmap-legend-note"><i class="fas fa-info-circle"></i> You have not set a ${metric.label.toLowerCase()} preference, so cells are not coloured.
+               <a href="quiz-step1.html?start=new">Take the quiz</a> to see where your range is met.</span>`;
+
+        const buildGridHTML = (metric, dataset, range) => {
+            const headerCells = HOURS_OF_DAY.map(hour => {
+                const isPlanned = hour >= timeWindow.startHour && hour < timeWindow.endHour;
+                return `<th scope="col" class="${isPlanned ? 'heatmap-planned-hour' : ''}" title="${formatClockHour(hour)}${isPlanned ? ' (your planned time)' : ''}">${hour}</th>`;
+            }).join('');
+
+            const bodyRows = getZoneIds(dataset).map(zoneId => {
+                const zoneEntry = dataset.find(entry => String(entry.Zones).trim() === zoneId);
+                const cells = HOURS_OF_DAY.map(hour => {
+                    const value = getReadingAtHour(metric, zoneEntry.timeSeries, hour);
+                    const status = classifyReading(value, range);
+                    const tooltip = escapeHTML(`Zone ${zoneId} at ${formatClockHour(hour)}: ${formatMetricValue(metric, value)} (${describeReadingStatus(metric, status).toLowerCase()})`);
+                    const cellText = value === null ? '–' : value.toFixed(metric.decimals);
+                    return `<td class="heatmap-cell heatmap-${status}"><a href="zone-details.html?id=${encodeURIComponent(zoneId)}&hour=${hour}" title="${tooltip}" aria-label="${tooltip}">${cellText}</a></td>`;
+                }).join('');
+                return `<tr><th scope="row" title="${escapeHTML(zoneLocations[zoneId] || '')}"><a href="zone-details.html?id=${encodeURIComponent(zoneId)}">Zone ${escapeHTML(zoneId)}</a></th>${cells}</tr>`;
+            }).join('');
+
+            return `
+                <table class="heatmap-table">
+                    <caption>${metric.label} (${metric.unit}) by zone and hour of day</caption>
+                    <thead><tr><th scope="col">Zone</th>${headerCells}</tr></thead>
+                    <tbody>${bodyRows}</tbody>
+                </table>`;
+        };
+
+        // Zones outside the range for most afternoon hours (e.g., consistently too warm after lunch).
+        const buildAfternoonHTML = (metric, dataset, range) => {
+            if (!range) return '';
+            const periodText = `${formatClockHour(afternoonHours.startHour)}–${formatClockHour(afternoonHours.endHour)}`;
+            const flagged = { above: [], below: [] };
+            getZoneIds(dataset).forEach(zoneId => {
+                const zoneEntry = dataset.find(entry => String(entry.Zones).trim() === zoneId);
+                const readings = [];
+                for (let hour = afternoonHours.startHour; hour < afternoonHours.endHour; hour++) {
+                    const value = getReadingAtHour(metric, zoneEntry.timeSeries, hour);
+                    if (value !== null) readings.push(value);
+                }
+                if (readings.length === 0) return;
+                const average = readings.reduce((sum, value) => sum + value, 0) / readings.length;
+                ['above', 'below'].forEach(direction => {
+                    const outsideCount = readings.filter(value => classifyReading(value, range) === direction).length;
+                    if (outsideCount / readings.length >= CONSISTENT_SHARE) flagged[direction].push({ zoneId, outsideCount, hourCount: readings.length, average });
+                });
+            });
+
+            const buildList = (direction) => flagged[direction].length === 0 ? '' : `
+                <p class="heatmap-afternoon-heading heatmap-${direction}-text">${metric[direction].charAt(0).toUpperCase()}${metric[direction].slice(1)} than your range:</p>
+                <ul class="heatmap-afternoon-list">${flagged[direction]
+                    .sort((a, b) => direction === 'above' ? b.average - a.average : a.average - b.average)
+                    .map(zone => `<li><a href="zone-details.html?id=${encodeURIComponent(zone.zoneId)}&hour=${afternoonHours.startHour}">Zone ${escapeHTML(zone.zoneId)}</a>
+                        <span>${zone.outsideCount} of ${zone.hourCount} h · average ${formatMetricValue(metric, zone.average)}</span></li>`).join('')}</ul>`;
+
+            const listsHTML = buildList('above') + buildList('below');
+            return `
+                <h2><i class="fas fa-sun"></i> Afternoon check (${periodText})</h2>
+                ${listsHTML || `<p class="heatmap-afternoon-ok"><i class="fas fa-check-circle"></i> No zone is consistently outside your ${metric.label.toLowerCase()} range in the afternoon.</p>`}`;
+        };
+
+        loadBuildingHourlyData(timeWindow.dayOfWeek).then(({ dataByMetric, dayProfileMetrics }) => {
+            const availableMetrics = hourlyMetrics.filter(metric => (dataByMetric[metric.key] || []).length > 0);
+            if (availableMetrics.length === 0) {
+                if (summaryElement) summaryElement.innerHTML = `<p class="heatmap-summary-error"><i class="fas fa-times-circle"></i> No sensor data could be loaded. <a href="diagnostics.html">Check the data files</a>.</p>`;
+                return;
+            }
+
+            const renderMetric = (metricKey) => {
+                const metric = availableMetrics.find(candidate => candidate.key === metricKey) || availableMetrics[0];
+                const dataset = dataByMetric[metric.key];
+                const range = getMetricPreferenceRange(metric);
+                const profileText = dayProfileMetrics.includes(metric.key)
+                    ? `${SensorHistory.DAY_NAMES[timeWindow.dayOfWeek]} profile`
+                    : 'typical day';
+                if (summaryElement) {
+                    summaryElement.innerHTML = `<p><i class="${metric.icon}"></i> ${metric.label} for ${dataset.length} zones on a ${profileText}. Highlighted hours are your planned time (${formatTimeWindow(timeWindow)}). Click a cell to open that zone at that hour.</p>`;
+                }
+                if (tabsContainer) tabsContainer.innerHTML = buildTabsHTML(availableMetrics, metric.key);
+                if (legendElement) legendElement.innerHTML = buildLegendHTML(metric, range);
+                if (gridContainer) gridContainer.innerHTML = buildGridHTML(metric, dataset, range);
+                if (afternoonElement) {
+                    afternoonElement.innerHTML = buildAfternoonHTML(metric, dataset, range);
+                    afternoonElement.style.display = range ? '' : 'none';
+                }
+                debugDataFlow('heatmap-page', 'render', { metric: metric.key, zones: dataset.length, range });
+            };
+
+            if (tabsContainer) {
+                tabsContainer.addEventListener('click', (event) => {
+                    const tab = event.target.closest('[data-metric]');
+                    if (!tab) return;
+                    history.replaceState(null, '', `#${tab.dataset.metric}`);
+                    renderMetric(tab.dataset.metric);
+                });
+            }
+            renderMetric(window.location.hash.slice(1) || 'temperature');
+        });
+    }
 });
@@ -0,0 +1,263 @@
+//
+// sensor_channels.js - Additional IEQ Sensor Channels
+// ---------------------------------------------------
+// Definitions for the sensor channels beyond light, noise and temperature
+// (CO2, relative humidity, PM2.5 and TVOC). Each definition names its CSV
+// file and layout, unit, preference thresholds, descriptors and icon. The
+// quiz, scorer, results cards, zone details cards, forecast charts and the
+// diagnostics page are all driven from these entries, so a new channel is
+// added here and nowhere else. Channel files are optional: a channel whose
+// file is missing is simply left out of the ranking.
+//
+
+(function () {
+    'use strict';
+
+    // --- Section: 1. Channel Definitions ---
+    // Purpose: One entry per channel. Preference values must be unique across all channels (they share the display map).
+    //   layout      "zone-rows" (a row per zone, a column per hour) or "zone-columns" (a row per hour, a column per zone)
+    //   thresholds  Preference value -> { min, ideal, max }, used like lightingThresholds in script.js
+    //   descriptors Preference value -> { text, icon } for summaries and the results page
+    //   levels      Plain-language description of a reading; the first level whose max is above the value applies
+    //   comparisons Words for readings above/below the preferred range on the forecast page
+    //   quiz        Question and options for the channel's quiz step (asked only if listed in QUIZ_CHANNELS);
+    //               optionText overrides the descriptor text for the answer buttons
+
+    const channelDefinitions = {
+        co2: {
+            label: 'CO₂',
+            name: 'CO₂ levels',
+            file: 'samba_co2.csv', // Sample typical-day readings (outdoor baseline plus an occupancy curve) until measured data replaces it
+            layout: 'zone-columns',
+            keyColumn: 'Hour',
+            unit: 'ppm',
+            decimals: 0,
+            icon: 'fas fa-wind',
+            color: '#0d9488',
+            validRange: { min: 250, max: 10000 },
+            slider: { min: 400, max: 2000, step: 10 },
+            penaltyFactor: 0.25, // Points per ppm outside the preferred range
+            stdDevFactor: 0.1, // Stability points per ppm of standard deviation
+            // EN 16798-1 ventilation categories, as CO₂ above an assumed 400 ppm outdoors:
+            // I = +550 ppm (about 10 L/s per person), II = +800 ppm (7 L/s), III = +1350 ppm (4 L/s).
+            thresholds: {
+                'co2-fresh': { min: 0, max: 950, ideal: 600 }, // Category I
+                'co2-acceptable': { min: 0, max: 1200, ideal: 700 }, // Category II
+                'co2-tolerant': { min: 0, max: 1750, ideal: 800 } // Category III
+            },
+            descriptors: {
+                'co2-fresh': { text: 'Fresh Air (CO₂ <950 ppm)', icon: 'fas fa-leaf' },
+                'co2-acceptable': { text: 'Normal Ventilation (CO₂ <1200 ppm)', icon: 'fas fa-wind' },
+                'co2-tolerant': { text: 'Not Fussy (CO₂ <1750 ppm)', icon: 'fas fa-check' }
+            },
+            levels: [
+                { max: 950, label: 'Fresh' },
+                { max: 1200, label: 'Acceptable' },
+                { max: 1750, label: 'Stuffy' },
+                { max: Infinity, label: 'Poorly ventilated' }
+            ],
+            comparisons: { above: 'stuffier', below: 'fresher', tooHigh: 'too stuffy', tooLow: 'fresher than needed' },
+            quiz: {
+                question: 'How much does fresh air matter to you?',
+                importanceQuestion: 'How important is avoiding stuffy rooms?',
+                options: ['co2-fresh', 'co2-acceptable', 'co2-tolerant'],
+                optionText: {
+                    'co2-fresh': 'Fresh air matters a lot (stuffy rooms give me headaches)',
+                    'co2-acceptable': 'Normally ventilated is fine',
+                    'co2-tolerant': "I don't mind"
+                }
+            }
+        },
+        humidity: {
+            label: 'Humidity',
+            name: 'humidity',
+            file: 'samba_RH.csv',
+            layout: 'zone-rows',
+            keyColumn: 'Zone',
+            unit: '%RH',
+            decimals: 0,
+            icon: 'fas fa-tint',
+            color: '#2563eb',
+            validRange: { min: 0, max: 100 },
+            slider: { min: 10, max: 90, step: 1 },
+            penaltyFactor: 3,
+            stdDevFactor: 2,
+            thresholds: {
+                'humidity-comfortable': { min: 40, max: 60, ideal: 50 },
+                'humidity-drier': { min: 30, max: 45, ideal: 40 },
+                'humidity-any': { min: 30, max: 70, ideal: 50 }
+            },
+            descriptors: {
+                'humidity-comfortable': { text: 'Comfortable Humidity (40-60%)', icon: 'fas fa-tint' },
+                'humidity-drier': { text: 'Drier Air (30-45%)', icon: 'fas fa-sun' },
+                'humidity-any': { text: 'Any Reasonable Humidity (30-70%)', icon: 'fas fa-check' }
+            },
+            levels: [
+                { max: 30, label: 'Dry' },
+                { max: 60, label: 'Comfortable' },
+                { max: 70, label: 'Humid' },
+                { max: Infinity, label: 'Very humid' }
+            ],
+            comparisons: { above: 'more humid', below: 'drier', tooHigh: 'too humid', tooLow: 'too dry' },
+            quiz: {
+                question: 'What humidity do you find comfortable?',
+                importanceQuestion: 'How important is humidity to you?',
+                options: ['humidity-comfortable', 'humidity-drier', 'humidity-any']
+            }
+        },
+        pm25: {
+            label: 'PM2.5',
+            name: 'fine particle levels',
+            file: 'samba_pm25.csv',
+            layout: 'zone-columns',
+            keyColumn: 'Hour',
+            unit: 'µg/m³',
+            decimals: 1,
+            icon: 'fas fa-smog',
+            color: '#b45309',
+            validRange: { min: 0, max: 1000 },
+            slider: { min: 0, max: 75, step: 0.5 },
+            penaltyFactor: 4,
+            stdDevFactor: 2,
+            thresholds: {
+                'pm25-clean': { min: 0, max: 15, ideal: 5 }, // WHO 2021 24-hour guideline
+                'pm25-moderate': { min: 0, max: 25, ideal: 10 }
+            },
+            descriptors: {
+                'pm25-clean': { text: 'Clean Air (PM2.5 <15 µg/m³)', icon: 'fas fa-leaf' },
+                'pm25-moderate': { text: 'Moderate Particles (PM2.5 <25 µg/m³)', icon: 'fas fa-smog' }
+            },
+            levels: [
+                { max: 15, label: 'Clean' },
+                { max: 35, label: 'Moderate' },
+                { max: 55, label: 'Poor' },
+                { max: Infinity, label: 'Very poor' }
+            ],
+            comparisons: { above: 'dustier', below: 'cleaner', tooHigh: 'too dusty', tooLow: 'cleaner than needed' },
+            quiz: {
+                question: 'How clean should the air be (fine particles)?',
+                importanceQuestion: 'How important are low particle levels to you?',
+                options: ['pm25-clean', 'pm25-moderate']
+            }
+        },
+        tvoc: {
+            label: 'TVOC',
+            name: 'VOC levels',
+            file: 'samba_tvoc.csv',
+            layout: 'zone-columns',
+            keyColumn: 'Hour',
+            unit: 'µg/m³',
+            decimals: 0,
+            icon: 'fas fa-flask',
+            color: '#9333ea',
+            validRange: { min: 0, max: 20000 },
+            slider: { min: 0, max: 3000, step: 10 },
+            penaltyFactor: 0.1,
+            stdDevFactor: 0.05,
+            thresholds: {
+                'tvoc-low': { min: 0, max: 300, ideal: 100 }, // German UBA guide levels: <300 no concerns, 300-1000 no relevant concerns
+                'tvoc-moderate': { min: 0, max: 1000, ideal: 300 }
+            },
+            descriptors: {
+                'tvoc-low': { text: 'Low VOCs (<300 µg/m³)', icon: 'fas fa-leaf' },
+                'tvoc-moderate': { text: 'Moderate VOCs (<1000 µg/m³)', icon: 'fas fa-flask' }
+            },
+            levels: [
+                { max: 300, label: 'Low' },
+                { max: 1000, label: 'Acceptable' },
+                { max: 3000, label: 'Elevated' },
+                { max: Infinity, label: 'High' }
+            ],
+            comparisons: { above: 'higher in VOCs', below: 'lower in VOCs', tooHigh: 'too high in VOCs', tooLow: 'lower in VOCs than needed' },
+            quiz: {
+                question: 'How sensitive are you to odours and chemical smells (VOCs)?',
+                importanceQuestion: 'How important are low VOC levels to you?',
+                options: ['tvoc-low', 'tvoc-moderate']
+            }
+        }
+    };
+
+    // Channels that get their own quiz step (quiz-channel.html), asked in this order after the temperature step.
+    // A step is skipped while its channel file cannot be loaded, since the answer could not be used.
+    const QUIZ_CHANNELS = ['co2'];
+
+    const HOURS_OF_DAY = Array.from({ length: 24 }, (_, hour) => String(hour));
+
+    // --- Section: 2. Normalized Channels ---
+    // Purpose: Adds the derived localStorage keys so every page reads and writes the same names.
+
+    const channels = Object.entries(channelDefinitions).map(([key, definition]) => ({
+        key,
+        ...definition,
+        preferenceKey: `${key}Preference`,
+        weightKey: `${key}Weight`,
+        customRangeKey: `${key}CustomRange`,
+        processedDataKey: `${key}ProcessedData`
+    }));
+
+    function list() {
+        return channels;
+    }
+
+    function get(key) {
+        return channels.find(channel => channel.key === key) || null;
+    }
+
+    function getByPreferenceKey(preferenceKey) {
+        return channels.find(channel => channel.preferenceKey === preferenceKey) || null;
+    }
+
+    function getQuizChannels() {
+        return QUIZ_CHANNELS.map(get).filter(channel => channel && channel.quiz);
+    }
+
+    // --- Section: 3. Formatting ---
+
+    function isReading(value) {
+        return value !== 'N/A' && value !== undefined && value !== null && !isNaN(parseFloat(value));
+    }
+
+    // Plain-language level for a reading, e.g. "Stuffy" for 1200 ppm CO₂.
+    function describeValue(key, value) {
+        const channel = get(key);
+        if (!channel || !isReading(value)) return 'Data unavailable';
+        const numericValue = parseFloat(value);
+        const level = channel.levels.find(candidate => numericValue < candidate.max);
+        return level ? level.label : channel.levels[channel.levels.length - 1].label;
+    }
+
+    // Reading with the channel's decimals and unit, e.g. "812 ppm", or "N/A".
+    function formatValue(key, value) {
+        const channel = get(key);
+        if (!channel || !isReading(value)) return 'N/A';
+        return `${parseFloat(value).toFixed(channel.decimals)} ${channel.unit}`;
+    }
+
+    // --- Section: 4. Dataset Schemas ---
+    // Purpose: Shape expected by data_validator.js. Channel files are optional, so a missing file is not an error.
+
+    function toDatasetSchema(channel) {
+        const isZoneRows = channel.layout === 'zone-rows';
+        return {
+            file: channel.file,
+            label: `${channel.label} (${isZoneRows ? 'zone by hour' : 'hour by zone'})`,
+            layout: channel.layout,
+            keyColumn: channel.keyColumn,
+            ...(isZoneRows ? { valueColumns: HOURS_OF_DAY } : { keyValues: HOURS_OF_DAY }),
+            unit: channel.unit,
+            validRange: channel.validRange,
+            optional: true
+        };
+    }
+
+    window.SensorChannels = {
+        channelDefinitions,
+        list,
+        get,
+        getByPreferenceKey,
+        getQuizChannels,
+        describeValue,
+        formatValue,
+        toDatasetSchema
+    };
+})();
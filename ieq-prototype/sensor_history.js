@@ -0,0 +1,296 @@
+//
+// sensor_history.js - Multi-Day Sensor Readings and Day-of-Week Profiles
+// ----------------------------------------------------------------------
+// Reads long-format timestamped readings (one row per zone, timestamp,
+// metric and value, across any number of weeks) and averages them into a
+// day-of-week × hour profile per metric and zone. A profile for one weekday
+// is written back out in the same wide layout as the typical-day samba CSVs,
+// so script.js and zone_forecast.js process it with their existing code.
+// The readings file is optional; without it the typical-day files are used.
+// The continuous hourly series is also kept for forecast_models.js, and the
+// day-to-day spread at each hour for the forecast page's uncertainty notes.
+// Depends on csv_parser.js (and sensor_channels.js for channel metrics).
+//
+
+(function () {
+    'use strict';
+
+    // --- Section: 1. Configuration ---
+
+    const READINGS_FILE = 'samba_readings.csv'; // The bundled file is a two-week sample (temperature and noise) built around the typical-day files
+    const PLANNED_DAY_STORAGE_KEY = 'plannedDay';
+    const READING_COLUMNS = ['zone', 'timestamp', 'metric', 'value'];
+    const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']; // Index = Date#getDay()
+    const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0]; // Monday first, for pickers
+    const MAX_REPORTED_ERRORS = 50;
+
+    // Clock hours [startHour, endHour) behind the descriptive periods of samba_lights.csv (matches timePeriodConfig in script.js).
+    const LIGHT_PERIODS = {
+        'Early Morning': { startHour: 5, endHour: 8 },
+        'Morning': { startHour: 8, endHour: 12 },
+        'Afternoon': { startHour: 12, endHour: 17 },
+        'Evening': { startHour: 17, endHour: 20 },
+        'Late evening': { startHour: 20, endHour: 23 },
+        'Night': { startHour: 23, endHour: 5 } // Wraps past midnight
+    };
+
+    // Wide layout each metric is written out in, matching the typical-day file it replaces.
+    const datasetFormats = {
+        light: { layout: 'zone-rows', keyColumn: 'Zones', periods: LIGHT_PERIODS },
+        temperature: { layout: 'zone-rows', keyColumn: 'Zone' },
+        noise: { layout: 'zone-columns', keyColumn: 'Hour' }
+    };
+
+    function getDatasetFormat(metric) {
+        if (datasetFormats[metric]) return datasetFormats[metric];
+        const channel = window.SensorChannels ? SensorChannels.get(metric) : null;
+        return channel ? { layout: channel.layout, keyColumn: channel.keyColumn } : null;
+    }
+
+    // --- Section: 2. Parsing ---
+
+    // Reads "2024-03-04 09:15", "2024-03-04T09:15:00" or with a trailing offset. Times are building-local; an offset is ignored.
+    function parseTimestamp(rawValue) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{1,2}):(\d{2})(?::(\d{2}))?/.exec(String(rawValue).trim());
+        if (!match) return null;
+        const [, year, month, day, hour, minute] = match.map(Number);
+        const date = new Date(year, month - 1, day, hour, minute);
+        const isRealDate = date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day && hour < 24;
+        return isRealDate ? date : null;
+    }
+
+    /**
+     * Parses the long-format readings file and builds day-of-week × hour profiles.
+     * @param {string} csvText Raw file with columns zone, timestamp, metric, value (any order, any case).
+     * @returns {{profiles: object, hourly: object, readingCount: number, dateRange: {first: Date, last: Date}|null, errors: {line: number, message: string}[], errorCount: number}}
+     *   profiles[metric][zoneId][dayOfWeek][hour] is the mean of all readings in that hour on that weekday;
+     *   hourly[metric][zoneId][hourStartMs] is the mean of the readings in each clock hour of the timeline.
+     */
+    function parse(csvText) {
+        const errors = [];
+        let errorCount = 0;
+        const addError = (line, message) => {
+            errorCount++;
+            if (errors.length < MAX_REPORTED_ERRORS) errors.push({ line, message });
+        };
+
+        const { rows, lineNumbers, errors: parseErrors } = CsvParser.parse(csvText || '');
+        parseErrors.forEach(parseError => addError(parseError.line, parseError.message));
+        const headers = (rows[0] || []).map(header => header.trim().toLowerCase());
+        const columnIndex = Object.fromEntries(READING_COLUMNS.map(column => [column, headers.indexOf(column)]));
+        const missingColumns = READING_COLUMNS.filter(column => columnIndex[column] === -1);
+        if (missingColumns.length > 0) {
+            addError(lineNumbers[0] || 1, `Header is missing ${missingColumns.map(c => `'${c}'`).join(', ')}.`);
+            return { profiles: {}, hourly: {}, readingCount: 0, dateRange: null, errors, errorCount };
+        }
+
+        const totals = {}; // metric -> zone -> day -> hour -> { sum, count }
+        const hourlyTotals = {}; // metric -> zone -> hour start (ms) -> { sum, count }
+        let readingCount = 0;
+        let first = null;
+        let last = null;
+
+        for (let i = 1; i < rows.length; i++) {
+            const values = rows[i];
+            const line = lineNumbers[i];
+            const zoneId = (values[columnIndex.zone] || '').trim();
+            const metric = (values[columnIndex.metric] || '').trim().toLowerCase();
+            const timestamp = parseTimestamp(values[columnIndex.timestamp] || '');
+            const value = CsvParser.toNumber(values[columnIndex.value]);
+
+            if (!zoneId) { addError(line, 'Row has no zone.'); continue; }
+            if (!getDatasetFormat(metric)) { addError(line, `Unknown metric '${values[columnIndex.metric]}'.`); continue; }
+            if (!timestamp) { addError(line, `'${values[columnIndex.timestamp]}' is not a timestamp (expected YYYY-MM-DD HH:MM).`); continue; }
+            if (value === null) { addError(line, `'${values[columnIndex.value]}' is not a number.`); continue; }
+
+            const day = timestamp.getDay();
+            const hour = timestamp.getHours();
+            if (!totals[metric]) totals[metric] = {};
+            if (!totals[metric][zoneId]) totals[metric][zoneId] = {};
+            if (!totals[metric][zoneId][day]) totals[metric][zoneId][day] = {};
+            if (!totals[metric][zoneId][day][hour]) totals[metric][zoneId][day][hour] = { sum: 0, count: 0 };
+            const cell = totals[metric][zoneId][day][hour];
+            cell.sum += value;
+            cell.count++;
+
+            const hourStart = new Date(timestamp.getFullYear(), timestamp.getMonth(), timestamp.getDate(), hour).getTime();
+            if (!hourlyTotals[metric]) hourlyTotals[metric] = {};
+            if (!hourlyTotals[metric][zoneId]) hourlyTotals[metric][zoneId] = {};
+            if (!hourlyTotals[metric][zoneId][hourStart]) hourlyTotals[metric][zoneId][hourStart] = { sum: 0, count: 0 };
+            hourlyTotals[metric][zoneId][hourStart].sum += value;
+            hourlyTotals[metric][zoneId][hourStart].count++;
+            readingCount++;
+            if (!first || timestamp < first) first = timestamp;
+            if (!last || timestamp > last) last = timestamp;
+        }
+
+        const profiles = {};
+        Object.entries(totals).forEach(([metric, zones]) => {
+            profiles[metric] = {};
+            Object.entries(zones).forEach(([zoneId, days]) => {
+                profiles[metric][zoneId] = {};
+                Object.entries(days).forEach(([day, hours]) => {
+                    profiles[metric][zoneId][day] = {};
+                    Object.entries(hours).forEach(([hour, cell]) => { profiles[metric][zoneId][day][hour] = cell.sum / cell.count; });
+                });
+            });
+        });
+
+        const hourly = {};
+        Object.entries(hourlyTotals).forEach(([metric, zones]) => {
+            hourly[metric] = {};
+            Object.entries(zones).forEach(([zoneId, hours]) => {
+                hourly[metric][zoneId] = {};
+                Object.entries(hours).forEach(([hourStart, cell]) => { hourly[metric][zoneId][hourStart] = cell.sum / cell.count; });
+            });
+        });
+
+        return { profiles, hourly, readingCount, dateRange: first ? { first, last } : null, errors, errorCount };
+    }
+
+    /**
+     * The zone's readings of a metric as a continuous hourly series from its first to its last reading.
+     * @returns {{start: Date, values: (number|null)[]}|null} Hours without readings are null; null when the zone has none.
+     */
+    function getHourlySeries(history, metric, zoneId) {
+        const hours = history && history.hourly[metric] && history.hourly[metric][zoneId];
+        if (!hours) return null;
+        const hourStarts = Object.keys(hours).map(Number).sort((a, b) => a - b);
+        const start = new Date(hourStarts[0]);
+        const end = new Date(hourStarts[hourStarts.length - 1]);
+        const values = [];
+        // Step by calendar hour rather than 3,600,000 ms so the series stays on clock hours across DST changes.
+        for (const cursor = new Date(start); cursor <= end; cursor.setHours(cursor.getHours() + 1)) {
+            const value = hours[cursor.getTime()];
+            values.push(value === undefined ? null : value);
+        }
+        return { start, values };
+    }
+
+    /**
+     * Day-to-day spread of a zone's hourly readings at each hour of the day, on one weekday or, with null, on every day.
+     * @returns {object|null} hour -> { mean, standardDeviation, days }; hours seen on fewer than two days are left out.
+     */
+    function getHourOfDaySpread(history, metric, zoneId, dayOfWeek = null) {
+        const hours = history && history.hourly[metric] && history.hourly[metric][zoneId];
+        if (!hours) return null;
+        const valuesByHour = {};
+        Object.entries(hours).forEach(([hourStart, value]) => {
+            const date = new Date(Number(hourStart));
+            if (dayOfWeek !== null && date.getDay() !== dayOfWeek) return;
+            if (!valuesByHour[date.getHours()]) valuesByHour[date.getHours()] = [];
+            valuesByHour[date.getHours()].push(value);
+        });
+
+        const spread = {};
+        Object.entries(valuesByHour).forEach(([hour, values]) => {
+            if (values.length < 2) return;
+            const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+            const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1);
+            spread[hour] = { mean, standardDeviation: Math.sqrt(variance), days: values.length };
+        });
+        return Object.keys(spread).length > 0 ? spread : null;
+    }
+
+    // --- Section: 3. Day Profiles ---
+
+    function hoursInPeriod(period) {
+        const hours = [];
+        for (let hour = period.startHour; hour !== period.endHour; hour = (hour + 1) % 24) hours.push(hour);
+        return hours;
+    }
+
+    function formatCell(value) {
+        return value === null || value === undefined ? '' : String(parseFloat(value.toFixed(2)));
+    }
+
+    // Quotes a field the way CsvParser reads it back: when it holds a delimiter, quote, line break or edge whitespace.
+    function quoteField(value) {
+        const text = String(value);
+        return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function toCsvLine(fields) {
+        return fields.map(quoteField).join(',');
+    }
+
+    // Zones that have any reading of the metric on that weekday.
+    function getZonesForDay(history, metric, dayOfWeek) {
+        const zones = (history && history.profiles[metric]) || {};
+        return Object.keys(zones).filter(zoneId => zones[zoneId][dayOfWeek]);
+    }
+
+    function hasDayProfile(history, metric, dayOfWeek) {
+        return getZonesForDay(history, metric, dayOfWeek).length > 0;
+    }
+
+    /**
+     * Writes one weekday's profile in the wide layout of the metric's typical-day file.
+     * Hours without readings are left empty, which the processors treat as gaps.
+     * @returns {string|null} CSV text, or null when the metric has no readings on that day.
+     */
+    function toDayCsv(history, metric, dayOfWeek) {
+        const format = getDatasetFormat(metric);
+        const zoneIds = getZonesForDay(history, metric, dayOfWeek);
+        if (!format || zoneIds.length === 0) return null;
+        const hourly = zoneIds.map(zoneId => history.profiles[metric][zoneId][dayOfWeek]);
+        const hoursOfDay = Array.from({ length: 24 }, (_, hour) => hour);
+
+        if (format.periods) {
+            const periodNames = Object.keys(format.periods);
+            const lines = [toCsvLine([format.keyColumn, ...periodNames])];
+            zoneIds.forEach((zoneId, index) => {
+                const cells = periodNames.map(name => {
+                    const readings = hoursInPeriod(format.periods[name]).map(hour => hourly[index][hour]).filter(value => value !== undefined);
+                    return formatCell(readings.length > 0 ? readings.reduce((sum, value) => sum + value, 0) / readings.length : null);
+                });
+                lines.push(toCsvLine([zoneId, ...cells]));
+            });
+            return lines.join('\n');
+        }
+
+        if (format.layout === 'zone-rows') {
+            const lines = [toCsvLine([format.keyColumn, ...hoursOfDay])];
+            zoneIds.forEach((zoneId, index) => lines.push(toCsvLine([zoneId, ...hoursOfDay.map(hour => formatCell(hourly[index][hour]))])));
+            return lines.join('\n');
+        }
+
+        const lines = [toCsvLine([format.keyColumn, ...zoneIds])];
+        hoursOfDay.forEach(hour => lines.push(toCsvLine([hour, ...hourly.map(hours => formatCell(hours[hour]))])));
+        return lines.join('\n');
+    }
+
+    // --- Section: 4. Planned Day Setting ---
+    // Purpose: The weekday the user plans to visit (0 = Sunday … 6 = Saturday), or null for the typical day.
+
+    function getStoredDay() {
+        const storedValue = localStorage.getItem(PLANNED_DAY_STORAGE_KEY);
+        const day = storedValue === null || storedValue === '' ? NaN : Number(storedValue);
+        return Number.isInteger(day) && day >= 0 && day <= 6 ? day : null;
+    }
+
+    function setStoredDay(dayOfWeek) {
+        const day = dayOfWeek === null || dayOfWeek === '' ? NaN : Number(dayOfWeek);
+        if (Number.isInteger(day) && day >= 0 && day <= 6) {
+            localStorage.setItem(PLANNED_DAY_STORAGE_KEY, String(day));
+        } else {
+            localStorage.removeItem(PLANNED_DAY_STORAGE_KEY);
+        }
+    }
+
+    window.SensorHistory = {
+        READINGS_FILE,
+        DAY_NAMES,
+        WEEK_ORDER,
+        LIGHT_PERIODS,
+        parse,
+        parseTimestamp,
+        getHourlySeries,
+        getHourOfDaySpread,
+        hoursInPeriod,
+        hasDayProfile,
+        toDayCsv,
+        getStoredDay,
+        setStoredDay
+    };
+})();
@@ -0,0 +1,127 @@
+//
+// thermal_comfort.js - PMV/PPD Thermal Comfort Model (ISO 7730)
+// -------------------------------------------------------------
+// Computes Fanger's Predicted Mean Vote (PMV, -3 cold … +3 hot) and the
+// Predicted Percentage Dissatisfied (PPD) from air temperature, mean radiant
+// temperature, air speed, humidity, clothing and activity. Follows the
+// iterative procedure in ISO 7730 Annex D. The standard recommends PMV only
+// for -2 ≤ PMV ≤ +2, 10–30 °C, 0–2 clo and 0.8–4 met.
+//
+
+(function () {
+    'use strict';
+
+    // --- Section: 1. Defaults ---
+    // Purpose: Used when the building has no sensor for an input.
+
+    const DEFAULT_INPUTS = {
+        airSpeed: 0.1, // m/s, still indoor air
+        relativeHumidity: 50, // %
+        externalWork: 0 // met, no mechanical work
+        // Mean radiant temperature defaults to the air temperature.
+    };
+    const COMFORT_PMV_LIMIT = 0.5; // ISO 7730 category B: -0.5 < PMV < +0.5 (PPD < 10%)
+    const MAX_ITERATIONS = 150;
+
+    // --- Section: 2. Calculation ---
+
+    /**
+     * Predicted Mean Vote per ISO 7730.
+     * @param {object} inputs
+     * @param {number} inputs.airTemp Air temperature in °C.
+     * @param {number} [inputs.meanRadiantTemp] Mean radiant temperature in °C (defaults to airTemp).
+     * @param {number} [inputs.airSpeed] Relative air speed in m/s.
+     * @param {number} [inputs.relativeHumidity] Relative humidity in %.
+     * @param {number} inputs.metabolicRate Activity in met.
+     * @param {number} inputs.clothing Clothing insulation in clo.
+     * @param {number} [inputs.externalWork] External work in met.
+     * @returns {number|null} PMV rounded to two decimals, or null if the inputs are invalid or the iteration does not converge.
+     */
+    function calculatePMV(inputs) {
+        const ta = parseFloat(inputs.airTemp);
+        const tr = inputs.meanRadiantTemp === undefined || inputs.meanRadiantTemp === null ? ta : parseFloat(inputs.meanRadiantTemp);
+        const vel = inputs.airSpeed ?? DEFAULT_INPUTS.airSpeed;
+        const rh = inputs.relativeHumidity ?? DEFAULT_INPUTS.relativeHumidity;
+        const met = parseFloat(inputs.metabolicRate);
+        const clo = parseFloat(inputs.clothing);
+        const wme = inputs.externalWork ?? DEFAULT_INPUTS.externalWork;
+        if ([ta, tr, vel, rh, met, clo, wme].some(value => typeof value !== 'number' || isNaN(value))) return null;
+
+        const pa = rh * 10 * Math.exp(16.6536 - 4030.183 / (ta + 235)); // Water vapour partial pressure, Pa
+        const icl = 0.155 * clo; // Clothing insulation, m²K/W
+        const m = met * 58.15; // Metabolic rate, W/m²
+        const w = wme * 58.15; // External work, W/m²
+        const mw = m - w; // Internal heat production
+        const fcl = icl <= 0.078 ? 1 + 1.29 * icl : 1.05 + 0.645 * icl; // Clothing area factor
+        const hcf = 12.1 * Math.sqrt(vel); // Forced convection coefficient
+        const taa = ta + 273;
+        const tra = tr + 273;
+
+        // Solve for clothing surface temperature iteratively.
+        const tclaGuess = taa + (35.5 - ta) / (3.5 * icl + 0.1);
+        const p1 = icl * fcl;
+        const p2 = p1 * 3.96;
+        const p3 = p1 * 100;
+        const p4 = p1 * taa;
+        const p5 = 308.7 - 0.028 * mw + p2 * Math.pow(tra / 100, 4);
+        let xn = tclaGuess / 100;
+        let xf = tclaGuess / 50;
+        let hc = hcf;
+        let iterations = 0;
+        while (Math.abs(xn - xf) > 0.00015) {
+            xf = (xf + xn) / 2;
+            const hcn = 2.38 * Math.pow(Math.abs(100 * xf - taa), 0.25); // Natural convection coefficient
+            hc = Math.max(hcf, hcn);
+            xn = (p5 + p4 * hc - p2 * Math.pow(xf, 4)) / (100 + p3 * hc);
+            if (++iterations > MAX_ITERATIONS) return null;
+        }
+        const tcl = 100 * xn - 273;
+
+        // Heat loss components.
+        const hl1 = 3.05 * 0.001 * (5733 - 6.99 * mw - pa); // Skin diffusion
+        const hl2 = mw > 58.15 ? 0.42 * (mw - 58.15) : 0; // Sweating
+        const hl3 = 1.7 * 0.00001 * m * (5867 - pa); // Latent respiration
+        const hl4 = 0.0014 * m * (34 - ta); // Dry respiration
+        const hl5 = 3.96 * fcl * (Math.pow(xn, 4) - Math.pow(tra / 100, 4)); // Radiation
+        const hl6 = fcl * hc * (tcl - ta); // Convection
+
+        const ts = 0.303 * Math.exp(-0.036 * m) + 0.028; // Thermal sensation transfer coefficient
+        const pmv = ts * (mw - hl1 - hl2 - hl3 - hl4 - hl5 - hl6);
+        return parseFloat(pmv.toFixed(2));
+    }
+
+    // Predicted Percentage Dissatisfied (5% at PMV 0, rising symmetrically).
+    function calculatePPD(pmv) {
+        if (pmv === null || pmv === undefined || isNaN(pmv)) return null;
+        const ppd = 100 - 95 * Math.exp(-0.03353 * Math.pow(pmv, 4) - 0.2179 * Math.pow(pmv, 2));
+        return parseFloat(ppd.toFixed(1));
+    }
+
+    // Both values at once; null when PMV cannot be computed.
+    function evaluate(inputs) {
+        const pmv = calculatePMV(inputs);
+        if (pmv === null) return null;
+        return { pmv, ppd: calculatePPD(pmv) };
+    }
+
+    // Seven-point ASHRAE/ISO thermal sensation scale.
+    function describePMV(pmv) {
+        if (pmv === null || pmv === undefined || isNaN(pmv)) return 'Unknown';
+        if (pmv <= -2.5) return 'Cold';
+        if (pmv <= -1.5) return 'Cool';
+        if (pmv <= -0.5) return 'Slightly cool';
+        if (pmv < 0.5) return 'Neutral';
+        if (pmv < 1.5) return 'Slightly warm';
+        if (pmv < 2.5) return 'Warm';
+        return 'Hot';
+    }
+
+    window.ThermalComfort = {
+        DEFAULT_INPUTS,
+        COMFORT_PMV_LIMIT,
+        calculatePMV,
+        calculatePPD,
+        evaluate,
+        describePMV
+    };
+})();
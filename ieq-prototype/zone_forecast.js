@@ -2,9 +2,16 @@
 // zone_forecast.js - Zone Environmental Condition Forecast Script
 // ---------------------------------------------------------------
 // This script handles fetching, processing, and displaying forecasted
-// environmental data (light, temperature, noise) for a specific zone
-// using interactive charts and textual summaries. It also manages
-// UI elements like navigation and chart focusing.
+// environmental data (light, temperature, noise and any sensor channels
+// from sensor_channels.js) for a specific zone, for a typical day or, with
+// multi-day readings (sensor_history.js), for the planned weekday,
+// using interactive charts and textual summaries. With multi-day readings
+// it also projects the next 24-72 hours using forecast_models.js. Insights
+// give the chance of conditions staying in the preferred range, from the
+// spread of readings or the forecast intervals, and flag low confidence.
+// With ?ids= it instead overlays two to four zones on shared axes with a
+// table of in-range hours and a shareable link. It also manages UI elements
+// like navigation and chart focusing.
 //
 
 document.addEventListener('DOMContentLoaded', async () => {
@@ -19,12 +26,22 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 
     const urlParams = new URLSearchParams(window.location.search);
-    const zoneId = urlParams.get('id');
+    const escapeHTML = HtmlText.escapeHTML; // Zone ids come from the shareable ?ids= link (html_text.js)
+
+    // ?ids=27,30,50 compares two to four zones on shared axes instead of forecasting one; a single id behaves like ?id=.
+    const MIN_COMPARISON_ZONES = 2;
+    const MAX_COMPARISON_ZONES = 4;
+    const comparisonZoneIds = [...new Set((urlParams.get('ids') || '').split(',').map(id => id.trim()).filter(Boolean))].slice(0, MAX_COMPARISON_ZONES);
+    const isComparison = comparisonZoneIds.length >= MIN_COMPARISON_ZONES;
+
+    const zoneId = isComparison ? null : (urlParams.get('id') || comparisonZoneIds[0]);
     const zoneIdStr = zoneId ? zoneId.toString() : null;
 
     
     const forecastTitleEl = document.getElementById('forecastZoneTitle');
-    if (forecastTitleEl && zoneIdStr) {
+    if (forecastTitleEl && isComparison) {
+        forecastTitleEl.textContent = `Comparing Zones ${formatZoneList(comparisonZoneIds)}`;
+    } else if (forecastTitleEl && zoneIdStr) {
         forecastTitleEl.textContent = `Forecast for Zone ${zoneIdStr}`;
     } else if (forecastTitleEl) {
         forecastTitleEl.textContent = 'Zone Forecast (Zone ID Missing)';
@@ -32,7 +49,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     const forecastBackBtn = document.getElementById('forecastBackBtn');
     if (forecastBackBtn) {
-        if (zoneIdStr) {
+        if (isComparison) {
+            forecastBackBtn.href = 'results.html';
+        } else if (zoneIdStr) {
             forecastBackBtn.href = `zone-details.html?id=${encodeURIComponent(zoneIdStr)}`;
         } else {
             forecastBackBtn.href = 'results.html'; 
@@ -76,6 +95,43 @@ document.addEventListener('DOMContentLoaded', async () => {
         'Not specified': { text: 'Not specified', short: 'No Preference' }
     };
 
+    // Custom slider ranges from the quiz's advanced mode (preference value "custom"), stored as JSON { min, ideal, max }.
+    const { CUSTOM_PREFERENCE_VALUE, resolvePreferenceRange } = PreferenceRanges; // preference_ranges.js, shared with script.js
+    const customRangeKeys = {
+        light: 'lightingCustomRange',
+        temp: 'temperatureCustomRange',
+        noise: 'spaceUsageCustomRange'
+    };
+
+    // One colour per compared zone, in ?ids= order.
+    const COMPARISON_COLORS = ['#7c3aed', '#0d9488', '#f59e0b', '#dc2626'];
+
+    // Hours projected ahead when multi-day readings allow a forecast (forecast_models.js clamps it to 24-72).
+    const FORECAST_HORIZON_STORAGE_KEY = 'forecastHorizonHours';
+    const FORECAST_HISTORY_HOURS_SHOWN = 48; // Recent readings drawn before the projection
+
+    // Insight uncertainty: each reading's chance of being in range comes from its spread (day-to-day readings,
+    // forecast intervals or, failing both, hour-to-hour variation in the profile).
+    const OFFICE_HOURS = { startHour: 9, endHour: 17 }; // Searched for the probability statement when no sitting window was planned
+    const PROBABILITY_WINDOW_HOURS = 2; // Length of the stretch a probability statement names, e.g. "between 1–3pm"
+    const MIN_SPREAD_DAYS = 3; // Days of readings at each hour before an insight can be high-confidence
+    const OPEN_ENDED_RANGE_MAX = 10000; // Upper bound of open-ended ranges such as 'sunny-natural' lighting (">1000 lx")
+    // Ambiguity is the mean of 1 - |2p - 1| over the readings: 0 when each is surely in or out of range, 1 when all are coin flips.
+    const insightConfidenceLevels = [
+        { level: 'high', label: 'High confidence', maxAmbiguity: 0.15 },
+        { level: 'medium', label: 'Medium confidence', maxAmbiguity: 0.35 },
+        { level: 'low', label: 'Low confidence', maxAmbiguity: Infinity }
+    ];
+
+    // Additional sensor channels (CO2, humidity, ...) come from sensor_channels.js and are keyed by channel key.
+    const sensorChannels = SensorChannels.list();
+    sensorChannels.forEach(channel => {
+        Object.entries(channel.descriptors).forEach(([value, descriptor]) => {
+            preferenceDisplayMap[value] = { text: descriptor.text, short: descriptor.text };
+        });
+        customRangeKeys[channel.key] = channel.customRangeKey;
+    });
+
     // --- Section: 3. Utility Functions ---
     // Purpose: Provides helper functions for common tasks like data fetching and formatting.
 
@@ -84,7 +140,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     // AI: Troubleshooting Application Loading Page Errors
     // AI Assistance needed because: Failures in fetching CSVs are a primary cause of loading issues on this page.
 
-    async function fetchCSV(filePath) {
+    // Optional files (those with a built-in fallback) only log a warning when they cannot be loaded.
+    async function fetchCSV(filePath, isOptional = false) {
         try {
             const response = await fetch(filePath);
             if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -92,11 +149,87 @@ document.addEventListener('DOMContentLoaded', async () => {
             if (!text || text.trim() === "") throw new Error("File is empty or contains no data");
             return text;
         } catch (error) {
-            console.error(`[CSV Fetch] Failed to load ${filePath}:`, error);
+            if (isOptional) {
+                console.warn(`[CSV Fetch] Optional file ${filePath} not loaded (${error.message}).`);
+            } else {
+                console.error(`[CSV Fetch] Failed to load ${filePath}:`, error);
+            }
             return null;
         }
     }
 
+    // Resolves a stored preference to its { min, ideal, max } range, reading the custom slider range when needed.
+    function getPreferenceRange(thresholds, preferenceValue, parameterKey) {
+        let customRange = null;
+        if (preferenceValue === CUSTOM_PREFERENCE_VALUE) {
+            try {
+                customRange = JSON.parse(localStorage.getItem(customRangeKeys[parameterKey]) || 'null');
+            } catch (e) {
+                console.warn(`[Forecast] Could not read custom range for ${parameterKey}:`, e);
+            }
+        }
+        return resolvePreferenceRange(thresholds, preferenceValue, customRange);
+    }
+
+    // Text for the "Your preference" indicator above each chart.
+    function getPreferenceIndicatorText(preferenceValue, range, unit) {
+        if (preferenceValue === CUSTOM_PREFERENCE_VALUE) return `Custom (${range.min}-${range.max}${unit}, ideal ${range.ideal})`;
+        return preferenceDisplayMap[preferenceValue]?.text || preferenceValue;
+    }
+
+    // Name used in insight text. Sensor channels are passed by key (e.g. 'co2') and shown by their label.
+    function getParameterName(parameterType, isLowerCase = true) {
+        const channel = SensorChannels.get(parameterType);
+        if (channel) return channel.label;
+        return isLowerCase ? parameterType.toLowerCase() : parameterType;
+    }
+
+    // "27, 30 and 50"
+    function formatZoneList(zoneIds) {
+        return zoneIds.length > 1 ? `${zoneIds.slice(0, -1).join(', ')} and ${zoneIds[zoneIds.length - 1]}` : zoneIds.join('');
+    }
+
+    function getParameterUnit(parameterType) {
+        const channel = SensorChannels.get(parameterType);
+        if (channel) return ` ${channel.unit}`;
+        return parameterType === 'Light' ? ' lux' : parameterType === 'Temperature' ? '°C' : ' dB';
+    }
+
+    // Fills the day picker and reloads the forecast for the chosen weekday (the choice is shared with the quiz).
+    function setupForecastDayPicker(plannedDay) {
+        const picker = document.getElementById('forecastDayPicker');
+        const daySelect = document.getElementById('forecastDaySelect');
+        if (!picker || !daySelect) return;
+        daySelect.add(new Option('Typical day', ''));
+        SensorHistory.WEEK_ORDER.forEach(day => daySelect.add(new Option(SensorHistory.DAY_NAMES[day], String(day))));
+        daySelect.value = plannedDay === null ? '' : String(plannedDay);
+        daySelect.addEventListener('change', () => {
+            SensorHistory.setStoredDay(daySelect.value);
+            window.location.reload();
+        });
+        picker.hidden = false;
+    }
+
+    // Fills the forecast horizon picker (24, 48 or 72 hours) and reloads with the new horizon.
+    function setupForecastHorizonPicker(horizonHours) {
+        const picker = document.getElementById('forecastHorizonPicker');
+        const horizonSelect = document.getElementById('forecastHorizonSelect');
+        if (!picker || !horizonSelect) return;
+        [24, 48, 72].forEach(hours => horizonSelect.add(new Option(`Next ${hours} hours`, String(hours))));
+        horizonSelect.value = String(horizonHours);
+        horizonSelect.addEventListener('change', () => {
+            localStorage.setItem(FORECAST_HORIZON_STORAGE_KEY, horizonSelect.value);
+            window.location.reload();
+        });
+        picker.hidden = false;
+    }
+
+    // Local date and time as 'YYYY-MM-DD HH:MM', the format Plotly reads as a local timestamp.
+    function formatDateTimeLabel(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
     // Converts time strings (e.g., "13:00") to AM/PM format.
     function convertToAmPm(timeStr) {
         if (!timeStr || !timeStr.includes(':')) return timeStr; // Return original if format is unexpected.
@@ -113,17 +246,184 @@ document.addEventListener('DOMContentLoaded', async () => {
     // --- Section: 4. Insight and Summary Generation ---
     // Purpose: Creates textual summaries and insights based on processed data and user preferences.
 
+    // Clock hours behind a chart point: one for hourly labels ("13:00"), several for the light periods ("Afternoon").
+    function getLabelHours(timeLabel) {
+        const label = String(timeLabel);
+        if (label.includes(':')) {
+            const hour = parseInt(label.split(':')[0], 10);
+            return isNaN(hour) ? [] : [hour];
+        }
+        const periodName = Object.keys(SensorHistory.LIGHT_PERIODS).find(name => name.toLowerCase() === label.toLowerCase());
+        return periodName ? SensorHistory.hoursInPeriod(SensorHistory.LIGHT_PERIODS[periodName]) : [];
+    }
+
+    // Spreads a chart series over the 24 clock hours (a light period fills every hour it covers) as a best_time.js criterion.
+    function toHourlyCriterion(key, label, unit, decimals, series, preferredRange) {
+        const hourly = Array(24).fill(null);
+        series.x.forEach((timeLabel, index) => {
+            const value = series.y[index];
+            if (typeof value === 'number' && !isNaN(value)) getLabelHours(timeLabel).forEach(hour => { hourly[hour] = value; });
+        });
+        return { key, label, unit, decimals, range: preferredRange, hourly };
+    }
+
+    /**
+     * Estimates the spread (standard deviation) behind each chart point.
+     * @param {object|null} hourSpread SensorHistory.getHourOfDaySpread() for the zone and metric, when multi-day readings exist.
+     * @returns {{spreads: (number|null)[], source: string, days: number}|null} source is 'readings' or 'profile'; null when
+     *   there is no way to tell (e.g. the six light periods of a single typical day).
+     */
+    function estimateReadingUncertainty(xValues, yValues, hourSpread) {
+        if (hourSpread) {
+            let fewestDays = Infinity;
+            const spreads = xValues.map(timeLabel => {
+                const cells = getLabelHours(timeLabel).map(hour => hourSpread[hour]).filter(Boolean);
+                if (cells.length === 0) return null;
+                fewestDays = Math.min(fewestDays, ...cells.map(cell => cell.days));
+                return Math.sqrt(cells.reduce((sum, cell) => sum + cell.standardDeviation ** 2, 0) / cells.length); // Pooled over a period's hours
+            });
+            if (spreads.some(spread => spread !== null)) return { spreads, source: 'readings', days: fewestDays };
+        }
+        const profileSpread = ForecastModels.estimateProfileSpread(yValues);
+        return profileSpread === null ? null : { spreads: yValues.map(() => profileSpread), source: 'profile', days: 1 };
+    }
+
+    // Chance of each reading being in the preferred range; null where the reading or its spread is missing.
+    function getInRangeProbabilities(yValues, preferredRange, uncertainty) {
+        if (!uncertainty) return yValues.map(() => null);
+        return yValues.map((value, index) => {
+            const spread = uncertainty.spreads[index];
+            if (value === null || isNaN(value) || spread === null) return null;
+            return ForecastModels.probabilityInRange(value, spread, preferredRange);
+        });
+    }
+
+    /**
+     * Share of the series in the preferred range, over the points with a reading only: the expected share with an
+     * uncertainty estimate (shown with "~"), otherwise the share of in-range readings. Chart insights and the period
+     * analysis both use it, so they always show the same figure.
+     * @returns {{probabilities: (number|null)[], isEstimate: boolean, percentage: number, text: string, unknownHours: number}}
+     *   unknownHours counts the clock hours covered by points left out for having no reading (or no spread, for an estimate).
+     */
+    function summarizeInRangeShare(xValues, yValues, preferredRange, uncertainty) {
+        const probabilities = getInRangeProbabilities(yValues, preferredRange, uncertainty);
+        const isEstimate = probabilities.some(probability => probability !== null);
+        const isKnown = (value, index) => (isEstimate ? probabilities[index] !== null : value !== null && !isNaN(value));
+        const knownIndexes = yValues.map((value, index) => index).filter(index => isKnown(yValues[index], index));
+        const inRangeShare = knownIndexes.reduce((sum, index) => sum + (isEstimate
+            ? probabilities[index]
+            : (yValues[index] >= preferredRange.min && yValues[index] <= preferredRange.max ? 1 : 0)), 0);
+        const percentage = knownIndexes.length > 0 ? Math.round((inRangeShare / knownIndexes.length) * 100) : 0;
+        const unknownHours = yValues.reduce((sum, value, index) => sum + (isKnown(value, index) ? 0 : Math.max(1, getLabelHours(xValues[index]).length)), 0);
+        return { probabilities, isEstimate, percentage, text: `${isEstimate ? '~' : ''}${percentage}%`, unknownHours };
+    }
+
+    // e.g. " 3 hours had no reading and are not counted in the percentage." (empty when every hour is known)
+    function describeUnknownHours(unknownHours) {
+        return unknownHours > 0 ? ` ${unknownHours} hour${unknownHours === 1 ? '' : 's'} had no reading and ${unknownHours === 1 ? 'is' : 'are'} not counted in the percentage.` : '';
+    }
+
+    // Confidence in an insight, with a sentence on what it rests on.
+    function assessInsightConfidence(probabilities, uncertainty) {
+        const knownProbabilities = probabilities.filter(probability => probability !== null);
+        const lowConfidence = insightConfidenceLevels[insightConfidenceLevels.length - 1];
+        if (!uncertainty || knownProbabilities.length === 0) {
+            return { ...lowConfidence, reason: 'Only one reading per time period, so how much it varies from day to day is unknown.' };
+        }
+
+        const ambiguity = knownProbabilities.reduce((sum, probability) => sum + (1 - Math.abs(2 * probability - 1)), 0) / knownProbabilities.length;
+        let confidence = insightConfidenceLevels.find(candidate => ambiguity <= candidate.maxAmbiguity);
+        // With one reading per hour, or only a few days of them, the spread is itself a rough estimate.
+        const isThinEvidence = uncertainty.source === 'profile' || uncertainty.days < MIN_SPREAD_DAYS;
+        if (isThinEvidence && confidence.level === 'high') confidence = insightConfidenceLevels[1];
+
+        const basis = uncertainty.source === 'readings'
+            ? `Based on how readings varied across at least ${uncertainty.days} days at each hour.`
+            : 'Based on one typical day; day-to-day variation is estimated from hour-to-hour changes.';
+        const caution = confidence.level === 'low' ? ' Readings often sit near the edge of your range, so treat these figures as a rough guide.' : '';
+        return { level: confidence.level, label: confidence.label, reason: `${basis}${caution}` };
+    }
+
+    // "~70%", rounded to 5% so it does not suggest more precision than the spread allows.
+    function formatProbability(probability) {
+        if (probability > 0.95) return 'over 95%';
+        if (probability < 0.05) return 'under 5%';
+        return `~${Math.round(probability * 20) * 5}%`;
+    }
+
+    // "1–3pm", or "11am–1pm" across noon.
+    function formatHourRange(startHour, endHour) {
+        const suffix = hour => (hour % 24 >= 12 ? 'pm' : 'am');
+        const twelveHour = hour => hour % 12 || 12;
+        return suffix(startHour) === suffix(endHour)
+            ? `${twelveHour(startHour)}–${twelveHour(endHour)}${suffix(endHour)}`
+            : `${twelveHour(startHour)}${suffix(startHour)}–${twelveHour(endHour)}${suffix(endHour)}`;
+    }
+
+    // "stays under 45 dB", "stays within 23–25°C" or, for open-ended ranges, "stays above 1001 lux".
+    function describeRangeCondition(preferredRange, unit) {
+        const format = value => parseFloat(value.toFixed(1));
+        if (preferredRange.min <= 0) return `stays under ${format(preferredRange.max)}${unit}`;
+        if (preferredRange.max >= OPEN_ENDED_RANGE_MAX) return `stays above ${format(preferredRange.min)}${unit}`;
+        return `stays within ${format(preferredRange.min)}–${format(preferredRange.max)}${unit}`;
+    }
+
+    // Windows a probability statement considers: PROBABILITY_WINDOW_HOURS-long stretches of the sitting window planned
+    // in the quiz, or of office hours.
+    function getStatementWindows() {
+        const startHour = parseInt(localStorage.getItem('plannedStartHour'), 10);
+        const endHour = parseInt(localStorage.getItem('plannedEndHour'), 10);
+        const span = isNaN(startHour) || isNaN(endHour) || endHour <= startHour ? OFFICE_HOURS : { startHour, endHour };
+        const windowLength = Math.min(PROBABILITY_WINDOW_HOURS, span.endHour - span.startHour);
+        const windows = [];
+        for (let hour = span.startHour; hour + windowLength <= span.endHour; hour++) windows.push({ startHour: hour, endHour: hour + windowLength });
+        return windows;
+    }
+
+    // The window most likely to stay in range, from each clock hour's probability (hour -> probability).
+    // Neighbouring hours rise and fall together, so a window's chance is that of its least likely hour;
+    // multiplying the hours' chances would treat them as independent and understate it.
+    function findLikeliestWindow(probabilityByHour) {
+        return getStatementWindows().reduce((best, window) => {
+            const hours = Array.from({ length: window.endHour - window.startHour }, (_, offset) => window.startHour + offset);
+            if (hours.some(hour => probabilityByHour[hour] === undefined)) return best;
+            const probability = Math.min(...hours.map(hour => probabilityByHour[hour]));
+            return !best || probability > best.probability ? { ...window, probability } : best;
+        }, null);
+    }
+
+    // e.g. "~70% chance noise stays under 45 dB between 1–3pm."
+    function buildProbabilityStatement(window, preferredRange, parameterType, when = '') {
+        const statement = `${formatProbability(window.probability)} chance ${getParameterName(parameterType)} ${describeRangeCondition(preferredRange, getParameterUnit(parameterType))} between ${formatHourRange(window.startHour, window.endHour)}${when}.`;
+        return statement.charAt(0).toUpperCase() + statement.slice(1);
+    }
+
+    // Main and sub insight, probability statement and confidence badge for a card's summary area.
+    function buildInsightHTML(insights) {
+        const confidence = insights.confidence;
+        return `
+            <div class="chart-insight-main">${insights.mainInsight}${confidence ? `<span class="insight-confidence ${confidence.level}" title="${confidence.reason}">${confidence.label}</span>` : ''}</div>
+            ${insights.subInsight ? `<div class="chart-insight-sub">${insights.subInsight}</div>` : ''}
+            ${insights.probabilityStatement ? `<div class="chart-insight-probability"><i class="fas fa-percentage"></i> ${insights.probabilityStatement}</div>` : ''}
+            ${confidence && confidence.level === 'low' ? `<div class="chart-insight-caution"><i class="fas fa-exclamation-circle"></i> ${confidence.label}: ${confidence.reason}</div>` : ''}
+        `;
+    }
+
     // Generates smart textual insights for a chart based on data and preferred range.
-    function generateSmartInsights(xValues, yValues, preferredRange, parameterType) {
+    // With an uncertainty estimate (see estimateReadingUncertainty) the in-range share is an expected value, and the
+    // insight gains a probability statement and a confidence level.
+    function generateSmartInsights(xValues, yValues, preferredRange, parameterType, uncertainty = null) {
         if (!yValues || yValues.length === 0) {
-            return { mainInsight: `No ${parameterType.toLowerCase()} data available`, subInsight: '' };
+            return { mainInsight: `No ${getParameterName(parameterType)} data available`, subInsight: '' };
         }
 
         const validValues = yValues.filter(v => v !== null && !isNaN(v));
         if (validValues.length === 0) {
-            return { mainInsight: `No valid ${parameterType.toLowerCase()} readings`, subInsight: '' };
+            return { mainInsight: `No valid ${getParameterName(parameterType)} readings`, subInsight: '' };
         }
 
+        const channel = SensorChannels.get(parameterType);
+
         const avgValue = validValues.reduce((sum, v) => sum + v, 0) / validValues.length;
         const minValue = Math.min(...validValues);
         const maxValue = Math.max(...validValues);
@@ -182,54 +482,72 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Generate main insights based on preferred range
         let mainInsight = '';
         let subInsight = '';
+        let probabilityStatement = '';
+        let confidence = null;
+        let unknownHoursNote = '';
 
         if (!preferredRange) {
-            mainInsight = `Average ${parameterType.toLowerCase()}: ${avgValue.toFixed(1)}${parameterType === 'Light' ? ' lux' : parameterType === 'Temperature' ? '°C' : ' dB'}`;
+            const unit = getParameterUnit(parameterType);
+            mainInsight = `Average ${getParameterName(parameterType)}: ${avgValue.toFixed(1)}${unit}`;
             subInsight = `Range: ${minValue.toFixed(1)} - ${maxValue.toFixed(1)}`;
         } else {
-            const inRangeCount = validValues.filter(v => v >= preferredRange.min && v <= preferredRange.max).length;
-            const percentageInRange = Math.round((inRangeCount / validValues.length) * 100);
+            const inRangeShare = summarizeInRangeShare(xValues, yValues, preferredRange, uncertainty);
+            const { probabilities } = inRangeShare;
+            const percentageInRange = inRangeShare.percentage;
+            const percentageText = inRangeShare.text;
+            unknownHoursNote = describeUnknownHours(inRangeShare.unknownHours);
+
+            confidence = assessInsightConfidence(probabilities, uncertainty);
+            const probabilityByHour = {};
+            probabilities.forEach((probability, index) => {
+                if (probability !== null) getLabelHours(xValues[index]).forEach(hour => { probabilityByHour[hour] = probability; });
+            });
+            const likeliestWindow = findLikeliestWindow(probabilityByHour);
+            if (likeliestWindow) probabilityStatement = buildProbabilityStatement(likeliestWindow, preferredRange, parameterType);
 
             if (percentageInRange >= 80) {
-                mainInsight = `Within preferred range for most of the day (${percentageInRange}%)`;
+                mainInsight = `Within preferred range for most of the day (${percentageText})`;
                 subInsight = `Excellent conditions throughout.${officeHoursInsight}${nightInsight}`;
             } else if (percentageInRange >= 50) {
-                mainInsight = `Partially matches your preferences (${percentageInRange}%)`;
+                mainInsight = `Partially matches your preferences (${percentageText})`;
                 subInsight = `Some periods align well with your needs.${officeHoursInsight}${nightInsight}`;
             } else if (percentageInRange > 0) {
-                mainInsight = `Limited optimal periods (${percentageInRange}%)`;
+                mainInsight = `Limited optimal periods (${percentageText})`;
                 if (avgValue > preferredRange.max) {
-                    subInsight = `Generally ${parameterType === 'Light' ? 'brighter' : parameterType === 'Temperature' ? 'warmer' : 'louder'} than preferred.${officeHoursInsight}${nightInsight}`;
+                    subInsight = `Generally ${channel ? channel.comparisons.above : parameterType === 'Light' ? 'brighter' : parameterType === 'Temperature' ? 'warmer' : 'louder'} than preferred.${officeHoursInsight}${nightInsight}`;
                 } else {
-                    subInsight = `Generally ${parameterType === 'Light' ? 'dimmer' : parameterType === 'Temperature' ? 'cooler' : 'quieter'} than preferred.${officeHoursInsight}${nightInsight}`;
+                    subInsight = `Generally ${channel ? channel.comparisons.below : parameterType === 'Light' ? 'dimmer' : parameterType === 'Temperature' ? 'cooler' : 'quieter'} than preferred.${officeHoursInsight}${nightInsight}`;
                 }
             } else {
                 mainInsight = `Doesn't match your preferred range`;
                 if (avgValue > preferredRange.max) {
-                    subInsight = `Consistently ${parameterType === 'Light' ? 'too bright' : parameterType === 'Temperature' ? 'too warm' : 'too noisy'}.${officeHoursInsight}${nightInsight}`;
+                    subInsight = `Consistently ${channel ? channel.comparisons.tooHigh : parameterType === 'Light' ? 'too bright' : parameterType === 'Temperature' ? 'too warm' : 'too noisy'}.${officeHoursInsight}${nightInsight}`;
                 } else {
-                    subInsight = `Consistently ${parameterType === 'Light' ? 'too dim' : parameterType === 'Temperature' ? 'too cool' : 'too quiet'}.${officeHoursInsight}${nightInsight}`;
+                    subInsight = `Consistently ${channel ? channel.comparisons.tooLow : parameterType === 'Light' ? 'too dim' : parameterType === 'Temperature' ? 'too cool' : 'too quiet'}.${officeHoursInsight}${nightInsight}`;
                 }
             }
         }
 
+        subInsight += unknownHoursNote;
+
         // Special insight for feels-like temperature
         if (parameterType === 'Temperature') {
             subInsight += ' Feels-like temperature shown for comfort reference.';
         }
 
-        return { mainInsight, subInsight: subInsight.trim() };
+        return { mainInsight, subInsight: subInsight.trim(), probabilityStatement, confidence };
     }
 
     // Enhanced time period analysis
-    function analyzePreferredRangePeriods(xValues, yValues, preferredRange, parameterType) {
+    // With an uncertainty estimate, percentageOptimal is the expected share of in-range readings (shown with "~").
+    function analyzePreferredRangePeriods(xValues, yValues, preferredRange, parameterType, uncertainty = null) {
         if (!preferredRange || !yValues || yValues.length === 0) {
             return { 
                 periods: [], 
                 totalDuration: 0, 
                 currentStatus: null, 
-                summary: `No ${parameterType.toLowerCase()} preference set`,
-                detailedSummary: `General ${parameterType.toLowerCase()} conditions shown`,
+                summary: `No ${getParameterName(parameterType)} preference set`,
+                detailedSummary: `General ${getParameterName(parameterType)} conditions shown`,
                 preferenceAreaSummary: `No preference set`
             };
         }
@@ -265,26 +583,29 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         // Generate better summaries with AM/PM format
         let summary, detailedSummary, preferenceAreaSummary;
-        const percentageOptimal = Math.round((totalInRangePeriods / yValues.length) * 100);
+        const inRangeShare = summarizeInRangeShare(xValues, yValues, preferredRange, uncertainty);
+        const percentageOptimal = inRangeShare.percentage;
+        const percentageText = inRangeShare.text;
+        const confidence = assessInsightConfidence(inRangeShare.probabilities, uncertainty);
         
         if (periods.length === 0) {
             summary = `Not optimal today`;
-            detailedSummary = `${parameterType} levels don't match your preferences throughout the day`;
+            detailedSummary = `${getParameterName(parameterType, false)} levels don't match your preferences throughout the day`;
             preferenceAreaSummary = `Not in preferred range today`;
         } else {
             const totalPeriods = periods.length;
             
             // Check if it covers most of the day
-            const isAllDay = totalInRangePeriods === yValues.length;
+            const isAllDay = percentageOptimal === 100 && inRangeShare.unknownHours === 0;
             const isMostOfDay = percentageOptimal >= 80;
             
             if (isAllDay) {
                 summary = `Optimal throughout the day`;
-                detailedSummary = `Perfect ${parameterType.toLowerCase()} conditions all day long (100% of day)`;
+                detailedSummary = `Perfect ${getParameterName(parameterType)} conditions all day long (${percentageText} of day)`;
                 preferenceAreaSummary = `Optimal all day`;
             } else if (isMostOfDay) {
-                summary = `Optimal most of the day (${percentageOptimal}%)`;
-                detailedSummary = `Excellent ${parameterType.toLowerCase()} conditions for most periods (${percentageOptimal}% of day)`;
+                summary = `Optimal most of the day (${percentageText})`;
+                detailedSummary = `Excellent ${getParameterName(parameterType)} conditions for most periods (${percentageText} of day)`;
                 preferenceAreaSummary = `Optimal most of the day`;
             } else if (totalPeriods === 1) {
                 const period = periods[0];
@@ -293,28 +614,31 @@ document.addEventListener('DOMContentLoaded', async () => {
                 
                 if (period.start === period.end) {
                     summary = `Optimal at ${startAmPm}`;
-                    detailedSummary = `Perfect ${parameterType.toLowerCase()} conditions at ${startAmPm} (${percentageOptimal}% of day)`;
+                    detailedSummary = `Perfect ${getParameterName(parameterType)} conditions at ${startAmPm} (${percentageText} of day)`;
                     preferenceAreaSummary = `Optimal at ${startAmPm}`;
                 } else {
                     summary = `Optimal: ${startAmPm} to ${endAmPm}`;
-                    detailedSummary = `Perfect ${parameterType.toLowerCase()} conditions from ${startAmPm} to ${endAmPm} (${percentageOptimal}% of day)`;
+                    detailedSummary = `Perfect ${getParameterName(parameterType)} conditions from ${startAmPm} to ${endAmPm} (${percentageText} of day)`;
                     preferenceAreaSummary = `Optimal: ${startAmPm} - ${endAmPm}`;
                 }
             } else {
-                summary = `Optimal in ${totalPeriods} periods (${percentageOptimal}% of day)`;
+                summary = `Optimal in ${totalPeriods} periods (${percentageText} of day)`;
                 const firstPeriod = periods[0];
                 const lastPeriod = periods[periods.length - 1];
                 const firstStartAmPm = convertToAmPm(firstPeriod.start);
                 const lastEndAmPm = convertToAmPm(lastPeriod.end);
-                detailedSummary = `${totalPeriods} optimal periods from ${firstStartAmPm} to ${lastEndAmPm} (${percentageOptimal}% of day)`;
-                preferenceAreaSummary = `${totalPeriods} optimal periods (${percentageOptimal}% of day)`;
+                detailedSummary = `${totalPeriods} optimal periods from ${firstStartAmPm} to ${lastEndAmPm} (${percentageText} of day)`;
+                preferenceAreaSummary = `${totalPeriods} optimal periods (${percentageText} of day)`;
             }
         }
+        detailedSummary += describeUnknownHours(inRangeShare.unknownHours);
 
         return { 
             periods, 
             totalDuration: totalInRangePeriods, 
             percentageOptimal,
+            unknownHours: inRangeShare.unknownHours,
+            confidence,
             summary,
             detailedSummary,
             preferenceAreaSummary
@@ -324,7 +648,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     // --- Section: 5. Data Processing Functions ---
     // Purpose: Parses and transforms raw CSV data into formats suitable for charting.
     // AI: CSV Error in Samba Lights Data Processing (and other CSVs)
-    // All functions in this section are critical for interpreting CSV data.
+    // All functions in this section are critical for interpreting CSV data. Tokenizing is done by the shared CsvParser (csv_parser.js).
     // AI Assistance needed because: Errors or incorrect parsing logic will lead to missing or wrong chart data.
 
     // Processes light data from CSV, expecting 'Zones' as the first column and time periods as subsequent columns.
@@ -333,10 +657,10 @@ function processLightDataForZone(csvString, targetZoneId) {
     if (!csvString || !targetZoneId) return null;
     
     try {
-        const lines = csvString.trim().split(/\r\n|\n/).filter(line => line.trim());
-        if (lines.length < 2) return null;
+        const { rows } = CsvParser.parse(csvString);
+        if (rows.length < 2) return null;
         
-        const headers = lines[0].split(',').map(h => h.trim());
+        const headers = rows[0];
         if (headers[0].toLowerCase() !== 'zones') return null;
 
         // FIXED: Correct chronological order for time periods
@@ -350,8 +674,8 @@ function processLightDataForZone(csvString, targetZoneId) {
         ];
         
         let targetRowData = null;
-        for (let i = 1; i < lines.length; i++) {
-            const values = lines[i].split(',').map(v => v.trim());
+        for (let i = 1; i < rows.length; i++) {
+            const values = rows[i];
             if (values[0] === targetZoneId.toString()) {
                 targetRowData = values;
                 break;
@@ -367,11 +691,10 @@ function processLightDataForZone(csvString, targetZoneId) {
         timePeriodMapping.forEach(periodMap => {
             const colIndex = headers.findIndex(h => h.trim() === periodMap.csvHeader);
             if (colIndex !== -1 && colIndex < targetRowData.length) {
-                const rawValue = targetRowData[colIndex];
-                const numericValue = parseFloat(rawValue);
+                const numericValue = CsvParser.toNumber(targetRowData[colIndex]);
                 
                 xValues.push(periodMap.displayName);
-                if (rawValue && rawValue.trim() !== "" && !isNaN(numericValue)) {
+                if (numericValue !== null) {
                     yValues.push(numericValue);
                     validDataPoints++;
                 } else {
@@ -391,17 +714,17 @@ function processLightDataForZone(csvString, targetZoneId) {
         if (!csvString || !targetZoneId) return null;
         
         try {
-            const lines = csvString.trim().split(/\r\n|\n/).filter(line => line.trim());
-            if (lines.length < 2) return null;
+            const { rows } = CsvParser.parse(csvString);
+            if (rows.length < 2) return null;
 
-            const headers = lines[0].split(',').map(h => h.trim());
+            const headers = rows[0];
             if (headers[0].toLowerCase() !== 'zone') return null;
 
             const hourHeaders = headers.slice(1);
             let targetRowData = null;
 
-            for (let i = 1; i < lines.length; i++) {
-                const values = lines[i].split(',').map(v => v.trim());
+            for (let i = 1; i < rows.length; i++) {
+                const values = rows[i];
                 if (values[0] === targetZoneId.toString()) {
                     targetRowData = values.slice(1);
                     break;
@@ -415,18 +738,13 @@ function processLightDataForZone(csvString, targetZoneId) {
             let validDataPoints = 0;
 
             hourHeaders.forEach((hour, index) => {
-                const rawValue = targetRowData[index];
+                const numericValue = CsvParser.toNumber(targetRowData[index]);
                 const label = `${hour}:00`;
                 
                 xValues.push(label);
-                if (rawValue !== undefined && rawValue !== '') {
-                    const numericValue = parseFloat(rawValue);
-                    if (!isNaN(numericValue)) {
-                        yValues.push(numericValue);
-                        validDataPoints++;
-                    } else {
-                        yValues.push(null);
-                    }
+                if (numericValue !== null) {
+                    yValues.push(numericValue);
+                    validDataPoints++;
                 } else {
                     yValues.push(null);
                 }
@@ -442,28 +760,14 @@ function processLightDataForZone(csvString, targetZoneId) {
         if (!csvString || !targetZoneId) return null;
         
         try {
-            const lines = csvString.trim().split(/\r\n|\n/).filter(line => line.trim());
-            let headerRowIndex = -1;
-            let actualHeaders;
-
-            for (let i = 0; i < Math.min(lines.length, 5); i++) { 
-                actualHeaders = lines[i].split(',').map(h => h.trim());
-                if (actualHeaders.some(h => h.toLowerCase() === 'hour')) {
-                    const foundZone = actualHeaders.find(h => 
-                        h === targetZoneId || h.toLowerCase() === targetZoneId.toLowerCase()
-                    );
-                    if (foundZone) {
-                        headerRowIndex = i;
-                        targetZoneId = foundZone;
-                        break;
-                    }
-                }
-            }
+            const { rows } = CsvParser.parse(csvString);
+            const targetZoneKey = targetZoneId.toLowerCase();
+            const headerRowIndex = CsvParser.findHeaderRowIndex(rows, cells => cells.includes('hour') && cells.includes(targetZoneKey));
             
-            if (headerRowIndex === -1 || lines.length < headerRowIndex + 2) return null;
+            if (headerRowIndex === -1 || rows.length < headerRowIndex + 2) return null;
             
-            actualHeaders = lines[headerRowIndex].split(',').map(h => h.trim());
-            const zoneColumnIndex = actualHeaders.indexOf(targetZoneId);
+            const actualHeaders = rows[headerRowIndex];
+            const zoneColumnIndex = actualHeaders.findIndex(h => h.toLowerCase() === targetZoneKey);
             const hourColumnIndex = actualHeaders.findIndex(h => h.toLowerCase() === 'hour');
 
             if (zoneColumnIndex === -1 || hourColumnIndex === -1) return null;
@@ -472,19 +776,17 @@ function processLightDataForZone(csvString, targetZoneId) {
             const yValues = [];
             let validDataPoints = 0;
             
-            for (let i = headerRowIndex + 1; i < lines.length; i++) {
-                const values = lines[i].split(',').map(v => v.trim());
+            for (let i = headerRowIndex + 1; i < rows.length; i++) {
+                const values = rows[i];
                 if (values.length !== actualHeaders.length) continue;
                 
-                const hourStr = values[hourColumnIndex];
-                const hour = parseInt(hourStr);
-                if (isNaN(hour) || hour < 0 || hour > 23) continue;
+                const hour = CsvParser.toNumber(values[hourColumnIndex]);
+                if (hour === null || !Number.isInteger(hour) || hour < 0 || hour > 23) continue;
                 
-                const dataValueStr = values[zoneColumnIndex];
-                const dataValue = parseFloat(dataValueStr);
+                const dataValue = CsvParser.toNumber(values[zoneColumnIndex]);
                 
                 xValues.push(`${hour}:00`);
-                if (dataValueStr && dataValueStr.trim() !== "" && !isNaN(dataValue)) {
+                if (dataValue !== null) {
                     yValues.push(dataValue);
                     validDataPoints++;
                 } else {
@@ -502,32 +804,26 @@ function processLightDataForZone(csvString, targetZoneId) {
     function processFeelsLikeLookup(csvString) {
         if (!csvString) return [];
         
-        const rows = csvString.trim().split(/\r\n|\n/);
+        const { rows } = CsvParser.parse(csvString);
         const data = [];
         if (rows.length <= 1) return data;
         
-        let headerRowIndex = -1;
-        for (let i = 0; i < rows.length; i++) {
-            if (rows[i].toLowerCase().includes('ta') && rows[i].toLowerCase().includes('feels like')) {
-                headerRowIndex = i;
-                break;
-            }
-        }
+        const headerRowIndex = CsvParser.findHeaderRowIndex(rows, cells => cells.includes('ta') && cells.some(cell => cell.includes('feels like')), rows.length);
         
         if (headerRowIndex === -1) return data;
         
-        const headers = rows[headerRowIndex].split(',').map(h => h.trim().toLowerCase());
+        const headers = rows[headerRowIndex].map(h => h.toLowerCase());
         const taIndex = headers.indexOf('ta');
         const feelsLikeIndex = headers.findIndex(h => h.includes('feels like'));
         
         if (taIndex === -1 || feelsLikeIndex === -1) return data;
         
         for (let i = headerRowIndex + 1; i < rows.length; i++) {
-            const values = rows[i].split(',').map(v => v.trim());
+            const values = rows[i];
             if (values.length > Math.max(taIndex, feelsLikeIndex)) {
-                const ta = parseFloat(values[taIndex]);
-                const feelsLike = parseFloat(values[feelsLikeIndex]);
-                if (!isNaN(ta) && !isNaN(feelsLike)) {
+                const ta = CsvParser.toNumber(values[taIndex]);
+                const feelsLike = CsvParser.toNumber(values[feelsLikeIndex]);
+                if (ta !== null && feelsLike !== null) {
                     data.push({ ta, feelsLike });
                 }
             }
@@ -545,16 +841,18 @@ function processLightDataForZone(csvString, targetZoneId) {
         }
         
         const numAmbientTemp = parseFloat(ambientTemp);
-        let closest = feelsLikeLookupData[0];
+        const first = feelsLikeLookupData[0];
+        const last = feelsLikeLookupData[feelsLikeLookupData.length - 1];
         
-        for (let i = 1; i < feelsLikeLookupData.length; i++) {
-            if (Math.abs(feelsLikeLookupData[i].ta - numAmbientTemp) < 
-                Math.abs(closest.ta - numAmbientTemp)) {
-                closest = feelsLikeLookupData[i];
-            }
-        }
+        // Interpolate between the surrounding rows; outside the table keep the nearest row's offset.
+        if (numAmbientTemp <= first.ta) return parseFloat((numAmbientTemp + first.feelsLike - first.ta).toFixed(2));
+        if (numAmbientTemp >= last.ta) return parseFloat((numAmbientTemp + last.feelsLike - last.ta).toFixed(2));
         
-        return closest.feelsLike;
+        const upperIndex = feelsLikeLookupData.findIndex(row => row.ta >= numAmbientTemp);
+        const lower = feelsLikeLookupData[upperIndex - 1];
+        const upper = feelsLikeLookupData[upperIndex];
+        const fraction = (numAmbientTemp - lower.ta) / (upper.ta - lower.ta);
+        return parseFloat((lower.feelsLike + fraction * (upper.feelsLike - lower.feelsLike)).toFixed(2));
     }
 
     // --- Section: 6. Chart Creation and Enhancement ---
@@ -591,8 +889,37 @@ function processLightDataForZone(csvString, targetZoneId) {
         return [mainTrace];
     }
 
+    // Hex colour (#rrggbb) with transparency, for the forecast interval bands.
+    function hexToRgba(hex, alpha) {
+        const [r, g, b] = [1, 3, 5].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+        return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    }
+
+    // Forecast mean and 80%/95% interval bands. Each band is an invisible upper edge plus a lower edge filled up to it.
+    function createForecastTraces(forecast, color, unit) {
+        const bandTraces = [[95, 0.12], [80, 0.22]].flatMap(([level, opacity]) => [
+            { type: 'scatter', mode: 'lines', x: forecast.x, y: forecast.intervals[level].upper, line: { width: 0 }, hoverinfo: 'skip', showlegend: false },
+            {
+                type: 'scatter', mode: 'lines', x: forecast.x, y: forecast.intervals[level].lower, line: { width: 0 },
+                fill: 'tonexty', fillcolor: hexToRgba(color, opacity), name: `${level}% interval`, hoverinfo: 'skip'
+            }
+        ]);
+        const meanTrace = {
+            type: 'scatter',
+            mode: 'lines',
+            line: { color: color, width: 3, dash: 'dash' },
+            name: 'Forecast',
+            hovertemplate: `Forecast: %{y:.2f}${unit}<extra></extra>`,
+            x: forecast.x,
+            y: forecast.mean
+        };
+        return [...bandTraces, meanTrace];
+    }
+
     // ENHANCED: Chart creation with office hours shading and better accessibility
-    function createEnhancedChart(divId, xValues, yValues, yTitle, preferredRange, color, unit = '', additionalTraces = [], parameterType = '') {
+    // With a forecast ({ x, mean, intervals }), xValues are 'YYYY-MM-DD HH:MM' readings and the chart uses a date axis.
+    // A mainTraceName (e.g. "Zone 27" when comparing zones) names the main trace in the legend and hover label.
+    function createEnhancedChart(divId, xValues, yValues, yTitle, preferredRange, color, unit = '', additionalTraces = [], parameterType = '', forecast = null, mainTraceName = null) {
         const chartDiv = document.getElementById(divId);
         if (!chartDiv) {
             console.error(`Chart container '${divId}' not found`);
@@ -606,13 +933,25 @@ function processLightDataForZone(csvString, targetZoneId) {
             chartDiv.innerHTML = '';
             
             const mainTraces = createSingleVisibleTrace('Data', xValues, yValues, preferredRange, color, unit, parameterType);
-            const allTraces = [...mainTraces, ...additionalTraces];
+            const forecastTraces = forecast ? createForecastTraces(forecast, color, unit) : [];
+            if (forecast) {
+                mainTraces[0].name = 'Recent readings';
+                mainTraces[0].showlegend = true;
+                mainTraces[0].line.width = 3;
+                mainTraces[0].marker.size = 4;
+            }
+            if (mainTraceName) {
+                mainTraces[0].name = mainTraceName;
+                mainTraces[0].showlegend = true;
+                mainTraces[0].hovertemplate = `${mainTraceName}: %{y:.2f}${unit}<extra></extra>`;
+            }
+            const allTraces = [...mainTraces, ...forecastTraces, ...additionalTraces];
             
             console.log(`[Chart Debug] Total traces: ${allTraces.length}`);
             
             // Calculate Y-axis range to show ALL data with padding, not limited by preferred range
             const validYValues = yValues.filter(v => v !== null && !isNaN(v));
-            const additionalYValues = additionalTraces.flatMap(trace => 
+            const additionalYValues = [...forecastTraces, ...additionalTraces].flatMap(trace => 
                 trace.y ? trace.y.filter(v => v !== null && !isNaN(v)) : []
             );
             const allYValues = [...validYValues, ...additionalYValues];
@@ -630,7 +969,7 @@ function processLightDataForZone(csvString, targetZoneId) {
                 ];
                 
                 // For noise data, ensure we show a reasonable range even if data is clustered
-                if (parameterType === 'Noise' && dataRange < 5) {
+                if (parameterType === 'Noise' && dataRange < 5 && !forecast) {
                     const center = (minY + maxY) / 2;
                     yAxisRange = [center - 3, center + 3];
                 }
@@ -660,7 +999,21 @@ function processLightDataForZone(csvString, targetZoneId) {
             }
             
             // Add office hours shading for ALL charts with time period data
-            if (xValues.some(x => x.includes(':'))) {
+            if (forecast) {
+                // Date axis: shade 9AM-5PM on every day shown and mark where the forecast starts.
+                const lastX = forecast.x[forecast.x.length - 1];
+                for (const day = new Date(`${xValues[0].slice(0, 10)}T00:00`); day <= new Date(lastX.replace(' ', 'T')); day.setDate(day.getDate() + 1)) {
+                    const dateText = formatDateTimeLabel(day).slice(0, 10);
+                    shapes.push({
+                        type: 'rect', xref: 'x', x0: `${dateText} 09:00`, x1: `${dateText} 17:00`, yref: 'paper', y0: 0, y1: 1,
+                        fillcolor: 'rgba(255, 193, 7, 0.12)', line: { width: 0 }, layer: 'below'
+                    });
+                }
+                shapes.push({
+                    type: 'line', xref: 'x', x0: xValues[xValues.length - 1], x1: xValues[xValues.length - 1], yref: 'paper', y0: 0, y1: 1,
+                    line: { color: '#6b7280', width: 2, dash: 'dot' }
+                });
+            } else if (xValues.some(x => x.includes(':'))) {
                 // For hourly data, find 9am-5pm indices
                 let startIndex = -1, endIndex = -1;
                 for (let i = 0; i < xValues.length; i++) {
@@ -726,6 +1079,7 @@ function processLightDataForZone(csvString, targetZoneId) {
             
             const layout = {
                 xaxis: {
+                    ...(forecast ? { type: 'date', tickformat: '%a %H:%M' } : {}),
                     title: '',
                     showgrid: true,
                     gridcolor: 'rgba(156, 163, 175, 0.3)',
@@ -748,7 +1102,7 @@ function processLightDataForZone(csvString, targetZoneId) {
                 plot_bgcolor: 'rgba(248, 250, 252, 0.5)',
                 paper_bgcolor: 'transparent',
                 margin: { l: 60, r: 20, t: 40, b: 50 },
-                showlegend: additionalTraces.length > 0,
+                showlegend: additionalTraces.length > 0 || Boolean(forecast),
                 legend: {
                     x: 0.5,
                     y: -0.15,
@@ -786,6 +1140,19 @@ function processLightDataForZone(csvString, targetZoneId) {
                         });
                     }
                     
+                    if (forecast) {
+                        annotations.push({
+                            text: 'Forecast →',
+                            x: xValues[xValues.length - 1],
+                            xanchor: 'left',
+                            y: 0.98,
+                            xref: 'x',
+                            yref: 'paper',
+                            showarrow: false,
+                            font: { size: 10, color: '#6b7280', family: 'Inter, sans-serif', weight: 600 }
+                        });
+                    }
+
                     // Add x-axis range indicators for period data
                     if (!xValues.some(x => x.includes(':')) && xValues.length > 0) {
                         let morningIndex = -1, eveningIndex = -1;
@@ -869,8 +1236,118 @@ function processLightDataForZone(csvString, targetZoneId) {
         }
     }
 
+    // Forecast card for a sensor channel, laid out like the static noise card in zone_forecast.html.
+    function buildChannelForecastCardHTML(channel) {
+        return `
+        <div class="parameter-card">
+            <div class="parameter-header">
+                <div class="parameter-title-main">
+                    <div class="parameter-icon">
+                        <i class="${channel.icon}"></i>
+                    </div>
+                    ${channel.label} Forecast
+                </div>
+                <div id="${channel.key}UserPref" class="preference-indicator" style="display: none;">
+                </div>
+                <div id="${channel.key}AnalysisSummary" class="summary-text" style="margin-top: 8px; font-size:0.9rem;">
+                </div>
+            </div>
+            <div class="chart-container">
+                <div id="${channel.key}Chart">
+                    <p class="loading-message">Loading ${channel.label} Data...</p>
+                </div>
+            </div>
+            <div class="preferred-range-legend">
+                <div class="legend-title">Chart Guide:</div>
+                <div class="legend-item">
+                    <div class="legend-line in-range"></div>
+                    <span>Predicted ${channel.label}</span>
+                </div>
+                <div class="legend-item">
+                    <div class="legend-area"></div>
+                    <span>Your Preferred Range</span>
+                </div>
+                <div class="legend-item">
+                    <div class="legend-office-hours"></div>
+                    <span>Office Hours (9AM-5PM)</span>
+                </div>
+            </div>
+        </div>`;
+    }
+
+    // Probability statement from the forecast's own prediction intervals, for the first forecast day that covers a
+    // statement window (only the planned weekday, if one is set).
+    function describeForecastProbability(result, forecastDates, target) {
+        const plannedDay = SensorHistory.getStoredDay();
+        const days = new Map(); // Date string -> { date, probabilityByHour }
+        result.mean.forEach((value, index) => {
+            const date = forecastDates[index];
+            if (plannedDay !== null && date.getDay() !== plannedDay) return;
+            const key = date.toDateString();
+            if (!days.has(key)) days.set(key, { date, probabilityByHour: {} });
+            days.get(key).probabilityByHour[date.getHours()] = ForecastModels.probabilityInRange(value, result.standardErrors[index], target.range);
+        });
+        for (const { date, probabilityByHour } of days.values()) {
+            const likeliestWindow = findLikeliestWindow(probabilityByHour);
+            if (likeliestWindow) return buildProbabilityStatement(likeliestWindow, target.range, target.parameterType, ` on ${SensorHistory.DAY_NAMES[date.getDay()]}`);
+        }
+        return '';
+    }
+
+    // Adds a "Next N hours" projection to a parameter card: recent readings, the chosen model's forecast with
+    // interval bands, and its backtest accuracy. Cards for metrics the readings file does not cover are left alone.
+    function renderForecastProjection(target, sensorHistory, zoneId, horizonHours) {
+        const card = document.getElementById(target.chartId)?.closest('.parameter-card');
+        const series = SensorHistory.getHourlySeries(sensorHistory, target.metric, zoneId);
+        if (!card || !series) return;
+
+        const projectionEl = document.createElement('div');
+        projectionEl.className = 'forecast-projection';
+        const legendEl = card.querySelector('.preferred-range-legend');
+        if (legendEl) card.insertBefore(projectionEl, legendEl); else card.appendChild(projectionEl);
+
+        const result = ForecastModels.forecast(series.values, { horizon: horizonHours });
+        if (!result) {
+            projectionEl.innerHTML = `
+                <div class="forecast-projection-title"><i class="fas fa-chart-line"></i> Forecast</div>
+                <div class="forecast-accuracy">Not enough history to forecast yet: this needs at least ${ForecastModels.MIN_HISTORY_HOURS / 24} days of hourly readings for Zone ${zoneId}.</div>
+            `;
+            return;
+        }
+
+        const hourDate = offset => {
+            const date = new Date(series.start);
+            date.setHours(date.getHours() + offset);
+            return date;
+        };
+        const hourLabel = offset => formatDateTimeLabel(hourDate(offset));
+        const historyStart = Math.max(0, series.values.length - FORECAST_HISTORY_HOURS_SHOWN);
+        const historyX = series.values.slice(historyStart).map((_, index) => hourLabel(historyStart + index));
+        const historyY = series.values.slice(historyStart);
+        const forecastX = result.mean.map((_, index) => hourLabel(series.values.length + index));
+        const forecastChartId = `${target.metric}ForecastChart`;
+        const probabilityStatement = target.range
+            ? describeForecastProbability(result, result.mean.map((_, index) => hourDate(series.values.length + index)), target)
+            : '';
+
+        const formatError = value => (value === null ? 'n/a' : value.toFixed(target.decimals ?? 1));
+        const mapeText = result.backtest.mape === null ? '' : ` · MAPE ${result.backtest.mape.toFixed(1)}%`;
+        const otherModels = result.comparison.slice(1).map(entry => `${entry.modelLabel} (MAE ${formatError(entry.mae)})`).join(', ');
+        projectionEl.innerHTML = `
+            <div class="forecast-projection-title"><i class="fas fa-chart-line"></i> Next ${horizonHours} hours after the latest reading (${historyX[historyX.length - 1]})</div>
+            ${probabilityStatement ? `<div class="chart-insight-probability"><i class="fas fa-percentage"></i> ${probabilityStatement}</div>` : ''}
+            <div class="chart-container"><div id="${forecastChartId}"></div></div>
+            <div class="forecast-accuracy">
+                <strong>${result.modelLabel}</strong> · backtest on the last ${result.backtest.hours} h: MAE ${formatError(result.backtest.mae)}${target.unit}${mapeText}
+                <small>Shaded bands are 80% and 95% prediction intervals. Also tried: ${otherModels}.</small>
+            </div>
+        `;
+        createEnhancedChart(forecastChartId, historyX, historyY, target.yTitle, target.range, target.color, target.unit, [], target.parameterType,
+            { x: forecastX, mean: result.mean, intervals: result.intervals });
+    }
+
     // Generates a consolidated summary based on analyses of all parameters.
-    function generateConsolidatedSummary(lightAnalysis, tempAnalysis, noiseAnalysis, userPrefs) {
+    function generateConsolidatedSummary(lightAnalysis, tempAnalysis, noiseAnalysis, userPrefs, channelAnalyses = {}) {
         const analyses = [];
         
         if (userPrefs.light && lightAnalysis) {
@@ -894,6 +1371,11 @@ function processLightDataForZone(csvString, targetZoneId) {
                 ...noiseAnalysis 
             });
         }
+        sensorChannels.forEach(channel => {
+            if (userPrefs[channel.key] && channelAnalyses[channel.key]) {
+                analyses.push({ type: channel.label, name: channel.name, ...channelAnalyses[channel.key] });
+            }
+        });
         
         if (analyses.length === 0) {
             return {
@@ -933,10 +1415,242 @@ function processLightDataForZone(csvString, targetZoneId) {
             summary = `None of your preferred conditions are consistently met.`;
             details = "Consider choosing a different zone or adjusting your preferences.";
         }
+
+        const lowConfidenceNames = analyses.filter(a => a.confidence && a.confidence.level === 'low').map(a => a.name);
+        if (lowConfidenceNames.length > 0) {
+            details += ` Low confidence for ${lowConfidenceNames.join(' and ')}: readings vary or sit near the edge of your range, so treat this as a rough guide.`;
+        }
         
         return { title, summary, details };
     }
 
+    // Hours of the day a series spends in the preferred range; a light period counts once for each hour it spans.
+    function countInRangeHours(series, preferredRange) {
+        return series.y.reduce((hours, value, index) => (
+            value !== null && value >= preferredRange.min && value <= preferredRange.max ? hours + getLabelHours(series.x[index]).length : hours
+        ), 0);
+    }
+
+    // Line for one compared zone, drawn over the first zone's chart.
+    function createComparisonTrace(zoneId, series, color, unit) {
+        return {
+            type: 'scatter',
+            mode: 'lines+markers',
+            line: { color: color, width: 3, shape: 'spline' },
+            marker: { color: color, size: 6, line: { color: '#ffffff', width: 1 } },
+            name: `Zone ${zoneId}`,
+            hovertemplate: `Zone ${zoneId}: %{y:.2f}${unit}<extra></extra>`,
+            x: series.x,
+            y: series.y,
+            connectgaps: false
+        };
+    }
+
+    // Card summary naming the zone that stays in range longest (or, without a preference, the averages).
+    function buildComparisonInsightHTML(metric, zoneIds, cells) {
+        const zoneCells = zoneIds.map(zoneId => [zoneId, cells[zoneId]]).filter(([, cell]) => cell); // In ?ids= order
+        if (!metric.range) {
+            const averages = zoneCells.filter(([, cell]) => cell.average !== null).map(([zoneId, cell]) => `Zone ${escapeHTML(zoneId)}: ${cell.average.toFixed(1)}${metric.unit}`);
+            return `<div class="chart-insight-sub">No ${getParameterName(metric.parameterType)} preference set. Daily averages: ${averages.join(' · ')}</div>`;
+        }
+        const bestHours = Math.max(...zoneCells.map(([, cell]) => cell.hours));
+        const bestZoneIds = zoneCells.filter(([, cell]) => cell.hours === bestHours).map(([zoneId]) => zoneId);
+        const mainInsight = bestHours === 0
+            ? `None of these zones reaches your preferred ${getParameterName(metric.parameterType)} range`
+            : `${bestZoneIds.length > 1 ? `Zones ${formatZoneList(bestZoneIds.map(escapeHTML))} tie for` : `Zone ${escapeHTML(bestZoneIds[0])} has`} the most hours in your preferred range (${bestHours} h)`;
+        return `<div class="chart-insight-main">${mainInsight}</div>`;
+    }
+
+    /**
+     * Overlays each metric's curves for the compared zones on shared axes.
+     * @param {string[]} zoneIds Two to four zone ids, in ?ids= order.
+     * @param {object[]} metrics Per chart: { label, chartId, summaryId, yTitle, unit, range, parameterType, processZone(zoneId) }.
+     * @returns {object[]} Columns for the comparison table: { label, unit, hasPreference, cells: zoneId -> { hours, average } or null }.
+     */
+    function renderComparisonCharts(zoneIds, metrics) {
+        return metrics.map(metric => {
+            const zoneSeries = zoneIds
+                .map((zoneId, index) => ({ zoneId, color: COMPARISON_COLORS[index], series: metric.processZone(zoneId) }))
+                .filter(entry => entry.series && entry.series.x && entry.series.x.length > 0);
+
+            const cells = Object.fromEntries(zoneIds.map(zoneId => [zoneId, null]));
+            zoneSeries.forEach(({ zoneId, series }) => {
+                const validValues = series.y.filter(value => value !== null && !isNaN(value));
+                cells[zoneId] = {
+                    hours: metric.range ? countInRangeHours(series, metric.range) : null,
+                    average: validValues.length > 0 ? validValues.reduce((sum, value) => sum + value, 0) / validValues.length : null
+                };
+            });
+            const column = { label: metric.label, unit: metric.unit, hasPreference: Boolean(metric.range), cells };
+
+            const chartEl = document.getElementById(metric.chartId);
+            if (zoneSeries.length === 0) {
+                if (chartEl) {
+                    chartEl.innerHTML = `
+                        <div class="no-data-message">
+                            <i class="fas fa-chart-line"></i>
+                            <p>${metric.label} data not available for ${zoneIds.length > 0 ? `Zones ${formatZoneList(zoneIds.map(escapeHTML))}` : 'these zones'}</p>
+                        </div>
+                    `;
+                }
+                return column;
+            }
+
+            const [first, ...others] = zoneSeries;
+            const otherTraces = others.map(entry => createComparisonTrace(entry.zoneId, entry.series, entry.color, metric.unit));
+            createEnhancedChart(metric.chartId, first.series.x, first.series.y, metric.yTitle, metric.range, first.color, metric.unit, otherTraces, metric.parameterType, null, `Zone ${first.zoneId}`);
+
+            const summaryEl = document.getElementById(metric.summaryId);
+            if (summaryEl) summaryEl.innerHTML = buildComparisonInsightHTML(metric, zoneIds, cells);
+            return column;
+        });
+    }
+
+    // Side-by-side table of in-range hours per zone; the best zone in each column is highlighted.
+    function buildComparisonTableHTML(zoneIds, columns) {
+        const preferenceColumns = columns.filter(column => column.hasPreference);
+        const totals = zoneIds.map(zoneId => preferenceColumns.reduce((sum, column) => sum + (column.cells[zoneId] ? column.cells[zoneId].hours : 0), 0));
+        const bestTotal = Math.max(...totals);
+        const bestHoursByColumn = columns.map(column => Math.max(...Object.values(column.cells).filter(Boolean).map(cell => cell.hours)));
+
+        const headerCells = columns.map(column => `<th scope="col">${column.label}<small>${column.hasPreference ? 'hours in range' : 'daily average'}</small></th>`).join('');
+        const rows = zoneIds.map((zoneId, zoneIndex) => {
+            const cells = columns.map((column, columnIndex) => {
+                const cell = column.cells[zoneId];
+                if (!cell) return '<td class="comparison-no-data">No data</td>';
+                if (!column.hasPreference) return `<td>${cell.average === null ? 'N/A' : `${cell.average.toFixed(1)}${column.unit}`}</td>`;
+                return `<td class="${cell.hours === bestHoursByColumn[columnIndex] ? 'comparison-best' : ''}">${cell.hours} h</td>`;
+            }).join('');
+            const totalCell = preferenceColumns.length > 0 ? `<td class="${totals[zoneIndex] === bestTotal ? 'comparison-best' : ''}"><strong>${totals[zoneIndex]} h</strong></td>` : '';
+            return `
+                <tr>
+                    <th scope="row"><span class="comparison-swatch" style="background: ${COMPARISON_COLORS[zoneIndex]};"></span><a href="zone_forecast.html?id=${encodeURIComponent(zoneId)}">Zone ${escapeHTML(zoneId)}</a></th>
+                    ${cells}${totalCell}
+                </tr>`;
+        }).join('');
+
+        return `
+            <div class="comparison-table-wrapper">
+                <table class="comparison-table">
+                    <thead><tr><th scope="col">Zone</th>${headerCells}${preferenceColumns.length > 0 ? '<th scope="col">Total<small>hours in range</small></th>' : ''}</tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            <p class="summary-details">Hours of the day each zone spends in your preferred range. Open a zone for its full forecast.</p>
+        `;
+    }
+
+    // Absolute link to a comparison, e.g. ".../zone_forecast.html?ids=27,30,50".
+    function buildComparisonUrl(zoneIds) {
+        return new URL(`zone_forecast.html?ids=${zoneIds.map(encodeURIComponent).join(',')}`, window.location.href).href;
+    }
+
+    // Chips to drop a zone, a picker to add one of the ranked zones, and the shareable link.
+    function buildComparisonControlsHTML(zoneIds) {
+        let rankedZoneIds = [];
+        try {
+            rankedZoneIds = (JSON.parse(localStorage.getItem('finalRecommendations')) || []).map(rec => rec && rec.zoneId && String(rec.zoneId)).filter(Boolean);
+        } catch (error) {
+            console.warn('[Forecast] Stored recommendations could not be read for the comparison picker:', error);
+        }
+        const addableZoneIds = rankedZoneIds.filter(zoneId => !zoneIds.includes(zoneId)).slice(0, 10);
+
+        const chips = zoneIds.map((zoneId, index) => `
+            <span class="comparison-chip" style="border-color: ${COMPARISON_COLORS[index]};">
+                <span class="comparison-swatch" style="background: ${COMPARISON_COLORS[index]};"></span>Zone ${escapeHTML(zoneId)}
+                ${zoneIds.length > MIN_COMPARISON_ZONES ? `<button type="button" data-remove-zone="${escapeHTML(zoneId)}" aria-label="Remove Zone ${escapeHTML(zoneId)} from the comparison">&times;</button>` : ''}
+            </span>`).join('');
+        const addPicker = zoneIds.length < MAX_COMPARISON_ZONES && addableZoneIds.length > 0
+            ? `<select id="comparisonAddZone" aria-label="Add a zone to the comparison">
+                   <option value="">+ Add a zone</option>
+                   ${addableZoneIds.map(zoneId => `<option value="${escapeHTML(zoneId)}">Zone ${escapeHTML(zoneId)} (#${rankedZoneIds.indexOf(zoneId) + 1})</option>`).join('')}
+               </select>`
+            : '';
+
+        return `
+            <div class="comparison-controls">
+                <div class="comparison-chips">${chips}${addPicker}</div>
+                <div class="comparison-share">
+                    <input type="text" id="comparisonShareUrl" readonly value="${escapeHTML(buildComparisonUrl(zoneIds))}" aria-label="Shareable comparison link">
+                    <button type="button" id="comparisonCopyLink" class="comparison-copy-btn"><i class="fas fa-link"></i> Copy link</button>
+                </div>
+            </div>
+        `;
+    }
+
+    function setupComparisonControls(zoneIds) {
+        document.querySelectorAll('[data-remove-zone]').forEach(button => {
+            button.addEventListener('click', () => {
+                window.location.href = buildComparisonUrl(zoneIds.filter(zoneId => zoneId !== button.dataset.removeZone));
+            });
+        });
+        const addSelect = document.getElementById('comparisonAddZone');
+        if (addSelect) {
+            addSelect.addEventListener('change', () => {
+                if (addSelect.value) window.location.href = buildComparisonUrl([...zoneIds, addSelect.value]);
+            });
+        }
+        const copyButton = document.getElementById('comparisonCopyLink');
+        const shareInput = document.getElementById('comparisonShareUrl');
+        if (copyButton && shareInput) {
+            copyButton.addEventListener('click', () => {
+                shareInput.select();
+                const showCopied = () => { copyButton.innerHTML = '<i class="fas fa-check"></i> Copied'; };
+                if (navigator.clipboard && navigator.clipboard.writeText) {
+                    navigator.clipboard.writeText(shareInput.value).then(showCopied).catch(() => { copyButton.textContent = 'Press Ctrl+C to copy'; });
+                } else {
+                    copyButton.textContent = 'Press Ctrl+C to copy';
+                }
+            });
+        }
+    }
+
+    // Comparison mode (?ids=): overlaid charts for every metric, preference indicators, and the table with sharing controls
+    // in place of the overall suitability summary.
+    // Ids from the link that match no zone in the sensor data are dropped (and listed) before anything is rendered.
+    function renderZoneComparison(linkedZoneIds, metrics) {
+        const hasData = zoneId => metrics.some(metric => {
+            const series = metric.processZone(zoneId);
+            return Boolean(series && series.x && series.x.length > 0);
+        });
+        const zoneIds = linkedZoneIds.filter(hasData);
+        const unknownZoneIds = linkedZoneIds.filter(zoneId => !zoneIds.includes(zoneId));
+        if (unknownZoneIds.length > 0) console.warn(`[Forecast] No sensor data for ${unknownZoneIds.length} zone id(s) in the link. They are left out of the comparison.`);
+        if (zoneIds.length === 1) { // Nothing left to compare it with, so show that zone's own forecast
+            window.location.replace(`zone_forecast.html?id=${encodeURIComponent(zoneIds[0])}${window.location.hash}`);
+            return;
+        }
+        if (forecastTitleEl && unknownZoneIds.length > 0) {
+            forecastTitleEl.textContent = zoneIds.length > 0 ? `Comparing Zones ${formatZoneList(zoneIds)}` : 'Zone Comparison (No Known Zones)';
+        }
+
+        metrics.forEach(metric => {
+            const userPrefEl = document.getElementById(metric.userPrefId);
+            if (!userPrefEl) return;
+            userPrefEl.innerHTML = metric.range
+                ? `<div class="preference-indicator">🎯 Your preference: ${getPreferenceIndicatorText(metric.preference, metric.range, metric.unit)}</div>`
+                : `<div class="preference-indicator">No ${getParameterName(metric.parameterType)} preference set</div>`;
+            userPrefEl.style.display = 'block';
+        });
+
+        const columns = renderComparisonCharts(zoneIds, metrics);
+
+        const summaryTitleEl = document.getElementById('consolidatedSummaryTitle');
+        if (summaryTitleEl) {
+            summaryTitleEl.innerHTML = '<i class="fas fa-columns parameter-icon" style="background: none; font-size:1.3em;"></i> Zone Comparison';
+        }
+        const summaryContentEl = document.getElementById('consolidatedSummaryContent');
+        if (summaryContentEl) {
+            const unknownZonesHTML = unknownZoneIds.length > 0
+                ? `<p class="summary-details comparison-unknown-zones"><i class="fas fa-exclamation-circle"></i> Left out (not in the sensor data): ${unknownZoneIds.map(zoneId => `"${escapeHTML(zoneId)}"`).join(', ')}</p>`
+                : '';
+            summaryContentEl.innerHTML = zoneIds.length > 0
+                ? unknownZonesHTML + buildComparisonControlsHTML(zoneIds) + buildComparisonTableHTML(zoneIds, columns)
+                : `${unknownZonesHTML}<p class="summary-details">None of the zones in this link have sensor data. <a href="results.html">Pick zones from your recommendations</a> to compare them.</p>`;
+            setupComparisonControls(zoneIds);
+        }
+    }
+
     // --- Section: 7. UI Interaction - Chart Focusing and Notifications ---
     // Purpose: Handles focusing on specific charts based on URL hash and provides user feedback.
     // AI: Add highlight and text overlay (This is for chart section highlighting, not map overlay)
@@ -954,7 +1668,8 @@ function processLightDataForZone(csvString, targetZoneId) {
         const chartMapping = {
             'light': 'lightChart',
             'temperature': 'temperatureChart', 
-            'noise': 'noiseChart'
+            'noise': 'noiseChart',
+            ...Object.fromEntries(sensorChannels.map(channel => [channel.key, `${channel.key}Chart`]))
         };
         
         const targetChartId = chartMapping[hash];
@@ -962,7 +1677,7 @@ function processLightDataForZone(csvString, targetZoneId) {
         if (targetChartId) {
             // Wait a bit for charts to render, then scroll and highlight
             setTimeout(() => {
-                highlightAndScrollToChart(targetChartId, hash);
+                highlightAndScrollToChart(targetChartId, SensorChannels.get(hash) ? SensorChannels.get(hash).label : hash);
             }, 1500); // Give time for charts to load
         }
     }
@@ -1091,7 +1806,7 @@ function showChartFocusNotification(chartType) {
     // This try...catch block is the primary handler for errors during the page load process.
     // Failures within this block will result in the forecast page not displaying data correctly.
 
-    if (!zoneIdStr) {
+    if (!zoneIdStr && !isComparison) {
         console.error("No zone ID provided in URL");
         ['lightChart', 'temperatureChart', 'noiseChart'].forEach(chartId => {
             const el = document.getElementById(chartId);
@@ -1108,40 +1823,107 @@ function showChartFocusNotification(chartType) {
         return;
     }
 
-    console.log(`[Forecast] Starting data processing for Zone: ${zoneIdStr}`);
+    console.log(`[Forecast] Starting data processing for ${isComparison ? `Zones: ${comparisonZoneIds.join(', ')}` : `Zone: ${zoneIdStr}`}`);
     
     try {
         // Load all CSV files
-        const [lightCsvText, tempCsvText, noiseCsvText, feelsLikeCsvText] = await Promise.all([
+        let [lightCsvText, tempCsvText, noiseCsvText, feelsLikeCsvText, channelCsvTexts, historyCsvText] = await Promise.all([
             fetchCSV('samba_lights.csv'),
             fetchCSV('samba_TA.csv'),
             fetchCSV('samba_noise.csv'),
-            fetchCSV('ta_Feels_Like_Temperature.csv')
+            fetchCSV('ta_Feels_Like_Temperature.csv', true),
+            Promise.all(sensorChannels.map(channel => fetchCSV(channel.file, true))), // Channel files are optional
+            fetchCSV(SensorHistory.READINGS_FILE, true)
         ]);
 
-        const feelsLikeLookup = processFeelsLikeLookup(feelsLikeCsvText);
+        // With multi-day readings, the planned weekday's profile replaces the typical day for every dataset it covers.
+        const sensorHistory = historyCsvText ? SensorHistory.parse(historyCsvText) : null;
+        const plannedDay = SensorHistory.getStoredDay();
+        if (sensorHistory && sensorHistory.readingCount > 0) {
+            setupForecastDayPicker(plannedDay);
+            if (plannedDay !== null) {
+                lightCsvText = SensorHistory.toDayCsv(sensorHistory, 'light', plannedDay) || lightCsvText;
+                tempCsvText = SensorHistory.toDayCsv(sensorHistory, 'temperature', plannedDay) || tempCsvText;
+                noiseCsvText = SensorHistory.toDayCsv(sensorHistory, 'noise', plannedDay) || noiseCsvText;
+                sensorChannels.forEach((channel, index) => {
+                    channelCsvTexts[index] = SensorHistory.toDayCsv(sensorHistory, channel.key, plannedDay) || channelCsvTexts[index];
+                });
+                if (forecastTitleEl) {
+                    forecastTitleEl.textContent = isComparison
+                        ? `Comparing Zones ${formatZoneList(comparisonZoneIds)} on ${SensorHistory.DAY_NAMES[plannedDay]}s`
+                        : `Forecast for Zone ${zoneIdStr} on ${SensorHistory.DAY_NAMES[plannedDay]}s`;
+                }
+            }
+        }
+
+        // Day-to-day spread at each hour (for the planned weekday, or every day) behind the insights' uncertainty.
+        const getHourSpread = metric => (sensorHistory && sensorHistory.readingCount > 0
+            ? SensorHistory.getHourOfDaySpread(sensorHistory, metric, zoneIdStr, plannedDay)
+            : null);
+
+        // Without the lookup CSV, feels-like values come from the built-in apparent-temperature calculator.
+        const feelsLikeCsvLookup = processFeelsLikeLookup(feelsLikeCsvText);
+        const isComputedFeelsLike = feelsLikeCsvLookup.length === 0;
+        const relativeHumidity = ApparentTemperature.getStoredRelativeHumidity();
+        const feelsLikeLookup = isComputedFeelsLike ? ApparentTemperature.buildLookupTable(relativeHumidity) : feelsLikeCsvLookup;
 
         // Get user preferences
         const userPrefs = {
             light: localStorage.getItem('lightingPreference'),
             temp: localStorage.getItem('temperaturePreference'),
-            noise: localStorage.getItem('spaceUsagePreference')
+            noise: localStorage.getItem('spaceUsagePreference'),
+            ...Object.fromEntries(sensorChannels.map(channel => [channel.key, localStorage.getItem(channel.preferenceKey)]))
         };
 
+        // Comparison mode overlays the zones (channel cards included) and skips the single-zone cards, projections and summary below.
+        if (isComparison) {
+            const comparisonChannels = sensorChannels.filter((channel, index) => channelCsvTexts[index]);
+            const channelCardsContainer = document.getElementById('channelForecastCards');
+            if (channelCardsContainer) comparisonChannels.forEach(channel => channelCardsContainer.insertAdjacentHTML('beforeend', buildChannelForecastCardHTML(channel)));
+            renderZoneComparison(comparisonZoneIds, [
+                {
+                    label: 'Light', chartId: 'lightChart', summaryId: 'lightAnalysisSummary', userPrefId: 'lightUserPref', yTitle: 'Light Level (lux)', unit: ' lux',
+                    parameterType: 'Light', preference: userPrefs.light, range: getPreferenceRange(lightingThresholds, userPrefs.light, 'light'),
+                    processZone: id => (lightCsvText ? processLightDataForZone(lightCsvText, id) : null)
+                },
+                {
+                    label: 'Temperature', chartId: 'temperatureChart', summaryId: 'tempAnalysisSummary', userPrefId: 'tempUserPref', yTitle: 'Temperature (°C)', unit: '°C',
+                    parameterType: 'Temperature', preference: userPrefs.temp, range: getPreferenceRange(temperatureThresholds, userPrefs.temp, 'temp'),
+                    processZone: id => (tempCsvText ? processZoneRowHourlyData(tempCsvText, id, 'Temperature') : null)
+                },
+                {
+                    label: 'Noise', chartId: 'noiseChart', summaryId: 'noiseAnalysisSummary', userPrefId: 'noiseUserPref', yTitle: 'Noise Level (dB)', unit: ' dB',
+                    parameterType: 'Noise', preference: userPrefs.noise, range: getPreferenceRange(noiseWorkTypeThresholds, userPrefs.noise, 'noise'),
+                    processZone: id => (noiseCsvText ? processZoneColumnHourlyData(noiseCsvText, id, 'Noise') : null)
+                },
+                ...comparisonChannels.map(channel => {
+                    const channelCsvText = channelCsvTexts[sensorChannels.indexOf(channel)];
+                    return {
+                        label: channel.label, chartId: `${channel.key}Chart`, summaryId: `${channel.key}AnalysisSummary`, userPrefId: `${channel.key}UserPref`,
+                        yTitle: `${channel.label} (${channel.unit})`, unit: ` ${channel.unit}`, parameterType: channel.key,
+                        preference: userPrefs[channel.key], range: getPreferenceRange(channel.thresholds, userPrefs[channel.key], channel.key),
+                        processZone: id => (channel.layout === 'zone-rows'
+                            ? processZoneRowHourlyData(channelCsvText, id, channel.key)
+                            : processZoneColumnHourlyData(channelCsvText, id, channel.key))
+                    };
+                })
+            ]);
+        }
+
         let lightAnalysis, tempAnalysis, noiseAnalysis;
+        const bestTimeCriteria = []; // Every metric with readings for the zone, intersected by the best-time finder below
 
         // Process and display light data
-        if (lightCsvText) {
+        if (lightCsvText && !isComparison) {
             const lightDataZone = processLightDataForZone(lightCsvText, zoneIdStr);
             const lightUserPrefEl = document.getElementById('lightUserPref');
             const lightPref = userPrefs.light;
-            let lightRange;
+            const lightRange = getPreferenceRange(lightingThresholds, lightPref, 'light');
 
-            if (lightPref && lightingThresholds[lightPref]) {
-                lightRange = lightingThresholds[lightPref];
+            if (lightRange) {
                 if (lightUserPrefEl) {
                     lightUserPrefEl.innerHTML = `
-                        <div class="preference-indicator">🎯 Your preference: ${preferenceDisplayMap[lightPref]?.text || lightPref}</div>
+                        <div class="preference-indicator">🎯 Your preference: ${getPreferenceIndicatorText(lightPref, lightRange, ' lx')}</div>
                     `;
                     lightUserPrefEl.style.display = 'block';
                 }
@@ -1151,16 +1933,15 @@ function showChartFocusNotification(chartType) {
             }
             
             if (lightDataZone && lightDataZone.x && lightDataZone.x.length > 0) {
-                lightAnalysis = analyzePreferredRangePeriods(lightDataZone.x, lightDataZone.y, lightRange, 'Light');
+                const lightUncertainty = estimateReadingUncertainty(lightDataZone.x, lightDataZone.y, getHourSpread('light'));
+                lightAnalysis = analyzePreferredRangePeriods(lightDataZone.x, lightDataZone.y, lightRange, 'Light', lightUncertainty);
+                bestTimeCriteria.push(toHourlyCriterion('light', 'Light', 'lux', 0, lightDataZone, lightRange));
                 
                 // Generate and display smart insights
-                const insights = generateSmartInsights(lightDataZone.x, lightDataZone.y, lightRange, 'Light');
+                const insights = generateSmartInsights(lightDataZone.x, lightDataZone.y, lightRange, 'Light', lightUncertainty);
                 const lightAnalysisSummaryEl = document.getElementById('lightAnalysisSummary');
                 if (lightAnalysisSummaryEl) {
-                    lightAnalysisSummaryEl.innerHTML = `
-                        <div class="chart-insight-main">${insights.mainInsight}</div>
-                        ${insights.subInsight ? `<div class="chart-insight-sub">${insights.subInsight}</div>` : ''}
-                    `;
+                    lightAnalysisSummaryEl.innerHTML = buildInsightHTML(insights);
                 }
                 
                 createEnhancedChart('lightChart', lightDataZone.x, lightDataZone.y, 'Light Level (lux)', lightRange, '#7c3aed', ' lux', [], 'Light');
@@ -1176,17 +1957,16 @@ function showChartFocusNotification(chartType) {
         }
 
         // Process and display temperature data
-        if (tempCsvText) {
+        if (tempCsvText && !isComparison) {
             const tempDataZone = processZoneRowHourlyData(tempCsvText, zoneIdStr, 'Temperature');
             const tempUserPrefEl = document.getElementById('tempUserPref');
             const tempPref = userPrefs.temp;
-            let tempRange;
+            const tempRange = getPreferenceRange(temperatureThresholds, tempPref, 'temp');
 
-            if (tempPref && temperatureThresholds[tempPref]) {
-                tempRange = temperatureThresholds[tempPref];
+            if (tempRange) {
                 if (tempUserPrefEl) {
                     tempUserPrefEl.innerHTML = `
-                        <div class="preference-indicator">🎯 Your preference: ${preferenceDisplayMap[tempPref]?.text || tempPref}</div>
+                        <div class="preference-indicator">🎯 Your preference: ${getPreferenceIndicatorText(tempPref, tempRange, '°C')}</div>
                     `;
                     tempUserPrefEl.style.display = 'block';
                 }
@@ -1196,16 +1976,15 @@ function showChartFocusNotification(chartType) {
             }
 
             if (tempDataZone && tempDataZone.x && tempDataZone.x.length > 0) {
-                tempAnalysis = analyzePreferredRangePeriods(tempDataZone.x, tempDataZone.y, tempRange, 'Temperature');
+                const tempUncertainty = estimateReadingUncertainty(tempDataZone.x, tempDataZone.y, getHourSpread('temperature'));
+                tempAnalysis = analyzePreferredRangePeriods(tempDataZone.x, tempDataZone.y, tempRange, 'Temperature', tempUncertainty);
+                bestTimeCriteria.push(toHourlyCriterion('temperature', 'Temperature', '°C', 1, tempDataZone, tempRange));
                 
                 // Generate and display smart insights
-                const insights = generateSmartInsights(tempDataZone.x, tempDataZone.y, tempRange, 'Temperature');
+                const insights = generateSmartInsights(tempDataZone.x, tempDataZone.y, tempRange, 'Temperature', tempUncertainty);
                 const tempAnalysisSummaryEl = document.getElementById('tempAnalysisSummary');
                 if (tempAnalysisSummaryEl) {
-                    tempAnalysisSummaryEl.innerHTML = `
-                        <div class="chart-insight-main">${insights.mainInsight}</div>
-                        ${insights.subInsight ? `<div class="chart-insight-sub">${insights.subInsight}</div>` : ''}
-                    `;
+                    tempAnalysisSummaryEl.innerHTML = buildInsightHTML(insights);
                 }
                 
                 const feelsLikeDataY = tempDataZone.y.map(tVal => 
@@ -1222,7 +2001,7 @@ function showChartFocusNotification(chartType) {
                         shape: 'spline',
                         dash: 'dot'
                     },
-                    name: 'Feels Like',
+                    name: isComputedFeelsLike ? `Feels Like (est. at ${relativeHumidity}% RH)` : 'Feels Like',
                     hovertemplate: 'Feels Like: %{y:.2f}°C<extra></extra>', // FIXED: 2 decimal places
                     x: tempDataZone.x,
                     y: feelsLikeDataY,
@@ -1243,17 +2022,16 @@ function showChartFocusNotification(chartType) {
         }
 
         // Process and display noise data
-        if (noiseCsvText) {
+        if (noiseCsvText && !isComparison) {
             const noiseDataZone = processZoneColumnHourlyData(noiseCsvText, zoneIdStr, 'Noise');
             const noiseUserPrefEl = document.getElementById('noiseUserPref');
             const noisePref = userPrefs.noise;
-            let noiseRange;
+            const noiseRange = getPreferenceRange(noiseWorkTypeThresholds, noisePref, 'noise');
 
-            if (noisePref && noiseWorkTypeThresholds[noisePref]) {
-                noiseRange = noiseWorkTypeThresholds[noisePref];
+            if (noiseRange) {
                 if (noiseUserPrefEl) {
                     noiseUserPrefEl.innerHTML = `
-                        <div class="preference-indicator">🎯 Your preference: ${preferenceDisplayMap[noisePref]?.text || noisePref}</div>
+                        <div class="preference-indicator">🎯 Your preference: ${getPreferenceIndicatorText(noisePref, noiseRange, 'dB')}</div>
                     `;
                     noiseUserPrefEl.style.display = 'block';
                 }
@@ -1263,16 +2041,15 @@ function showChartFocusNotification(chartType) {
             }
             
             if (noiseDataZone && noiseDataZone.x && noiseDataZone.x.length > 0) {
-                noiseAnalysis = analyzePreferredRangePeriods(noiseDataZone.x, noiseDataZone.y, noiseRange, 'Noise');
+                const noiseUncertainty = estimateReadingUncertainty(noiseDataZone.x, noiseDataZone.y, getHourSpread('noise'));
+                noiseAnalysis = analyzePreferredRangePeriods(noiseDataZone.x, noiseDataZone.y, noiseRange, 'Noise', noiseUncertainty);
+                bestTimeCriteria.push(toHourlyCriterion('noise', 'Noise', 'dB', 1, noiseDataZone, noiseRange));
                 
                 // Generate and display smart insights
-                const insights = generateSmartInsights(noiseDataZone.x, noiseDataZone.y, noiseRange, 'Noise');
+                const insights = generateSmartInsights(noiseDataZone.x, noiseDataZone.y, noiseRange, 'Noise', noiseUncertainty);
                 const noiseAnalysisSummaryEl = document.getElementById('noiseAnalysisSummary');
                 if (noiseAnalysisSummaryEl) {
-                    noiseAnalysisSummaryEl.innerHTML = `
-                        <div class="chart-insight-main">${insights.mainInsight}</div>
-                        ${insights.subInsight ? `<div class="chart-insight-sub">${insights.subInsight}</div>` : ''}
-                    `;
+                    noiseAnalysisSummaryEl.innerHTML = buildInsightHTML(insights);
                 }
                 
                 createEnhancedChart('noiseChart', noiseDataZone.x, noiseDataZone.y, 'Noise Level (dB)', noiseRange, '#7c3aed', ' dB', [], 'Noise');
@@ -1287,10 +2064,66 @@ function showChartFocusNotification(chartType) {
             }
         }
 
+        // Process and display sensor channels; a card is added only for channels whose file was found.
+        const channelAnalyses = {};
+        const channelCardsContainer = document.getElementById('channelForecastCards');
+        sensorChannels.forEach((channel, index) => {
+            const channelCsvText = channelCsvTexts[index];
+            if (!channelCsvText || !channelCardsContainer || isComparison) return;
+            channelCardsContainer.insertAdjacentHTML('beforeend', buildChannelForecastCardHTML(channel));
+
+            const channelDataZone = channel.layout === 'zone-rows'
+                ? processZoneRowHourlyData(channelCsvText, zoneIdStr, channel.key)
+                : processZoneColumnHourlyData(channelCsvText, zoneIdStr, channel.key);
+            const channelPref = userPrefs[channel.key];
+            const channelRange = getPreferenceRange(channel.thresholds, channelPref, channel.key);
+
+            const channelUserPrefEl = document.getElementById(`${channel.key}UserPref`);
+            channelUserPrefEl.innerHTML = channelRange
+                ? `<div class="preference-indicator">🎯 Your preference: ${getPreferenceIndicatorText(channelPref, channelRange, ` ${channel.unit}`)}</div>`
+                : `<div class="preference-indicator">No ${channel.name} preference set</div>`;
+            channelUserPrefEl.style.display = 'block';
+
+            if (channelDataZone && channelDataZone.x && channelDataZone.x.length > 0) {
+                const channelUncertainty = estimateReadingUncertainty(channelDataZone.x, channelDataZone.y, getHourSpread(channel.key));
+                channelAnalyses[channel.key] = analyzePreferredRangePeriods(channelDataZone.x, channelDataZone.y, channelRange, channel.key, channelUncertainty);
+                bestTimeCriteria.push(toHourlyCriterion(channel.key, channel.label, channel.unit, channel.decimals, channelDataZone, channelRange));
+
+                const insights = generateSmartInsights(channelDataZone.x, channelDataZone.y, channelRange, channel.key, channelUncertainty);
+                document.getElementById(`${channel.key}AnalysisSummary`).innerHTML = buildInsightHTML(insights);
+
+                createEnhancedChart(`${channel.key}Chart`, channelDataZone.x, channelDataZone.y, `${channel.label} (${channel.unit})`, channelRange, channel.color, ` ${channel.unit}`, [], channel.key);
+            } else {
+                document.getElementById(`${channel.key}Chart`).innerHTML = `
+                    <div class="no-data-message">
+                        <i class="${channel.icon}"></i>
+                        <p>${channel.label} data not available for Zone ${zoneIdStr}</p>
+                        <small>This zone may not have ${channel.label} sensors or data collection</small>
+                    </div>
+                `;
+            }
+        });
+
+        // Statistical forecasts need the multi-day readings; each covered metric gets a projection under its chart.
+        if (sensorHistory && sensorHistory.readingCount > 0 && !isComparison) {
+            const horizonHours = ForecastModels.clampHorizon(localStorage.getItem(FORECAST_HORIZON_STORAGE_KEY));
+            setupForecastHorizonPicker(horizonHours);
+            const forecastTargets = [
+                { metric: 'light', chartId: 'lightChart', yTitle: 'Light Level (lux)', range: getPreferenceRange(lightingThresholds, userPrefs.light, 'light'), color: '#7c3aed', unit: ' lux', parameterType: 'Light', decimals: 0 },
+                { metric: 'temperature', chartId: 'temperatureChart', yTitle: 'Temperature (°C)', range: getPreferenceRange(temperatureThresholds, userPrefs.temp, 'temp'), color: '#7c3aed', unit: '°C', parameterType: 'Temperature' },
+                { metric: 'noise', chartId: 'noiseChart', yTitle: 'Noise Level (dB)', range: getPreferenceRange(noiseWorkTypeThresholds, userPrefs.noise, 'noise'), color: '#7c3aed', unit: ' dB', parameterType: 'Noise' },
+                ...sensorChannels.map(channel => ({
+                    metric: channel.key, chartId: `${channel.key}Chart`, yTitle: `${channel.label} (${channel.unit})`,
+                    range: getPreferenceRange(channel.thresholds, userPrefs[channel.key], channel.key), color: channel.color, unit: ` ${channel.unit}`, parameterType: channel.key, decimals: channel.decimals
+                }))
+            ];
+            forecastTargets.forEach(target => renderForecastProjection(target, sensorHistory, zoneIdStr, horizonHours));
+        }
+
         // Generate and display enhanced consolidated summary
-        const consolidatedData = generateConsolidatedSummary(lightAnalysis, tempAnalysis, noiseAnalysis, userPrefs);
+        const consolidatedData = generateConsolidatedSummary(lightAnalysis, tempAnalysis, noiseAnalysis, userPrefs, channelAnalyses);
         const consolidatedSummaryEl = document.getElementById('consolidatedSummaryContent');
-        if (consolidatedSummaryEl) {
+        if (consolidatedSummaryEl && !isComparison) {
             consolidatedSummaryEl.innerHTML = `
                 <div class="consolidated-summary">
                     <h3>${consolidatedData.title}</h3>
@@ -1300,7 +2133,16 @@ function showChartFocusNotification(chartType) {
             `;
         }
 
-        console.log(`[Forecast] Data processing completed successfully for Zone: ${zoneIdStr}`);
+        // Best time to go: the blocks when every preference is met at once, each bookable in one click.
+        const bestTimeCard = document.getElementById('bestTimeCard');
+        const bestTimeContent = document.getElementById('bestTimeContent');
+        if (bestTimeCard && bestTimeContent && !isComparison) {
+            const bestTimeResult = BestTimeFinder.findComfortBlocks(bestTimeCriteria);
+            bestTimeContent.innerHTML = BestTimeFinder.buildBlocksHTML(bestTimeResult, zoneIdStr, plannedDay);
+            bestTimeCard.style.display = '';
+        }
+
+        console.log(`[Forecast] Data processing completed successfully for ${isComparison ? `Zones: ${comparisonZoneIds.join(', ')}` : `Zone: ${zoneIdStr}`}`);
 
     } catch (error) {
         // AI helping to debug: Troubleshooting Application Loading Page Errors - Catch-all for major processing failures.